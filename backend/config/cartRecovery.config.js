@@ -0,0 +1,36 @@
+/**
+ * Abandoned Cart Recovery Configuration
+ *
+ * A cart counts as abandoned once it has been idle for the first step's
+ * delay. Each step is one recovery email, sent when the cart has been idle
+ * for `delayHours`. One step can carry a single-use discount code.
+ */
+
+const parseSteps = (value) => value
+  .split(',')
+  .map(hours => parseFloat(hours))
+  .filter(hours => hours > 0)
+  .sort((a, b) => a - b);
+
+const delays = parseSteps(process.env.CART_RECOVERY_STEPS_HOURS || '1,24,72');
+const discountStep = parseInt(process.env.CART_RECOVERY_DISCOUNT_STEP, 10);
+
+const cartRecoveryConfig = {
+  enabled: process.env.CART_RECOVERY_ENABLED !== 'false',
+  intervalMs: (parseInt(process.env.CART_RECOVERY_INTERVAL_MINUTES, 10) || 15) * 60 * 1000,
+  steps: delays.map((delayHours, index) => ({
+    step: index + 1,
+    delayHours,
+    // Defaults to the last step; 0 disables the discount
+    withDiscount: (Number.isNaN(discountStep) ? delays.length : discountStep) === index + 1
+  })),
+  discount: {
+    percentage: parseInt(process.env.CART_RECOVERY_DISCOUNT_PERCENT, 10) || 10,
+    validHours: parseInt(process.env.CART_RECOVERY_DISCOUNT_VALID_HOURS, 10) || 72
+  },
+  // Orders placed this long after the last message are still credited to the campaign
+  attributionWindowDays: parseInt(process.env.CART_RECOVERY_ATTRIBUTION_DAYS, 10) || 7,
+  batchSize: parseInt(process.env.CART_RECOVERY_BATCH_SIZE, 10) || 100
+};
+
+export default cartRecoveryConfig;
@@ -0,0 +1,40 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Mail Configuration
+ *
+ * Selects the nodemailer transport from the environment:
+ * - smtp: real delivery through SMTP_HOST/SMTP_PORT
+ * - json: renders each message as JSON into the outbox directory
+ * - file: renders each message as a raw .eml file into the outbox directory
+ *
+ * The json and file transports never touch the network, so order and payment
+ * lifecycle emails can be inspected locally and in tests.
+ */
+const mailConfig = {
+  transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json'),
+  from: process.env.MAIL_FROM || 'Store <no-reply@example.com>',
+  replyTo: process.env.MAIL_REPLY_TO || undefined,
+  outboxDir: process.env.MAIL_OUTBOX_DIR || path.resolve(__dirname, '../../mail-outbox'),
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  },
+  retry: {
+    maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5,
+    baseDelayMs: parseInt(process.env.MAIL_RETRY_BASE_DELAY_MS, 10) || 30 * 1000 // 30 seconds, doubled per attempt
+  },
+  storeName: process.env.STORE_NAME || 'Our Store',
+  storeUrl: process.env.FRONTEND_URL || process.env.CLIENT_URL || 'http://localhost:5173',
+  supportEmail: process.env.SUPPORT_EMAIL || 'support@example.com'
+};
+
+export default mailConfig;
@@ -1,12 +1,13 @@
 import asyncHandler from 'express-async-handler';
 import Alert from '../models/alert.model.js';
 import Product from '../models/product.model.js';
+import { getStockLevel } from '../services/stockAlert.service.js';
 
 // @desc    Create a new stock alert
 // @route   POST /api/alerts
 // @access  Private
 export const createAlert = asyncHandler(async (req, res) => {
-  const { productId } = req.body;
+  const { productId, variantId } = req.body;
   const userId = req.user._id;
 
   // Check if product exists and is out of stock
@@ -16,8 +17,16 @@ export const createAlert = asyncHandler(async (req, res) => {
     throw new Error('Product not found');
   }
 
-  // Check if product is already in stock
-  if (product.inventory.quantity > 0) {
+  if (variantId && !product.variants.id(variantId)) {
+    res.status(404);
+    throw new Error('Variant not found');
+  }
+
+  // Check if product (or the requested variant) is already in stock
+  const inStock = variantId
+    ? getStockLevel(product, variantId) > 0
+    : product.inventory.quantity > 0;
+  if (inStock) {
     res.status(400);
     throw new Error('Product is already in stock');
   }
@@ -26,6 +35,7 @@ export const createAlert = asyncHandler(async (req, res) => {
   const existingAlert = await Alert.findOne({
     user: userId,
     product: productId,
+    variant: variantId || null,
     status: 'pending'
   });
 
@@ -34,12 +44,12 @@ export const createAlert = asyncHandler(async (req, res) => {
     throw new Error('You already have a pending alert for this product');
   }
 
-  // Create new alert
-  const alert = await Alert.create({
-    user: userId,
-    product: productId,
-    status: 'pending'
-  });
+  // Reuse a previously notified or cancelled alert for the same product/variant
+  const alert = await Alert.findOneAndUpdate(
+    { user: userId, product: productId, variant: variantId || null },
+    { $set: { status: 'pending' }, $unset: { notifiedAt: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
 
   // Add user to product's watchingUsers array if not already there
   if (!product.watchingUsers.includes(userId)) {
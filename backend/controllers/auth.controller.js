@@ -2,69 +2,39 @@
  * Authentication Controller
  *
  * This module handles user authentication including registration, login, logout,
- * token refresh, and profile management. It uses JWT for authentication and
- * Redis for token storage.
+ * token refresh, and profile management. It uses JWT for authentication; each
+ * login is tracked as a session (see services/session.service.js).
  */
 
-import redis from "../lib/redis.js";
 import User from "../models/user.model.js";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
 import passport from "passport";
+import mongoose from "mongoose";
+import { queueEmail } from "../services/mail.service.js";
+import {
+  TWO_FACTOR_SECRET_FIELDS,
+  isTwoFactorRequired,
+  createEnrolment,
+  verifySecondFactor,
+  issueLoginChallenge,
+} from "../services/twoFactor.service.js";
+import {
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} from "../services/session.service.js";
 
 // Helper Functions
 
-/**
- * Generates a pair of JWT tokens (access and refresh)
- * @private
- * @param {string} userId - The user's ID
- * @returns {Object} Object containing accessToken and refreshToken
- */
-const generateTokens = (userId) => {
-  try {
-    const accessToken = jwt.sign({ userId }, process.env.ACCESS_TOKEN_SECRET, {
-      expiresIn: "2h",
-    });
-
-    const refreshToken = jwt.sign(
-      { userId },
-      process.env.REFRESH_TOKEN_SECRET,
-      { expiresIn: "7d" }
-    );
-
-    return { accessToken, refreshToken };
-  } catch (error) {
-    console.error("Error generating tokens:", error);
-    throw new Error("Failed to generate authentication tokens");
-  }
-};
-
-/**
- * Stores refresh token in Redis
- * @private
- * @param {string} userId - The user's ID
- * @param {string} refreshToken - The refresh token to store
- */
-const storeRefreshToken = async (userId, refreshToken) => {
-  try {
-    await redis.set(
-      `refresh_token:${userId}`,
-      refreshToken,
-      "EX",
-      7 * 24 * 60 * 60 // 7 days in seconds
-    );
-  } catch (error) {
-    console.error("Error storing refresh token:", error);
-    throw new Error("Failed to store refresh token");
-  }
-};
-
 /**
  * Sets HTTP-only cookies for tokens
  * @private
  * @param {Object} res - Express response object
  * @param {string} accessToken - JWT access token
- * @param {string} refreshToken - JWT refresh token
+ * @param {string} [refreshToken] - JWT refresh token; the cookie is left as it is if omitted
  */
 const setAuthCookies = (res, accessToken, refreshToken) => {
   const isProduction = process.env.NODE_ENV === "production";
@@ -92,10 +62,12 @@ const setAuthCookies = (res, accessToken, refreshToken) => {
   });
 
   // Refresh token cookie (7 days)
-  res.cookie("refreshToken", refreshToken, {
-    ...cookieOptions,
-    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-  });
+  if (refreshToken) {
+    res.cookie("refreshToken", refreshToken, {
+      ...cookieOptions,
+      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    });
+  }
 
   console.log('🍪 Cookies set:', {
     accessTokenLength: accessToken?.length,
@@ -123,6 +95,66 @@ const clearAuthCookies = (res) => {
   res.clearCookie("refreshToken", cookieOptions);
 };
 
+/**
+ * Revokes every stored credential for a user: all signed-in sessions and any
+ * express sessions (Google sign-in).
+ * @private
+ * @param {string} userId - The user's ID
+ */
+const revokeUserSessions = async (userId) => {
+  await revokeAllSessions(userId, { reason: "password_reset" });
+
+  // Sessions are stored as serialized JSON, so match on the embedded user ID
+  await mongoose.connection
+    .collection("sessions")
+    .deleteMany({ session: { $regex: String(userId) } });
+};
+
+/**
+ * Starts a session for the device making the request and sets the auth cookies
+ * @private
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} userId - The user's ID
+ * @param {Object} [options]
+ * @param {boolean} [options.mfa] - The login completed two-factor verification
+ * @returns {Promise<string>} The new access token
+ */
+const startSession = async (req, res, userId, { mfa = false } = {}) => {
+  const { accessToken, refreshToken } = await createSession(userId, { req, mfa });
+  setAuthCookies(res, accessToken, refreshToken);
+  return accessToken;
+};
+
+const PASSWORD_RESET_TTL_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES, 10) || 60;
+
+const EMAIL_VERIFICATION_TTL_HOURS =
+  parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS, 10) || 24;
+
+/**
+ * Issues a fresh verification token and emails the link to the user
+ * @private
+ * @param {Object} user - User document
+ */
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken(EMAIL_VERIFICATION_TTL_HOURS);
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${process.env.FRONTEND_URL || "http://localhost:5173"}/verify-email?token=${verificationToken}`;
+
+  await queueEmail({
+    to: user.email,
+    template: "emailVerification",
+    data: {
+      name: user.name,
+      verifyUrl,
+      expiresInHours: EMAIL_VERIFICATION_TTL_HOURS,
+    },
+    userId: user._id,
+  });
+};
+
 // Controller Methods
 
 /**
@@ -167,12 +199,13 @@ const register = async (req, res) => {
     // Create user
     const user = await User.create({ name, email, password });
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
-    await storeRefreshToken(user._id.toString(), refreshToken);
+    // A failed verification email shouldn't fail the signup; the user can resend
+    await sendVerificationEmail(user).catch((error) =>
+      console.error("Failed to send verification email:", error)
+    );
 
-    // Set cookies
-    setAuthCookies(res, accessToken, refreshToken);
+    // Sign the new user in on this device
+    await startSession(req, res, user._id);
 
     // Return response (excluding password)
     const userResponse = user.toObject();
@@ -243,12 +276,18 @@ const login = async (req, res) => {
       });
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
-    await storeRefreshToken(user._id.toString(), refreshToken);
+    // The session only starts once the second factor is verified
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: issueLoginChallenge(user._id),
+        message: "Enter the code from your authenticator app",
+      });
+    }
 
-    // Set cookies
-    setAuthCookies(res, accessToken, refreshToken);
+    // Start a session for this device
+    const accessToken = await startSession(req, res, user._id);
 
     // Return response (excluding password)
     const userResponse = user.toObject();
@@ -258,6 +297,8 @@ const login = async (req, res) => {
       success: true,
       user: userResponse,
       accessToken, // Include the access token in the response
+      // Set when the store requires 2FA for this account; other routes are blocked until it is enabled
+      twoFactorSetupRequired: await isTwoFactorRequired(user),
       message: "Login successful",
     });
   } catch (error) {
@@ -282,13 +323,14 @@ const logout = async (req, res) => {
 
     if (refreshToken) {
       try {
-        // Verify and decode the token to get user ID
+        // Verify and decode the token to find this device's session
         const decoded = jwt.verify(
           refreshToken,
           process.env.REFRESH_TOKEN_SECRET
         );
-        // Delete the refresh token from Redis
-        await redis.del(`refresh_token:${decoded.userId}`);
+        if (decoded.sid) {
+          await revokeSession(decoded.userId, decoded.sid, "logout");
+        }
       } catch (error) {
         // Token might be expired, but we still want to clear cookies
         console.log(
@@ -334,31 +376,17 @@ const refreshToken = async (req, res) => {
   }
 
   try {
-    // Verify the refresh token
-    const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
-
-    // Check if the refresh token exists in Redis
-    const storedToken = await redis.get(`refresh_token:${decoded.userId}`);
-
-    if (storedToken !== refreshToken) {
-      return res.status(403).json({
-        success: false,
-        message: "Invalid refresh token",
-      });
-    }
-
-    // Generate new tokens
+    // Rotate: the presented token is spent, and replaying it revokes the session.
+    // A request that raced another refresh gets no new refresh token.
     const { accessToken: newAccessToken, refreshToken: newRefreshToken } =
-      generateTokens(decoded.userId);
-
-    // Update the refresh token in Redis
-    await storeRefreshToken(decoded.userId, newRefreshToken);
+      await rotateSession(refreshToken, { req });
 
     // Set new cookies
     setAuthCookies(res, newAccessToken, newRefreshToken);
 
     res.json({
       success: true,
+      accessToken: newAccessToken,
       message: "Token refreshed successfully",
     });
   } catch (error) {
@@ -369,7 +397,8 @@ const refreshToken = async (req, res) => {
 
     res.status(401).json({
       success: false,
-      message: "Invalid or expired refresh token",
+      message: error.code ? error.message : "Invalid or expired refresh token",
+      code: error.code,
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
@@ -522,6 +551,7 @@ const updateProfile = async (req, res) => {
       
       updateData.email = email;
       updateData.isEmailVerified = false; // Reset email verification status when email is changed
+      updateData.emailVerifiedAt = null;
     }
 
     if (Object.keys(updateData).length === 0) {
@@ -551,6 +581,12 @@ const updateProfile = async (req, res) => {
         throw new Error('User not found');
       }
 
+      if (updateData.email) {
+        await sendVerificationEmail(user).catch((error) =>
+          console.error('Failed to send verification email:', error)
+        );
+      }
+
       // Clean up the temporary file after successful update
       if (uploadedFile) {
         try { unlinkSync(uploadedFile); } catch (e) {}
@@ -842,7 +878,7 @@ async function getOrCreateUser(profile) {
       name: name,
       email: email,
       profilePicture: picture || '',
-      isEmailVerified: email_verified || true,
+      isEmailVerified: true,
       authProvider: {
         provider: 'google',
         id: sub
@@ -856,6 +892,11 @@ async function getOrCreateUser(profile) {
       id: sub
     };
     user.profilePicture = user.profilePicture || picture || '';
+    user.isEmailVerified = true;
+    await user.save();
+  } else if (!user.isEmailVerified) {
+    // Google has verified the address, so trust it
+    user.isEmailVerified = true;
     await user.save();
   }
   
@@ -1086,6 +1127,686 @@ const googleAuthFailure = (req, res) => {
   return res.redirect(redirectUrl.toString());
 };
 
+/**
+ * Sends a password reset link
+ * @route POST /api/auth/forgot-password
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - Account email
+ * @param {Object} res - Express response object
+ */
+const forgotPassword = async (req, res) => {
+  const email = typeof req.body.email === "string" ? req.body.email.trim().toLowerCase() : "";
+
+  try {
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide an email address",
+      });
+    }
+
+    const user = await User.findOne({ email });
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    if (user) {
+      const resetToken = user.createPasswordResetToken(PASSWORD_RESET_TTL_MINUTES);
+      await user.save({ validateBeforeSave: false });
+
+      const resetUrl = `${process.env.FRONTEND_URL || "http://localhost:5173"}/reset-password?token=${resetToken}`;
+
+      await queueEmail({
+        to: user.email,
+        template: "passwordReset",
+        data: {
+          name: user.name,
+          resetUrl,
+          expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
+        },
+        userId: user._id,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "If an account exists for that email, a reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error requesting password reset",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Resets a password using an emailed token and signs the user out everywhere
+ * @route POST /api/auth/reset-password
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.token - Reset token from the email link
+ * @param {string} req.body.password - New password
+ * @param {Object} res - Express response object
+ */
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the reset token and a new password",
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters long",
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    }).select("+passwordResetToken +passwordResetExpires");
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Reset link is invalid or has expired",
+        code: "INVALID_RESET_TOKEN",
+      });
+    }
+
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Back-date by a second so tokens issued in the same second are rejected
+    user.passwordChangedAt = new Date(Date.now() - 1000);
+    await user.save();
+
+    await revokeUserSessions(user._id.toString());
+    clearAuthCookies(res);
+
+    await queueEmail({
+      to: user.email,
+      template: "passwordChanged",
+      data: { name: user.name },
+      userId: user._id,
+    }).catch((error) => console.error("Failed to queue password changed email:", error));
+
+    res.json({
+      success: true,
+      message: "Password has been reset, please log in with your new password",
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error resetting password",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Verifies a user's email address using the emailed token
+ * @route POST /api/auth/verify-email
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.token - Verification token from the email link
+ * @param {Object} res - Express response object
+ */
+const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+
+  try {
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification token is required",
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(token),
+      emailVerificationExpires: { $gt: new Date() },
+    }).select("+emailVerificationToken +emailVerificationExpires");
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification link is invalid or has expired",
+        code: "INVALID_VERIFICATION_TOKEN",
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error verifying email",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Sends a new verification email to the authenticated user
+ * @route POST /api/auth/resend-verification
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+        code: "EMAIL_ALREADY_VERIFIED",
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error sending verification email",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Completes a login for an account with two-factor authentication
+ * @route POST /api/auth/2fa/verify
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.challengeToken - Token returned by the password step
+ * @param {string} req.body.code - Authenticator code or recovery code
+ * @param {Object} res - Express response object
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  try {
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the login challenge and a code",
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.ACCESS_TOKEN_SECRET);
+    } catch {
+      decoded = null;
+    }
+
+    if (decoded?.purpose !== "two_factor") {
+      return res.status(401).json({
+        success: false,
+        message: "Login challenge is invalid or has expired, please log in again",
+        code: "INVALID_TWO_FACTOR_CHALLENGE",
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.twoFactor?.enabled || user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: "Login challenge is invalid or has expired, please log in again",
+        code: "INVALID_TWO_FACTOR_CHALLENGE",
+      });
+    }
+
+    const method = verifySecondFactor(user, code);
+    if (!method) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+        code: "INVALID_TWO_FACTOR_CODE",
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    const accessToken = await startSession(req, res, user._id, { mfa: true });
+
+    const userResponse = user.toObject();
+    delete userResponse.password;
+    delete userResponse.twoFactor.secret;
+    delete userResponse.twoFactor.recoveryCodes;
+    delete userResponse.twoFactor.lastUsedStep;
+
+    res.json({
+      success: true,
+      user: userResponse,
+      accessToken,
+      ...(method === "recovery" && {
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+      }),
+      message: "Login successful",
+    });
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error verifying two-factor code",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Gets the user's two-factor status
+ * @route GET /api/auth/2fa
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactor.recoveryCodes");
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(user.twoFactor?.enabled),
+        enabledAt: user.twoFactor?.enabledAt || null,
+        recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+        required: await isTwoFactorRequired(user),
+      },
+    });
+  } catch (error) {
+    console.error("Two-factor status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching two-factor status",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Starts two-factor enrolment and returns the authenticator provisioning data
+ * @route POST /api/auth/2fa/setup
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+        code: "TWO_FACTOR_ALREADY_ENABLED",
+      });
+    }
+
+    const enrolment = await createEnrolment(user);
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      data: enrolment,
+    });
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error starting two-factor setup",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Confirms enrolment with a code from the app, enables two-factor and
+ * returns the recovery codes. The current session is replaced so it isn't
+ * locked out by its own change.
+ * @route POST /api/auth/2fa/enable
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.code - Code from the authenticator app
+ * @param {Object} res - Express response object
+ */
+const enableTwoFactor = async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the code from your authenticator app",
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`${TWO_FACTOR_SECRET_FIELDS} +twoFactor.pendingSecret`);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+        code: "TWO_FACTOR_ALREADY_ENABLED",
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup first",
+        code: "TWO_FACTOR_SETUP_NOT_STARTED",
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.lastUsedStep = undefined;
+    if (verifySecondFactor(user, code) !== "totp") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid verification code",
+        code: "INVALID_TWO_FACTOR_CODE",
+      });
+    }
+
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.createRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    // Replace this device's session with one that has completed the second factor
+    const accessToken = await startSession(req, res, user._id, { mfa: true });
+    if (req.user.sessionId) {
+      await revokeSession(user._id, req.user.sessionId, "upgraded");
+    }
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      data: { recoveryCodes },
+      accessToken,
+    });
+  } catch (error) {
+    console.error("Enable two-factor error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error enabling two-factor authentication",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Turns two-factor authentication off. Requires the password and a current
+ * code, and is refused while the store requires it for the account.
+ * @route POST /api/auth/2fa/disable
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.password - Current password
+ * @param {string} req.body.code - Authenticator code or recovery code
+ * @param {Object} res - Express response object
+ */
+const disableTwoFactor = async (req, res) => {
+  const { password, code } = req.body;
+
+  try {
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide your password and a verification code",
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is required for this account",
+        code: "TWO_FACTOR_REQUIRED_BY_POLICY",
+      });
+    }
+
+    if (!(await user.comparePassword(password)) || !verifySecondFactor(user, code)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid password or verification code",
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("Disable two-factor error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error disabling two-factor authentication",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Replaces the user's recovery codes. Requires a current code.
+ * @route POST /api/auth/2fa/recovery-codes
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.code - Authenticator code or recovery code
+ * @param {Object} res - Express response object
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (!verifySecondFactor(user, code)) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid verification code",
+        code: "INVALID_TWO_FACTOR_CODE",
+      });
+    }
+
+    const recoveryCodes = user.createRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: "New recovery codes generated",
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating recovery codes",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Lists the user's signed-in sessions
+ * @route GET /api/auth/sessions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        ...session,
+        current: String(session._id) === req.user.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("List sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching sessions",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Signs one of the user's sessions out
+ * @route DELETE /api/auth/sessions/:id
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Session ID
+ * @param {Object} res - Express response object
+ */
+const deleteSession = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid session ID",
+      });
+    }
+
+    const revoked = await revokeSession(req.user._id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    if (req.params.id === req.user.sessionId) {
+      clearAuthCookies(res);
+    }
+
+    res.json({
+      success: true,
+      message: "Session signed out",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error signing out session",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Signs the user out everywhere, or everywhere else with `exceptCurrent`
+ * @route DELETE /api/auth/sessions
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.exceptCurrent] - "true" to keep the current session
+ * @param {Object} res - Express response object
+ */
+const deleteAllSessions = async (req, res) => {
+  const exceptCurrent = req.query.exceptCurrent === "true" && Boolean(req.user.sessionId);
+
+  try {
+    const revoked = await revokeAllSessions(req.user._id, {
+      except: exceptCurrent ? req.user.sessionId : undefined,
+    });
+
+    if (!exceptCurrent) {
+      clearAuthCookies(res);
+    }
+
+    res.json({
+      success: true,
+      message: exceptCurrent ? "Signed out of all other sessions" : "Signed out of all sessions",
+      data: { revoked },
+    });
+  } catch (error) {
+    console.error("Revoke all sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error signing out sessions",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 // Export all controller methods as named exports
 export {
   register,
@@ -1094,6 +1815,19 @@ export {
   refreshToken,
   getProfile,
   updateProfile,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getSessions,
+  deleteSession,
+  deleteAllSessions,
   googleAuth,
   googleCallback,
   googleAuthSuccess,
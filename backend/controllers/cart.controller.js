@@ -13,6 +13,8 @@
 import mongoose from 'mongoose';
 import Product from "../models/product.model.js";
 import User from "../models/user.model.js";
+import { getAvailableQuantity } from "../services/stockReservation.service.js";
+import { evaluatePromotions } from "../services/promotion.service.js";
 
 /**
  * @typedef {Object} CartItem
@@ -39,11 +41,12 @@ import User from "../models/user.model.js";
  * @param {Object} req - Express request object
  * @param {Object} req.user - Authenticated user object
  * @param {CartItem[]} req.user.cartItems - Array of items in the user's cart
+ * @param {string} [req.query.coupons] - Comma-separated promotion codes to price the cart with
  * @param {Object} res - Express response object
  * @returns {Promise<void>}
  * @throws {Error} If database operations fail
  * @example
- * // GET /api/cart
+ * // GET /api/cart?coupons=SUMMER20
  * // Response: 200 OK
  * [
  *   {
@@ -71,7 +74,7 @@ export const getCartProducts = async (req, res) => {
         const userWithCart = await User.findById(req.user._id)
             .populate({
                 path: 'cartItems.product',
-                select: 'name price images stock isActive inventory',
+                select: 'name price images quantity reservedQuantity isActive category subcategory brand',
                 match: { isDeleted: { $ne: true } }
             });
             
@@ -111,7 +114,7 @@ export const getCartProducts = async (req, res) => {
         for (const cartItem of validCartItems) {
             const product = cartItem.product;
             const quantity = cartItem.quantity || 1;
-            const availableStock = product.inventory?.quantity ?? product.stock ?? 0;
+            const availableStock = getAvailableQuantity(product);
             const inStock = availableStock >= quantity;
             const price = product.price || 0;
             
@@ -133,13 +136,34 @@ export const getCartProducts = async (req, res) => {
             });
         }
 
+        const shipping = subtotal > 50 ? 0 : 10; // Free shipping over $50
+
+        // Price the cart with the promotion codes the customer entered
+        const promotions = await evaluatePromotions(
+            typeof req.query.coupons === 'string' ? req.query.coupons.split(',') : [],
+            {
+                lines: validCartItems.map(cartItem => ({
+                    product: cartItem.product._id,
+                    category: cartItem.product.category,
+                    subcategory: cartItem.product.subcategory,
+                    brand: cartItem.product.brand,
+                    price: cartItem.product.price || 0,
+                    quantity: cartItem.quantity || 1
+                })),
+                shipping,
+                user: req.user._id
+            }
+        );
+
         // Calculate summary
         const summary = {
             totalItems: totalItems,
             subtotal: subtotal,
-            shipping: subtotal > 50 ? 0 : 10, // Free shipping over $50
-            discount: 0,
-            total: subtotal + (subtotal > 50 ? 0 : 10), // Add shipping to total
+            shipping: shipping,
+            discount: promotions.discount,
+            total: Math.max(0, Math.round((subtotal + shipping - promotions.discount) * 100) / 100),
+            coupons: promotions.applied,
+            rejectedCoupons: promotions.rejected,
             currency: 'USD'
         };
         
@@ -249,8 +273,8 @@ export const addToCart = async (req, res) => {
             });
         }
 
-        // Check stock
-        const availableStock = product.inventory?.quantity ?? product.quantity ?? 0;
+        // Check stock, less what pending orders hold
+        const availableStock = getAvailableQuantity(product);
         if (availableStock < quantity) {
             return res.status(400).json({
                 success: false,
@@ -285,7 +309,7 @@ export const addToCart = async (req, res) => {
         const populatedUser = await User.findById(updatedUser._id)
             .populate({
                 path: 'cartItems.product',
-                select: 'name price images stock inventory quantity isActive'
+                select: 'name price images quantity reservedQuantity isActive'
             });
         
         // Format the response
@@ -294,10 +318,7 @@ export const addToCart = async (req, res) => {
             .map(item => {
                 const product = item.product;
                 const itemQuantity = item.quantity || 1;
-                const availableStock = 
-                    (product.inventory?.quantity !== undefined) 
-                    ? product.inventory.quantity 
-                    : (product.quantity !== undefined ? product.quantity : 0);
+                const availableStock = getAvailableQuantity(product);
                 
                 const inStock = availableStock >= itemQuantity;
                 
@@ -394,7 +415,7 @@ export const clearCart = async (req, res) => {
         // Find the user and clear their cart
         const user = await User.findByIdAndUpdate(
             req.user._id,
-            { $set: { cartItems: [] } },
+            { $set: { cartItems: [], cartUpdatedAt: new Date() } },
             { new: true }
         );
 
@@ -623,7 +644,7 @@ export const updateQuantity = async (req, res) => {
         }
         
         // Check stock availability for the requested quantity
-        const availableStock = product.inventory?.quantity ?? 0;
+        const availableStock = getAvailableQuantity(product);
         if (quantity > availableStock) {
             return res.status(400).json({
                 success: false,
@@ -0,0 +1,63 @@
+import asyncHandler from 'express-async-handler';
+import CartRecovery from '../models/cartRecovery.model.js';
+import { runCartRecovery, getRecoveryStats } from '../services/cartRecovery.service.js';
+
+// @desc    List cart recovery campaigns
+// @route   GET /api/cart-recovery
+// @access  Private/Admin
+export const getCampaigns = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+
+  const campaigns = await CartRecovery.paginate(query, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+    sort: { updatedAt: -1 },
+    populate: [
+      { path: 'user', select: 'name email' },
+      { path: 'recoveredOrder', select: 'orderNumber totalAmount status' }
+    ],
+    lean: true
+  });
+
+  res.json({
+    success: true,
+    data: campaigns
+  });
+});
+
+// @desc    Get recovery performance and attributed revenue
+// @route   GET /api/cart-recovery/stats
+// @access  Private/Admin
+export const getStats = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  const stats = await getRecoveryStats({
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined
+  });
+
+  res.json({
+    success: true,
+    data: stats
+  });
+});
+
+// @desc    Run the recovery job now
+// @route   POST /api/cart-recovery/run
+// @access  Private/Admin
+export const runNow = asyncHandler(async (req, res) => {
+  const result = await runCartRecovery();
+
+  if (!result) {
+    res.status(409);
+    throw new Error('A cart recovery run is already in progress');
+  }
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
@@ -1,32 +1,52 @@
 /**
  * Coupon Controller
  * 
- * This module handles all coupon-related operations including retrieving active coupons,
- * validating coupon codes, and applying discounts. It ensures coupons are valid, not expired,
- * and properly associated with the requesting user.
+ * This module handles all coupon-related operations: the codes reserved for a
+ * customer, validating codes against the customer's cart, and the admin side
+ * of the promotion engine (creating, editing and reporting on codes). How codes
+ * are checked, combined and applied lives in the promotion service.
  * 
  * @module controllers/coupon
  * @requires ../models/coupon.model
- * @requires ../models/user.model
+ * @requires ../models/couponRedemption.model
+ * @requires ../services/promotion.service
  */
 
 import Coupon from "../models/coupon.model.js";
+import CouponRedemption from "../models/couponRedemption.model.js";
+import User from "../models/user.model.js";
+import { evaluatePromotions, normalizeCodes } from "../services/promotion.service.js";
+
+// Fields admins can set on a code
+const PROMOTION_FIELDS = [
+    'code', 'description', 'type', 'value', 'minSubtotal', 'appliesTo', 'startsAt', 'expirationDate',
+    'usageLimit', 'perCustomerLimit', 'stackable', 'isActive', 'userId'
+];
+
+const pickPromotionFields = (body) => Object.fromEntries(
+    PROMOTION_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
 
 /**
  * @typedef {Object} CouponResponse
  * @property {string} _id - Coupon ID
  * @property {string} code - Coupon code
- * @property {number} discountPercentage - Discount percentage (0-100)
- * @property {Date} expirationDate - Expiration date of the coupon
+ * @property {string} type - percentage, fixed_amount or free_shipping
+ * @property {number} [value] - Percentage or dollar amount off
+ * @property {number} [discountPercentage] - Same as `value` for percentage codes
+ * @property {number} minSubtotal - Cart subtotal the code needs
+ * @property {Date} [startsAt] - Start of the code's window
+ * @property {Date} [expirationDate] - End of the code's window
+ * @property {boolean} stackable - Whether the code combines with other stackable codes
  * @property {boolean} isActive - Whether the coupon is active
- * @property {string} userId - ID of the user this coupon belongs to
+ * @property {string} [userId] - ID of the user this coupon is reserved for
  * @property {Date} createdAt - When the coupon was created
  * @property {Date} updatedAt - When the coupon was last updated
  */
 
 /**
- * Retrieves the currently active coupon for the authenticated user.
- * Only returns coupons that are marked as active and not expired.
+ * Retrieves the newest coupon reserved for the authenticated user.
+ * Only returns coupons that are active, inside their window and not used up.
  * 
  * @async
  * @function getCoupon
@@ -57,12 +77,18 @@ export const getCoupon = async (req, res) => {
     try {
         const userId = req.user._id;
         
-        // Find active coupon for the user
+        const now = new Date();
+
+        // Find the newest usable coupon reserved for the user
         const coupon = await Coupon.findOne({ 
             userId,
             isActive: true,
-            expirationDate: { $gt: new Date() } // Only return non-expired coupons
-        }).select('-__v');
+            $and: [
+                { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+                { $or: [{ expirationDate: null }, { expirationDate: { $gt: now } }] },
+                { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] }
+            ]
+        }).sort({ createdAt: -1 }).select('-__v');
         
         if (!coupon) {
             return res.status(200).json({
@@ -88,22 +114,23 @@ export const getCoupon = async (req, res) => {
     }
 };
 
+
 /**
- * Validates a coupon code and returns its details if valid.
- * Checks if the coupon exists, is active, not expired, and belongs to the user.
- * Automatically deactivates expired coupons.
+ * Validates a coupon code against the authenticated user's cart and returns
+ * what it would take off. Codes already applied can be passed in `codes`, so
+ * stacking rules are checked against them.
  * 
  * @async
  * @function validateCoupon
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body
  * @param {string} req.body.code - The coupon code to validate
+ * @param {string[]} [req.body.codes] - Codes already applied to the cart
  * @param {Object} req.user - Authenticated user object
  * @param {string} req.user._id - ID of the authenticated user
  * @param {Object} res - Express response object
  * @returns {Promise<void>}
- * @throws {400} If coupon code is missing or invalid
- * @throws {404} If coupon is not found, expired, or not active
+ * @throws {400} If the code is missing, or can't be used on this cart
  * @throws {500} If there's a server error during the operation
  * @example
  * // POST /api/coupons/validate
@@ -113,15 +140,19 @@ export const getCoupon = async (req, res) => {
  *   "success": true,
  *   "data": {
  *     "code": "SUMMER20",
+ *     "type": "percentage",
+ *     "value": 20,
  *     "discountPercentage": 20,
+ *     "amount": 12.5,
  *     "expirationDate": "2023-12-31T23:59:59.999Z",
+ *     "summary": { "subtotal": 62.5, "shipping": 0, "discount": 12.5, "total": 50 },
  *     "message": "Coupon is valid"
  *   }
  * }
  */
 export const validateCoupon = async (req, res) => {
     try {
-        const { code } = req.body;
+        const { code, codes = [] } = req.body;
         
         // Validate input
         if (!code || typeof code !== 'string' || code.trim() === '') {
@@ -130,78 +161,286 @@ export const validateCoupon = async (req, res) => {
                 message: 'Coupon code is required and must be a non-empty string'
             });
         }
-        
-        // Find the coupon
-        const coupon = await Coupon.findOne({ 
-            code: code.trim().toUpperCase(),
-            userId: req.user._id,
-            isActive: true
+
+        const [normalizedCode] = normalizeCodes(code);
+
+        // Price the user's cart with the codes already applied plus this one
+        const user = await User.findById(req.user._id).populate({
+            path: 'cartItems.product',
+            select: 'price category subcategory brand',
+            match: { isDeleted: { $ne: true } }
         });
+        const lines = (user?.cartItems || [])
+            .filter(item => item?.product)
+            .map(item => ({
+                product: item.product._id,
+                category: item.product.category,
+                subcategory: item.product.subcategory,
+                brand: item.product.brand,
+                price: item.product.price || 0,
+                quantity: item.quantity || 1
+            }));
 
-        // Check if coupon exists and is active
-        if (!coupon) {
-            return res.status(404).json({
+        if (lines.length === 0) {
+            return res.status(400).json({
                 success: false,
-                message: 'Coupon not found or inactive'
+                message: 'Add items to your cart before applying a coupon'
             });
         }
+
+        const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+        const shipping = subtotal > 50 ? 0 : 10; // Same rule as the cart summary
+        const result = await evaluatePromotions(
+            [...normalizeCodes(codes).filter(applied => applied !== normalizedCode), normalizedCode],
+            { lines, shipping, user: req.user._id }
+        );
+
+        const rejected = result.rejected.find(entry => entry.code === normalizedCode);
+        if (rejected) {
+            return res.status(400).json({
+                success: false,
+                message: rejected.message
+            });
+        }
+
+        const applied = result.applied.find(entry => entry.code === normalizedCode);
+        const coupon = await Coupon.findById(applied.coupon).select('expirationDate');
         
-        const now = new Date();
+        // Return valid coupon details
+        res.status(200).json({
+            success: true,
+            data: {
+                code: applied.code,
+                type: applied.type,
+                value: applied.value,
+                ...(applied.type === 'percentage' && { discountPercentage: applied.value }),
+                amount: applied.amount,
+                expirationDate: coupon?.expirationDate,
+                summary: {
+                    subtotal: result.subtotal,
+                    shipping,
+                    discount: result.discount,
+                    total: Math.round((result.subtotal + shipping - result.discount) * 100) / 100
+                },
+                // Other codes that no longer apply alongside this one
+                rejected: result.rejected,
+                message: 'Coupon is valid'
+            }
+        });
         
-        // Check if coupon is expired
-        if (coupon.expirationDate < now) {
-            // Deactivate expired coupon
-            coupon.isActive = false;
-            await coupon.save();
-            
+    } catch (error) {
+        console.error('Error in validateCoupon:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to validate coupon',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Lists promotion codes, newest first (admin only).
+ * 
+ * @async
+ * @function getCoupons
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.search] - Part of a code
+ * @param {string} [req.query.active] - "true" or "false"
+ * @param {number} [req.query.page=1]
+ * @param {number} [req.query.limit=20]
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ * @throws {500} If there's a server error during the operation
+ */
+export const getCoupons = async (req, res) => {
+    try {
+        const { search, active } = req.query;
+        const page = Number(req.query.page) || 1;
+        const limit = Number(req.query.limit) || 20;
+
+        const query = {};
+        if (search) query.code = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+        if (active !== undefined) query.isActive = active === 'true';
+
+        const [coupons, total] = await Promise.all([
+            Coupon.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).select('-__v'),
+            Coupon.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: coupons,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error in getCoupons:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve coupons',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Creates a promotion code (admin only).
+ * 
+ * @async
+ * @function createCoupon
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Promotion fields, see CouponResponse
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ * @throws {400} If the promotion is invalid
+ * @throws {409} If the code is already taken
+ * @throws {500} If there's a server error during the operation
+ */
+export const createCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.create({
+            ...pickPromotionFields(req.body),
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: coupon,
+            message: 'Coupon created successfully'
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'A coupon with this code already exists'
+            });
+        }
+        if (error.name === 'ValidationError') {
             return res.status(400).json({
                 success: false,
-                message: 'This coupon has expired',
-                expired: true,
-                expirationDate: coupon.expirationDate
+                message: Object.values(error.errors).map(entry => entry.message).join(', ')
             });
         }
-        
-        // Check if coupon has already been used (if applicable)
-        if (coupon.maxUses > 0 && coupon.uses >= coupon.maxUses) {
+        console.error('Error in createCoupon:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create coupon',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Updates a promotion code (admin only). The code itself can't be changed
+ * once it has been redeemed; deactivate it instead of deleting it.
+ * 
+ * @async
+ * @function updateCoupon
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Coupon ID
+ * @param {Object} req.body - Promotion fields to change
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ * @throws {400} If the promotion is invalid
+ * @throws {404} If the coupon doesn't exist
+ * @throws {409} If the code is taken, or is being renamed after use
+ * @throws {500} If there's a server error during the operation
+ */
+export const updateCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        const updates = pickPromotionFields(req.body);
+        if (updates.code && updates.code.trim().toUpperCase() !== coupon.code && coupon.usedCount > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'A coupon that has been redeemed cannot be renamed'
+            });
+        }
+
+        coupon.set(updates);
+        await coupon.save();
+
+        res.status(200).json({
+            success: true,
+            data: coupon,
+            message: 'Coupon updated successfully'
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'A coupon with this code already exists'
+            });
+        }
+        if (error.name === 'ValidationError') {
             return res.status(400).json({
                 success: false,
-                message: 'This coupon has reached its maximum usage limit'
+                message: Object.values(error.errors).map(entry => entry.message).join(', ')
             });
         }
-        
-        // Check minimum purchase requirement (if any)
-        if (coupon.minPurchaseAmount > 0) {
-            // You would typically check the cart total here
-            // For now, we'll include it in the response
-            return res.status(200).json({
-                success: true,
-                data: {
-                    code: coupon.code,
-                    discountPercentage: coupon.discountPercentage,
-                    expirationDate: coupon.expirationDate,
-                    minPurchaseAmount: coupon.minPurchaseAmount,
-                    message: 'Coupon is valid (minimum purchase required)'
-                }
+        console.error('Error in updateCoupon:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update coupon',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+/**
+ * Lists the orders a promotion code was redeemed on, newest first (admin only).
+ * 
+ * @async
+ * @function getCouponRedemptions
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Coupon ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ * @throws {404} If the coupon doesn't exist
+ * @throws {500} If there's a server error during the operation
+ */
+export const getCouponRedemptions = async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id).select('code usedCount usageLimit');
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
             });
         }
-        
-        // Return valid coupon details
+
+        const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+            .sort({ createdAt: -1 })
+            .populate('order', 'orderNumber status totalAmount createdAt')
+            .populate('user', 'name email')
+            .select('-__v');
+
         res.status(200).json({
             success: true,
             data: {
-                code: coupon.code,
-                discountPercentage: coupon.discountPercentage,
-                expirationDate: coupon.expirationDate,
-                message: 'Coupon is valid'
+                coupon,
+                redemptions,
+                totalDiscount: Math.round(redemptions
+                    .filter(redemption => redemption.status === 'redeemed')
+                    .reduce((sum, redemption) => sum + redemption.amount, 0) * 100) / 100
             }
         });
-        
     } catch (error) {
-        console.error('Error in validateCoupon:', error);
+        console.error('Error in getCouponRedemptions:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to validate coupon',
+            message: 'Failed to retrieve coupon redemptions',
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
@@ -0,0 +1,63 @@
+import asyncHandler from 'express-async-handler';
+import EmailLog from '../models/emailLog.model.js';
+import { retryEmail } from '../services/mail.service.js';
+
+// @desc    List email delivery log entries
+// @route   GET /api/emails
+// @access  Private/Admin
+export const getEmailLogs = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, template, to, orderId } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (template) query.template = template;
+  if (to) query.to = to.toLowerCase();
+  if (orderId) query.order = orderId;
+
+  const logs = await EmailLog.paginate(query, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+    sort: { createdAt: -1 },
+    select: '-html -text'
+  });
+
+  res.json({
+    success: true,
+    data: logs
+  });
+});
+
+// @desc    Get a single email log entry including its rendered body
+// @route   GET /api/emails/:id
+// @access  Private/Admin
+export const getEmailLog = asyncHandler(async (req, res) => {
+  const log = await EmailLog.findById(req.params.id);
+
+  if (!log) {
+    res.status(404);
+    throw new Error('Email log entry not found');
+  }
+
+  res.json({
+    success: true,
+    data: log
+  });
+});
+
+// @desc    Retry a permanently failed email
+// @route   POST /api/emails/:id/retry
+// @access  Private/Admin
+export const retryFailedEmail = asyncHandler(async (req, res) => {
+  const log = await retryEmail(req.params.id);
+
+  if (!log) {
+    res.status(404);
+    throw new Error('No failed email found with this ID');
+  }
+
+  res.json({
+    success: true,
+    message: 'Email re-queued for delivery',
+    data: { id: log._id, status: log.status }
+  });
+});
@@ -0,0 +1,94 @@
+import asyncHandler from 'express-async-handler';
+import { Parser } from 'json2csv';
+import Invoice from '../models/invoice.model.js';
+import { listInvoices, renderInvoicePDF } from '../services/invoice.service.js';
+
+const CSV_FIELDS = [
+  'number',
+  'type',
+  'issuedAt',
+  'orderNumber',
+  'invoiceNumber',
+  'customerName',
+  'customerEmail',
+  'subtotal',
+  'shipping',
+  'tax',
+  'total',
+  'currency',
+  'refundId'
+];
+
+// A date without a time covers that whole day
+const endOf = (value) => {
+  const date = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+};
+
+// @desc    List or export invoices and credit notes issued in a date range
+// @route   GET /api/invoices
+// @access  Private/Admin
+export const getInvoices = asyncHandler(async (req, res) => {
+  const { from, to, type, format = 'json' } = req.query;
+
+  const invoices = await listInvoices({
+    from: from ? new Date(from) : undefined,
+    to: to ? endOf(to) : undefined,
+    type
+  });
+
+  if (format === 'csv') {
+    const rows = invoices.map(invoice => ({
+      ...invoice,
+      // Credit notes count against revenue
+      ...(invoice.type === 'credit_note' && {
+        subtotal: -invoice.subtotal,
+        shipping: -invoice.shipping,
+        tax: -invoice.tax,
+        total: -invoice.total
+      }),
+      issuedAt: invoice.issuedAt.toISOString(),
+      customerName: invoice.customer?.name,
+      customerEmail: invoice.customer?.email,
+      refundId: invoice.refund?.refundId
+    }));
+    const csv = new Parser({ fields: CSV_FIELDS }).parse(rows);
+
+    res.header('Content-Type', 'text/csv');
+    res.attachment(`invoices-${new Date().toISOString().split('T')[0]}.csv`);
+    return res.send(csv);
+  }
+
+  res.json({
+    success: true,
+    count: invoices.length,
+    data: invoices
+  });
+});
+
+// @desc    Download an invoice or credit note
+// @route   GET /api/invoices/:id/pdf
+// @access  Private/Admin
+export const downloadInvoice = asyncHandler(async (req, res) => {
+  const invoice = await Invoice.findById(req.params.id);
+
+  if (!invoice) {
+    res.status(404);
+    throw new Error('Invoice not found');
+  }
+
+  const pdfBuffer = await renderInvoicePDF(invoice);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename=${invoice.number}.pdf`,
+    'Content-Length': pdfBuffer.length
+  });
+  res.send(pdfBuffer);
+});
+
+export default {
+  getInvoices,
+  downloadInvoice
+};
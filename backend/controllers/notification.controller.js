@@ -0,0 +1,131 @@
+import asyncHandler from 'express-async-handler';
+import Notification, { NOTIFICATION_TYPES } from '../models/notification.model.js';
+import User from '../models/user.model.js';
+import {
+  markAsRead,
+  markAllAsRead,
+  deleteNotification as removeNotification,
+  getUnreadCount as countUnread
+} from '../services/notification.service.js';
+
+// @desc    List the current user's notifications
+// @route   GET /api/notifications
+// @access  Private
+export const getNotifications = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, read, type } = req.query;
+
+  const query = { user: req.user._id };
+  if (read !== undefined) query.read = read === 'true';
+  if (type) query.type = type;
+
+  const notifications = await Notification.paginate(query, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+    sort: { createdAt: -1 },
+    lean: true
+  });
+
+  res.json({
+    success: true,
+    data: notifications,
+    unreadCount: await countUnread(req.user._id)
+  });
+});
+
+// @desc    Get the number of unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+export const getUnreadCount = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: { unreadCount: await countUnread(req.user._id) }
+  });
+});
+
+// @desc    Mark a notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+export const markNotificationRead = asyncHandler(async (req, res) => {
+  const notification = await markAsRead(req.user._id, req.params.id);
+
+  if (!notification) {
+    res.status(404);
+    throw new Error('Notification not found');
+  }
+
+  res.json({
+    success: true,
+    data: notification
+  });
+});
+
+// @desc    Mark all notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+export const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const updated = await markAllAsRead(req.user._id);
+
+  res.json({
+    success: true,
+    message: 'All notifications marked as read',
+    data: { updated }
+  });
+});
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+export const deleteNotification = asyncHandler(async (req, res) => {
+  const notification = await removeNotification(req.user._id, req.params.id);
+
+  if (!notification) {
+    res.status(404);
+    throw new Error('Notification not found');
+  }
+
+  res.json({
+    success: true,
+    message: 'Notification deleted'
+  });
+});
+
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+export const getPreferences = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('notificationPreferences');
+
+  res.json({
+    success: true,
+    data: user?.notificationPreferences || {}
+  });
+});
+
+// @desc    Update notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+export const updatePreferences = asyncHandler(async (req, res) => {
+  const updates = {};
+  NOTIFICATION_TYPES.forEach(type => {
+    if (req.body[type] !== undefined) {
+      updates[`notificationPreferences.${type}`] = req.body[type];
+    }
+  });
+
+  if (Object.keys(updates).length === 0) {
+    res.status(400);
+    throw new Error('No valid preferences to update');
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set: updates },
+    { new: true, runValidators: true }
+  ).select('notificationPreferences');
+
+  res.json({
+    success: true,
+    message: 'Notification preferences updated',
+    data: user.notificationPreferences
+  });
+});
@@ -1,6 +1,11 @@
 import Order from '../../models/order.model.js';
 import { v4 as uuidv4 } from 'uuid';
-import { addToStatusHistory } from './order.utils.js';
+import OrderStatusService from '../../services/orderStatusService.js';
+import { syncStockWithStatus } from '../../services/stockReservation.service.js';
+import { syncRedemptionsWithStatus } from '../../services/promotion.service.js';
+import { approveReturn, rejectReturn, completeReturn } from '../../services/orderReturn.service.js';
+import { addOrderMessage } from '../../services/orderMessage.service.js';
+import { issueCreditNote } from '../../services/invoice.service.js';
 import mongoose from 'mongoose';
 
 /**
@@ -14,25 +19,37 @@ export const bulkUpdateOrderStatus = async (req, res) => {
 
   try {
     const { orderIds, status, notifyCustomer = false, statusNote = '' } = req.body;
-    const userId = req.user.id;
+    const actor = OrderStatusService.actorFromUser(req.user);
     const timestamp = new Date();
 
-    // Update all orders in a single operation
-    const { modifiedCount } = await Order.updateMany(
-      { _id: { $in: orderIds } },
-      { 
-        $set: { status },
-        $push: {
-          statusHistory: {
-            status,
-            changedBy: userId,
-            date: timestamp,
-            note: statusNote
-          }
-        }
-      },
-      { session }
-    );
+    const orders = await Order.find({ _id: { $in: orderIds } }).session(session);
+
+    // All or nothing: one illegal transition rejects the whole batch
+    const rejected = orders
+      .filter(order => order.status !== status && !OrderStatusService.isValidTransition(order.status, status))
+      .map(order => ({ orderId: order._id, orderNumber: order.orderNumber, status: order.status }));
+
+    if (rejected.length > 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        error: `${rejected.length} order(s) cannot move to ${status}`,
+        code: 'INVALID_STATUS_TRANSITION',
+        rejected
+      });
+    }
+
+    let modifiedCount = 0;
+    for (const order of orders) {
+      const previousStatus = order.status;
+      if (OrderStatusService.applyStatus(order, status, { ...actor, reason: statusNote || undefined })) {
+        await syncStockWithStatus(order, previousStatus, { session });
+        await syncRedemptionsWithStatus(order, previousStatus, { session });
+        await order.save({ session });
+        modifiedCount += 1;
+      }
+    }
 
     // If no orders were updated, rollback
     if (modifiedCount === 0) {
@@ -113,6 +130,16 @@ export const processRefund = async (req, res) => {
       });
     }
 
+    // A full refund closes the order, so check it may be refunded before recording anything
+    const isFullRefund = (order.refundedAmount || 0) + amount >= order.totalAmount;
+    if (isFullRefund && order.status !== 'refunded' && !OrderStatusService.isValidTransition(order.status, 'refunded')) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot fully refund an order that is ${order.status}`,
+        code: 'INVALID_STATUS_TRANSITION'
+      });
+    }
+
     // Create refund record
     const refund = {
       refundId: `REF-${uuidv4().substring(0, 8).toUpperCase()}`,
@@ -129,12 +156,18 @@ export const processRefund = async (req, res) => {
     order.refundedAmount = (order.refundedAmount || 0) + amount;
     
     // Update order status if fully refunded
-    if (order.refundedAmount >= order.totalAmount) {
-      order.status = 'refunded';
+    if (isFullRefund) {
+      OrderStatusService.applyStatus(order, 'refunded', {
+        ...OrderStatusService.actorFromUser(req.user),
+        reason: reason || `Refund ${refund.refundId}`
+      });
     }
 
     await order.save();
 
+    await issueCreditNote(order, { amount, refundId: refund.refundId, reason })
+      .catch(error => console.error('Error issuing credit note:', error));
+
     res.status(200).json({
       success: true,
       data: {
@@ -233,203 +266,54 @@ export const listReturnRequests = async (req, res) => {
 };
 
 /**
- * Update return status (admin)
+ * Update return status (admin). Kept for existing clients; approving,
+ * rejecting and completing go through the same steps as the dedicated
+ * return endpoints, and items are received through POST /admin/returns/:id/receive.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const updateReturnStatus = async (req, res) => {
   try {
-    // Log the complete request for debugging
-    console.log('Request received - updateReturnStatus:', {
-      method: req.method,
-      url: req.originalUrl,
-      params: req.params,
-      query: req.query,
-      body: req.body,
-      headers: {
-        'content-type': req.get('content-type'),
-        'authorization': req.get('authorization') ? '***' : 'not provided'
-      }
-    });
-
-    // Get returnId from params and validate (using 'id' as parameter name to match route)
     const returnId = req.params.id;
     const { status, notes } = req.body;
 
-    // Validate returnId
-    if (!returnId) {
-      console.error('Missing returnId in request:', { 
-        params: req.params,
-        body: req.body 
-      });
-      return res.status(400).json({
-        success: false,
-        error: 'Return ID is required',
-        details: {
-          receivedParams: Object.keys(req.params),
-          receivedQuery: Object.keys(req.query),
-          receivedBody: Object.keys(req.body)
-        }
-      });
-    }
+    const actions = {
+      approved: () => approveReturn(returnId, { notes }, req.user),
+      rejected: () => rejectReturn(returnId, { reason: notes }, req.user),
+      completed: () => completeReturn(returnId, req.user)
+    };
 
-    // Validate status
-    const validStatuses = ['approved', 'rejected', 'processing', 'completed'];
-    if (!status || !validStatuses.includes(status)) {
+    if (status === 'processing') {
       return res.status(400).json({
         success: false,
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`,
-      });
-    }
-
-    // Find the order containing this return
-    const order = await Order.findOne({
-      'returns.returnId': returnId
-    });
-
-    if (!order) {
-      console.error('Order with return not found for returnId:', returnId);
-      return res.status(404).json({
-        success: false,
-        error: 'Return request not found',
-        details: {
-          returnId,
-          suggestion: 'Verify the return ID is correct and the return exists'
-        }
+        error: 'Returns move to processing when items are received; use POST /admin/returns/:id/receive',
       });
     }
 
-    // Debug: Log the request and order details
-    console.log('Debug - Request details:', {
-      method: req.method,
-      url: req.originalUrl,
-      body: req.body,
-      params: req.params,
-      query: req.query,
-      headers: {
-        'content-type': req.get('content-type'),
-        'authorization': req.get('authorization') ? '***' : 'not provided'
-      }
-    });
-    
-    // Debug: Log the order and return details
-    console.log('Debug - Order returns:', {
-      orderId: order._id,
-      orderReturnsCount: order.returns ? order.returns.length : 0,
-      searchingForReturnId: returnId,
-      allReturnIds: order.returns ? order.returns.map(r => ({
-        id: r.returnId,
-        type: typeof r.returnId,
-        status: r.status
-      })) : 'No returns array',
-      orderStatus: order.status,
-      orderTotal: order.totalAmount,
-      orderItems: order.items ? order.items.length : 0
-    });
-
-    // Find the specific return in the order
-    const returnRequest = order.returns ? order.returns.find(r => {
-      const match = r.returnId === returnId || 
-                   (r.returnId && r.returnId.toString() === returnId) ||
-                   (r._id && r._id.toString() === returnId);
-      if (match) {
-        console.log('Found matching return:', {
-          returnId: r.returnId,
-          _id: r._id,
-          status: r.status,
-          type: typeof r.returnId
-        });
-      }
-      return match;
-    }) : null;
-
-    if (!returnRequest) {
-      console.error('Return request not found in order:', {
-        orderId: order._id,
-        returnId,
-        returnIdType: typeof returnId,
-        availableReturns: order.returns ? order.returns.map(r => ({
-          id: r.returnId,
-          type: typeof r.returnId,
-          _id: r._id,
-          status: r.status
-        })) : 'No returns array',
-        orderStatus: order.status,
-        orderTotal: order.totalAmount,
-        orderItems: order.items ? order.items.length : 0
-      });
-      
-      return res.status(404).json({
+    if (!actions[status]) {
+      return res.status(400).json({
         success: false,
-        error: 'Return request not found in order',
-        details: {
-          orderId: order._id,
-          returnId,
-          returnIdType: typeof returnId,
-          availableReturns: order.returns ? order.returns.length : 0,
-          orderStatus: order.status,
-          orderItems: order.items ? order.items.length : 0,
-          suggestion: 'Check if the return ID is correct and the order has any return requests'
-        }
+        error: `Invalid status. Must be one of: ${Object.keys(actions).join(', ')}`,
       });
     }
 
-    // Update status
-    const previousStatus = returnRequest.status;
-    returnRequest.status = status;
-    returnRequest.updatedAt = new Date();
-    
-    // Update all item statuses to match the parent return status if they are in a request state
-    if (returnRequest.items && returnRequest.items.length > 0) {
-      returnRequest.items.forEach(item => {
-        // Only update status if it's in a request state
-        if (['requested', 'pending'].includes(item.status)) {
-          // Map the parent status to a valid item status
-          const statusMap = {
-            'approved': 'approved',
-            'rejected': 'rejected',
-            'processing': 'pending',
-            'completed': 'refunded',
-            'requested': 'pending'  // Default mapping for requested
-          };
-          
-          item.status = statusMap[status] || 'pending';
-          item.processedAt = new Date();
-        }
-      });
-    }
-    
-    // Add note if provided
-    if (notes) {
-      returnRequest.notes = returnRequest.notes || [];
-      returnRequest.notes.push({
-        text: notes,
-        addedBy: req.user._id,
-        addedAt: new Date(),
-      });
-    }
-
-    // Save the order with updated return
-    await order.save();
-
-    console.log('Successfully updated return status:', {
-      returnId,
-      previousStatus,
-      newStatus: status,
-      orderId: order._id
-    });
+    const { order, returnRequest } = await actions[status]();
 
     res.status(200).json({
       success: true,
       data: {
         returnId: returnRequest.returnId,
         status: returnRequest.status,
-        updatedAt: returnRequest.updatedAt,
+        updatedAt: returnRequest.processedAt,
         orderId: order._id,
         orderNumber: order.orderNumber
       },
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
     console.error('Error updating return status:', {
       error: error.message,
       stack: error.stack,
@@ -655,23 +539,16 @@ export const splitOrder = async (req, res) => {
 };
 
 /**
- * Add internal note to order
+ * Add a note to an order: internal (staff only, the default) or shown to the
+ * customer in the order's message thread
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const addOrderNote = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { note, isCustomerVisible = false } = req.body;
-
-    if (!note || typeof note !== 'string' || note.trim() === '') {
-      return res.status(400).json({
-        success: false,
-        error: 'Note content is required',
-      });
-    }
+    const { note, isInternal = true } = req.body;
 
-    // First, get the order to check if it exists
     const order = await Order.findById(orderId);
     if (!order) {
       return res.status(404).json({
@@ -680,62 +557,21 @@ export const addOrderNote = async (req, res) => {
       });
     }
 
-    // Create a new note object
-    const newNote = {
-      text: note.trim(),
-      addedBy: req.user._id,
-      isCustomerVisible: Boolean(isCustomerVisible),
-      createdAt: new Date()
-    };
-
-    // If there are no returns yet, create an empty one
-    if (!order.returns || order.returns.length === 0) {
-      order.returns = [{
-        status: 'requested',
-        notes: [newNote],
-        createdAt: new Date(),
-        updatedAt: new Date()
-      }];
-    } else {
-      // Add note to the most recent return
-      const lastReturn = order.returns[order.returns.length - 1];
-      if (!lastReturn.notes) {
-        lastReturn.notes = [];
-      }
-      lastReturn.notes.push(newNote);
-      lastReturn.updatedAt = new Date();
-    }
-
-    // Save the order with the new note
-    const updatedOrder = await order.save();
-    
-    // Get the most recently added note (should be the one we just added)
-    const addedNote = updatedOrder.returns
-      .flatMap(r => r.notes || [])
-      .reverse()
-      .find(n => n.text === newNote.text);
-
-    if (!addedNote) {
-      console.error('Failed to find the newly added note in the saved order');
-      // Still return success but with a warning
-      return res.status(201).json({
-        success: true,
-        warning: 'Note was added but could not be verified',
-        data: {
-          noteId: 'unknown',
-          addedAt: new Date().toISOString(),
-        },
-      });
-    }
+    const addedNote = await addOrderMessage(order, { body: note, internal: isInternal }, req.user);
 
     res.status(201).json({
       success: true,
       data: {
-        noteId: addedNote._id || 'unknown',
-        addedAt: addedNote.createdAt || new Date().toISOString(),
+        noteId: addedNote._id,
+        addedAt: addedNote.createdAt,
+        visibility: addedNote.visibility,
       },
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+
     console.error('Error adding order note:', error);
     res.status(500).json({
       success: false,
@@ -20,7 +20,10 @@ export const bulkUpdateOrderStatus = async (req, res) => {
     // Update each order with status and history
     const updatePromises = orderIds.map(async (orderId) => {
       try {
-        await OrderStatusService.updateStatus(orderId, status, userId);
+        await OrderStatusService.updateStatus(orderId, status, {
+          ...OrderStatusService.actorFromUser(req.user),
+          reason: note || undefined
+        });
         
         // Add note to order if provided
         if (note) {
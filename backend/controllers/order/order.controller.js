@@ -1,6 +1,19 @@
 import mongoose from "mongoose";
 import Order from "../../models/order.model.js";
 import Product from "../../models/product.model.js";
+import { sendOrderEmail } from "../../services/mail.service.js";
+import OrderStatusService from "../../services/orderStatusService.js";
+import { canAccessOrder } from "./order.utils.js";
+import { attributeRecoveredOrder } from "../../services/cartRecovery.service.js";
+import { notifyOrderCreated } from "../../services/realtime.service.js";
+import { variantSnapshot, repriceOrder } from "../../services/orderEdit.service.js";
+import { assessOrderRisk, announceHold, isHeldForReview } from "../../services/fraud.service.js";
+import { applyOrderPromotions, syncRedemptionsWithStatus } from "../../services/promotion.service.js";
+import {
+  findVariant,
+  reserveOrderStock,
+  syncStockWithStatus,
+} from "../../services/stockReservation.service.js";
 
 /**
  * @typedef {Object} OrderItemInput
@@ -25,6 +38,7 @@ import Product from "../../models/product.model.js";
  * @property {string} [customerNotes] - Optional customer notes
  * @property {boolean} [isGuest] - Whether this is a guest checkout
  * @property {string} [guestEmail] - Required if isGuest is true
+ * @property {string[]} [couponCodes] - Promotion codes to apply
  */
 
 /**
@@ -43,6 +57,7 @@ export const createOrder = async (req, res) => {
       customerNotes,
       isGuest = false,
       guestEmail,
+      couponCodes,
     } = req.body;
 
     // Log the incoming request for debugging
@@ -70,10 +85,11 @@ export const createOrder = async (req, res) => {
       });
     }
 
-    const userId = req.user?.id; // Using req.user.id instead of _id
+    const userId = req.user?._id;
 
     // Process order items
     const orderItems = [];
+    const holds = [];
     let totalAmount = 0;
 
     for (const item of items) {
@@ -82,32 +98,36 @@ export const createOrder = async (req, res) => {
         throw new Error(`Product not found: ${item.product}`);
       }
 
-      // Check if product has enough stock
-      if (product.quantity < item.quantity) {
-        throw new Error(`Insufficient stock for product: ${product.name}`);
+      const variant = findVariant(product, item.variant);
+      if (item.variant && !variant) {
+        throw new Error(`Variant not found: ${item.variant}`);
       }
 
       // Calculate item total
       const itemTotal = product.price * item.quantity;
       totalAmount += itemTotal;
 
-      // Update product stock
-      product.quantity -= item.quantity;
-      await product.save({ session });
-
+      holds.push({
+        product,
+        variant,
+        quantity: item.quantity,
+        backorder: product.allowBackorder,
+      });
       orderItems.push({
         product: product._id,
         name: product.name,
+        image: product.primaryImage || undefined,
         price: product.price,
         quantity: item.quantity,
-        variant: item.variant || null,
+        ...(variant && { variant: variantSnapshot(variant) }),
       });
     }
 
     // Create the order with a temporary unique ID for stripeSessionId if not provided
     const order = new Order({
       user: isGuest ? null : userId,
-      products: orderItems,
+      items: orderItems,
+      itemsPrice: totalAmount,
       totalAmount,
       shippingAddress,
       customerNotes,
@@ -122,10 +142,32 @@ export const createOrder = async (req, res) => {
       updatedAt: new Date(),
     });
 
+    // Hold the stock until the order is paid or the hold expires; products
+    // that allow backorders hold what they can and wait for the rest
+    const backordered = await reserveOrderStock(order, holds, { session, userId });
+    order.items.forEach((orderItem, index) => {
+      orderItem.backorderedQuantity = backordered[index];
+    });
+
+    // Discounts go on before the total is scored or paid
+    if ((await applyOrderPromotions(order, couponCodes, { session })).length) {
+      repriceOrder(order);
+    }
+
+    // Score it before anyone can pay for it; high-risk orders wait for review after payment
+    await assessOrderRisk(order, { ipAddress: req.ip, email: req.user?.email, session });
+
     await order.save({ session });
     await session.commitTransaction();
     session.endSession();
 
+    sendOrderEmail("orderConfirmation", order);
+    notifyOrderCreated(order);
+    announceHold(order);
+    attributeRecoveredOrder(order).catch((error) => {
+      console.error("Failed to attribute order to cart recovery:", error.message);
+    });
+
     res.status(201).json({
       success: true,
       data: order,
@@ -136,10 +178,12 @@ export const createOrder = async (req, res) => {
     session.endSession();
 
     console.error("Error creating order:", error);
-    const statusCode = error.message.includes("not found") ? 404 : 500;
+    const statusCode =
+      error.statusCode || (error.message.includes("not found") ? 404 : 500);
     const response = {
       success: false,
       message: error.message || "Error creating order",
+      ...(error.serializeErrors && { errors: error.serializeErrors() }),
     };
 
     if (process.env.NODE_ENV === "development") {
@@ -193,10 +237,9 @@ export const getOrderById = async (req, res) => {
     console.log("Request user ID:", userId);
     console.log("Is admin?", isAdmin);
 
-    // Check if user is authorized to view this order
-    const orderUserId = order.user?._id?.toString() || order.user?.toString();
-    if (!isAdmin && orderUserId !== userId?.toString()) {
-      console.log("Unauthorized access attempt:", { orderUserId, userId });
+    // Check if user (or a guest with a signed link) is authorized to view this order
+    if (!canAccessOrder(order, req.user, req.guestOrderAccess)) {
+      console.log("Unauthorized access attempt:", { orderId, userId });
       return res.status(403).json({
         success: false,
         message: "Not authorized to view this order",
@@ -236,14 +279,14 @@ export const getUserOrders = async (req, res) => {
     // Debug logging
     console.log("User in getUserOrders:", req.user);
 
-    if (!req.user || !req.user.id) {
+    if (!req.user || !req.user._id) {
       return res.status(401).json({
         success: false,
         message: "Authentication required",
       });
     }
 
-    const userId = req.user.id;
+    const userId = req.user._id;
     console.log("Fetching orders for user ID:", userId);
 
     const orders = await Order.find({ user: userId })
@@ -332,49 +375,39 @@ export const updateOrderStatus = async (req, res) => {
     // Check for status transition rules
     const currentStatus = order.status;
 
-    // If changing to cancelled, handle product quantity restoration
-    if (status === "cancelled" && currentStatus !== "cancelled") {
-      console.log(`[DEBUG] Restoring quantities for cancelled order ${id}`);
-      for (const item of order.products) {
-        await Product.findByIdAndUpdate(
-          item.product,
-          { $inc: { quantity: item.quantity } },
-          { session }
-        );
-      }
+    if (status !== currentStatus && !OrderStatusService.isValidTransition(currentStatus, status)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: `Order cannot move from ${currentStatus} to ${status}`,
+        code: "INVALID_STATUS_TRANSITION",
+        allowedStatuses: OrderStatusService.statusTransitions[currentStatus] || [],
+      });
     }
-    // If changing from cancelled to any other status, validate product quantities
-    else if (currentStatus === "cancelled" && status !== "cancelled") {
-      console.log(
-        `[DEBUG] Validating product quantities for uncancelling order ${id}`
-      );
-      for (const item of order.products) {
-        const product = await Product.findById(item.product).session(session);
-        if (product.quantity < item.quantity) {
-          await session.abortTransaction();
-          session.endSession();
-          return res.status(400).json({
-            success: false,
-            message: `Not enough stock for product: ${product.name}. Available: ${product.quantity}, Requested: ${item.quantity}`,
-            product: product._id,
-            available: product.quantity,
-            requested: item.quantity,
-          });
-        }
-        // Reduce quantities if moving from cancelled to any other status
-        await Product.findByIdAndUpdate(
-          item.product,
-          { $inc: { quantity: -item.quantity } },
-          { session }
-        );
-      }
+
+    // Held orders are released or cancelled through the risk review
+    if (isHeldForReview(order) && status !== currentStatus && status !== "cancelled") {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        success: false,
+        message: "Order is held for a risk review; approve it before fulfilling it",
+        code: "ORDER_HELD_FOR_REVIEW",
+      });
     }
 
     // Update the order status and add admin note if provided
-    order.status = status;
+    OrderStatusService.applyStatus(order, status, {
+      ...OrderStatusService.actorFromUser(req.user),
+      reason: adminNote,
+    });
     order.updatedAt = new Date();
 
-    // Add admin note if provided
+    // Confirming converts the stock hold; cancelling gives the stock and promotion codes back
+    await syncStockWithStatus(order, currentStatus, { session });
+    await syncRedemptionsWithStatus(order, currentStatus, { session });
+
     // Add admin note if provided
     if (adminNote) {
       const timestamp = new Date().toISOString();
@@ -395,6 +428,15 @@ export const updateOrderStatus = async (req, res) => {
     console.log(
       `[DEBUG] Order ${id} status updated from ${currentStatus} to ${status}`
     );
+
+    const statusEmails = {
+      shipped: "orderShipped",
+      delivered: "orderDelivered",
+      cancelled: "orderCancelled",
+    };
+    if (statusEmails[status] && status !== currentStatus) {
+      sendOrderEmail(statusEmails[status], order);
+    }
     res.status(200).json({
       success: true,
       data: order,
@@ -468,8 +510,7 @@ export const cancelOrder = async (req, res) => {
     }
 
     // Check if the order is in a cancellable state
-    const cancellableStatuses = ["pending", "processing"];
-    if (!cancellableStatuses.includes(order.status)) {
+    if (!OrderStatusService.isValidTransition(order.status, "cancelled")) {
       console.log(
         `[DEBUG] Order ${id} cannot be cancelled because its status is ${order.status}`
       );
@@ -481,18 +522,16 @@ export const cancelOrder = async (req, res) => {
       });
     }
 
-    console.log(`[DEBUG] Restoring quantities for order ${id}`);
-    // Restore product quantities
-    for (const item of order.products) {
-      await Product.findByIdAndUpdate(
-        item.product,
-        { $inc: { quantity: item.quantity } },
-        { session }
-      );
-    }
-
     // Update order status
-    order.status = "cancelled";
+    const previousStatus = order.status;
+    OrderStatusService.applyStatus(order, "cancelled", {
+      ...OrderStatusService.actorFromUser(req.user),
+      reason: "Cancelled at customer request",
+    });
+
+    // Release the stock hold, or put taken stock back, and give back promotion codes
+    await syncStockWithStatus(order, previousStatus, { session });
+    await syncRedemptionsWithStatus(order, previousStatus, { session });
     order.updatedAt = new Date();
     await order.save({ session });
 
@@ -500,6 +539,7 @@ export const cancelOrder = async (req, res) => {
     session.endSession();
 
     console.log(`[DEBUG] Order ${id} cancelled successfully`);
+    sendOrderEmail("orderCancelled", order, { reason: "Cancelled at your request" });
     res.status(200).json({
       success: true,
       data: order,
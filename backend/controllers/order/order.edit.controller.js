@@ -0,0 +1,45 @@
+import asyncHandler from 'express-async-handler';
+import { editOrder as applyOrderEdit, getOrderEdits as listOrderEdits } from '../../services/orderEdit.service.js';
+
+// Service errors carry the status to respond with
+const withStatus = (res) => (error) => {
+  if (error.statusCode) res.status(error.statusCode);
+  throw error;
+};
+
+// @desc    Change a placed order's items, address or shipping charge
+// @route   POST /api/orders/:orderId/edits
+// @access  Private/Admin
+export const editOrder = asyncHandler(async (req, res) => {
+  const { order, edit, clientSecret } = await applyOrderEdit(req.params.orderId, req.body, req.user)
+    .catch(withStatus(res));
+
+  res.status(201).json({
+    success: true,
+    data: order,
+    edit,
+    ...(clientSecret && { payment: { clientSecret } })
+  });
+});
+
+// @desc    List the changes made to an order after it was placed
+// @route   GET /api/orders/:orderId/edits
+// @access  Private/Admin
+export const getOrderEdits = asyncHandler(async (req, res) => {
+  const edits = await listOrderEdits(req.params.orderId);
+
+  if (!edits) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  res.json({
+    success: true,
+    data: edits
+  });
+});
+
+export default {
+  editOrder,
+  getOrderEdits
+};
@@ -1,11 +1,13 @@
 import Order from '../../models/order.model.js';
-import { generateTrackingNumber } from './order.utils.js';
+import { generateTrackingNumber, canAccessOrder } from './order.utils.js';
+import { listShipments } from '../../services/shipment.service.js';
 import { v4 as uuidv4 } from 'uuid';
-import { format, addDays, isAfter, differenceInDays, formatDistanceToNow } from 'date-fns';
-import { generateInvoicePDF } from '../../utils/pdfGenerator.js';
+import { addDays, isAfter, differenceInDays, formatDistanceToNow } from 'date-fns';
+import { getOrIssueInvoice, renderInvoicePDF } from '../../services/invoice.service.js';
 
 /**
- * Generate and send order invoice
+ * Send an order's invoice. The invoice is issued once, when the order is
+ * paid; orders paid before invoices were stored get theirs on first download.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -13,12 +15,7 @@ export const generateInvoice = async (req, res) => {
   try {
     const { orderId } = req.params;
     
-    // Find the order with necessary population
-    const order = await Order.findById(orderId)
-      .populate('user', 'email firstName lastName')
-      .populate('items.product', 'name price')
-      .populate('products.product', 'name price')
-      .lean();
+    const order = await Order.findById(orderId).populate('user', 'name email');
 
     if (!order) {
       return res.status(404).json({
@@ -31,72 +28,29 @@ export const generateInvoice = async (req, res) => {
       });
     }
 
-    // Use items if available, otherwise fall back to products
-    const orderItems = Array.isArray(order.items) && order.items.length > 0 
-      ? order.items 
-      : Array.isArray(order.products) 
-        ? order.products.map(p => ({ ...p, product: p.product || p })) 
-        : [];
-
-    if (orderItems.length === 0) {
-      return res.status(400).json({
+    if (!canAccessOrder(order, req.user, req.guestOrderAccess)) {
+      return res.status(403).json({
         success: false,
-        error: 'No items found in this order',
-        details: {
-          orderId: order._id,
-          suggestion: 'Please contact support if you believe this is an error.'
-        }
+        error: 'Unauthorized',
+        details: { issue: 'You do not have permission to view this invoice' }
       });
     }
 
-    // Generate PDF invoice
-    const invoiceData = {
-      orderId: order.orderNumber || order._id.toString(),
-      date: format(new Date(order.createdAt || new Date()), 'MMMM dd, yyyy'),
-      customer: {
-        name: order.shippingAddress ? 
-          `${order.shippingAddress.firstName || ''} ${order.shippingAddress.lastName || ''}`.trim() || 'Guest Customer' : 
-          'Guest Customer',
-        email: order.user?.email || order.guestEmail || 'no-email@example.com',
-        address: order.shippingAddress || {
-          street: 'N/A',
-          city: 'N/A',
-          state: 'N/A',
-          postalCode: 'N/A',
-          country: 'N/A'
-        },
-      },
-      items: orderItems.map(item => {
-        const product = item.product || {};
-        const productName = product.name || 'Unknown Product';
-        const productPrice = Number(item.price) || 0;
-        const quantity = Number(item.quantity) || 1;
-        
-        return {
-          name: productName,
-          variant: item.variant || product.variant || 'N/A',
-          quantity: quantity,
-          price: productPrice,
-          total: productPrice * quantity,
-        };
-      }),
-      subtotal: Number(order.subtotal) || 0,
-      shipping: Number(order.shippingFee) || 0,
-      tax: Number(order.tax) || 0,
-      total: Number(order.totalAmount) || 0,
-    };
-
-    const pdfBuffer = await generateInvoicePDF(invoiceData);
+    const invoice = await getOrIssueInvoice(order);
+    const pdfBuffer = await renderInvoicePDF(invoice);
 
     // Send response with PDF
     res.set({
       'Content-Type': 'application/pdf',
-      'Content-Disposition': `attachment; filename=invoice-${invoiceData.orderId}.pdf`,
+      'Content-Disposition': `attachment; filename=invoice-${invoice.number}.pdf`,
       'Content-Length': pdfBuffer.length,
     });
 
     return res.send(pdfBuffer);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     console.error('Error generating invoice:', error);
     return res.status(500).json({
       success: false,
@@ -149,12 +103,15 @@ export const requestReturn = async (req, res) => {
     const currentUserId = req.user?._id?.toString() || req.user?.id?.toString();
     const isGuestOrder = !!order.guestEmail;
     
-    const isOwner = (
-      // For registered users
-      (orderUserId && currentUserId && orderUserId === currentUserId) ||
-      // For guest orders
-      (isGuestOrder && userEmail && order.guestEmail?.toLowerCase() === userEmail.toLowerCase())
-    );
+    const isOwner = req.guestOrderAccess
+      // Guests reach this through a signed order link
+      ? canAccessOrder(order, null, req.guestOrderAccess)
+      : (
+        // For registered users
+        (orderUserId && currentUserId && orderUserId === currentUserId) ||
+        // For guest orders
+        (isGuestOrder && userEmail && order.guestEmail?.toLowerCase() === userEmail.toLowerCase())
+      );
 
     if (!isOwner) {
       return res.status(403).json({
@@ -256,10 +213,12 @@ export const requestReturn = async (req, res) => {
         continue;
       }
 
+      // Refunds and credit notes use this, so it's the unit price paid, after promotion discounts
+      const lineTotal = orderItem.total ?? orderItem.price * orderItem.quantity - (orderItem.discount || 0);
       validItems.push({
         ...item,
         name: orderItem.name,
-        price: orderItem.price
+        price: Math.max(0, lineTotal / orderItem.quantity)
       });
     }
 
@@ -329,15 +288,7 @@ export const requestReturn = async (req, res) => {
         }
       }
 
-      // Only update the main order status to 'refunded' if all items are being returned
-      const allItemsBeingReturned = order.items.every(item => 
-        item.returnStatus === 'requested' || item.returnStatus === 'returned'
-      );
-      
-      if (allItemsBeingReturned) {
-        order.status = 'refunded';
-        console.log('All items being returned, updating order status to refunded');
-      }
+      // The order itself only changes status once the return is refunded
 
       // Save the order with the new return request
       console.log('Saving order with new return request...');
@@ -397,7 +348,7 @@ export const trackOrder = async (req, res) => {
     const { orderId } = req.params;
 
     const order = await Order.findById(orderId)
-      .select('orderNumber status shipping trackingHistory customerEmail items')
+      .select('orderNumber status user guestEmail customerEmail items shippingAddress createdAt updatedAt')
       .populate('items.product', 'name image');
 
     if (!order) {
@@ -411,12 +362,28 @@ export const trackOrder = async (req, res) => {
       });
     }
 
-    // Format tracking history with human-readable timestamps
-    const formattedHistory = (order.trackingHistory || []).map(event => ({
-      ...event,
-      timestamp: new Date(event.timestamp).toISOString(),
-      timeAgo: formatDistanceToNow(new Date(event.timestamp), { addSuffix: true })
-    }));
+    if (!canAccessOrder(order, req.user, req.guestOrderAccess)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized',
+        details: { issue: 'You do not have permission to track this order' }
+      });
+    }
+
+    const shipments = await listShipments(order._id);
+    const latestShipment = shipments[shipments.length - 1];
+
+    // Events from every shipment, newest first, with human-readable timestamps
+    const formattedHistory = shipments
+      .flatMap(shipment => shipment.events.map(event => ({
+        shipmentNumber: shipment.shipmentNumber,
+        status: event.status,
+        description: event.description,
+        location: event.location,
+        timestamp: event.occurredAt.toISOString(),
+        timeAgo: formatDistanceToNow(event.occurredAt, { addSuffix: true })
+      })))
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
 
     // Format order items with product details
     const formattedItems = order.items.map(item => ({
@@ -435,11 +402,25 @@ export const trackOrder = async (req, res) => {
         status: order.status,
         items: formattedItems,
         shipping: {
-          trackingNumber: order.shipping?.trackingNumber,
-          carrier: order.shipping?.carrier || 'Standard Shipping',
-          estimatedDelivery: order.shipping?.estimatedDelivery,
-          address: order.shipping?.address
+          trackingNumber: latestShipment?.trackingNumber,
+          carrier: latestShipment?.carrier || 'Standard Shipping',
+          trackingUrl: latestShipment?.trackingUrl,
+          estimatedDelivery: latestShipment?.estimatedDelivery,
+          address: order.shippingAddress
         },
+        shipments: shipments.map(shipment => ({
+          id: shipment._id,
+          shipmentNumber: shipment.shipmentNumber,
+          status: shipment.status,
+          carrier: shipment.carrier,
+          service: shipment.service,
+          trackingNumber: shipment.trackingNumber,
+          trackingUrl: shipment.trackingUrl,
+          estimatedDelivery: shipment.estimatedDelivery,
+          shippedAt: shipment.shippedAt,
+          deliveredAt: shipment.deliveredAt,
+          items: shipment.items
+        })),
         trackingHistory: formattedHistory,
         customerEmail: order.customerEmail ? 
           order.customerEmail.replace(/^(.)(.*)(@.*)$/, (_, a, b, c) => a + b.replace(/\./g, '*') + c) : 
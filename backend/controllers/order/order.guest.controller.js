@@ -0,0 +1,39 @@
+import asyncHandler from 'express-async-handler';
+import {
+  findGuestOrder,
+  issueGuestOrderToken,
+  buildGuestOrderLinks
+} from '../../services/guestOrderAccess.service.js';
+
+// @desc    Find a guest order by number and email and issue a signed link to it
+// @route   POST /api/orders/guest/lookup
+// @access  Public (rate limited)
+export const lookupGuestOrder = asyncHandler(async (req, res) => {
+  const { orderNumber, email } = req.body;
+
+  const order = await findGuestOrder(orderNumber, email);
+
+  // Same answer whether the number or the email was wrong
+  if (!order) {
+    res.status(404);
+    throw new Error('No order matches that order number and email');
+  }
+
+  const { token, expiresAt } = issueGuestOrderToken(order);
+
+  res.json({
+    success: true,
+    data: {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      token,
+      expiresAt,
+      links: buildGuestOrderLinks(order, token)
+    }
+  });
+});
+
+export default {
+  lookupGuestOrder
+};
@@ -1,86 +1,14 @@
 import Product from '../../models/product.model.js';
 import Order from '../../models/order.model.js';
+import {
+  findVariant,
+  getAvailableQuantity
+} from '../../services/stockReservation.service.js';
+import { BACKORDER_STATUSES } from '../../services/backorder.service.js';
 
 /**
- * Update inventory levels based on order status changes
- * @param {Object} order - The order document
- * @param {string} previousStatus - The previous order status
- * @returns {Promise<void>}
- */
-export const updateInventory = async (order, previousStatus) => {
-  const session = await Product.startSession();
-  session.startTransaction();
-
-  try {
-    // If order is being cancelled or refunded, return stock
-    if ((order.status === 'cancelled' || order.status === 'refunded') && 
-        previousStatus !== 'cancelled' && previousStatus !== 'refunded') {
-      await returnStockToInventory(order.items, session);
-    } 
-    // If order is being processed and wasn't in a processing state before
-    else if ((order.status === 'processing' || order.status === 'shipped') && 
-             !['processing', 'shipped', 'delivered'].includes(previousStatus)) {
-      await reduceStockFromInventory(order.items, session);
-    }
-
-    await session.commitTransaction();
-  } catch (error) {
-    await session.abortTransaction();
-    console.error('Error updating inventory:', error);
-    // Don't throw the error to prevent order update from failing
-    // The inventory can be updated manually if needed
-  } finally {
-    session.endSession();
-  }
-};
-
-/**
- * Reduce stock levels for products in the order
- * @param {Array} items - Order items
- * @param {Object} session - MongoDB session
- * @returns {Promise<void>}
- */
-async function reduceStockFromInventory(items, session) {
-  for (const item of items) {
-    const product = await Product.findById(item.product).session(session);
-    if (!product) continue;
-
-    // Only reduce stock if product tracks inventory
-    if (product.trackInventory && product.inStock >= item.quantity) {
-      product.inStock -= item.quantity;
-      product.sold += item.quantity;
-      product.lastStockUpdate = new Date();
-      await product.save({ session });
-    } else if (product.trackInventory) {
-      // Handle insufficient stock - could throw an error or handle backorder
-      console.warn(`Insufficient stock for product ${product._id}`);
-    }
-  }
-}
-
-/**
- * Return stock to inventory for cancelled/refunded orders
- * @param {Array} items - Order items
- * @param {Object} session - MongoDB session
- * @returns {Promise<void>}
- */
-async function returnStockToInventory(items, session) {
-  for (const item of items) {
-    const product = await Product.findById(item.product).session(session);
-    if (!product) continue;
-
-    if (product.trackInventory) {
-      product.inStock += item.quantity;
-      product.sold = Math.max(0, product.sold - item.quantity);
-      product.lastStockUpdate = new Date();
-      await product.save({ session });
-    }
-  }
-}
-
-/**
- * Check current stock levels for products
- * @param {Array} items - Array of { product: id, quantity: number }
+ * Check available-to-sell stock for products
+ * @param {Array} items - Array of { product: id, variant?: id, quantity: number }
  * @returns {Promise<{inStock: boolean, items: Array}>}
  */
 export const checkStockLevels = async (items) => {
@@ -106,8 +34,10 @@ export const checkStockLevels = async (items) => {
       continue;
     }
 
-    const available = product.inStock;
-    const inStock = !product.trackInventory || available >= item.quantity;
+    const variant = findVariant(product, item.variant);
+    // Held units belong to pending orders and can't be sold again
+    const available = getAvailableQuantity(product, variant);
+    const inStock = available >= Number(item.quantity);
     
     if (!inStock) {
       result.inStock = false;
@@ -115,12 +45,13 @@ export const checkStockLevels = async (items) => {
 
     result.items.push({
       product: item.product,
+      ...(variant && { variant: variant._id }),
       name: product.name,
-      sku: product.sku,
+      sku: variant?.sku || product.sku,
       available,
+      reserved: (variant || product).reservedQuantity || 0,
       requested: item.quantity,
-      inStock,
-      trackInventory: product.trackInventory
+      inStock
     });
   }
 
@@ -130,29 +61,35 @@ export const checkStockLevels = async (items) => {
 /**
  * Get low stock alerts
  * @param {number} threshold - Threshold for low stock alert
- * @returns {Promise<Array>} - Array of products below threshold
+ * @returns {Promise<Array>} - Array of products whose available-to-sell stock is below threshold
  */
 export const getLowStockAlerts = async (threshold = 10) => {
+  const available = { $subtract: ['$quantity', { $ifNull: ['$reservedQuantity', 0] }] };
+
   return Product.find({
-    trackInventory: true,
-    inStock: { $gt: 0, $lte: threshold },
-    active: true
-  }).sort({ inStock: 1 });
+    isActive: true,
+    $expr: { $and: [{ $gt: [available, 0] }, { $lte: [available, threshold] }] }
+  }).sort({ quantity: 1 });
 };
 
 /**
- * Get backordered items
- * @returns {Promise<Array>} - Array of backordered items
+ * Get backordered order lines, oldest order first (the order they are allocated in)
+ * @returns {Promise<Array>} - Array of backordered lines with their order and product
  */
 export const getBackorderedItems = async () => {
   return Order.aggregate([
+    {
+      $match: {
+        'items.backorderedQuantity': { $gt: 0 },
+        'status': { $in: BACKORDER_STATUSES }
+      }
+    },
     {
       $unwind: '$items'
     },
     {
       $match: {
-        'items.backordered': true,
-        'status': { $nin: ['cancelled', 'refunded'] }
+        'items.backorderedQuantity': { $gt: 0 }
       }
     },
     {
@@ -167,19 +104,21 @@ export const getBackorderedItems = async () => {
       $unwind: '$product'
     },
     {
-      $group: {
-        _id: {
-          productId: '$product._id',
-          orderId: '$_id'
-        },
-        product: { $first: '$product' },
-        orderNumber: { $first: '$orderNumber' },
-        quantity: { $first: '$items.quantity' },
-        date: { $first: '$createdAt' }
+      $project: {
+        _id: 0,
+        orderId: '$_id',
+        orderNumber: 1,
+        status: 1,
+        orderItemId: '$items._id',
+        product: { _id: '$product._id', name: '$product.name', sku: '$product.sku' },
+        variant: '$items.variant',
+        quantity: '$items.quantity',
+        backorderedQuantity: '$items.backorderedQuantity',
+        date: '$createdAt'
       }
     },
     {
-      $sort: { date: -1 }
+      $sort: { date: 1 }
     }
   ]);
 };
@@ -0,0 +1,29 @@
+import asyncHandler from 'express-async-handler';
+import { mergeOrders as mergeCustomerOrders } from '../../services/orderMerge.service.js';
+
+// Service errors carry the status to respond with
+const withStatus = (res) => (error) => {
+  if (error.statusCode) res.status(error.statusCode);
+  throw error;
+};
+
+// @desc    Merge a customer's unshipped orders to the same address into one
+// @route   POST /api/orders/admin/orders/merge
+// @access  Private/Admin
+export const mergeOrders = asyncHandler(async (req, res) => {
+  const { orderIds, reason } = req.body;
+  const { order, merged } = await mergeCustomerOrders(orderIds, { reason }, req.user).catch(withStatus(res));
+
+  res.status(201).json({
+    success: true,
+    message: `Merged ${merged.length} orders into ${order.orderNumber}`,
+    data: {
+      order,
+      cancelled: merged.map(entry => ({ _id: entry._id, orderNumber: entry.orderNumber, status: entry.status }))
+    }
+  });
+});
+
+export default {
+  mergeOrders
+};
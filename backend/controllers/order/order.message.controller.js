@@ -0,0 +1,60 @@
+import asyncHandler from 'express-async-handler';
+import Order from '../../models/order.model.js';
+import { canAccessOrder } from './order.utils.js';
+import { addOrderMessage, getOrderTimeline } from '../../services/orderMessage.service.js';
+
+// Service errors carry the status to respond with
+const withStatus = (res) => (error) => {
+  if (error.statusCode) res.status(error.statusCode);
+  throw error;
+};
+
+// Someone else's order answers the same as a missing one
+const findAccessibleOrder = async (req, res) => {
+  const order = await Order.findById(req.params.orderId).populate('messages.author', 'name');
+
+  if (!order || !canAccessOrder(order, req.user, req.guestOrderAccess)) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+  return order;
+};
+
+// @desc    Get an order's timeline: status changes and messages
+// @route   GET /api/orders/:orderId/messages
+// @access  Private (owner, admin or guest order token)
+export const getOrderMessages = asyncHandler(async (req, res) => {
+  const order = await findAccessibleOrder(req, res);
+
+  res.json({ success: true, data: getOrderTimeline(order) });
+});
+
+// @desc    Send a message about an order
+// @route   POST /api/orders/:orderId/messages
+// @access  Private (owner, admin or guest order token)
+export const postOrderMessage = asyncHandler(async (req, res) => {
+  const order = await findAccessibleOrder(req, res);
+  const message = await addOrderMessage(order, { body: req.body.body }, req.user).catch(withStatus(res));
+
+  res.status(201).json({ success: true, message: 'Message sent', data: message });
+});
+
+// @desc    Get an order's full timeline, internal notes included
+// @route   GET /api/orders/admin/orders/:orderId/messages
+// @access  Private/Admin
+export const getAdminOrderTimeline = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.orderId).populate('messages.author', 'name');
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  res.json({ success: true, data: getOrderTimeline(order, { staff: true }) });
+});
+
+export default {
+  getOrderMessages,
+  postOrderMessage,
+  getAdminOrderTimeline
+};
@@ -0,0 +1,37 @@
+import asyncHandler from 'express-async-handler';
+import { printPackingSlips as printBatch } from '../../services/packingSlip.service.js';
+
+// Service errors carry the status to respond with
+const withStatus = (res) => (error) => {
+  if (error.statusCode) res.status(error.statusCode);
+  throw error;
+};
+
+// @desc    Print a pick list and packing slips for a batch of orders and mark them picked
+// @route   POST /api/orders/admin/orders/packing-slips
+// @access  Private/Admin
+export const printPackingSlips = asyncHandler(async (req, res) => {
+  const { orderIds, status, from, to, includePicked } = req.body;
+
+  const { pdf, pickListId, orders, skipped } = await printBatch({
+    orderIds,
+    status,
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+    includePicked
+  }, req.user).catch(withStatus(res));
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename=${pickListId}.pdf`,
+    'Content-Length': pdf.length,
+    'X-Pick-List-Id': pickListId,
+    'X-Picked-Orders': orders.map(order => order.orderNumber).join(','),
+    'X-Skipped-Orders': skipped.join(',')
+  });
+  res.send(pdf);
+});
+
+export default {
+  printPackingSlips
+};
@@ -0,0 +1,46 @@
+import asyncHandler from 'express-async-handler';
+import Order from '../../models/order.model.js';
+import { canAccessOrder } from './order.utils.js';
+import { reorderToCart } from '../../services/reorder.service.js';
+
+// Service errors carry the status to respond with
+const withStatus = (res) => (error) => {
+  if (error.statusCode) res.status(error.statusCode);
+  throw error;
+};
+
+// @desc    Put a past order's items back in the cart at current prices
+// @route   POST /api/orders/:orderId/reorder
+// @access  Private
+export const reorderOrder = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.orderId);
+
+  // Someone else's order answers the same as a missing one
+  if (!order || !canAccessOrder(order, req.user)) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  const { added, skipped } = await reorderToCart(order, req.user._id).catch(withStatus(res));
+
+  if (added.length === 0) {
+    res.status(409).json({
+      success: false,
+      message: 'None of the items in this order can be bought right now',
+      data: { added, skipped }
+    });
+    return;
+  }
+
+  res.json({
+    success: true,
+    message: skipped.length > 0
+      ? `Added ${added.length} of ${order.items.length} items to your cart`
+      : 'All items added to your cart',
+    data: { added, skipped }
+  });
+});
+
+export default {
+  reorderOrder
+};
@@ -0,0 +1,96 @@
+import asyncHandler from 'express-async-handler';
+import Order from '../../models/order.model.js';
+import { canAccessOrder } from './order.utils.js';
+import {
+  approveReturn as approveReturnRequest,
+  rejectReturn as rejectReturnRequest,
+  receiveReturnItems as receiveReturnRequestItems,
+  completeReturn as completeReturnRequest,
+  getReturnAuthorizationPDF
+} from '../../services/orderReturn.service.js';
+
+// Service errors carry the status to respond with
+const withStatus = (res) => (error) => {
+  if (error.statusCode) res.status(error.statusCode);
+  throw error;
+};
+
+// @desc    Approve a return, optionally turning down some items, and send the return authorization
+// @route   POST /api/orders/admin/returns/:id/approve
+// @access  Private/Admin
+export const approveReturn = asyncHandler(async (req, res) => {
+  const { rejectItems, notes } = req.body;
+  const { returnRequest } = await approveReturnRequest(req.params.id, { rejectItems, notes }, req.user)
+    .catch(withStatus(res));
+
+  res.json({ success: true, message: 'Return approved', data: returnRequest });
+});
+
+// @desc    Reject a return request
+// @route   POST /api/orders/admin/returns/:id/reject
+// @access  Private/Admin
+export const rejectReturn = asyncHandler(async (req, res) => {
+  const { returnRequest } = await rejectReturnRequest(req.params.id, { reason: req.body.reason }, req.user)
+    .catch(withStatus(res));
+
+  res.json({ success: true, message: 'Return rejected', data: returnRequest });
+});
+
+// @desc    Receive returned items, grading each as resellable (restocked) or damaged
+// @route   POST /api/orders/admin/returns/:id/receive
+// @access  Private/Admin
+export const receiveReturnItems = asyncHandler(async (req, res) => {
+  const { returnRequest } = await receiveReturnRequestItems(req.params.id, req.body.items, req.user)
+    .catch(withStatus(res));
+
+  res.json({ success: true, message: 'Items received', data: returnRequest });
+});
+
+// @desc    Refund the approved items of a received return and close it
+// @route   POST /api/orders/admin/returns/:id/complete
+// @access  Private/Admin
+export const completeReturn = asyncHandler(async (req, res) => {
+  const { order, returnRequest } = await completeReturnRequest(req.params.id, req.user)
+    .catch(withStatus(res));
+
+  res.json({
+    success: true,
+    message: returnRequest.refund.status === 'manual'
+      ? 'Return completed; the refund has to be paid out manually'
+      : 'Return completed and refunded',
+    data: {
+      return: returnRequest,
+      orderStatus: order.status,
+      refundedAmount: order.refundedAmount
+    }
+  });
+});
+
+// @desc    Download the return authorization for an approved return
+// @route   GET /api/orders/:orderId/returns/:returnId/authorization
+// @access  Private (owner, admin or guest order token)
+export const downloadReturnAuthorization = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.orderId);
+
+  if (!order || !canAccessOrder(order, req.user, req.guestOrderAccess)) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  const pdf = await getReturnAuthorizationPDF(order, req.params.returnId).catch(withStatus(res));
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename=return-authorization-${req.params.returnId}.pdf`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+});
+
+export default {
+  approveReturn,
+  rejectReturn,
+  receiveReturnItems,
+  completeReturn,
+  downloadReturnAuthorization
+};
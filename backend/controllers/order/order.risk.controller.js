@@ -0,0 +1,42 @@
+import asyncHandler from 'express-async-handler';
+import { listReviewQueue, approveOrder, rejectOrder } from '../../services/fraud.service.js';
+
+// Service errors carry the status to respond with
+const withStatus = (res) => (error) => {
+  if (error.statusCode) res.status(error.statusCode);
+  throw error;
+};
+
+// @desc    List orders held for a fraud risk review
+// @route   GET /api/orders/admin/orders/risk-review
+// @access  Private/Admin
+export const getRiskReviewQueue = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const orders = await listReviewQueue({ page: parseInt(page, 10), limit: parseInt(limit, 10) });
+
+  res.json({ success: true, data: orders });
+});
+
+// @desc    Approve a held order for fulfillment
+// @route   POST /api/orders/admin/orders/:orderId/risk-review/approve
+// @access  Private/Admin
+export const approveRiskReview = asyncHandler(async (req, res) => {
+  const order = await approveOrder(req.params.orderId, { note: req.body.note }, req.user).catch(withStatus(res));
+
+  res.json({ success: true, message: `Order ${order.orderNumber} approved`, data: order });
+});
+
+// @desc    Reject a held order: cancel it and refund its payment
+// @route   POST /api/orders/admin/orders/:orderId/risk-review/reject
+// @access  Private/Admin
+export const rejectRiskReview = asyncHandler(async (req, res) => {
+  const order = await rejectOrder(req.params.orderId, { note: req.body.note }, req.user).catch(withStatus(res));
+
+  res.json({ success: true, message: `Order ${order.orderNumber} rejected and cancelled`, data: order });
+});
+
+export default {
+  getRiskReviewQueue,
+  approveRiskReview,
+  rejectRiskReview
+};
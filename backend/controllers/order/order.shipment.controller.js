@@ -0,0 +1,137 @@
+import asyncHandler from 'express-async-handler';
+import Order from '../../models/order.model.js';
+import Shipment from '../../models/shipment.model.js';
+import { canAccessOrder } from './order.utils.js';
+import {
+  listShipments,
+  createShipment as createOrderShipment,
+  updateShipmentDetails,
+  addTrackingEvent,
+  getShippingRates,
+  purchaseLabel
+} from '../../services/shipment.service.js';
+
+// Service errors carry the status to respond with
+const withStatus = (res) => (error) => {
+  if (error.statusCode) res.status(error.statusCode);
+  throw error;
+};
+
+const findOrder = async (orderId, res) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+  return order;
+};
+
+const findShipment = async (orderId, shipmentId, res) => {
+  const shipment = await Shipment.findOne({ _id: shipmentId, order: orderId });
+  if (!shipment) {
+    res.status(404);
+    throw new Error('Shipment not found');
+  }
+  return shipment;
+};
+
+// @desc    List an order's shipments
+// @route   GET /api/orders/:orderId/shipments
+// @access  Private (owner or admin)
+export const getOrderShipments = asyncHandler(async (req, res) => {
+  const order = await findOrder(req.params.orderId, res);
+
+  if (!canAccessOrder(order, req.user)) {
+    res.status(403);
+    throw new Error('Not authorized to view this order');
+  }
+
+  const shipments = await listShipments(order._id);
+
+  res.json({
+    success: true,
+    data: shipments
+  });
+});
+
+// @desc    Ship some or all of an order's items
+// @route   POST /api/orders/:orderId/shipments
+// @access  Private/Admin
+export const createShipment = asyncHandler(async (req, res) => {
+  const order = await findOrder(req.params.orderId, res);
+
+  const shipment = await createOrderShipment(order, req.body, req.user).catch(withStatus(res));
+
+  res.status(201).json({
+    success: true,
+    data: shipment,
+    orderStatus: order.status
+  });
+});
+
+// @desc    Update a shipment's carrier, tracking number or label
+// @route   PATCH /api/orders/:orderId/shipments/:shipmentId
+// @access  Private/Admin
+export const updateShipment = asyncHandler(async (req, res) => {
+  const shipment = await findShipment(req.params.orderId, req.params.shipmentId, res);
+
+  await updateShipmentDetails(shipment, req.body);
+
+  res.json({
+    success: true,
+    data: shipment
+  });
+});
+
+// @desc    Record a tracking event by hand
+// @route   POST /api/orders/:orderId/shipments/:shipmentId/events
+// @access  Private/Admin
+export const addShipmentEvent = asyncHandler(async (req, res) => {
+  const shipment = await findShipment(req.params.orderId, req.params.shipmentId, res);
+
+  const { added } = await addTrackingEvent(shipment, req.body, 'manual', { user: req.user });
+
+  res.status(added ? 201 : 200).json({
+    success: true,
+    data: shipment,
+    ...(!added && { message: 'This event was already recorded' })
+  });
+});
+
+// @desc    Quote shipping for an order's unshipped items
+// @route   GET /api/orders/:orderId/shipping-rates
+// @access  Private/Admin
+export const getOrderShippingRates = asyncHandler(async (req, res) => {
+  const order = await findOrder(req.params.orderId, res);
+
+  const rates = await getShippingRates(order, { carrier: req.query.carrier });
+
+  res.json({
+    success: true,
+    data: rates
+  });
+});
+
+// @desc    Buy a label from the shipment's carrier
+// @route   POST /api/orders/:orderId/shipments/:shipmentId/label
+// @access  Private/Admin
+export const purchaseShipmentLabel = asyncHandler(async (req, res) => {
+  const order = await findOrder(req.params.orderId, res);
+  const shipment = await findShipment(order._id, req.params.shipmentId, res);
+
+  await purchaseLabel(order, shipment, { service: req.body.service }).catch(withStatus(res));
+
+  res.status(201).json({
+    success: true,
+    data: shipment
+  });
+});
+
+export default {
+  getOrderShipments,
+  createShipment,
+  updateShipment,
+  addShipmentEvent,
+  getOrderShippingRates,
+  purchaseShipmentLabel
+};
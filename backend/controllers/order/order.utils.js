@@ -1,4 +1,5 @@
 import Order from '../../models/order.model.js';
+import OrderStatusService from '../../services/orderStatusService.js';
 import { v4 as uuidv4 } from 'uuid';
 
 /**
@@ -21,6 +22,31 @@ export const generateTrackingNumber = () => {
   return `TRK-${uuidv4().substring(0, 10).toUpperCase()}`;
 };
 
+/**
+ * Whether a user may view an order: its owner, the guest who placed it, or an admin.
+ * A signed-in user counts as the guest only once their email is verified.
+ * @param {Object} order - Order document
+ * @param {Object} [user] - `req.user`
+ * @param {Object} [guestAccess] - `req.guestOrderAccess`, from a signed guest order link
+ * @returns {boolean}
+ */
+export const canAccessOrder = (order, user, guestAccess) => {
+  if (guestAccess) {
+    return guestAccess.orderId === order._id.toString()
+      && Boolean(order.guestEmail)
+      && order.guestEmail.toLowerCase() === guestAccess.email;
+  }
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+
+  const orderUserId = order.user?._id?.toString() || order.user?.toString();
+  if (orderUserId && orderUserId === user._id?.toString()) return true;
+
+  // Anyone can register with an address; only a verified one proves it's theirs
+  return Boolean(user.isEmailVerified && order.guestEmail && user.email
+    && order.guestEmail.toLowerCase() === user.email.toLowerCase());
+};
+
 /**
  * Get order status history
  * @param {string} orderId - Order ID
@@ -32,27 +58,21 @@ export const getOrderStatusHistory = async (orderId) => {
 };
 
 /**
- * Add status to order history
+ * Move an order to a new status and add it to the history
  * @param {string} orderId - Order ID
  * @param {string} status - New status
- * @param {string} note - Optional note
+ * @param {string} note - Optional note, stored as the reason
  * @returns {Promise<void>}
+ * @throws {InvalidStatusTransitionError} If the order can't move to `status`
  */
 export const addToStatusHistory = async (orderId, status, note = '') => {
-  await Order.findByIdAndUpdate(orderId, {
-    $push: {
-      statusHistory: {
-        status,
-        date: new Date(),
-        note
-      }
-    }
-  });
+  await OrderStatusService.updateStatus(orderId, status, { reason: note || undefined });
 };
 
 export default {
   generateOrderNumber,
   generateTrackingNumber,
+  canAccessOrder,
   getOrderStatusHistory,
   addToStatusHistory
 };
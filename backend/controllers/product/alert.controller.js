@@ -1,66 +1,67 @@
 import asyncHandler from 'express-async-handler';
 import Product from '../../models/product.model.js';
+import Alert from '../../models/alert.model.js';
+import { getStockLevel, scheduleBackInStockDispatch } from '../../services/stockAlert.service.js';
 
 // @desc    Subscribe to stock alert
 // @route   POST /api/products/:id/alert
 // @access  Private
 export const subscribeToStockAlert = asyncHandler(async (req, res) => {
-  try {
-    console.log('subscribeToStockAlert called with params:', req.params);
-    console.log('User ID:', req.user?._id);
-    
-    const { id } = req.params;
-    const userId = req.user._id;
-
-    console.log('Finding product with ID:', id);
-    const product = await Product.findById(id);
-    
-    if (!product) {
-      console.log('Product not found');
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Product not found' 
-      });
-    }
-
-    console.log('Product found:', product.name);
-    console.log('Checking if user is already subscribed...');
+  const { id } = req.params;
+  const { variantId } = req.body;
+  const userId = req.user._id;
 
-    // Check if user is already subscribed
-    if (product.watchingUsers && product.watchingUsers.includes(userId)) {
-      console.log('User already subscribed');
-      return res.status(400).json({ 
-        success: false, 
-        message: 'You are already subscribed to stock alerts for this product' 
-      });
-    }
+  const product = await Product.findById(id);
 
-    console.log('Adding user to watchingUsers array...');
-    // Add user to watchingUsers array
-    if (!product.watchingUsers) {
-      product.watchingUsers = [];
-    }
-    product.watchingUsers.push(userId);
-    await product.save();
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
 
-    console.log('Subscription successful');
-    return res.json({
-      success: true,
-      message: 'You will be notified when this product is back in stock',
-      data: {
-        productId: product._id,
-        productName: product.name,
-        isInStock: product.inventory?.quantity > 0 || false
-      }
+  if (variantId && !product.variants.id(variantId)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Variant not found'
     });
-  } catch (error) {
-    console.error('Error in subscribeToStockAlert:', error);
-    return res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error',
-      error: error.message 
+  }
+
+  const existingAlert = await Alert.findOne({
+    user: userId,
+    product: product._id,
+    variant: variantId || null,
+    status: 'pending'
+  });
+
+  if (existingAlert) {
+    return res.status(400).json({
+      success: false,
+      message: 'You are already subscribed to stock alerts for this product'
     });
   }
+
+  await Alert.findOneAndUpdate(
+    { user: userId, product: product._id, variant: variantId || null },
+    { $set: { status: 'pending' }, $unset: { notifiedAt: 1 } },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  if (!product.watchingUsers.some(watcher => String(watcher) === String(userId))) {
+    product.watchingUsers.push(userId);
+    await product.save();
+  }
+
+  return res.json({
+    success: true,
+    message: 'You will be notified when this product is back in stock',
+    data: {
+      productId: product._id,
+      productName: product.name,
+      variantId: variantId || null,
+      isInStock: getStockLevel(product, variantId) > 0
+    }
+  });
 });
 
 // @desc    Check for low stock products
@@ -154,6 +155,10 @@ export const updateProductInventory = asyncHandler(async (req, res) => {
 
   await product.save();
 
+  if (isBackInStock) {
+    scheduleBackInStockDispatch(product._id);
+  }
+
   res.json({
     success: true,
     message: 'Inventory updated successfully',
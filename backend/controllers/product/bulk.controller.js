@@ -2,6 +2,11 @@ import asyncHandler from 'express-async-handler';
 import mongoose from 'mongoose';
 import Product from '../../models/product.model.js';
 import { validateBulkUpdate } from '../../validations/product.validations.js';
+import {
+  capturePrices,
+  diffPrices,
+  schedulePriceDropNotifications
+} from '../../services/priceDrop.service.js';
 
 // @desc    Bulk update product status
 // @route   PUT /api/products/status
@@ -139,12 +144,16 @@ export const bulkUpdatePrices = asyncHandler(async (req, res) => {
     ];
   }
 
+  const previousPrices = await capturePrices(productIds);
+
   const result = await Product.updateMany(
     { _id: { $in: productIds } },
     updateQuery,
     { runValidators: true }
   );
 
+  schedulePriceDropNotifications(diffPrices(previousPrices, await capturePrices(productIds)));
+
   res.json({
     success: true,
     message: `Updated prices for ${result.nModified} products`,
@@ -11,6 +11,7 @@ import { parse } from 'csv-parse';
 import { stringify } from 'csv-stringify';
 import { Parser as Json2csvParser } from 'json2csv';
 import { format } from 'date-fns';
+import { schedulePriceDropNotifications } from '../../services/priceDrop.service.js';
 
 const writeFile = promisify(fs.writeFile);
 const unlink = promisify(fs.unlink);
@@ -329,6 +330,7 @@ export const importProducts = async (req, res) => {
 
     results.total = products.length;
     const categoriesMap = await getCategoriesMap();
+    const priceChanges = [];
 
     // Process products in batches
     const BATCH_SIZE = 50;
@@ -353,8 +355,13 @@ export const importProducts = async (req, res) => {
             
             if (existingProduct) {
               // Update existing product
+              const oldPrice = existingProduct.price;
               Object.assign(existingProduct, processed);
               await existingProduct.save({ session });
+
+              if (existingProduct.price < oldPrice) {
+                priceChanges.push({ productId: existingProduct._id, oldPrice, newPrice: existingProduct.price });
+              }
             } else {
               // Create new product
               const newProduct = new Product(processed);
@@ -399,6 +406,8 @@ export const importProducts = async (req, res) => {
 
     await session.commitTransaction();
     session.endSession();
+
+    schedulePriceDropNotifications(priceChanges);
     
     // Clean up uploaded file
     try {
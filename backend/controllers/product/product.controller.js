@@ -12,6 +12,11 @@ import {
   updateProductInventory as updateProductInventoryService,
   getProductsByIds as getProductsByIdsService
 } from './product.services.js';
+import {
+  capturePrices,
+  diffPrices,
+  schedulePriceDropNotifications
+} from '../../services/priceDrop.service.js';
 
 // Create a new product
 export const createProduct = async (req, res) => {
@@ -188,6 +193,10 @@ export const updateProduct = async (req, res) => {
       updateData.images = await uploadImages(updateData.images);
     }
     
+    const previousPrices = updateData.price !== undefined
+      ? await capturePrices([id], session)
+      : new Map();
+
     const product = await Product.findByIdAndUpdate(
       id,
       { $set: updateData },
@@ -206,6 +215,10 @@ export const updateProduct = async (req, res) => {
     
     // Clear relevant caches
     await clearProductCaches(id);
+
+    schedulePriceDropNotifications(
+      diffPrices(previousPrices, new Map([[String(product._id), product.price]]))
+    );
     
     res.status(200).json({
       success: true,
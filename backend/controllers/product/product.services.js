@@ -5,6 +5,8 @@ import Brand from '../../models/brand.model.js';
 import redis from '../../lib/redis.js';
 import cloudinary from '../../lib/cloudinary.js';
 import slugify from 'slugify';
+import { scheduleBackInStockDispatch } from '../../services/stockAlert.service.js';
+import { scheduleBackorderAllocation } from '../../services/backorder.service.js';
 
 // Cache TTL in seconds
 const CACHE_TTL = {
@@ -307,6 +309,7 @@ const updateProductInventoryInDB = async ({ productId, quantity, operation = 'se
       throw new Error('Variant not found');
     }
     
+    const previousQuantity = variant.quantity || 0;
     if (operation === 'increment') {
       variant.quantity += quantity;
     } else if (operation === 'decrement') {
@@ -316,6 +319,13 @@ const updateProductInventoryInDB = async ({ productId, quantity, operation = 'se
     }
     
     await product.save({ session });
+
+    if (variant.quantity > previousQuantity) {
+      scheduleBackorderAllocation(productId, { variantId, session });
+    }
+    if (previousQuantity <= 0 && variant.quantity > 0) {
+      scheduleBackInStockDispatch(productId, { variantId, session });
+    }
     return product;
   } else {
     // Update main product inventory
@@ -327,7 +337,16 @@ const updateProductInventoryInDB = async ({ productId, quantity, operation = 'se
       update.quantity = quantity;
     }
     
-    return Product.findByIdAndUpdate(productId, update, options);
+    const previous = await Product.findById(productId).select('quantity').session(session);
+    const product = await Product.findByIdAndUpdate(productId, update, options);
+
+    if (product && product.quantity > (previous?.quantity || 0)) {
+      scheduleBackorderAllocation(productId, { session });
+    }
+    if (product && (previous?.quantity || 0) <= 0 && product.quantity > 0) {
+      scheduleBackInStockDispatch(productId, { session });
+    }
+    return product;
   }
 };
 
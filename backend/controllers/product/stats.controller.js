@@ -2,6 +2,7 @@ import ProductStats from '../../models/productStats.model.js';
 import Product from '../../models/product.model.js';
 import asyncHandler from 'express-async-handler';
 import mongoose from 'mongoose';
+import { scheduleBackInStockDispatch } from '../../services/stockAlert.service.js';
 
 // Helper function to get time ranges
 const getTimeRanges = () => {
@@ -662,6 +663,8 @@ export const updateProductInventory = asyncHandler(async (req, res) => {
   // Get or create stats for this product
   const stats = await ProductStats.getOrCreate(id);
   
+  const previousStock = stats.stock.current || 0;
+
   // Update inventory
   if (quantity !== undefined) {
     stats.stock.current = quantity;
@@ -679,6 +682,10 @@ export const updateProductInventory = asyncHandler(async (req, res) => {
   }
   
   await stats.save();
+
+  if (previousStock <= 0 && stats.stock.current > 0) {
+    scheduleBackInStockDispatch(id);
+  }
   
   res.status(200).json({
     success: true,
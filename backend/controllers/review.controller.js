@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import Review from '../models/review.model.js';
 import Product from '../models/product.model.js';
+import { notifyReviewCreated } from '../services/realtime.service.js';
 
 export const createReview = async (req, res) => {
   try {
@@ -86,6 +87,7 @@ export const createReview = async (req, res) => {
     });
 
     const savedReview = await review.save();
+    notifyReviewCreated(savedReview, product);
     
     // Populate user details for the response
     const populatedReview = await Review.findById(savedReview._id)
@@ -0,0 +1,59 @@
+import asyncHandler from 'express-async-handler';
+import Setting from '../models/setting.model.js';
+
+const EDITABLE_FIELDS = [
+  'requireVerifiedEmailForCheckout',
+  'requireVerifiedEmailForReviews',
+  'requireTwoFactorForAdmins'
+];
+
+// Nested objects to dotted paths; arrays are set whole
+const flatten = (value, prefix) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return value === undefined ? {} : { [prefix]: value };
+  }
+  return Object.entries(value).reduce((paths, [key, nested]) => ({
+    ...paths,
+    ...flatten(nested, `${prefix}.${key}`)
+  }), {});
+};
+
+// @desc    Get store settings
+// @route   GET /api/settings
+// @access  Private/Admin
+export const getSettings = asyncHandler(async (req, res) => {
+  const settings = await Setting.getSettings();
+
+  res.json({
+    success: true,
+    data: settings
+  });
+});
+
+// @desc    Update store settings
+// @route   PUT /api/settings
+// @access  Private/Admin
+export const updateSettings = asyncHandler(async (req, res) => {
+  const updates = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  // Set fraud rules field by field so a partial update keeps the rest
+  Object.entries(flatten(req.body.fraudRules, 'fraudRules')).forEach(([path, value]) => {
+    updates[path] = value;
+  });
+
+  if (Object.keys(updates).length === 0) {
+    res.status(400);
+    throw new Error('No valid settings to update');
+  }
+
+  const settings = await Setting.updateSettings(updates, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Settings updated',
+    data: settings
+  });
+});
@@ -1,5 +1,6 @@
 import User from '../models/user.model.js';
-import { generateToken, generateRefreshToken } from '../utils/jwt.utils.js';
+import { createSession } from '../services/session.service.js';
+import { issueLoginChallenge } from '../services/twoFactor.service.js';
 
 /**
  * Social Authentication Callback
@@ -26,14 +27,14 @@ export const socialAuthCallback = async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate tokens with proper payload
-    const tokenPayload = { id: user._id };
-    const accessToken = generateToken(tokenPayload);
-    const refreshToken = generateRefreshToken(tokenPayload);
+    // Like a password login, the session only starts once the second factor is verified
+    if (user.twoFactor?.enabled) {
+      const challengeToken = issueLoginChallenge(user._id);
+      return res.redirect(`${process.env.FRONTEND_URL}/login?challengeToken=${encodeURIComponent(challengeToken)}`);
+    }
 
-    // Save refresh token to user
-    user.refreshToken = refreshToken;
-    await user.save();
+    // Each social login gets its own session, like a password login
+    const { accessToken, refreshToken } = await createSession(user._id, { req });
 
     // Set cookies
     res.cookie('jwt', accessToken, {
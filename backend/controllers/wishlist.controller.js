@@ -23,7 +23,7 @@ export const getWishlist = asyncHandler(async (req, res) => {
  * @access  Private
  */
 export const addToWishlist = asyncHandler(async (req, res) => {
-  const { productId, notes, priority, customFields, quantity } = req.body;
+  const { productId, notes, priority, customFields, quantity, notifyOnPriceDrop } = req.body;
   
   // Validate product exists
   const product = await Product.findById(productId);
@@ -47,7 +47,9 @@ export const addToWishlist = asyncHandler(async (req, res) => {
     notes, 
     priority, 
     customFields, 
-    quantity: quantity || 1 
+    quantity: quantity || 1,
+    notifyOnPriceDrop,
+    price: product.price
   });
   
   // Populate product details
@@ -95,7 +97,7 @@ export const removeFromWishlist = asyncHandler(async (req, res) => {
  */
 export const updateWishlistItem = asyncHandler(async (req, res) => {
   const { productId } = req.params;
-  const { notes, priority, customFields, quantity } = req.body;
+  const { notes, priority, customFields, quantity, notifyOnPriceDrop } = req.body;
   
   const wishlist = await Wishlist.findOne({ user: req.user._id });
   
@@ -119,6 +121,7 @@ export const updateWishlistItem = asyncHandler(async (req, res) => {
   if (quantity !== undefined) {
     wishlist.items[itemIndex].quantity = Math.max(1, parseInt(quantity, 10) || 1);
   }
+  if (notifyOnPriceDrop !== undefined) wishlist.items[itemIndex].notifyOnPriceDrop = notifyOnPriceDrop;
   
   // Handle customFields update for Map type
   if (customFields && typeof customFields === 'object') {
@@ -0,0 +1,29 @@
+import { CustomError } from './custom-error.js';
+
+export class InsufficientStockError extends CustomError {
+  statusCode = 409; // Conflict
+
+  /**
+   * @param {Object} details
+   * @param {string} details.productId
+   * @param {string} [details.variantId]
+   * @param {string} details.name - Product name, for the message
+   * @param {number} details.available - Units that can still be sold
+   * @param {number} details.requested
+   */
+  constructor({ productId, variantId, name, available, requested }) {
+    super(`Insufficient stock for product: ${name}. Available: ${available}, Requested: ${requested}`);
+    this.details = { productId, variantId, available, requested };
+
+    // Only because we're extending a built-in class
+    Object.setPrototypeOf(this, InsufficientStockError.prototype);
+  }
+
+  serializeErrors() {
+    return [{
+      message: this.message,
+      ...this.details,
+      code: 'INSUFFICIENT_STOCK'
+    }];
+  }
+}
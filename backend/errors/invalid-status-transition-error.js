@@ -0,0 +1,30 @@
+import { CustomError } from './custom-error.js';
+
+export class InvalidStatusTransitionError extends CustomError {
+  statusCode = 409; // Conflict
+
+  /**
+   * @param {string} from - Current order status
+   * @param {string} to - Requested order status
+   * @param {string[]} [allowed] - Statuses reachable from `from`
+   */
+  constructor(from, to, allowed = []) {
+    super(`Order cannot move from ${from} to ${to}`);
+    this.from = from;
+    this.to = to;
+    this.allowed = allowed;
+
+    // Only because we're extending a built-in class
+    Object.setPrototypeOf(this, InvalidStatusTransitionError.prototype);
+  }
+
+  serializeErrors() {
+    return [{
+      message: this.message,
+      from: this.from,
+      to: this.to,
+      allowed: this.allowed,
+      code: 'INVALID_STATUS_TRANSITION'
+    }];
+  }
+}
@@ -27,6 +27,12 @@ passport.use(new GoogleStrategy({
       // Find user by Google ID first
       let user = await User.findOne({ 'authProvider.id': profile.id, 'authProvider.provider': 'google' });
       
+      // Google has verified the address, so accounts linked to it count as verified
+      if (user && !user.isEmailVerified) {
+        user.isEmailVerified = true;
+        await user.save();
+      }
+      
       // If not found by Google ID, try to find by email
       if (!user) {
         user = await User.findOne({ email });
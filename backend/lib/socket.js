@@ -0,0 +1,122 @@
+import { Server } from 'socket.io';
+import cookieParser from 'cookie-parser';
+import jwt from 'jsonwebtoken';
+import { extractAccessToken, authenticateAccessToken } from '../middleware/auth.middleware.js';
+
+/**
+ * Realtime Channel
+ *
+ * socket.io server attached to the main HTTP server. Sockets authenticate with
+ * the same access token as protectRoute (Authorization header, `accessToken`
+ * cookie, or `auth.token` in the handshake) and join:
+ * - `user:<id>` for their own events
+ * - `session:<id>` for the signed-in session the token belongs to
+ * - `admins` for store-wide admin events (admins only)
+ *
+ * The token is only checked at the handshake, so sockets are disconnected
+ * when it expires and when their session is revoked; reconnecting checks
+ * the session again.
+ */
+
+export const ADMIN_ROOM = 'admins';
+export const userRoom = (userId) => `user:${userId}`;
+export const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+let io = null;
+
+/**
+ * Attach socket.io to the HTTP server
+ * @param {import('http').Server} httpServer - Server returned by app.listen
+ * @param {Object} options
+ * @param {Function|string[]} options.origin - CORS origin check, same as the REST API
+ * @returns {Server} socket.io server
+ */
+export const initSocket = (httpServer, { origin } = {}) => {
+  io = new Server(httpServer, {
+    cors: { origin, credentials: true }
+  });
+
+  // Parse cookies on the handshake so cookie-based sessions work too
+  io.engine.use(cookieParser());
+
+  io.use(async (socket, next) => {
+    const accessToken = socket.handshake.auth?.token || extractAccessToken(socket.request);
+
+    if (!accessToken) {
+      return next(Object.assign(new Error('Unauthorized - No access token provided'), { data: { code: 'NO_TOKEN' } }));
+    }
+
+    try {
+      socket.data.user = await authenticateAccessToken(accessToken);
+      socket.data.expiresAt = jwt.decode(accessToken)?.exp * 1000;
+      next();
+    } catch (error) {
+      const code = error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : error.code || 'INVALID_TOKEN';
+      next(Object.assign(new Error('Unauthorized'), { data: { code } }));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+
+    socket.join(userRoom(user._id));
+    if (user.sessionId) {
+      socket.join(sessionRoom(user.sessionId));
+    }
+    if (user.role === 'admin') {
+      socket.join(ADMIN_ROOM);
+    }
+
+    // The client reconnects with its refreshed token
+    if (socket.data.expiresAt) {
+      const timer = setTimeout(() => socket.disconnect(true), Math.max(0, socket.data.expiresAt - Date.now()));
+      timer.unref?.();
+      socket.on('disconnect', () => clearTimeout(timer));
+    }
+  });
+
+  return io;
+};
+
+/**
+ * @returns {Server|null} socket.io server, or null before initSocket()
+ */
+export const getIO = () => io;
+
+/**
+ * Disconnect the sockets of a revoked session
+ * @param {string} sessionId - UserSession ID
+ */
+export const disconnectSession = (sessionId) => {
+  if (!sessionId) return;
+  io?.in(sessionRoom(sessionId.toString())).disconnectSockets(true);
+};
+
+/**
+ * Disconnect every socket a user has, e.g. after all their sessions were revoked
+ * @param {string} userId - User ID
+ */
+export const disconnectUser = (userId) => {
+  if (!userId) return;
+  io?.in(userRoom(userId.toString())).disconnectSockets(true);
+};
+
+/**
+ * Emit an event to every connected admin
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+export const emitToAdmins = (event, payload) => {
+  io?.to(ADMIN_ROOM).emit(event, { ...payload, timestamp: new Date().toISOString() });
+};
+
+/**
+ * Emit an event to all sockets of a single user
+ * @param {string} userId - Recipient user ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+export const emitToUser = (userId, event, payload) => {
+  if (!userId) return;
+  io?.to(userRoom(userId.toString())).emit(event, { ...payload, timestamp: new Date().toISOString() });
+};
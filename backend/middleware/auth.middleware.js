@@ -1,18 +1,119 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/user.model.js';
+import Setting from '../models/setting.model.js';
+import { isTwoFactorRequired } from '../services/twoFactor.service.js';
+import { getActiveSession } from '../services/session.service.js';
+import { verifyGuestOrderToken } from '../services/guestOrderAccess.service.js';
 
 /**
  * Authentication Middleware
  * 
  * This module provides middleware functions for handling authentication and authorization:
  * - protectRoute: Verifies JWT tokens and attaches user to request
+ * - protectTwoFactorSetup: protectRoute for the two-factor enrolment endpoints
+ * - protectOrderRoute: protectRoute that also accepts signed guest order links
  * - adminRoute: Restricts access to admin users only
+ * - requireVerifiedEmail: Enforces the store's email verification settings
  */
 
+/**
+ * Extract the access token from the Authorization header or cookies
+ * 
+ * @param {Object} req - Express request (or socket.io handshake request)
+ * @returns {string|undefined} The raw access token
+ */
+export const extractAccessToken = (req) => {
+    const authHeader = req.headers?.authorization;
+    if (authHeader) {
+        // Trim and split the header to handle extra spaces
+        const parts = authHeader.trim().split(/\s+/);
+        if (parts.length >= 2 && parts[0].toLowerCase() === 'bearer') {
+            return parts[1];
+        }
+        console.log('Invalid Authorization header format. Expected: Bearer <token>');
+        return undefined;
+    }
+    return req.cookies?.accessToken;
+};
+
+/**
+ * Verify an access token and load the user it belongs to
+ * 
+ * Shared by protectRoute and the realtime socket handshake so both apply the
+ * same rules. Throws jsonwebtoken errors as-is; other failures carry a
+ * `code` (and `statusCode` when it isn't 401) for the caller to report.
+ * 
+ * Tokens carry the session ID (`sid`), which must still be active, and an
+ * `mfa` claim once the second factor has been completed.
+ * Without it, users who have two-factor enabled are rejected, and so are
+ * users the store requires to enrol (unless `allowTwoFactorSetup` is set).
+ * 
+ * @param {string} accessToken - JWT access token
+ * @param {Object} [options]
+ * @param {boolean} [options.allowTwoFactorSetup] - Let through users who still have to enrol
+ * @returns {Promise<Object>} Clean user object ({ _id, email, role, isEmailVerified, twoFactorEnabled, sessionId?, name?, phone? })
+ */
+export const authenticateAccessToken = async (accessToken, { allowTwoFactorSetup = false } = {}) => {
+    const fail = (message, code, statusCode) => Object.assign(new Error(message), { code, statusCode });
+
+    const decoded = jwt.verify(accessToken, process.env.ACCESS_TOKEN_SECRET);
+
+    // Login challenge tokens are signed with the same secret but aren't sessions
+    if (decoded.purpose) {
+        throw fail('Invalid token', 'INVALID_TOKEN');
+    }
+
+    // Try different possible ID fields
+    const userId = decoded.userId || decoded.id || decoded._id;
+    if (!userId) {
+        throw fail('Invalid token - No user ID found', 'INVALID_TOKEN');
+    }
+
+    const [user, session] = await Promise.all([
+        User.findById(userId).select('-password'),
+        decoded.sid ? getActiveSession(decoded.sid) : undefined
+    ]);
+    if (!user) {
+        throw fail('Unauthorized - User not found', 'USER_NOT_FOUND');
+    }
+
+    // Signed out from this or another device
+    if (session === null || (session && String(session.user) !== String(user._id))) {
+        throw fail('Unauthorized - Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    // Tokens issued before a password reset are no longer valid
+    if (user.changedPasswordAfter(decoded.iat)) {
+        throw fail('Unauthorized - Password was changed, please log in again', 'PASSWORD_CHANGED');
+    }
+
+    if (!decoded.mfa) {
+        if (user.twoFactor?.enabled) {
+            throw fail('Unauthorized - Two-factor verification required', 'TWO_FACTOR_REQUIRED');
+        }
+        if (!allowTwoFactorSetup && await isTwoFactorRequired(user)) {
+            throw fail('Two-factor authentication must be set up for this account', 'TWO_FACTOR_SETUP_REQUIRED', 403);
+        }
+    }
+
+    // Create a clean user object with _id as a string
+    return {
+        _id: user._id.toString(),
+        email: user.email,
+        role: user.role,
+        isEmailVerified: Boolean(user.isEmailVerified),
+        twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+        ...(decoded.sid && { sessionId: decoded.sid }),
+        ...(user.name && { name: user.name }),
+        ...(user.phone && { phone: user.phone })
+    };
+};
+
 /**
  * Protect Route Middleware
  * 
- * Verifies the JWT access token from cookies and attaches the authenticated user to the request object.
+ * Verifies the JWT access token from the Authorization header or cookies and attaches
+ * the authenticated user to the request object.
  * Handles various error cases including missing tokens, expired tokens, and invalid users.
  * 
  * @param {Object} req - Express request object
@@ -20,154 +121,42 @@ import User from '../models/user.model.js';
  * @param {Function} next - Express next middleware function
  * @returns {void|Object} - Either calls next() or returns an error response
  */
-export const protectRoute = async (req, res, next) => {
-    try {
-        console.log('=== protectRoute Middleware ===');
-        console.log('Request URL:', req.originalUrl);
-        console.log('Request Method:', req.method);
-        console.log('Content-Type:', req.headers['content-type']);
-        console.log('Request Headers:', {
-            host: req.headers.host,
-            origin: req.headers.origin,
-            referer: req.headers.referer,
-            cookie: req.headers.cookie ? '*** Cookie present ***' : 'No cookie header',
-            authorization: req.headers.authorization ? '*** Authorization header present ***' : 'No authorization header'
+const createProtectRoute = (authOptions = {}) => async (req, res, next) => {
+    const accessToken = extractAccessToken(req);
+
+    if (!accessToken) {
+        return res.status(401).json({ 
+            success: false,
+            message: 'Unauthorized - No access token provided' 
         });
-        
-        // 1. Extract access token from Authorization header or cookies
-        let accessToken;
-        
-        // Check Authorization header first
-        const authHeader = req.headers.authorization;
-        if (authHeader) {
-            // Trim and split the header to handle extra spaces
-            const parts = authHeader.trim().split(/\s+/);
-            if (parts.length >= 2 && parts[0].toLowerCase() === 'bearer') {
-                accessToken = parts[1];
-                console.log('Found access token in Authorization header');
-            } else {
-                console.log('Invalid Authorization header format. Expected: Bearer <token>');
-            }
-        }
-        // Fall back to cookies if not in header
-        else if (req.cookies && req.cookies.accessToken) {
-            accessToken = req.cookies.accessToken;
-            console.log('Found access token in cookies');
-            console.log('Found access token in cookies');
-        } else {
-            console.log('No access token found in headers or cookies');
-        }
+    }
 
-        // 2. Check if token exists
-        if (!accessToken) {
-            console.log('No access token found in headers or cookies');
+    try {
+        req.user = await authenticateAccessToken(accessToken, authOptions);
+        next();
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
             return res.status(401).json({ 
                 success: false,
-                message: 'Unauthorized - No access token provided' 
+                message: 'Unauthorized - Access token expired',
+                code: 'TOKEN_EXPIRED'
             });
         }
-
-        try {
-            console.log('Verifying access token...');
-            
-            // 3. Verify the JWT token
-            let decoded;
-            try {
-                decoded = jwt.verify(accessToken, process.env.ACCESS_TOKEN_SECRET);
-                console.log('Token verified successfully. Decoded:', {
-                    userId: decoded.userId || decoded.id || decoded._id,
-                    iat: decoded.iat ? new Date(decoded.iat * 1000).toISOString() : null,
-                    exp: decoded.exp ? new Date(decoded.exp * 1000).toISOString() : null,
-                    now: new Date().toISOString()
-                });
-            } catch (verifyError) {
-                console.error('Token verification failed:', {
-                    name: verifyError.name,
-                    message: verifyError.message,
-                    expiredAt: verifyError.expiredAt ? new Date(verifyError.expiredAt).toISOString() : null,
-                    now: new Date().toISOString()
-                });
-                throw verifyError;
-            }
-            
-            // 4. Find user by ID from token, excluding password
-            // Try different possible ID fields
-            const userId = decoded.userId || decoded.id || decoded._id;
-            if (!userId) {
-                console.error('No user ID found in token');
-                return res.status(401).json({
-                    success: false,
-                    message: 'Invalid token - No user ID found'
-                });
-            }
-            
-            console.log('Looking up user with ID:', userId);
-            const user = await User.findById(userId).select('-password');
-
-            // 5. Check if user exists
-            if (!user) {
-                console.error('User not found in database');
-                return res.status(401).json({ 
-                    success: false,
-                    message: 'Unauthorized - User not found' 
-                });
-            }
-            
-            console.log('User found:', {
-                id: user._id,
-                email: user.email,
-                role: user.role
+        if (error.name === 'JsonWebTokenError') {
+            return res.status(401).json({ 
+                success: false,
+                message: 'Unauthorized - Invalid token',
+                code: 'INVALID_TOKEN'
             });
-
-            // 6. Attach user to request object for subsequent middleware
-            // Convert Mongoose document to plain JavaScript object and include _id
-            const userObject = user.toObject ? user.toObject() : user;
-            
-            // Ensure we have a valid _id
-            if (!userObject._id) {
-                console.error('User object is missing _id:', userObject);
-                return res.status(500).json({
-                    success: false,
-                    message: 'Internal server error - Invalid user data'
-                });
-            }
-            
-            // Create a clean user object with _id as a string
-            const cleanUser = {
-                _id: userObject._id.toString(),
-                email: userObject.email,
-                role: userObject.role,
-                ...(userObject.name && { name: userObject.name }),
-                ...(userObject.phone && { phone: userObject.phone })
-            };
-            
-            // Attach the clean user object to the request
-            req.user = cleanUser;
-
-            // Log the attached user for debugging
-            console.log('User attached to request:', cleanUser);
-
-            // 7. Proceed to the next middleware
-            next();
-        } catch (error) {
-            // 8. Handle specific JWT errors
-            if (error.name === 'TokenExpiredError') {
-                return res.status(401).json({ 
-                    success: false,
-                    message: 'Unauthorized - Access token expired',
-                    code: 'TOKEN_EXPIRED'
-                });
-            }
-            if (error.name === 'JsonWebTokenError') {
-                return res.status(401).json({ 
-                    success: false,
-                    message: 'Unauthorized - Invalid token',
-                    code: 'INVALID_TOKEN'
-                });
-            }
-            throw error; // Re-throw other errors
         }
-    } catch (error) {
+        if (error.code) {
+            return res.status(error.statusCode || 401).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+
         console.error('Authentication error:', error);
         return res.status(401).json({ 
             success: false,
@@ -177,6 +166,50 @@ export const protectRoute = async (req, res, next) => {
     }
 };
 
+export const protectRoute = createProtectRoute();
+
+/**
+ * protectRoute for the two-factor enrolment endpoints: also admits users the
+ * store requires to enrol, so they can complete setup.
+ */
+export const protectTwoFactorSetup = createProtectRoute({ allowTwoFactorSetup: true });
+
+/**
+ * protectRoute for the order routes a guest can reach with a signed link.
+ * A `token` query parameter (or `X-Order-Token` header) issued for the order
+ * in the URL sets `req.guestOrderAccess` ({ orderId, email }) instead of
+ * `req.user`; without one the request must be signed in as usual. Tokens
+ * scoped to a return only work on that return's routes.
+ */
+export const protectOrderRoute = (req, res, next) => {
+    const guestToken = req.query.token || req.headers['x-order-token'];
+    if (!guestToken) {
+        return protectRoute(req, res, next);
+    }
+
+    try {
+        const access = verifyGuestOrderToken(guestToken);
+        if (access.orderId !== req.params.orderId
+            || (access.returnId && access.returnId !== req.params.returnId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This link is for a different order',
+                code: 'ORDER_LINK_MISMATCH'
+            });
+        }
+
+        req.guestOrderAccess = access;
+        next();
+    } catch (error) {
+        const expired = error.name === 'TokenExpiredError';
+        return res.status(401).json({
+            success: false,
+            message: expired ? 'This order link has expired, please look the order up again' : 'Invalid order link',
+            code: expired ? 'ORDER_LINK_EXPIRED' : 'INVALID_TOKEN'
+        });
+    }
+};
+
 /**
  * Admin Route Middleware
  * 
@@ -299,6 +332,21 @@ export const simpleAuth = async (req, res, next) => {
             });
         }
 
+        // Login challenge tokens, and sessions still waiting on the second factor
+        if (decoded.purpose || (!decoded.mfa && user.twoFactor?.enabled)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized, two-factor verification required'
+            });
+        }
+
+        if (decoded.sid && !(await getActiveSession(decoded.sid))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authorized, session has been revoked'
+            });
+        }
+
         console.log('User found:', {
             id: user._id,
             email: user.email,
@@ -370,4 +418,31 @@ export const roleCheck = (allowedRoles = []) => {
         console.log('Role check passed');
         next();
     };
-};
\ No newline at end of file
+};
+
+/**
+ * Require Verified Email Middleware
+ * 
+ * Rejects unverified users when the given store setting is enabled
+ * (see models/setting.model.js). Must be used after protectRoute middleware.
+ * 
+ * @param {string} settingKey - Setting that toggles the requirement, e.g. 'requireVerifiedEmailForCheckout'
+ * @returns {Function} Express middleware
+ */
+export const requireVerifiedEmail = (settingKey) => async (req, res, next) => {
+    try {
+        const settings = await Setting.getSettings();
+
+        if (!settings?.[settingKey] || !req.user || req.user.isEmailVerified || req.user.role === 'admin') {
+            return next();
+        }
+
+        return res.status(403).json({
+            success: false,
+            message: 'Please verify your email address to continue',
+            code: 'EMAIL_NOT_VERIFIED'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
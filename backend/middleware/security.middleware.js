@@ -1,4 +1,5 @@
 import rateLimit from 'express-rate-limit';
+import jwt from 'jsonwebtoken';
 import { RateLimitError } from '../errors/rate-limit-error.js';
 import { validationResult } from 'express-validator';
 import logger from '../utils/logger.js';
@@ -42,6 +43,110 @@ export const paymentLimiter = rateLimit({
   }
 });
 
+/**
+ * Per-IP limit for the emailed-token endpoints (password reset, email verification)
+ */
+export const authTokenIpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // limit each IP to 10 reset requests per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => ipKeyGenerator(req.ip),
+  handler: (req, res, next, options) => {
+    throw new RateLimitError('Too many attempts, please try again later.');
+  }
+});
+
+/**
+ * Create a limiter keyed on the email address in the request body, so a
+ * single account can't be flooded from many IPs. Requests without an email
+ * are left to the validators.
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per email per window
+ * @param {string} options.message - Error message when the limit is hit
+ */
+export const createEmailLimiter = ({ windowMs, max, message }) => rateLimit({
+  windowMs,
+  max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => typeof req.body?.email !== 'string' || !req.body.email.trim(),
+  keyGenerator: (req) => `email_${req.body.email.trim().toLowerCase()}`,
+  handler: (req, res, next, options) => {
+    throw new RateLimitError(message);
+  }
+});
+
+export const passwordResetEmailLimiter = createEmailLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // 3 reset emails per address per windowMs
+  message: 'Too many password reset requests for this email, please try again later.'
+});
+
+/**
+ * Guest order lookups by order number and email. Only misses count, so a
+ * buyer can fetch a fresh link as often as they like, but guessing is capped
+ * per IP and per email address.
+ */
+export const guestOrderLookupIpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 failed lookups per IP per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => ipKeyGenerator(req.ip),
+  handler: (req, res, next, options) => {
+    throw new RateLimitError('Too many order lookups, please try again later.');
+  }
+});
+
+export const guestOrderLookupEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 failed lookups per email per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  skip: (req) => typeof req.body?.email !== 'string' || !req.body.email.trim(),
+  keyGenerator: (req) => `guest_order_${req.body.email.trim().toLowerCase()}`,
+  handler: (req, res, next, options) => {
+    throw new RateLimitError('Too many order lookups for this email, please try again later.');
+  }
+});
+
+/**
+ * Throttle verification email resends per account. Must run after protectRoute.
+ */
+export const verificationResendLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // 3 resends per user per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.user?._id ? `user_${req.user._id}` : ipKeyGenerator(req.ip),
+  handler: (req, res, next, options) => {
+    throw new RateLimitError('Too many verification emails requested, please try again later.');
+  }
+});
+
+/**
+ * Throttle two-factor code attempts per account. Before login completes the
+ * account is read from the challenge token; it is verified by the handler, so
+ * a forged token only buys attempts against nothing.
+ */
+export const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 codes per account per windowMs
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    const userId = req.user?._id || jwt.decode(req.body?.challengeToken || '')?.userId;
+    return userId ? `2fa_${userId}` : ipKeyGenerator(req.ip);
+  },
+  handler: (req, res, next, options) => {
+    throw new RateLimitError('Too many verification attempts, please try again later.');
+  }
+});
+
 /**
  * Middleware to validate request body using express-validator
  */
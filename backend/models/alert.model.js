@@ -11,6 +11,11 @@ const alertSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Set when the user is waiting on a specific variant rather than the product
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   status: {
     type: String,
     enum: ['pending', 'notified', 'cancelled'],
@@ -30,7 +35,9 @@ const alertSchema = new mongoose.Schema({
 });
 
 // Prevent duplicate alerts
-alertSchema.index({ user: 1, product: 1 }, { unique: true });
+alertSchema.index({ user: 1, product: 1, variant: 1 }, { unique: true });
+// Back-in-stock dispatch lookups
+alertSchema.index({ product: 1, variant: 1, status: 1 });
 
 const Alert = mongoose.model('Alert', alertSchema);
 
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+/**
+ * Recovery campaign for one abandoned cart.
+ *
+ * A user has at most one `active` campaign. Each recovery email is recorded in
+ * `messages`; when the user places an order while the campaign is active it is
+ * marked `recovered` and credited with the order total.
+ */
+const cartRecoverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'recovered', 'expired'],
+    default: 'active'
+  },
+  // Last cart activity; the idle clock for the next message runs from here
+  abandonedAt: {
+    type: Date,
+    required: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    name: String,
+    price: Number,
+    quantity: Number,
+    image: String
+  }],
+  cartValue: {
+    type: Number,
+    default: 0
+  },
+  messages: [{
+    step: Number,
+    sentAt: Date,
+    couponCode: String,
+    emailLog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmailLog'
+    }
+  }],
+  lastMessageAt: Date,
+  coupon: {
+    code: String,
+    discountPercentage: Number,
+    expiresAt: Date
+  },
+  recoveredOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  recoveredRevenue: {
+    type: Number,
+    default: 0
+  },
+  recoveredAt: Date
+}, {
+  timestamps: true
+});
+
+cartRecoverySchema.index({ user: 1, status: 1 });
+cartRecoverySchema.index({ status: 1, lastMessageAt: 1 });
+
+cartRecoverySchema.plugin(mongoosePaginate);
+
+const CartRecovery = mongoose.model('CartRecovery', cartRecoverySchema);
+
+export default CartRecovery;
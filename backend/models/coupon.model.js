@@ -1,31 +1,88 @@
 import mongoose from "mongoose";
 
+export const PROMOTION_TYPES = ["percentage", "fixed_amount", "free_shipping"];
+
+/**
+ * A promotion code.
+ *
+ * Codes are store-wide unless `userId` restricts them to one customer (cart
+ * recovery codes). `value` is a percentage for percentage codes and a dollar
+ * amount for fixed-amount codes; free-shipping codes don't use it. Scoped
+ * codes only discount the cart lines that match one of their products,
+ * categories or brands. See the promotion service for how codes combine.
+ */
 const couponSchema = new mongoose.Schema(
 	{
 		code: {
 			type: String,
 			required: true,
 			unique: true,
+			trim: true,
+			uppercase: true,
+		},
+		description: String,
+		type: {
+			type: String,
+			enum: PROMOTION_TYPES,
+			default: "percentage",
+		},
+		value: {
+			type: Number,
+			min: 0,
 		},
+		// Kept in step with `value` for percentage codes; older codes only have this
 		discountPercentage: {
 			type: Number,
-			required: true,
 			min: 0,
 			max: 100,
 		},
-		expirationDate: {
-			type: Date,
-			required: true,
+		// Cart subtotal, before discounts, the code needs
+		minSubtotal: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		// Empty lists mean the whole cart
+		appliesTo: {
+			products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+			categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+			brands: [{ type: mongoose.Schema.Types.ObjectId, ref: "Brand" }],
+		},
+		startsAt: Date,
+		// End of the window; open-ended if unset
+		expirationDate: Date,
+		// Redemptions across all customers, and per customer; unlimited if unset
+		usageLimit: {
+			type: Number,
+			min: 1,
+		},
+		perCustomerLimit: {
+			type: Number,
+			min: 1,
+		},
+		usedCount: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		// Stackable codes combine with each other; others must be used alone
+		stackable: {
+			type: Boolean,
+			default: false,
 		},
 		isActive: {
 			type: Boolean,
 			default: true,
 		},
+		// Customer the code is reserved for
 		userId: {
 			type: mongoose.Schema.Types.ObjectId,
 			ref: "User",
-			required: true,
-			unique: true,
+			index: true,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: "User",
 		},
 	},
 	{
@@ -33,6 +90,26 @@ const couponSchema = new mongoose.Schema(
 	}
 );
 
+couponSchema.pre("validate", function (next) {
+	if (this.value == null && this.discountPercentage != null) {
+		this.value = this.discountPercentage;
+	}
+	if (this.type === "percentage") {
+		if (this.value > 100) {
+			this.invalidate("value", "A percentage discount can't be more than 100");
+		} else {
+			this.discountPercentage = this.value;
+		}
+	}
+	if (this.type !== "free_shipping" && !(this.value > 0)) {
+		this.invalidate("value", "A discount value is required");
+	}
+	if (this.startsAt && this.expirationDate && this.startsAt >= this.expirationDate) {
+		this.invalidate("expirationDate", "A promotion must end after it starts");
+	}
+	next();
+});
+
 const Coupon = mongoose.model("Coupon", couponSchema);
 
 export default Coupon;
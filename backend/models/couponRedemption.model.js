@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+/**
+ * A promotion code used on an order.
+ *
+ * Recorded in the transaction that creates the order, together with the
+ * code's `usedCount`. Cancelling the order releases it, which gives the use
+ * back, and the customer's use in their CouponUsage counter.
+ */
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Lowercased; identifies guests for per-customer limits
+  email: String,
+  // Discount the code gave, shipping included
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['redeemed', 'released'],
+    default: 'redeemed'
+  },
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, order: 1 }, { unique: true });
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ coupon: 1, email: 1, status: 1 });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+export default CouponRedemption;
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+/**
+ * How many times one customer has redeemed a promotion code.
+ *
+ * Kept alongside the code's `usedCount` so its per-customer limit can be
+ * taken atomically. `customer` is the user's ID, or a guest's lowercased email.
+ */
+const couponUsageSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  customer: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+couponUsageSchema.index({ coupon: 1, customer: 1 }, { unique: true });
+
+const CouponUsage = mongoose.model('CouponUsage', couponUsageSchema);
+
+export default CouponUsage;
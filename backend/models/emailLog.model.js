@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+/**
+ * Delivery log for every transactional email.
+ *
+ * A log entry is created when a message is queued and is updated on each
+ * delivery attempt, so it doubles as the persistent queue: entries that are
+ * still `queued` or `retrying` are picked up again after a restart.
+ * Password reset, verification and return authorization links are left
+ * out of the stored body; see the mail service.
+ */
+const emailLogSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+  template: {
+    type: String,
+    required: true,
+    index: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: String,
+  text: String,
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'retrying', 'sent', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lastError: String,
+  transport: String,
+  messageId: String,
+  sentAt: Date,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    index: true
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+emailLogSchema.plugin(mongoosePaginate);
+
+const EmailLog = mongoose.model('EmailLog', emailLogSchema);
+
+export default EmailLog;
@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+
+export const INVOICE_TYPES = ['invoice', 'credit_note'];
+
+/**
+ * An issued invoice or credit note.
+ *
+ * Both are snapshots of what was billed or credited when they were issued
+ * and can't be changed or deleted afterwards; a mistake on an invoice is
+ * corrected with a credit note. Numbers run per type and calendar year
+ * (`INV-2026-000001`, `CN-2026-000001`) without gaps.
+ */
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: INVOICE_TYPES,
+    required: true
+  },
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  orderNumber: String,
+  // Invoice a credit note credits
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  invoiceNumber: String,
+  issuedAt: {
+    type: Date,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  customer: {
+    name: String,
+    email: String,
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      postalCode: String,
+      country: String
+    }
+  },
+  items: [{
+    _id: false,
+    name: { type: String, required: true },
+    variant: String,
+    quantity: { type: Number, required: true },
+    price: { type: Number, required: true },
+    total: { type: Number, required: true }
+  }],
+  subtotal: { type: Number, required: true },
+  shipping: { type: Number, default: 0 },
+  tax: { type: Number, default: 0 },
+  total: { type: Number, required: true },
+  // What a credit note was issued for
+  refund: {
+    refundId: String,
+    returnId: String,
+    reason: String
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ issuedAt: 1, type: 1 });
+// One invoice per order, and one credit note per refund
+invoiceSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+invoiceSchema.index({ 'refund.refundId': 1 }, { unique: true, partialFilterExpression: { 'refund.refundId': { $type: 'string' } } });
+
+const immutable = function(next) {
+  next(new Error('Invoices and credit notes cannot be changed once issued'));
+};
+
+invoiceSchema.pre('save', function(next) {
+  if (!this.isNew) return immutable(next);
+  next();
+});
+
+invoiceSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  immutable
+);
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
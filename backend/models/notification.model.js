@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import mongoosePaginate from 'mongoose-paginate-v2';
+
+export const NOTIFICATION_TYPES = ['order', 'payment', 'inventory', 'wishlist', 'review', 'user', 'system'];
+
+/**
+ * In-app notification for a single recipient.
+ *
+ * Created by the notification service when a domain event is fanned out, so
+ * the notification center survives reloads and stays in sync across devices.
+ */
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    default: 'system'
+  },
+  event: String,
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  link: String,
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+notificationSchema.plugin(mongoosePaginate);
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -2,6 +2,13 @@ import mongoose from "mongoose";
 import mongoosePaginate from 'mongoose-paginate-v2';
 import crypto from 'crypto';
 
+// Grades a returned item can be received in; only resellable items are restocked
+export const RETURN_CONDITIONS = ['resellable', 'damaged'];
+
+// Fraud risk levels, and the outcomes of a review of a held order
+export const RISK_LEVELS = ['low', 'medium', 'high'];
+export const RISK_REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
 /**
  * @typedef {Object} OrderItem
  * @property {mongoose.Types.ObjectId} product - Reference to the Product model
@@ -10,6 +17,8 @@ import crypto from 'crypto';
  * @property {string} [name] - Product name at time of purchase
  * @property {string} [image] - Product image at time of purchase
  * @property {string} [variant] - Selected variant if applicable
+ * @property {number} backorderedQuantity - Units waiting for stock
+ * @property {number} fulfilledQuantity - Units already in a shipment
  */
 
 /**
@@ -74,6 +83,18 @@ const orderSchema = new mongoose.Schema(
         default: function() {
           return (this.quantity * this.price) - (this.discount || 0);
         }
+      },
+      // Units with no stock yet; they ship once restocked stock is allocated
+      backorderedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      // Units in a shipment; kept in step by the shipment service
+      fulfilledQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
       }
     }],
 
@@ -105,7 +126,24 @@ const orderSchema = new mongoose.Schema(
     shippingPrice: { type: Number, required: true, default: 0 },
     taxPrice: { type: Number, required: true, default: 0 },
     totalAmount: { type: Number, required: true, min: 0 },
-    
+
+    /** @type {number} Discount from promotion codes, shipping included */
+    discount: { type: Number, default: 0, min: 0 },
+
+    /** @type {Array} Promotion codes used; line discounts are in `items.discount` */
+    promotions: [{
+      _id: false,
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+      },
+      code: String,
+      type: { type: String },
+      value: Number,
+      amount: Number,
+      freeShipping: Boolean
+    }],
+
     /** @type {string} Stripe session ID for payment */
     stripeSessionId: {
       type: String,
@@ -120,14 +158,219 @@ const orderSchema = new mongoose.Schema(
       default: 'pending',
       index: true
     },
-    
+
+    /** @type {Array} Status changes, oldest first; written by OrderStatusService */
+    statusHistory: [{
+      status: {
+        type: String,
+        required: true
+      },
+      from: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      actorType: {
+        type: String,
+        enum: ['admin', 'customer', 'system'],
+        default: 'system'
+      },
+      reason: String,
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+
+    /** @type {Array} Changes made after the order was placed, oldest first */
+    edits: [{
+      changes: [{
+        _id: false,
+        type: {
+          type: String,
+          enum: ['item_added', 'item_removed', 'quantity_changed', 'variant_changed', 'address_changed', 'shipping_price_changed'],
+          required: true
+        },
+        // `_id` of the line in `items`, for item changes
+        orderItem: mongoose.Schema.Types.ObjectId,
+        name: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+      }],
+      totalsBefore: {
+        itemsPrice: Number,
+        taxPrice: Number,
+        shippingPrice: Number,
+        totalAmount: Number
+      },
+      totalsAfter: {
+        itemsPrice: Number,
+        taxPrice: Number,
+        shippingPrice: Number,
+        totalAmount: Number
+      },
+      // What the customer owes (positive) or is owed (negative) after this edit
+      balance: {
+        type: Number,
+        default: 0
+      },
+      payment: {
+        type: {
+          type: String,
+          enum: ['none', 'charge', 'refund'],
+          default: 'none'
+        },
+        amount: Number,
+        status: {
+          type: String,
+          enum: ['not_required', 'pending', 'succeeded', 'failed'],
+          default: 'not_required'
+        },
+        // Stripe payment intent or refund ID
+        reference: String,
+        error: String
+      },
+      reason: String,
+      editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      editedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+
     /** @type {string} Payment status */
     paymentStatus: {
       type: String,
       enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
       default: 'pending'
     },
+
+    /** @type {number} Failed payment attempts; a successful retry doesn't reset it */
+    paymentFailures: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    /** @type {Object} Fraud risk assessment; written by the fraud service */
+    risk: {
+      score: Number,
+      level: {
+        type: String,
+        enum: RISK_LEVELS
+      },
+      reasons: [{
+        _id: false,
+        rule: String,
+        points: Number,
+        message: String
+      }],
+      // Who placed the order, for velocity checks across accounts
+      ipAddress: String,
+      email: String,
+      billingCountry: String,
+      assessedAt: Date,
+      // High-risk orders wait here instead of going to fulfillment
+      review: {
+        status: {
+          type: String,
+          enum: RISK_REVIEW_STATUSES
+        },
+        reviewedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        reviewedAt: Date,
+        note: String
+      }
+    },
+
+    /** @type {number} Total refunded so far */
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    /** @type {Array} Refunds issued against the order, oldest first */
+    refunds: [{
+      refundId: String,
+      amount: Number,
+      reason: String,
+      method: String,
+      // Stripe refund status, when refunded through Stripe
+      status: String,
+      // Return the refund was for
+      returnId: String,
+      processedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      processedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+
+    /** @type {Object} Stripe payment the order was paid with */
+    paymentDetails: {
+      paymentIntentId: String,
+      amountPaid: Number,
+      receiptUrl: String
+    },
     
+    /** @type {Array} Notes and messages about the order, oldest first */
+    messages: [{
+      body: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 2000
+      },
+      author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      authorType: {
+        type: String,
+        enum: ['customer', 'staff'],
+        required: true
+      },
+      // Internal notes are only shown to staff
+      visibility: {
+        type: String,
+        enum: ['internal', 'customer'],
+        default: 'customer'
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+
+    /** @type {Array} Orders combined into this one, with what was paid for each */
+    mergedFrom: [{
+      _id: false,
+      order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+      },
+      orderNumber: String,
+      totalAmount: Number,
+      paymentStatus: String,
+      paymentIntentId: String,
+      amountPaid: Number
+    }],
+
+    /** @type {mongoose.Types.ObjectId} Order this one was merged into and cancelled for */
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+
     /** @type {Address} Shipping address */
     shippingAddress: {
       paymentMethod: { 
@@ -154,10 +397,23 @@ const orderSchema = new mongoose.Schema(
       country: { type: String, required: true }
     },
     
-    /** @type {string} Tracking number for shipping */
+    /** @type {string} Tracking number of the latest shipment */
     trackingNumber: {
       type: String
     },
+
+    /** @type {Date} When the last shipment was delivered */
+    deliveredAt: Date,
+
+    /** @type {Object} Last time the order's packing slip was printed for picking */
+    picking: {
+      pickedAt: Date,
+      pickedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      pickListId: String
+    },
     
     /** @type {string} Customer notes */
     notes: {
@@ -221,11 +477,42 @@ const orderSchema = new mongoose.Schema(
         reason: String,
         status: {
           type: String,
-          enum: ['pending', 'approved', 'rejected', 'received', 'refunded'],
+          enum: ['requested', 'pending', 'approved', 'rejected', 'received', 'refunded'],
           default: 'pending'
         },
+        // Grade given when the item came back
+        condition: {
+          type: String,
+          enum: RETURN_CONDITIONS
+        },
+        restocked: {
+          type: Boolean,
+          default: false
+        },
+        receivedAt: Date,
         processedAt: Date
       }],
+      // Set on approval; printed on the return authorization
+      authorizedAt: Date,
+      authorizedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      // Items should be sent back before this date
+      authorizationExpiresAt: Date,
+      completedAt: Date,
+      // Refund for the approved lines, issued on completion
+      refund: {
+        amount: Number,
+        status: {
+          type: String,
+          enum: ['pending', 'succeeded', 'failed', 'manual']
+        },
+        // Stripe refund ID
+        reference: String,
+        error: String,
+        processedAt: Date
+      },
       requestedAt: {
         type: Date,
         default: Date.now
@@ -259,7 +546,14 @@ const orderSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      // Risk scores and the signals behind them are for staff only; the review queue reads them with lean queries
+      transform: (doc, ret) => {
+        delete ret.risk;
+        return ret;
+      }
+    },
     toObject: { virtuals: true }
   }
 );
@@ -307,6 +601,41 @@ orderSchema.virtual('productsArray', {
   foreignField: '_id'
 });
 
+// Units of a line not shipped yet, backordered or not
+orderSchema.path('items').schema.virtual('unfulfilledQuantity').get(function() {
+  return Math.max(0, this.quantity - (this.fulfilledQuantity || 0));
+});
+
+orderSchema.path('items').schema.virtual('fulfillmentStatus').get(function() {
+  const fulfilled = this.fulfilledQuantity || 0;
+  if (fulfilled >= this.quantity) return 'fulfilled';
+  if (fulfilled > 0) return 'partially_fulfilled';
+  return this.backorderedQuantity > 0 ? 'backordered' : 'unfulfilled';
+});
+
+orderSchema.virtual('fulfillmentStatus').get(function() {
+  const statuses = (this.items || []).map(item => item.fulfillmentStatus);
+  if (statuses.length === 0) return undefined;
+  if (statuses.every(status => status === 'fulfilled')) return 'fulfilled';
+  if (statuses.some(status => status !== 'unfulfilled' && status !== 'backordered')) return 'partially_fulfilled';
+  return statuses.some(status => status === 'backordered') ? 'backordered' : 'unfulfilled';
+});
+
+// Backordered lines are allocated oldest order first
+orderSchema.index({ 'items.product': 1, 'items.backorderedQuantity': 1, createdAt: 1 });
+
+// Velocity checks and the risk review queue
+orderSchema.index({ 'risk.ipAddress': 1, createdAt: -1 });
+orderSchema.index({ 'risk.email': 1, createdAt: -1 });
+orderSchema.index({ 'risk.review.status': 1, createdAt: 1 });
+
+// Shipments carrying this order's items
+orderSchema.virtual('shipments', {
+  ref: 'Shipment',
+  localField: '_id',
+  foreignField: 'order'
+});
+
 // Add pagination plugin
 orderSchema.plugin(mongoosePaginate);
 
@@ -318,33 +647,6 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
-// Update product stock when order is placed
-orderSchema.pre('save', async function(next) {
-  if (this.isNew) {
-    // Decrease product stock
-    const Product = mongoose.model('Product');
-    const bulkOps = this.items.map(item => ({
-      updateOne: {
-        filter: { _id: item.product, 'variants.sku': item.variant?.sku || null },
-        update: { 
-          $inc: { 
-            'countInStock': -item.quantity,
-            ...(item.variant?.sku && { 'variants.$[elem].quantity': -item.quantity })
-          } 
-        },
-        arrayFilters: item.variant?.sku ? [{ 'elem.sku': item.variant.sku }] : undefined
-      }
-    }));
-    
-    try {
-      await Product.bulkWrite(bulkOps);
-    } catch (error) {
-      return next(error);
-    }
-  }
-  next();
-});
-
 const Order = mongoose.model("Order", orderSchema);
 
 export default Order;
\ No newline at end of file
@@ -94,11 +94,21 @@ const productSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Category'
     },
+    brand: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Brand'
+    },
     quantity: {
       type: Number,
       required: [true, 'Product quantity is required'],
       min: [0, 'Quantity cannot be negative']
     },
+    // Units held by pending orders; see StockReservation
+    reservedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     sku: {
       type: String,
       unique: true,
@@ -157,6 +167,11 @@ const productSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // Whether orders can be placed for more than is in stock; the rest waits for restock
+    allowBackorder: {
+      type: Boolean,
+      default: false
+    },
     // Product variants
     hasVariants: {
       type: Boolean,
@@ -171,6 +186,10 @@ const productSchema = new mongoose.Schema(
       price: Number,
       comparePrice: Number,
       quantity: Number,
+      reservedQuantity: {
+        type: Number,
+        default: 0
+      },
       images: [String],
       isActive: {
         type: Boolean,
@@ -227,6 +246,15 @@ productSchema.virtual('primaryImage').get(function() {
   return primary?.url || this.images[0]?.url || null;
 });
 
+// Units that can still be sold: on hand minus what pending orders hold
+productSchema.virtual('availableQuantity').get(function() {
+  return Math.max(0, (this.quantity || 0) - (this.reservedQuantity || 0));
+});
+
+productSchema.path('variants').schema.virtual('availableQuantity').get(function() {
+  return Math.max(0, (this.quantity || 0) - (this.reservedQuantity || 0));
+});
+
 // Add text index for search
 productSchema.index({
   name: 'text',
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+/**
+ * Named counters for numbers that must not have gaps, such as invoice
+ * numbers. Take the next value inside the transaction that uses it, so an
+ * aborted transaction gives the number back.
+ */
+const sequenceSchema = new mongoose.Schema({
+  // e.g. `invoice-2026`
+  _id: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Increment a counter and return its new value
+ * @param {string} key
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @returns {Promise<number>}
+ */
+sequenceSchema.statics.next = async function(key, { session } = {}) {
+  const sequence = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { value: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return sequence.value;
+};
+
+const Sequence = mongoose.model('Sequence', sequenceSchema);
+
+export default Sequence;
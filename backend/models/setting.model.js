@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+
+const CACHE_TTL_MS = 30 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+// Fraud scoring rules; each adds its points to the score when it matches
+export const FRAUD_RULE_DEFAULTS = {
+  enabled: true,
+  // Scores at or above these mark an order medium or high risk; high-risk orders are held for review
+  mediumRiskScore: 40,
+  highRiskScore: 70,
+  // Many orders from one account, email or IP address in a short time
+  velocity: { enabled: true, windowMinutes: 60, maxOrders: 3, points: 30 },
+  // Card billing country differs from the shipping country
+  countryMismatch: { enabled: true, points: 25 },
+  // A customer's first order is a large one
+  firstOrderHighValue: { enabled: true, amount: 500, points: 30 },
+  // Recent failed payments by the same customer
+  failedPayments: { enabled: true, windowHours: 24, maxFailures: 2, points: 30 },
+  // Throwaway email address; `domains` extends the built-in list
+  disposableEmail: { enabled: true, points: 40, domains: [] }
+};
+
+/**
+ * Store-wide settings managed from the admin dashboard.
+ *
+ * There is a single document (key `store`); use `Setting.getSettings()` and
+ * `Setting.updateSettings()` rather than querying the collection directly.
+ */
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'store',
+    unique: true,
+    immutable: true
+  },
+  requireVerifiedEmailForCheckout: {
+    type: Boolean,
+    default: false
+  },
+  requireVerifiedEmailForReviews: {
+    type: Boolean,
+    default: false
+  },
+  // Admins without two-factor authentication are held at enrolment until they set it up
+  requireTwoFactorForAdmins: {
+    type: Boolean,
+    default: false
+  },
+  fraudRules: {
+    enabled: { type: Boolean, default: FRAUD_RULE_DEFAULTS.enabled },
+    mediumRiskScore: { type: Number, default: FRAUD_RULE_DEFAULTS.mediumRiskScore, min: 0 },
+    highRiskScore: { type: Number, default: FRAUD_RULE_DEFAULTS.highRiskScore, min: 0 },
+    velocity: {
+      enabled: { type: Boolean, default: FRAUD_RULE_DEFAULTS.velocity.enabled },
+      windowMinutes: { type: Number, default: FRAUD_RULE_DEFAULTS.velocity.windowMinutes, min: 1 },
+      maxOrders: { type: Number, default: FRAUD_RULE_DEFAULTS.velocity.maxOrders, min: 1 },
+      points: { type: Number, default: FRAUD_RULE_DEFAULTS.velocity.points, min: 0 }
+    },
+    countryMismatch: {
+      enabled: { type: Boolean, default: FRAUD_RULE_DEFAULTS.countryMismatch.enabled },
+      points: { type: Number, default: FRAUD_RULE_DEFAULTS.countryMismatch.points, min: 0 }
+    },
+    firstOrderHighValue: {
+      enabled: { type: Boolean, default: FRAUD_RULE_DEFAULTS.firstOrderHighValue.enabled },
+      amount: { type: Number, default: FRAUD_RULE_DEFAULTS.firstOrderHighValue.amount, min: 0 },
+      points: { type: Number, default: FRAUD_RULE_DEFAULTS.firstOrderHighValue.points, min: 0 }
+    },
+    failedPayments: {
+      enabled: { type: Boolean, default: FRAUD_RULE_DEFAULTS.failedPayments.enabled },
+      windowHours: { type: Number, default: FRAUD_RULE_DEFAULTS.failedPayments.windowHours, min: 1 },
+      maxFailures: { type: Number, default: FRAUD_RULE_DEFAULTS.failedPayments.maxFailures, min: 1 },
+      points: { type: Number, default: FRAUD_RULE_DEFAULTS.failedPayments.points, min: 0 }
+    },
+    disposableEmail: {
+      enabled: { type: Boolean, default: FRAUD_RULE_DEFAULTS.disposableEmail.enabled },
+      points: { type: Number, default: FRAUD_RULE_DEFAULTS.disposableEmail.points, min: 0 },
+      domains: { type: [String], default: FRAUD_RULE_DEFAULTS.disposableEmail.domains }
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Get the store settings, creating the document with defaults on first use.
+ * Results are cached briefly since they are read on hot paths (checkout).
+ * @returns {Promise<Object>} Plain settings object
+ */
+settingSchema.statics.getSettings = async function () {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  cached = await this.findOneAndUpdate(
+    { key: 'store' },
+    { $setOnInsert: { key: 'store' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+  cachedAt = Date.now();
+  return cached;
+};
+
+/**
+ * Update the store settings
+ * @param {Object} updates - Fields to change
+ * @param {string} [userId] - Admin making the change
+ * @returns {Promise<Object>} Updated settings
+ */
+settingSchema.statics.updateSettings = async function (updates, userId) {
+  cached = await this.findOneAndUpdate(
+    { key: 'store' },
+    { $set: { ...updates, updatedBy: userId } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+  cachedAt = Date.now();
+  return cached;
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+export default Setting;
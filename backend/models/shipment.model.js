@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+
+// Codes with an adapter in services/carriers, plus carriers entered by hand
+export const SHIPMENT_CARRIERS = ['manual', 'mock', 'ups', 'fedex', 'usps', 'dhl', 'other'];
+
+export const SHIPMENT_STATUSES = [
+  'pending',
+  'label_created',
+  'in_transit',
+  'out_for_delivery',
+  'delivered',
+  'exception',
+  'returned_to_sender'
+];
+
+/**
+ * A parcel sent for an order.
+ *
+ * An order can be split across several shipments, each carrying some of its
+ * items. `status` always mirrors the most recent tracking event.
+ */
+const shipmentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  shipmentNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  items: [{
+    _id: false,
+    // `_id` of the line in `order.items`
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    name: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  carrier: {
+    type: String,
+    enum: SHIPMENT_CARRIERS,
+    default: 'manual'
+  },
+  service: String,
+  trackingNumber: {
+    type: String,
+    trim: true
+  },
+  trackingUrl: String,
+  label: {
+    url: String,
+    format: String,
+    // Carrier or label provider's ID for the label
+    reference: String
+  },
+  // What the label cost, when bought through a carrier adapter
+  rate: {
+    amount: Number,
+    currency: String
+  },
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    default: 'pending'
+  },
+  events: [{
+    status: {
+      type: String,
+      enum: SHIPMENT_STATUSES,
+      required: true
+    },
+    description: String,
+    location: String,
+    occurredAt: {
+      type: Date,
+      required: true
+    },
+    source: {
+      type: String,
+      enum: ['manual', 'carrier'],
+      default: 'manual'
+    }
+  }],
+  estimatedDelivery: Date,
+  shippedAt: Date,
+  deliveredAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+shipmentSchema.index({ carrier: 1, trackingNumber: 1 });
+
+const Shipment = mongoose.model('Shipment', shipmentSchema);
+
+export default Shipment;
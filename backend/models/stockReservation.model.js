@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+/**
+ * Stock held for a pending order.
+ *
+ * While `active`, the quantity counts towards the product's (or variant's)
+ * `reservedQuantity`, so it can't be sold twice. Payment converts it, which
+ * takes the units off `quantity`; expiry, a failed payment, cancellation or
+ * an order edit releases it.
+ */
+const stockReservationSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // `_id` of the entry in `product.variants`; null for products without variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'converted', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  convertedAt: Date,
+  releasedAt: Date,
+  releasedReason: {
+    type: String,
+    enum: ['expired', 'payment_failed', 'cancelled', 'order_edited']
+  }
+}, {
+  timestamps: true
+});
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ product: 1, variant: 1, status: 1 });
+
+const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
+
+export default StockReservation;
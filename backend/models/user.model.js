@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
 
 const userSchema = new mongoose.Schema(
 	{
@@ -63,9 +64,69 @@ const userSchema = new mongoose.Schema(
 			type: Number,
 			default: 0,
 		},
-		refreshToken: {
+		passwordResetToken: {
 			type: String,
-			select: false, // Don't return this field in queries by default
+			select: false, // SHA-256 hash of the emailed token, never the token itself
+		},
+		passwordResetExpires: {
+			type: Date,
+			select: false,
+		},
+		passwordChangedAt: {
+			type: Date,
+		},
+		emailVerificationToken: {
+			type: String,
+			select: false,
+		},
+		emailVerificationExpires: {
+			type: Date,
+			select: false,
+		},
+		emailVerifiedAt: {
+			type: Date,
+		},
+		// Last change to cartItems, used to detect abandoned carts
+		cartUpdatedAt: {
+			type: Date,
+		},
+		// In-app notification types the user wants to receive
+		notificationPreferences: {
+			order: { type: Boolean, default: true },
+			payment: { type: Boolean, default: true },
+			inventory: { type: Boolean, default: true },
+			wishlist: { type: Boolean, default: true },
+			review: { type: Boolean, default: true },
+			user: { type: Boolean, default: true },
+			system: { type: Boolean, default: true },
+		},
+		// TOTP second factor; secrets and recovery code hashes are never returned by default
+		twoFactor: {
+			enabled: {
+				type: Boolean,
+				default: false,
+			},
+			secret: {
+				type: String,
+				select: false,
+			},
+			// Secret issued by setup, promoted to `secret` once the user confirms a code
+			pendingSecret: {
+				type: String,
+				select: false,
+			},
+			recoveryCodes: {
+				type: [String],
+				select: false, // SHA-256 hashes of the single-use codes
+			},
+			// Last TOTP step accepted, so a code can't be replayed within its window
+			lastUsedStep: {
+				type: Number,
+				select: false,
+			},
+			enabledAt: {
+				type: Date,
+			},
 		},
 	},
 	{
@@ -73,6 +134,24 @@ const userSchema = new mongoose.Schema(
 	}
 );
 
+// Keep the verification timestamp in step with the flag
+userSchema.pre("save", function (next) {
+	if (this.isModified("isEmailVerified")) {
+		this.emailVerifiedAt = this.isEmailVerified ? new Date() : undefined;
+	}
+	next();
+});
+
+// Abandoned cart lookups
+userSchema.index({ cartUpdatedAt: 1 }, { sparse: true });
+
+userSchema.pre("save", function (next) {
+	if (this.isModified("cartItems")) {
+		this.cartUpdatedAt = new Date();
+	}
+	next();
+});
+
 // Pre-save hook to hash password before saving to database
 userSchema.pre("save", async function (next) {
 	// Only hash the password if it's modified (or new) and not empty
@@ -107,6 +186,82 @@ userSchema.methods.comparePassword = async function (password) {
   }
 };
 
+/**
+ * Hashes a raw token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+userSchema.statics.hashToken = function (token) {
+	return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+/**
+ * Issues a single-use password reset token. Only its hash is stored.
+ * @param {number} ttlMinutes - Token lifetime in minutes
+ * @returns {string} Raw token to send to the user
+ */
+userSchema.methods.createPasswordResetToken = function (ttlMinutes = 60) {
+	const resetToken = crypto.randomBytes(32).toString("hex");
+	this.passwordResetToken = this.constructor.hashToken(resetToken);
+	this.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+	return resetToken;
+};
+
+/**
+ * Issues an email verification token. Only its hash is stored.
+ * @param {number} ttlHours - Token lifetime in hours
+ * @returns {string} Raw token to send to the user
+ */
+userSchema.methods.createEmailVerificationToken = function (ttlHours = 24) {
+	const verificationToken = crypto.randomBytes(32).toString("hex");
+	this.emailVerificationToken = this.constructor.hashToken(verificationToken);
+	this.emailVerificationExpires = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+	return verificationToken;
+};
+
+/**
+ * Whether a JWT issued at `iat` (seconds) predates the last password change
+ * @param {number} iat - Token issued-at timestamp in seconds
+ * @returns {boolean}
+ */
+userSchema.methods.changedPasswordAfter = function (iat) {
+	if (!this.passwordChangedAt || !iat) return false;
+	return iat * 1000 < this.passwordChangedAt.getTime();
+};
+
+/**
+ * Issues a fresh set of single-use recovery codes, replacing any old ones.
+ * Only their hashes are stored.
+ * @param {number} count - Number of codes
+ * @returns {string[]} Raw codes to show to the user once
+ */
+userSchema.methods.createRecoveryCodes = function (count = 10) {
+	const codes = Array.from({ length: count }, () => {
+		const raw = crypto.randomBytes(5).toString("hex");
+		return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+	});
+	this.twoFactor.recoveryCodes = codes.map((code) => this.constructor.hashToken(code));
+	return codes;
+};
+
+/**
+ * Consumes a recovery code if it matches one of the stored hashes. The
+ * document must be loaded with `+twoFactor.recoveryCodes` and saved afterwards.
+ * @param {string} code - Code entered by the user
+ * @returns {boolean} Whether the code was valid
+ */
+userSchema.methods.useRecoveryCode = function (code) {
+	const normalized = String(code || "").trim().toLowerCase();
+	if (!normalized) return false;
+
+	const hash = this.constructor.hashToken(normalized);
+	const codes = this.twoFactor?.recoveryCodes || [];
+	if (!codes.includes(hash)) return false;
+
+	this.twoFactor.recoveryCodes = codes.filter((stored) => stored !== hash);
+	return true;
+};
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
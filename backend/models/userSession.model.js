@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+/**
+ * A signed-in device.
+ *
+ * Each login starts one session, which is also the refresh-token family:
+ * every refresh rotates `tokenId`, and presenting an older refresh token
+ * revokes the session. The token just replaced is still honoured for a few
+ * seconds, for requests that were already refreshing with it. Named `UserSession` so it doesn't share the
+ * `sessions` collection used by express-session.
+ */
+const userSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 hash of the `jti` of the only refresh token currently valid
+  tokenId: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the refresh token `tokenId` replaced, and when
+  previousTokenId: {
+    type: String,
+    select: false
+  },
+  rotatedAt: Date,
+  // Whether the login completed two-factor verification
+  mfa: {
+    type: Boolean,
+    default: false
+  },
+  userAgent: String,
+  device: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Refresh token expiry; slides forward on every rotation
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked_all', 'token_reuse', 'password_reset', 'upgraded']
+  }
+}, {
+  timestamps: true
+});
+
+userSessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+// Expired sessions are removed by MongoDB
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserSession = mongoose.model('UserSession', userSessionSchema);
+
+export default UserSession;
@@ -29,6 +29,20 @@ const wishlistItemSchema = new mongoose.Schema({
     type: Number,
     default: 1,
     min: 1
+  },
+  // Product price when the item was saved; price drops are measured from here
+  priceWhenAdded: {
+    type: Number,
+    min: 0
+  },
+  // Price at the last price-drop notification, so the same drop isn't sent twice
+  lastNotifiedPrice: {
+    type: Number,
+    min: 0
+  },
+  notifyOnPriceDrop: {
+    type: Boolean,
+    default: true
   }
 });
 
@@ -89,6 +103,7 @@ wishlistSchema.methods.addItem = async function(productId, options = {}) {
     if (options.quantity !== undefined) {
       item.quantity = Math.max(1, parseInt(options.quantity, 10) || 1);
     }
+    if (options.notifyOnPriceDrop !== undefined) item.notifyOnPriceDrop = options.notifyOnPriceDrop;
     if (options.customFields) {
       if (!(item.customFields instanceof Map)) {
         item.customFields = new Map();
@@ -104,7 +119,9 @@ wishlistSchema.methods.addItem = async function(productId, options = {}) {
       notes: options.notes,
       priority: options.priority || 'medium',
       quantity: Math.max(1, parseInt(options.quantity, 10) || 1),
-      customFields: options.customFields || {}
+      customFields: options.customFields || {},
+      priceWhenAdded: options.price,
+      notifyOnPriceDrop: options.notifyOnPriceDrop !== undefined ? options.notifyOnPriceDrop : true
     });
   }
 
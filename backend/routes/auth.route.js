@@ -9,12 +9,31 @@ import {
   refreshToken,
   getProfile,
   updateProfile,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getSessions,
+  deleteSession,
+  deleteAllSessions,
   googleAuth,
   googleCallback,
   googleAuthSuccess,
   googleAuthFailure
 } from '../controllers/auth.controller.js';
-import { protectRoute } from '../middleware/auth.middleware.js';
+import { protectRoute, protectTwoFactorSetup } from '../middleware/auth.middleware.js';
+import {
+  authTokenIpLimiter,
+  passwordResetEmailLimiter,
+  verificationResendLimiter,
+  twoFactorLimiter
+} from '../middleware/security.middleware.js';
 import { handleFileUpload } from '../middleware/upload.middleware.js';
 
 /**
@@ -107,11 +126,12 @@ router.post('/logout', logout);
  * @desc    Get new access token using refresh token
  * @access  Public
  * @param   {string}  refreshToken  Valid refresh token
- * @returns {Object}  New access token
+ * @returns {Object}  New access token; the refresh token is rotated
  * 
  * @response {Object} 200 - New tokens generated
  * @response {Object} 400 - Missing refresh token
- * @response {Object} 403 - Invalid refresh token
+ * @response {Object} 401 - Invalid, expired or revoked refresh token. Reusing a
+ *                          rotated token revokes its session (code REFRESH_TOKEN_REUSED)
  * 
  * @example
  * // Request body
@@ -121,18 +141,188 @@ router.post('/logout', logout);
  */
 router.post('/refresh-token', refreshToken);
 
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ * @param   {string}  email  Account email
+ * @returns {Object}  Generic success message (does not reveal whether the account exists)
+ *
+ * @middleware authTokenIpLimiter - 10 requests per hour per IP
+ * @middleware passwordResetEmailLimiter - 3 requests per hour per email
+ *
+ * @response {Object} 200 - Reset link sent if the account exists
+ * @response {Object} 400 - Missing email
+ * @response {Object} 429 - Too many requests
+ */
+router.post('/forgot-password', authTokenIpLimiter, passwordResetEmailLimiter, forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ * @param   {string}  token     Token from the reset link
+ * @param   {string}  password  New password (min 6 chars)
+ * @returns {Object}  Success message; all existing sessions are revoked
+ *
+ * @middleware authTokenIpLimiter - 10 requests per hour per IP
+ *
+ * @response {Object} 200 - Password reset
+ * @response {Object} 400 - Invalid/expired token or invalid password
+ * @response {Object} 429 - Too many requests
+ */
+router.post('/reset-password', authTokenIpLimiter, resetPassword);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Mark the user's email as verified using the emailed token
+ * @access  Public
+ * @param   {string}  token  Token from the verification link
+ *
+ * @middleware authTokenIpLimiter - 10 requests per hour per IP
+ *
+ * @response {Object} 200 - Email verified
+ * @response {Object} 400 - Missing, invalid or expired token
+ */
+router.post('/verify-email', authTokenIpLimiter, verifyEmail);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Send a new verification email to the authenticated user
+ * @access  Private
+ *
+ * @middleware protectRoute - Verifies JWT token
+ * @middleware verificationResendLimiter - 3 requests per hour per user
+ *
+ * @response {Object} 200 - Verification email sent
+ * @response {Object} 400 - Email already verified
+ * @response {Object} 429 - Too many requests
+ */
+router.post('/resend-verification', protectRoute, verificationResendLimiter, resendVerification);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete a login for an account with two-factor authentication
+ * @access  Public
+ * @param   {string}  challengeToken  Token returned by /login when `twoFactorRequired` is set
+ * @param   {string}  code            Authenticator code or recovery code
+ * @returns {Object}  User data and access token, as for /login
+ *
+ * @middleware twoFactorLimiter - 10 attempts per 15 minutes per account
+ *
+ * @response {Object} 200 - Login successful
+ * @response {Object} 401 - Invalid code, or invalid/expired challenge
+ * @response {Object} 429 - Too many attempts
+ */
+router.post('/2fa/verify', twoFactorLimiter, verifyTwoFactorLogin);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get the user's two-factor status and whether the store requires it
+ * @access  Private
+ *
+ * @middleware protectTwoFactorSetup - Verifies JWT token, admits accounts that still have to enrol
+ */
+router.get('/2fa', protectTwoFactorSetup, getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start enrolment; returns the secret, otpauth:// URI and a QR code data URL
+ * @access  Private
+ *
+ * @middleware protectTwoFactorSetup - Verifies JWT token, admits accounts that still have to enrol
+ *
+ * @response {Object} 200 - Provisioning data
+ * @response {Object} 400 - Already enabled
+ */
+router.post('/2fa/setup', protectTwoFactorSetup, setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrolment with a code from the app
+ * @access  Private
+ * @param   {string}  code  Authenticator code
+ * @returns {Object}  One-time recovery codes and an upgraded access token
+ *
+ * @middleware protectTwoFactorSetup - Verifies JWT token, admits accounts that still have to enrol
+ * @middleware twoFactorLimiter - 10 attempts per 15 minutes per account
+ *
+ * @response {Object} 200 - Two-factor enabled
+ * @response {Object} 400 - Invalid code or setup not started
+ */
+router.post('/2fa/enable', protectTwoFactorSetup, twoFactorLimiter, enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor authentication off
+ * @access  Private
+ * @param   {string}  password  Current password
+ * @param   {string}  code      Authenticator code or recovery code
+ *
+ * @middleware protectRoute - Verifies JWT token
+ * @middleware twoFactorLimiter - 10 attempts per 15 minutes per account
+ *
+ * @response {Object} 200 - Two-factor disabled
+ * @response {Object} 401 - Invalid password or code
+ * @response {Object} 403 - Required by store policy
+ */
+router.post('/2fa/disable', protectRoute, twoFactorLimiter, disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes
+ * @access  Private
+ * @param   {string}  code  Authenticator code or recovery code
+ * @returns {Object}  New one-time recovery codes
+ *
+ * @middleware protectRoute - Verifies JWT token
+ * @middleware twoFactorLimiter - 10 attempts per 15 minutes per account
+ */
+router.post('/2fa/recovery-codes', protectRoute, twoFactorLimiter, regenerateRecoveryCodes);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the user's signed-in devices; the one making the request has `current: true`
+ * @access  Private
+ *
+ * @middleware protectRoute - Verifies JWT token
+ */
+router.get('/sessions', protectRoute, getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out of every session
+ * @access  Private
+ * @query   {boolean} [exceptCurrent] Keep the session making the request
+ *
+ * @middleware protectRoute - Verifies JWT token
+ */
+router.delete('/sessions', protectRoute, deleteAllSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out of one session
+ * @access  Private
+ *
+ * @middleware protectRoute - Verifies JWT token
+ *
+ * @response {Object} 200 - Session signed out
+ * @response {Object} 404 - No such active session for this user
+ */
+router.delete('/sessions/:id', protectRoute, deleteSession);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get authenticated user's profile
  * @access  Private
  * @returns {Object}  User profile data
  * 
- * @middleware protectRoute - Verifies JWT token
+ * @middleware protectTwoFactorSetup - Verifies JWT token, admits accounts that still have to enrol
  * 
  * @response {Object} 200 - User profile data
  * @response {Object} 401 - Unauthorized (missing or invalid token)
  */
-router.get('/me', protectRoute, getProfile);
+router.get('/me', protectTwoFactorSetup, getProfile);
 
 /**
  * @route   PUT /api/auth/update-profile
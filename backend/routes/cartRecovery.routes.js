@@ -0,0 +1,58 @@
+import express from 'express';
+import { query } from 'express-validator';
+import { protectRoute, adminRoute } from '../middleware/auth.middleware.js';
+import { validateRequest } from '../middleware/validation.middleware.js';
+import { getCampaigns, getStats, runNow } from '../controllers/cartRecovery.controller.js';
+
+/**
+ * Cart Recovery Routes
+ *
+ * Admin-only reporting on abandoned cart recovery campaigns.
+ */
+
+const router = express.Router();
+
+router.use(protectRoute, adminRoute);
+
+/**
+ * @route   GET /api/cart-recovery
+ * @desc    List recovery campaigns
+ * @access  Private/Admin
+ * @param   {string} [status] active, recovered or expired
+ */
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(['active', 'recovered', 'expired']).withMessage('Invalid status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validateRequest,
+  getCampaigns
+);
+
+/**
+ * @route   GET /api/cart-recovery/stats
+ * @desc    Recovery rate and revenue attributed to recovery messages
+ * @access  Private/Admin
+ * @param   {string} [from] ISO date, campaigns created on or after
+ * @param   {string} [to]   ISO date, campaigns created on or before
+ */
+router.get(
+  '/stats',
+  [
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+  ],
+  validateRequest,
+  getStats
+);
+
+/**
+ * @route   POST /api/cart-recovery/run
+ * @desc    Run the recovery job immediately
+ * @access  Private/Admin
+ */
+router.post('/run', runNow);
+
+export default router;
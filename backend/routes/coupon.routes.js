@@ -1,13 +1,25 @@
 import express from 'express';
-import { protectRoute } from '../middleware/auth.middleware.js';
-import { getCoupon, validateCoupon } from '../controllers/coupon.controller.js';
+import { body, param, query } from 'express-validator';
+import { protectRoute, adminRoute } from '../middleware/auth.middleware.js';
+import { validateRequest } from '../middleware/validation.middleware.js';
+import { PROMOTION_TYPES } from '../models/coupon.model.js';
+import { MAX_CODES_PER_ORDER } from '../services/promotion.service.js';
+import {
+  getCoupon,
+  validateCoupon,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  getCouponRedemptions
+} from '../controllers/coupon.controller.js';
 
 /**
  * Coupon Routes
  * 
  * This module provides API endpoints for managing and validating discount coupons.
  * All routes are protected and require authentication.
- * Users can check available coupons and validate them before applying to orders.
+ * Users can check available coupons and validate them before applying to orders;
+ * admins manage promotion codes under /admin.
  */
 
 const router = express.Router();
@@ -46,7 +58,7 @@ router.get('/', protectRoute, getCoupon);
  * @access  Private
  * @header  {string}  Authorization  Bearer token
  * @param   {string}  code          Coupon code to validate
- * @param   {number}  cartTotal     Current cart total (for minimum purchase validation)
+ * @param   {string[]} [codes]      Codes already applied, for stacking rules
  * @returns {Object}  Coupon validation result and discount details
  * 
  * @response {Object} 200 - Coupon is valid
@@ -59,7 +71,7 @@ router.get('/', protectRoute, getCoupon);
  * // Request body
  * {
  *   "code": "SUMMER25",
- *   "cartTotal": 100
+ *   "codes": ["FREESHIP"]
  * }
  * 
  * // Success response
@@ -81,6 +93,121 @@ router.get('/', protectRoute, getCoupon);
  *   "code": "COUPON_EXPIRED"
  * }
  */
-router.post('/validate', protectRoute, validateCoupon);
+router.post(
+  '/validate',
+  protectRoute,
+  [
+    body('codes')
+      .optional()
+      .isArray({ max: MAX_CODES_PER_ORDER - 1 }).withMessage(`At most ${MAX_CODES_PER_ORDER} promotion codes can be used together`)
+  ],
+  validateRequest,
+  validateCoupon
+);
+
+// Fields shared by creating and updating a promotion code
+const promotionValidation = [
+  body('code').optional().isString().trim().isLength({ min: 3, max: 32 }).withMessage('Code must be 3-32 characters'),
+  body('description').optional().isString().trim(),
+  body('type').optional().isIn(PROMOTION_TYPES).withMessage(`Type must be one of: ${PROMOTION_TYPES.join(', ')}`),
+  body('value').optional().isFloat({ min: 0 }).withMessage('Value must be a positive number').toFloat(),
+  body('minSubtotal').optional().isFloat({ min: 0 }).withMessage('Minimum subtotal must be a positive number').toFloat(),
+  body('appliesTo').optional().isObject().withMessage('appliesTo must be an object'),
+  body(['appliesTo.products', 'appliesTo.categories', 'appliesTo.brands'])
+    .optional()
+    .isArray().withMessage('Scopes must be arrays of IDs'),
+  body(['appliesTo.products.*', 'appliesTo.categories.*', 'appliesTo.brands.*'])
+    .isMongoId().withMessage('Invalid ID in scope'),
+  body('startsAt').optional({ values: 'null' }).isISO8601().withMessage('startsAt must be an ISO 8601 date').toDate(),
+  body('expirationDate').optional({ values: 'null' }).isISO8601().withMessage('expirationDate must be an ISO 8601 date').toDate(),
+  body('usageLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1').toInt(),
+  body('perCustomerLimit').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Per-customer limit must be at least 1').toInt(),
+  body('stackable').optional().isBoolean().withMessage('stackable must be a boolean').toBoolean(),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(),
+  body('userId').optional({ values: 'null' }).isMongoId().withMessage('Invalid user ID')
+];
+
+/**
+ * @route   GET /api/coupons/admin
+ * @desc    List promotion codes, newest first
+ * @access  Private/Admin
+ * @param   {string}  [search]  Part of a code
+ * @param   {boolean} [active]  Only active or inactive codes
+ * @param   {number}  [page=1]
+ * @param   {number}  [limit=20]
+ */
+router.get(
+  '/admin',
+  protectRoute,
+  adminRoute,
+  [
+    query('search').optional().isString().trim(),
+    query('active').optional().isBoolean().withMessage('active must be true or false'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validateRequest,
+  getCoupons
+);
+
+/**
+ * @route   POST /api/coupons/admin
+ * @desc    Create a promotion code
+ * @access  Private/Admin
+ *
+ * @example
+ * // Request body: $10 off Acme products over $50, once per customer
+ * {
+ *   "code": "ACME10",
+ *   "type": "fixed_amount",
+ *   "value": 10,
+ *   "minSubtotal": 50,
+ *   "appliesTo": { "brands": ["60d21b4667d0d8992e610c85"] },
+ *   "perCustomerLimit": 1,
+ *   "expirationDate": "2026-12-31T23:59:59.000Z"
+ * }
+ */
+router.post(
+  '/admin',
+  protectRoute,
+  adminRoute,
+  [
+    body('code').exists().withMessage('Code is required'),
+    ...promotionValidation
+  ],
+  validateRequest,
+  createCoupon
+);
+
+/**
+ * @route   PATCH /api/coupons/admin/:id
+ * @desc    Update a promotion code
+ * @access  Private/Admin
+ */
+router.patch(
+  '/admin/:id',
+  protectRoute,
+  adminRoute,
+  [
+    param('id').isMongoId().withMessage('Invalid coupon ID'),
+    ...promotionValidation
+  ],
+  validateRequest,
+  updateCoupon
+);
+
+/**
+ * @route   GET /api/coupons/admin/:id/redemptions
+ * @desc    Orders a promotion code was redeemed on
+ * @access  Private/Admin
+ */
+router.get(
+  '/admin/:id/redemptions',
+  protectRoute,
+  adminRoute,
+  [param('id').isMongoId().withMessage('Invalid coupon ID')],
+  validateRequest,
+  getCouponRedemptions
+);
 
 export default router;
\ No newline at end of file
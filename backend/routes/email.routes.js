@@ -0,0 +1,52 @@
+import express from 'express';
+import { param, query } from 'express-validator';
+import { protectRoute, adminRoute } from '../middleware/auth.middleware.js';
+import { validateRequest } from '../middleware/validation.middleware.js';
+import {
+  getEmailLogs,
+  getEmailLog,
+  retryFailedEmail
+} from '../controllers/email.controller.js';
+
+/**
+ * Email Delivery Log Routes
+ *
+ * Admin-only access to the transactional email log written by the mail service.
+ */
+
+const router = express.Router();
+
+router.use(protectRoute, adminRoute);
+
+/**
+ * @route   GET /api/emails
+ * @desc    List email log entries (filter by status, template, recipient or order)
+ * @access  Private/Admin
+ */
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(['queued', 'sending', 'retrying', 'sent', 'failed']).withMessage('Invalid status'),
+    query('orderId').optional().isMongoId().withMessage('Invalid order ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validateRequest,
+  getEmailLogs
+);
+
+/**
+ * @route   GET /api/emails/:id
+ * @desc    Get an email log entry with its rendered HTML and text bodies
+ * @access  Private/Admin
+ */
+router.get('/:id', [param('id').isMongoId().withMessage('Invalid email log ID')], validateRequest, getEmailLog);
+
+/**
+ * @route   POST /api/emails/:id/retry
+ * @desc    Re-queue a failed email
+ * @access  Private/Admin
+ */
+router.post('/:id/retry', [param('id').isMongoId().withMessage('Invalid email log ID')], validateRequest, retryFailedEmail);
+
+export default router;
@@ -0,0 +1,51 @@
+import express from 'express';
+import { param, query } from 'express-validator';
+import { protectRoute, adminRoute } from '../middleware/auth.middleware.js';
+import { validateRequest } from '../middleware/validation.middleware.js';
+import { INVOICE_TYPES } from '../models/invoice.model.js';
+import { getInvoices, downloadInvoice } from '../controllers/invoice.controller.js';
+
+/**
+ * Invoice Routes
+ *
+ * Admin-only access to issued invoices and credit notes, for accounting.
+ */
+
+const router = express.Router();
+
+router.use(protectRoute, adminRoute);
+
+/**
+ * @route   GET /api/invoices
+ * @desc    List invoices and credit notes, oldest first, as JSON or CSV
+ * @access  Private/Admin
+ * @param   {string} [from]   ISO date, issued on or after
+ * @param   {string} [to]     ISO date, issued on or before
+ * @param   {string} [type]   invoice or credit_note
+ * @param   {string} [format] json (default) or csv
+ */
+router.get(
+  '/',
+  [
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('type').optional().isIn(INVOICE_TYPES).withMessage('Invalid type'),
+    query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+  ],
+  validateRequest,
+  getInvoices
+);
+
+/**
+ * @route   GET /api/invoices/:id/pdf
+ * @desc    Download an invoice or credit note
+ * @access  Private/Admin
+ */
+router.get(
+  '/:id/pdf',
+  [param('id').isMongoId().withMessage('Invalid invoice ID')],
+  validateRequest,
+  downloadInvoice
+);
+
+export default router;
@@ -0,0 +1,96 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { protectRoute } from '../middleware/auth.middleware.js';
+import { validateRequest } from '../middleware/validation.middleware.js';
+import { NOTIFICATION_TYPES } from '../models/notification.model.js';
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences
+} from '../controllers/notification.controller.js';
+
+/**
+ * Notification Center Routes
+ *
+ * Persistent in-app notifications for the authenticated user. Changes are
+ * also pushed over the realtime channel so other tabs and devices stay in sync.
+ */
+
+const router = express.Router();
+
+router.use(protectRoute);
+
+const validateId = [param('id').isMongoId().withMessage('Invalid notification ID')];
+
+/**
+ * @route   GET /api/notifications
+ * @desc    List notifications, newest first (filter by read state or type)
+ * @access  Private
+ */
+router.get(
+  '/',
+  [
+    query('read').optional().isIn(['true', 'false']).withMessage('read must be true or false'),
+    query('type').optional().isIn(NOTIFICATION_TYPES).withMessage('Invalid notification type'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validateRequest,
+  getNotifications
+);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Number of unread notifications
+ * @access  Private
+ */
+router.get('/unread-count', getUnreadCount);
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Notification types the user receives
+ * @access  Private
+ */
+router.get('/preferences', getPreferences);
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Turn notification types on or off
+ * @access  Private
+ * @param   {boolean} [order|payment|inventory|review|user|system] Whether to receive that type
+ */
+router.put(
+  '/preferences',
+  NOTIFICATION_TYPES.map(type =>
+    body(type).optional().isBoolean().withMessage(`${type} must be a boolean`).toBoolean()
+  ),
+  validateRequest,
+  updatePreferences
+);
+
+/**
+ * @route   PATCH /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.patch('/read-all', markAllNotificationsRead);
+
+/**
+ * @route   PATCH /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.patch('/:id/read', validateId, validateRequest, markNotificationRead);
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Delete a notification
+ * @access  Private
+ */
+router.delete('/:id', validateId, validateRequest, deleteNotification);
+
+export default router;
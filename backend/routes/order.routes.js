@@ -1,7 +1,8 @@
 import express from 'express';
 import { param, query, body } from 'express-validator';
 import { validateRequest } from '../middleware/validation.middleware.js';
-import { protectRoute as authenticate, adminRoute as authorize, optionalAuth } from '../middleware/auth.middleware.js';
+import { protectRoute as authenticate, adminRoute as authorize, optionalAuth, requireVerifiedEmail, protectOrderRoute } from '../middleware/auth.middleware.js';
+import { guestOrderLookupIpLimiter, guestOrderLookupEmailLimiter } from '../middleware/security.middleware.js';
 
 // Import controllers
 import {
@@ -34,8 +35,7 @@ import {
 import {
   checkStockLevels,
   getLowStockAlerts,
-  getBackorderedItems,
-  updateInventory
+  getBackorderedItems
 } from '../controllers/order/order.inventory.controller.js';
 
 import {
@@ -47,6 +47,42 @@ import {
   generateSalesReport,
 } from '../controllers/order/order.admin.controller.js';
 
+import {
+  getOrderShipments,
+  createShipment,
+  updateShipment,
+  addShipmentEvent,
+  getOrderShippingRates,
+  purchaseShipmentLabel
+} from '../controllers/order/order.shipment.controller.js';
+
+import {
+  editOrder,
+  getOrderEdits
+} from '../controllers/order/order.edit.controller.js';
+
+import { lookupGuestOrder } from '../controllers/order/order.guest.controller.js';
+import { reorderOrder } from '../controllers/order/order.reorder.controller.js';
+import {
+  approveReturn,
+  rejectReturn,
+  receiveReturnItems,
+  completeReturn,
+  downloadReturnAuthorization
+} from '../controllers/order/order.return.controller.js';
+import { mergeOrders } from '../controllers/order/order.merge.controller.js';
+import { printPackingSlips } from '../controllers/order/order.packing.controller.js';
+import {
+  getRiskReviewQueue,
+  approveRiskReview,
+  rejectRiskReview
+} from '../controllers/order/order.risk.controller.js';
+import {
+  getOrderMessages,
+  postOrderMessage,
+  getAdminOrderTimeline
+} from '../controllers/order/order.message.controller.js';
+
 // Import validations
 import {
   createOrderValidation,
@@ -58,10 +94,27 @@ import {
   orderTrackingValidation,
   bulkOrderStatusValidation,
   orderExportValidation,
-  orderAnalyticsValidation
+  orderAnalyticsValidation,
+  createShipmentValidation,
+  updateShipmentValidation,
+  shipmentEventValidation,
+  shippingRatesValidation,
+  shipmentLabelValidation,
+  editOrderValidation,
+  guestOrderLookupValidation,
+  approveReturnValidation,
+  rejectReturnValidation,
+  receiveReturnValidation,
+  returnIdValidation,
+  returnAuthorizationValidation,
+  mergeOrdersValidation,
+  packingSlipsValidation,
+  riskReviewValidation,
+  orderMessageValidation
 } from '../validations/order.validations.js';
 
 import Order from '../models/order.model.js';
+import { allocateBackorders, allocateAllBackorders } from '../services/backorder.service.js';
 
 const router = express.Router();
 
@@ -69,11 +122,22 @@ const router = express.Router();
 router.post(
   '/',
   authenticate, // This makes authentication optional
+  requireVerifiedEmail('requireVerifiedEmailForCheckout'),
   createOrderValidation,
   validateRequest,
   createOrder
 );
 
+// Guest order lookup: exchanges order number + email for a signed link
+router.post(
+  '/guest/lookup',
+  guestOrderLookupIpLimiter,
+  guestOrderLookupEmailLimiter,
+  guestOrderLookupValidation,
+  validateRequest,
+  lookupGuestOrder
+);
+
 // Inventory routes
 router.get(
   '/inventory/check-stock',
@@ -81,6 +145,7 @@ router.get(
   [
     query('items').isArray().withMessage('Items must be an array'),
     query('items.*.product').isMongoId().withMessage('Invalid product ID'),
+    query('items.*.variant').optional().isMongoId().withMessage('Invalid variant ID'),
     query('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
   ],
   validateRequest,
@@ -117,6 +182,30 @@ router.get(
   }
 );
 
+// Allocate whatever stock is free to backordered lines now instead of waiting for the sweep
+router.post(
+  '/admin/orders/backorders/allocate',
+  authenticate,
+  authorize,
+  [
+    body('product').optional().isMongoId().withMessage('Invalid product ID'),
+    body('variant').optional().isMongoId().withMessage('Invalid variant ID')
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { product, variant } = req.body;
+      const summary = product
+        ? await allocateBackorders(product, { variantId: variant })
+        : await allocateAllBackorders();
+      res.json({ success: true, data: summary });
+    } catch (error) {
+      console.error('Error allocating backorders:', error);
+      res.status(500).json({ success: false, message: 'Error allocating backorders', error: error.message });
+    }
+  }
+);
+
 // Analytics routes
 router.get(
   '/analytics',
@@ -172,30 +261,6 @@ router.get(
   exportOrders
 );
 
-// Webhook for inventory updates (called internally when order status changes)
-router.post(
-  '/webhook/inventory-update/:orderId',
-  [
-    param('orderId').isMongoId().withMessage('Invalid order ID'),
-    body('previousStatus').isString().withMessage('Previous status is required')
-  ],
-  validateRequest,
-  async (req, res) => {
-    try {
-      const order = await Order.findById(req.params.orderId);
-      if (!order) {
-        return res.status(404).json({ success: false, message: 'Order not found' });
-      }
-      
-      await updateInventory(order, req.body.previousStatus);
-      res.json({ success: true, message: 'Inventory updated successfully' });
-    } catch (error) {
-      console.error('Error in inventory webhook:', error);
-      res.status(500).json({ success: false, message: 'Error updating inventory', error: error.message });
-    }
-  }
-);
-
 // Existing order routes
 router.get(
   '/',
@@ -216,7 +281,7 @@ router.get(
 
 router.get(
   '/:orderId',
-  authenticate,
+  protectOrderRoute,
   orderIdValidation,
   validateRequest,
   getOrderById
@@ -238,9 +303,17 @@ router.post(
   cancelOrder
 );
 
+router.post(
+  '/:orderId/reorder',
+  authenticate,
+  orderIdValidation,
+  validateRequest,
+  reorderOrder
+);
+
 router.get(
   '/:orderId/invoice',
-  authenticate,
+  protectOrderRoute,
   orderIdValidation,
   validateRequest,
   generateInvoice
@@ -248,20 +321,117 @@ router.get(
 
 router.post(
   '/:orderId/return',
-  authenticate,
+  protectOrderRoute,
   orderReturnValidation,
   validateRequest,
   requestReturn
 );
 
+router.get(
+  '/:orderId/messages',
+  protectOrderRoute,
+  orderIdValidation,
+  validateRequest,
+  getOrderMessages
+);
+
+router.post(
+  '/:orderId/messages',
+  protectOrderRoute,
+  orderMessageValidation,
+  validateRequest,
+  postOrderMessage
+);
+
+router.get(
+  '/:orderId/returns/:returnId/authorization',
+  protectOrderRoute,
+  returnAuthorizationValidation,
+  validateRequest,
+  downloadReturnAuthorization
+);
+
 router.get(
   '/:orderId/track',
-  authenticate,
+  protectOrderRoute,
   orderTrackingValidation,
   validateRequest,
   trackOrder
 );
 
+// Shipments
+router.get(
+  '/:orderId/shipments',
+  authenticate,
+  orderIdValidation,
+  validateRequest,
+  getOrderShipments
+);
+
+router.post(
+  '/:orderId/shipments',
+  authenticate,
+  authorize,
+  createShipmentValidation,
+  validateRequest,
+  createShipment
+);
+
+router.patch(
+  '/:orderId/shipments/:shipmentId',
+  authenticate,
+  authorize,
+  updateShipmentValidation,
+  validateRequest,
+  updateShipment
+);
+
+router.post(
+  '/:orderId/shipments/:shipmentId/events',
+  authenticate,
+  authorize,
+  shipmentEventValidation,
+  validateRequest,
+  addShipmentEvent
+);
+
+router.post(
+  '/:orderId/shipments/:shipmentId/label',
+  authenticate,
+  authorize,
+  shipmentLabelValidation,
+  validateRequest,
+  purchaseShipmentLabel
+);
+
+router.get(
+  '/:orderId/shipping-rates',
+  authenticate,
+  authorize,
+  shippingRatesValidation,
+  validateRequest,
+  getOrderShippingRates
+);
+
+// Post-purchase edits
+router.get(
+  '/:orderId/edits',
+  authenticate,
+  authorize,
+  orderIdValidation,
+  validateRequest,
+  getOrderEdits
+);
+
+router.post(
+  '/:orderId/edits',
+  authenticate,
+  authorize,
+  editOrderValidation,
+  validateRequest,
+  editOrder
+);
+
 // Admin routes
 router.post(
   '/admin/returns',
@@ -278,6 +448,90 @@ router.put(
   updateReturnStatus
 );
 
+router.post(
+  '/admin/returns/:id/approve',
+  authenticate,
+  authorize,
+  approveReturnValidation,
+  validateRequest,
+  approveReturn
+);
+
+router.post(
+  '/admin/returns/:id/reject',
+  authenticate,
+  authorize,
+  rejectReturnValidation,
+  validateRequest,
+  rejectReturn
+);
+
+router.post(
+  '/admin/returns/:id/receive',
+  authenticate,
+  authorize,
+  receiveReturnValidation,
+  validateRequest,
+  receiveReturnItems
+);
+
+router.post(
+  '/admin/returns/:id/complete',
+  authenticate,
+  authorize,
+  returnIdValidation,
+  validateRequest,
+  completeReturn
+);
+
+router.post(
+  '/admin/orders/merge',
+  authenticate,
+  authorize,
+  mergeOrdersValidation,
+  validateRequest,
+  mergeOrders
+);
+
+router.post(
+  '/admin/orders/packing-slips',
+  authenticate,
+  authorize,
+  packingSlipsValidation,
+  validateRequest,
+  printPackingSlips
+);
+
+router.get(
+  '/admin/orders/risk-review',
+  authenticate,
+  authorize,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validateRequest,
+  getRiskReviewQueue
+);
+
+router.post(
+  '/admin/orders/:orderId/risk-review/approve',
+  authenticate,
+  authorize,
+  riskReviewValidation,
+  validateRequest,
+  approveRiskReview
+);
+
+router.post(
+  '/admin/orders/:orderId/risk-review/reject',
+  authenticate,
+  authorize,
+  riskReviewValidation,
+  validateRequest,
+  rejectRiskReview
+);
+
 router.post(
   '/admin/orders/:id/refund',
   authenticate,
@@ -308,13 +562,23 @@ router.post(
   authorize,
   [
     param('orderId').isMongoId().withMessage('Invalid order ID'),
-    body('note').isString().notEmpty().withMessage('Note is required'),
-    body('isInternal').optional().isBoolean().withMessage('isInternal must be a boolean')
+    body('note').isString().trim().notEmpty().withMessage('Note is required')
+      .isLength({ max: 2000 }).withMessage('Note cannot be longer than 2000 characters'),
+    body('isInternal').optional().isBoolean().withMessage('isInternal must be a boolean').toBoolean()
   ],
   validateRequest,
   addOrderNote
 );
 
+router.get(
+  '/admin/orders/:orderId/messages',
+  authenticate,
+  authorize,
+  orderIdValidation,
+  validateRequest,
+  getAdminOrderTimeline
+);
+
 router.get(
   '/admin/reports/sales',
   authenticate,
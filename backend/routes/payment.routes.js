@@ -1,5 +1,5 @@
 import express from 'express';
-import { protectRoute, adminRoute } from '../middleware/auth.middleware.js';
+import { protectRoute, adminRoute, requireVerifiedEmail } from '../middleware/auth.middleware.js';
 import { 
   createPaymentIntent,
   handleWebhook,
@@ -58,6 +58,7 @@ const router = express.Router();
 router.post(
   '/create-payment-intent', 
   protectRoute, 
+  requireVerifiedEmail('requireVerifiedEmailForCheckout'),
   validateCreatePaymentIntent,
   validateRequest,
   createPaymentIntent
@@ -168,6 +169,7 @@ router.get(
 router.post(
   '/checkout-session', 
   protectRoute,
+  requireVerifiedEmail('requireVerifiedEmailForCheckout'),
   validateCheckoutSession,
   validateRequest,
   createCheckoutSession
@@ -26,74 +26,14 @@ router.post(
   [
     param('id')
       .isMongoId()
-      .withMessage('Invalid product ID')
+      .withMessage('Invalid product ID'),
+    body('variantId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid variant ID')
   ],
   validate,
-  async (req, res) => {
-    console.log('=== SUBSCRIBE TO STOCK ALERT STARTED ===');
-    console.log('Request params:', req.params);
-    console.log('User from request:', req.user);
-    
-    try {
-      const { id } = req.params;
-      const userId = req.user._id;
-
-      console.log('Finding product with ID:', id);
-      const product = await Product.findById(id);
-      
-      if (!product) {
-        console.log('Product not found');
-        return res.status(404).json({ 
-          success: false, 
-          message: 'Product not found' 
-        });
-      }
-
-      console.log('Product found:', product.name);
-      console.log('Checking if user is already subscribed...');
-
-      // Initialize watchingUsers if it doesn't exist
-      if (!product.watchingUsers) {
-        product.watchingUsers = [];
-      }
-
-      // Check if user is already subscribed
-      if (product.watchingUsers.includes(userId)) {
-        console.log('User already subscribed');
-        return res.status(400).json({ 
-          success: false, 
-          message: 'You are already subscribed to stock alerts for this product' 
-        });
-      }
-
-      console.log('Adding user to watchingUsers array...');
-      // Add user to watchingUsers array
-      product.watchingUsers.push(userId);
-      
-      console.log('Saving product...');
-      const updatedProduct = await product.save();
-      
-      console.log('Product saved successfully:', updatedProduct);
-      
-      return res.status(200).json({
-        success: true,
-        message: 'You will be notified when this product is back in stock',
-        data: {
-          productId: product._id,
-          productName: product.name,
-          isInStock: product.inventory?.quantity > 0 || false
-        }
-      });
-    } catch (error) {
-      console.error('ERROR in subscribeToStockAlert:', error);
-      return res.status(500).json({ 
-        success: false, 
-        message: 'Internal server error',
-        error: error.message,
-        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-      });
-    }
-  }
+  subscribeToStockAlert
 );
 
 // Get low stock products (admin only)
@@ -15,7 +15,7 @@ import {
   validateProductId,
   validateReviewId
 } from '../validations/review.validations.js';
-import {protectRoute}  from '../middleware/auth.middleware.js';
+import { protectRoute, requireVerifiedEmail } from '../middleware/auth.middleware.js';
 import { validate } from '../middleware/validate.middleware.js';
 
 const router = express.Router({ mergeParams: true });
@@ -75,6 +75,7 @@ router.post(
 router.post(
   '/',
   validateProductId,
+  requireVerifiedEmail('requireVerifiedEmailForReviews'),
   validate(createReviewValidation),
   createReview
 );
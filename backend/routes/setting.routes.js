@@ -0,0 +1,73 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { protectRoute, adminRoute } from '../middleware/auth.middleware.js';
+import { validateRequest } from '../middleware/validation.middleware.js';
+import { getSettings, updateSettings } from '../controllers/setting.controller.js';
+
+/**
+ * Store Settings Routes
+ *
+ * Admin-only access to store-wide settings such as email verification and
+ * two-factor requirements, and the fraud scoring rules.
+ */
+
+const router = express.Router();
+
+router.use(protectRoute, adminRoute);
+
+/**
+ * @route   GET /api/settings
+ * @desc    Get store settings
+ * @access  Private/Admin
+ */
+router.get('/', getSettings);
+
+/**
+ * @route   PUT /api/settings
+ * @desc    Update store settings
+ * @access  Private/Admin
+ * @param   {boolean} [requireVerifiedEmailForCheckout] Block checkout until the customer's email is verified
+ * @param   {boolean} [requireVerifiedEmailForReviews]  Block review submission until the customer's email is verified
+ * @param   {boolean} [requireTwoFactorForAdmins]       Require two-factor authentication for every admin account
+ * @param   {Object}  [fraudRules]                      Fraud scoring rules and thresholds; omitted fields keep their value
+ */
+router.put(
+  '/',
+  [
+    body('requireVerifiedEmailForCheckout').optional().isBoolean().withMessage('requireVerifiedEmailForCheckout must be a boolean').toBoolean(),
+    body('requireVerifiedEmailForReviews').optional().isBoolean().withMessage('requireVerifiedEmailForReviews must be a boolean').toBoolean(),
+    body('requireTwoFactorForAdmins').optional().isBoolean().withMessage('requireTwoFactorForAdmins must be a boolean').toBoolean(),
+    body('fraudRules').optional().isObject().withMessage('fraudRules must be an object'),
+    body([
+      'fraudRules.enabled',
+      'fraudRules.velocity.enabled',
+      'fraudRules.countryMismatch.enabled',
+      'fraudRules.firstOrderHighValue.enabled',
+      'fraudRules.failedPayments.enabled',
+      'fraudRules.disposableEmail.enabled'
+    ]).optional().isBoolean().withMessage('enabled must be a boolean').toBoolean(),
+    body([
+      'fraudRules.mediumRiskScore',
+      'fraudRules.highRiskScore',
+      'fraudRules.velocity.points',
+      'fraudRules.countryMismatch.points',
+      'fraudRules.firstOrderHighValue.points',
+      'fraudRules.firstOrderHighValue.amount',
+      'fraudRules.failedPayments.points',
+      'fraudRules.disposableEmail.points'
+    ]).optional().isFloat({ min: 0 }).withMessage('Scores, points and amounts must be zero or more').toFloat(),
+    body([
+      'fraudRules.velocity.windowMinutes',
+      'fraudRules.velocity.maxOrders',
+      'fraudRules.failedPayments.windowHours',
+      'fraudRules.failedPayments.maxFailures'
+    ]).optional().isInt({ min: 1 }).withMessage('Windows and limits must be positive integers').toInt(),
+    body('fraudRules.disposableEmail.domains').optional().isArray().withMessage('domains must be a list'),
+    body('fraudRules.disposableEmail.domains.*').isString().trim().toLowerCase()
+      .matches(/^[a-z0-9.-]+\.[a-z]{2,}$/).withMessage('Invalid email domain')
+  ],
+  validateRequest,
+  updateSettings
+);
+
+export default router;
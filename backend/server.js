@@ -65,6 +65,18 @@ import importExportRoutes from './routes/product/importExport.routes.js';
 import { connectDB } from './lib/db.js';
 import orderRoutes from './routes/order.routes.js';
 import categoryRoutes from './routes/category.routes.js';
+import emailRoutes from './routes/email.routes.js';
+import settingRoutes from './routes/setting.routes.js';
+import notificationRoutes from './routes/notification.routes.js';
+import cartRecoveryRoutes from './routes/cartRecovery.routes.js';
+import invoiceRoutes from './routes/invoice.routes.js';
+import { resumeQueuedEmails } from './services/mail.service.js';
+import { startCartRecoveryJob } from './services/cartRecovery.service.js';
+import { startStockReservationJob } from './services/stockReservation.service.js';
+import { startBackorderJob } from './services/backorder.service.js';
+import { syncCouponIndexes } from './services/promotion.service.js';
+import { CustomError } from './errors/custom-error.js';
+import { initSocket } from './lib/socket.js';
 // Import Passport configuration
 import passport from './lib/passport.js';
 import sessionMiddleware from './config/session.config.js';
@@ -108,7 +120,7 @@ const corsOptions = {
     'X-Forwarded-Proto',
     'X-Forwarded-Port'
   ],
-  exposedHeaders: ['set-cookie'],
+  exposedHeaders: ['set-cookie', 'X-Pick-List-Id', 'X-Picked-Orders', 'X-Skipped-Orders'],
   optionsSuccessStatus: 200
 };
 
@@ -118,7 +130,15 @@ app.use(requestLogger);
 
 // Apply CORS and body parsing
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '10kb' }));
+// Webhooks verify signatures over the exact bytes they were sent
+app.use(express.json({
+  limit: '10kb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhooks/')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 app.use(cookieParser());
 
@@ -225,10 +245,29 @@ app.use('/api/compare', comparisonRoutes);
 // Mount order routes
 app.use('/api/orders', orderRoutes);
 
+// Email delivery log (admin)
+app.use('/api/emails', emailRoutes);
+
+// Store settings (admin)
+app.use('/api/settings', settingRoutes);
+
+// Notification center
+app.use('/api/notifications', notificationRoutes);
+
+// Abandoned cart recovery (admin)
+app.use('/api/cart-recovery', cartRecoveryRoutes);
+
+// Invoices and credit notes (admin)
+app.use('/api/invoices', invoiceRoutes);
+
 // Webhook endpoint (must be before bodyParser)
 import stripeWebhook from './webhooks/stripe.webhook.js';
 app.use('/webhooks/stripe', stripeWebhook);
 
+// Carrier tracking webhooks
+import carrierWebhook from './webhooks/carrier.webhook.js';
+app.use('/webhooks/carriers', carrierWebhook);
+
 // Add catch-all route for debugging
 app.use('/api/*', (req, res, next) => {
   console.log('Catch-all route hit:', req.originalUrl);
@@ -245,10 +284,19 @@ if (process.env.NODE_ENV === 'production') {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err instanceof CustomError && err.statusCode) {
+    return res.status(err.statusCode).json({
+      success: false,
+      errors: err.serializeErrors()
+    });
+  }
+
   console.error('Error:', err.stack);
-  res.status(500).json({
+  // Controllers using asyncHandler set the status before throwing
+  const statusCode = res.statusCode >= 400 ? res.statusCode : 500;
+  res.status(statusCode).json({
     success: false,
-    error: process.env.NODE_ENV === 'development' ? err.message : 'Internal Server Error'
+    error: statusCode < 500 || process.env.NODE_ENV === 'development' ? err.message : 'Internal Server Error'
   });
 });
 
@@ -256,11 +304,34 @@ app.use((err, req, res, next) => {
 const startServer = async () => {
   try {
     await connectDB();
+
+    // Pick up emails left in the queue by a previous run
+    resumeQueuedEmails().catch(error => {
+      console.error('Failed to resume queued emails:', error.message);
+    });
+
+    // Coupons used to be one per user; drop that index so store-wide codes can be created
+    syncCouponIndexes().catch(error => {
+      console.error('Failed to sync coupon indexes:', error.message);
+    });
+
+    // Periodically chase abandoned carts
+    startCartRecoveryJob();
+
+    // Release stock held by orders that were never paid
+    startStockReservationJob();
+
+    // Hand freed and restocked units to backordered order lines
+    startBackorderJob();
+
     const PORT = process.env.PORT || 5000;
     const server = app.listen(PORT, '0.0.0.0', () => {
       console.log(`Server running on port ${PORT} (${process.env.NODE_ENV || 'development'})`);
     });
 
+    // Realtime channel shares the HTTP server and CORS rules with the REST API
+    initSocket(server, { origin: corsOptions.origin });
+
     server.on('error', (error) => {
       if (error.code === 'EADDRINUSE') {
         console.error(`Port ${PORT} is already in use`);
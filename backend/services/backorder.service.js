@@ -0,0 +1,190 @@
+import mongoose from 'mongoose';
+import Order from '../models/order.model.js';
+import Product from '../models/product.model.js';
+import logger from '../utils/logger.js';
+import { findVariant, allocateBackorderedStock } from './stockReservation.service.js';
+
+/**
+ * Backorders.
+ *
+ * Products with `allowBackorder` can be ordered beyond their stock. What
+ * checkout couldn't hold is recorded on the order line as
+ * `backorderedQuantity`, and the rest of the order ships without it. When
+ * stock comes in it is allocated to waiting lines, oldest order first, and
+ * those units become ready to ship.
+ */
+
+// Orders whose backorders are still wanted
+export const BACKORDER_STATUSES = ['pending', 'processing'];
+
+const SWEEP_INTERVAL_MS = (parseInt(process.env.BACKORDER_ALLOCATION_INTERVAL_MINUTES, 10) || 10) * 60 * 1000;
+
+let timer = null;
+
+/**
+ * Allocate free stock of a product (or one of its variants) to the orders
+ * waiting on it, oldest first
+ * @param {string} productId
+ * @param {Object} [options]
+ * @param {string} [options.variantId] - Only this variant's backorders
+ * @returns {Promise<{allocated: number, orders: number}>} Units allocated and orders they went to
+ */
+export const allocateBackorders = async (productId, { variantId } = {}) => {
+  const product = await Product.findById(productId).select('name variants').lean();
+  const variantFilter = variantId ? findVariant(product, variantId) : null;
+  if (!product || (variantId && !variantFilter)) return { allocated: 0, orders: 0 };
+
+  const waiting = (item) => item.product.toString() === product._id.toString()
+    && item.backorderedQuantity > 0
+    && (!variantFilter || item.variant?.sku === variantFilter.sku);
+
+  // Products and variants that ran out partway through
+  const exhausted = new Set();
+  const summary = { allocated: 0, orders: 0 };
+
+  const candidates = await Order.find({
+    status: { $in: BACKORDER_STATUSES },
+    items: {
+      $elemMatch: {
+        product: product._id,
+        backorderedQuantity: { $gt: 0 },
+        ...(variantFilter && { 'variant.sku': variantFilter.sku })
+      }
+    }
+  }).sort({ createdAt: 1 }).select('_id').lean();
+
+  for (const { _id } of candidates) {
+    const session = await mongoose.startSession();
+    let allocated = 0;
+
+    try {
+      session.startTransaction();
+
+      const order = await Order.findById(_id).session(session);
+      if (!order || !BACKORDER_STATUSES.includes(order.status)) {
+        await session.abortTransaction();
+        continue;
+      }
+
+      for (const item of order.items.filter(waiting)) {
+        const variant = findVariant(product, item.variant?.sku);
+        const key = String(variant?._id || '');
+        // The variant this line was ordered in is gone; staff have to edit the order
+        if ((item.variant?.sku && !variant) || exhausted.has(key)) continue;
+
+        const units = await allocateBackorderedStock(
+          order,
+          { product, variant, quantity: item.backorderedQuantity },
+          { session }
+        );
+        if (units < item.backorderedQuantity) exhausted.add(key);
+
+        item.backorderedQuantity -= units;
+        allocated += units;
+      }
+
+      if (allocated > 0) {
+        // The allocated units still have to be picked
+        order.picking = undefined;
+        await order.save({ session });
+        await session.commitTransaction();
+        summary.allocated += allocated;
+        summary.orders += 1;
+      } else {
+        await session.abortTransaction();
+      }
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      logger.error('Failed to allocate backordered stock', { orderId: _id, productId, error: error.message });
+    } finally {
+      session.endSession();
+    }
+
+    // Nothing left of what was asked for; the remaining orders keep waiting
+    if (variantFilter ? exhausted.size > 0 : exhausted.has('')) break;
+  }
+
+  if (summary.allocated > 0) {
+    logger.info('Backordered stock allocated', { productId, variantId, ...summary });
+  }
+  return summary;
+};
+
+/**
+ * Allocate stock to every backordered line that can now be covered
+ * @returns {Promise<{allocated: number, orders: number}>}
+ */
+export const allocateAllBackorders = async () => {
+  const products = await Order.aggregate([
+    { $match: { status: { $in: BACKORDER_STATUSES }, 'items.backorderedQuantity': { $gt: 0 } } },
+    { $unwind: '$items' },
+    { $match: { 'items.backorderedQuantity': { $gt: 0 } } },
+    { $group: { _id: '$items.product' } }
+  ]);
+
+  const summary = { allocated: 0, orders: 0 };
+  for (const { _id } of products) {
+    const { allocated, orders } = await allocateBackorders(_id);
+    summary.allocated += allocated;
+    summary.orders += orders;
+  }
+  return summary;
+};
+
+/**
+ * Allocate restocked stock in the background. When the restock is part of a
+ * transaction, wait until the session ends and only run if it committed.
+ * @param {string} productId
+ * @param {Object} [options]
+ * @param {string} [options.variantId] - Restocked variant
+ * @param {import('mongoose').ClientSession} [options.session] - Session the restock was made in
+ */
+export const scheduleBackorderAllocation = (productId, { variantId, session } = {}) => {
+  const run = () => allocateBackorders(productId, { variantId }).catch(error => {
+    logger.error('Backorder allocation failed', { productId, variantId, error: error.message });
+  });
+
+  if (session?.inTransaction()) {
+    session.once('ended', () => {
+      if (session.transaction.isCommitted) run();
+    });
+    return;
+  }
+
+  run();
+};
+
+/**
+ * Start the periodic allocation sweep, which picks up stock freed by
+ * cancellations, expired holds and restocks made outside the inventory API
+ */
+export const startBackorderJob = () => {
+  if (timer) return;
+
+  const tick = () => allocateAllBackorders().catch(error => {
+    logger.error('Backorder allocation sweep failed', { error: error.message });
+  });
+
+  timer = setInterval(tick, SWEEP_INTERVAL_MS);
+  timer.unref();
+  tick();
+};
+
+/**
+ * Stop the periodic allocation sweep
+ */
+export const stopBackorderJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export default {
+  BACKORDER_STATUSES,
+  allocateBackorders,
+  allocateAllBackorders,
+  scheduleBackorderAllocation,
+  startBackorderJob,
+  stopBackorderJob
+};
@@ -0,0 +1,84 @@
+import manualCarrier from './manual.carrier.js';
+import mockCarrier from './mock.carrier.js';
+
+/**
+ * Carrier adapters.
+ *
+ * Each adapter wraps one carrier's API behind the same interface. Shipments
+ * whose carrier has no adapter (UPS, FedEx, ... entered by hand) fall back to
+ * the manual one.
+ *
+ * @typedef {Object} CarrierRate
+ * @property {string} service - Carrier service level, e.g. "ground"
+ * @property {number} amount
+ * @property {string} currency
+ * @property {number} [estimatedDays]
+ *
+ * @typedef {Object} CarrierTrackingEvent
+ * @property {string} trackingNumber
+ * @property {string|null} status - A shipment status, or null if the carrier's code is unknown
+ * @property {string} [description]
+ * @property {string} [location]
+ * @property {Date} occurredAt
+ *
+ * @typedef {Object} CarrierAdapter
+ * @property {string} code - Stored as `shipment.carrier`
+ * @property {string} name
+ * @property {boolean} supportsLabels
+ * @property {boolean} supportsWebhooks
+ * @property {function({order: Object, items: Array<Object>}): Promise<CarrierRate[]>} getRates
+ * @property {function({order: Object, shipment: Object, service?: string}): Promise<{trackingNumber: string, service: string, label: Object, estimatedDelivery?: Date}>} createLabel
+ * @property {function(string, string): (string|undefined)} getTrackingUrl - Tracking number and carrier code
+ * @property {function(string): (string|null)} normalizeStatus - Carrier status code to shipment status
+ * @property {function(Object): boolean} verifyWebhook - Checks the request's signature; `req.rawBody` is set
+ * @property {function(Object): CarrierTrackingEvent[]} parseWebhook - Request body to events
+ */
+
+const adapters = new Map();
+
+/**
+ * Make a carrier available for quotes, labels and webhooks
+ * @param {CarrierAdapter} adapter
+ */
+export const registerCarrier = (adapter) => {
+  adapters.set(adapter.code, adapter);
+};
+
+/**
+ * Adapter registered under a code
+ * @param {string} code
+ * @returns {CarrierAdapter|undefined}
+ */
+export const findCarrier = (code) => adapters.get(code);
+
+/**
+ * Adapter for a shipment's carrier, falling back to the manual one
+ * @param {string} code
+ * @returns {CarrierAdapter}
+ */
+export const getCarrier = (code) => adapters.get(code) || manualCarrier;
+
+/**
+ * Registered carriers, for pickers in the admin
+ * @returns {Array<{code: string, name: string, supportsLabels: boolean, supportsWebhooks: boolean}>}
+ */
+export const listCarriers = () => [...adapters.values()].map(({ code, name, supportsLabels, supportsWebhooks }) => ({
+  code,
+  name,
+  supportsLabels,
+  supportsWebhooks
+}));
+
+registerCarrier(manualCarrier);
+
+// Never let made-up tracking data into a live store unless asked for
+if (process.env.NODE_ENV !== 'production' || process.env.ENABLE_MOCK_CARRIER === 'true') {
+  registerCarrier(mockCarrier);
+}
+
+export default {
+  registerCarrier,
+  findCarrier,
+  getCarrier,
+  listCarriers
+};
@@ -0,0 +1,53 @@
+/**
+ * Manual carrier.
+ *
+ * For parcels sent outside the system: staff type in the tracking number and
+ * record events by hand. Known carriers still get a public tracking link.
+ */
+
+const TRACKING_URLS = {
+  ups: (number) => `https://www.ups.com/track?tracknum=${number}`,
+  fedex: (number) => `https://www.fedex.com/fedextrack/?trknbr=${number}`,
+  usps: (number) => `https://tools.usps.com/go/TrackConfirmAction?tLabels=${number}`,
+  dhl: (number) => `https://www.dhl.com/en/express/tracking.html?AWB=${number}`
+};
+
+/** @type {import('./index.js').CarrierAdapter} */
+const manualCarrier = {
+  code: 'manual',
+  name: 'Manual',
+  supportsLabels: false,
+  supportsWebhooks: false,
+
+  // The flat rate the customer paid at checkout
+  async getRates({ order }) {
+    return [{
+      service: 'standard',
+      amount: Number(order.shippingPrice) || 0,
+      currency: 'USD'
+    }];
+  },
+
+  async createLabel() {
+    throw new Error('Manual shipments have no label to buy; add the tracking number instead');
+  },
+
+  getTrackingUrl(trackingNumber, carrier) {
+    if (!trackingNumber) return undefined;
+    return TRACKING_URLS[carrier]?.(encodeURIComponent(trackingNumber));
+  },
+
+  normalizeStatus(status) {
+    return status;
+  },
+
+  verifyWebhook() {
+    return false;
+  },
+
+  parseWebhook() {
+    return [];
+  }
+};
+
+export default manualCarrier;
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+
+/**
+ * Mock carrier for development and tests.
+ *
+ * Quotes, labels and tracking numbers are made up locally, so shipping can
+ * be exercised without carrier accounts. Status pushes arrive on
+ * `POST /webhooks/carriers/mock`, signed like a real carrier would:
+ *
+ *   X-Mock-Signature: hex HMAC-SHA256 of the raw body with MOCK_CARRIER_WEBHOOK_SECRET
+ *   { "events": [{ "tracking_number": "MOCK...", "status_code": "IT",
+ *                  "message": "Departed facility", "location": "Memphis, TN",
+ *                  "timestamp": "2026-01-01T12:00:00Z" }] }
+ */
+
+const SERVICES = [
+  { service: 'ground', base: 5.99, perItem: 1, estimatedDays: 5 },
+  { service: 'express', base: 14.99, perItem: 2, estimatedDays: 2 },
+  { service: 'overnight', base: 29.99, perItem: 3, estimatedDays: 1 }
+];
+
+const STATUS_CODES = {
+  LC: 'label_created',
+  PU: 'in_transit',
+  IT: 'in_transit',
+  OD: 'out_for_delivery',
+  DL: 'delivered',
+  EX: 'exception',
+  RS: 'returned_to_sender'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const webhookSecret = () => process.env.MOCK_CARRIER_WEBHOOK_SECRET;
+
+/**
+ * Sign a webhook body the way the mock carrier does, for scripts and tests
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex signature for the X-Mock-Signature header
+ */
+export const signMockPayload = (body) =>
+  crypto.createHmac('sha256', webhookSecret() || '').update(body).digest('hex');
+
+/** @type {import('./index.js').CarrierAdapter} */
+const mockCarrier = {
+  code: 'mock',
+  name: 'Mock Carrier',
+  supportsLabels: true,
+  supportsWebhooks: true,
+
+  async getRates({ items }) {
+    const quantity = items.reduce((sum, item) => sum + item.quantity, 0);
+    return SERVICES.map(({ service, base, perItem, estimatedDays }) => ({
+      service,
+      amount: Math.round((base + perItem * quantity) * 100) / 100,
+      currency: 'USD',
+      estimatedDays
+    }));
+  },
+
+  async createLabel({ shipment, service = 'ground' }) {
+    const rate = SERVICES.find(option => option.service === service);
+    if (!rate) {
+      throw new Error(`Unknown mock service: ${service}`);
+    }
+
+    const trackingNumber = `MOCK${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    return {
+      trackingNumber,
+      service,
+      label: {
+        url: `https://mock-carrier.invalid/labels/${trackingNumber}.pdf`,
+        format: 'pdf',
+        reference: `${shipment.shipmentNumber}:${trackingNumber}`
+      },
+      estimatedDelivery: new Date(Date.now() + rate.estimatedDays * DAY_MS)
+    };
+  },
+
+  getTrackingUrl() {
+    return undefined;
+  },
+
+  normalizeStatus(code) {
+    return STATUS_CODES[code] || null;
+  },
+
+  verifyWebhook(req) {
+    const signature = req.get('x-mock-signature');
+    if (!webhookSecret() || !signature || !req.rawBody) return false;
+
+    const expected = Buffer.from(signMockPayload(req.rawBody), 'hex');
+    const received = Buffer.from(signature, 'hex');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  },
+
+  parseWebhook(body) {
+    return (body?.events || []).map(event => ({
+      trackingNumber: event.tracking_number,
+      status: STATUS_CODES[event.status_code] || null,
+      description: event.message,
+      location: event.location,
+      occurredAt: event.timestamp ? new Date(event.timestamp) : new Date()
+    }));
+  }
+};
+
+export default mockCarrier;
@@ -0,0 +1,347 @@
+import crypto from 'crypto';
+import CartRecovery from '../models/cartRecovery.model.js';
+import Coupon from '../models/coupon.model.js';
+import User from '../models/user.model.js';
+import redis from '../lib/redis.js';
+import cartRecoveryConfig from '../config/cartRecovery.config.js';
+import { queueEmail } from './mail.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Abandoned cart recovery.
+ *
+ * A periodic job looks for carts idle longer than the first configured step,
+ * opens a recovery campaign per cart and sends the next due message. Orders
+ * placed while a campaign is active are attributed back to it.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const LOCK_KEY = 'lock:cart-recovery';
+
+let timer = null;
+let running = false;
+
+const generateCouponCode = () => `COMEBACK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+const snapshotCart = (cartItems = []) => {
+  const items = cartItems
+    .filter(item => item?.product)
+    .map(item => ({
+      product: item.product._id,
+      name: item.product.name,
+      price: item.product.price,
+      quantity: item.quantity,
+      image: item.product.images?.[0]?.url || item.product.images?.[0]
+    }));
+
+  const cartValue = items.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 0), 0);
+  return { items, cartValue };
+};
+
+/**
+ * Issue the user a single-use recovery coupon, reserved for them. An unused
+ * recovery coupon they already hold is reused rather than replaced.
+ * @param {string} userId - Recipient
+ * @returns {Promise<{code: string, discountPercentage: number, expiresAt: Date}>}
+ */
+const issueCoupon = async (userId) => {
+  const now = new Date();
+  const existing = await Coupon.findOne({
+    userId,
+    code: /^COMEBACK-/,
+    isActive: true,
+    usedCount: 0,
+    expirationDate: { $gt: now }
+  });
+  if (existing) {
+    return {
+      code: existing.code,
+      discountPercentage: existing.discountPercentage,
+      expiresAt: existing.expirationDate
+    };
+  }
+
+  const { percentage, validHours } = cartRecoveryConfig.discount;
+  const coupon = await Coupon.create({
+    code: generateCouponCode(),
+    description: 'Cart recovery',
+    type: 'percentage',
+    value: percentage,
+    expirationDate: new Date(now.getTime() + validHours * HOUR_MS),
+    usageLimit: 1,
+    userId
+  });
+
+  return {
+    code: coupon.code,
+    discountPercentage: coupon.discountPercentage,
+    expiresAt: coupon.expirationDate
+  };
+};
+
+/**
+ * Send the next due message for one idle cart
+ * @param {Object} user - User with populated cart items
+ * @param {Date} now - Job run time
+ * @returns {Promise<boolean>} Whether a message was sent
+ */
+const processCart = async (user, now) => {
+  const { items, cartValue } = snapshotCart(user.cartItems);
+  if (!items.length) return false;
+
+  let campaign = await CartRecovery.findOne({ user: user._id, status: 'active' });
+  if (!campaign) {
+    // A cart that already ran through a campaign isn't chased again until it changes
+    const alreadyChased = await CartRecovery.exists({
+      user: user._id,
+      abandonedAt: { $gte: user.cartUpdatedAt }
+    });
+    if (alreadyChased) return false;
+
+    campaign = await CartRecovery.create({ user: user._id, abandonedAt: user.cartUpdatedAt });
+  }
+
+  const nextStep = cartRecoveryConfig.steps[campaign.messages.length];
+  if (!nextStep) return false;
+
+  // Activity after an earlier message restarts the idle clock, not the sequence
+  const abandonedAt = user.cartUpdatedAt > campaign.abandonedAt ? user.cartUpdatedAt : campaign.abandonedAt;
+  if (now - abandonedAt < nextStep.delayHours * HOUR_MS) {
+    if (abandonedAt !== campaign.abandonedAt) {
+      await CartRecovery.updateOne({ _id: campaign._id }, { $set: { abandonedAt } });
+    }
+    return false;
+  }
+
+  const coupon = nextStep.withDiscount ? await issueCoupon(user._id) : null;
+
+  // Claim the step first so a concurrent run can't send it twice
+  const claimed = await CartRecovery.findOneAndUpdate(
+    { _id: campaign._id, status: 'active', 'messages.step': { $ne: nextStep.step } },
+    {
+      $set: {
+        abandonedAt,
+        items,
+        cartValue,
+        lastMessageAt: now,
+        ...(coupon && { coupon })
+      },
+      $push: { messages: { step: nextStep.step, sentAt: now, couponCode: coupon?.code } }
+    },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  const log = await queueEmail({
+    to: user.email,
+    template: 'cartRecovery',
+    data: {
+      name: user.name,
+      items,
+      cartValue,
+      step: nextStep.step,
+      coupon,
+      campaignId: claimed._id.toString()
+    },
+    userId: user._id,
+    metadata: { cartRecoveryId: claimed._id.toString(), step: nextStep.step }
+  });
+
+  await CartRecovery.updateOne(
+    { _id: claimed._id, 'messages.step': nextStep.step },
+    { $set: { 'messages.$.emailLog': log._id } }
+  );
+
+  return true;
+};
+
+/**
+ * Close campaigns whose attribution window has passed
+ * @param {Date} now - Job run time
+ * @returns {Promise<number>} Number of campaigns expired
+ */
+const expireStaleCampaigns = async (now) => {
+  const cutoff = new Date(now.getTime() - cartRecoveryConfig.attributionWindowDays * 24 * HOUR_MS);
+  const result = await CartRecovery.updateMany(
+    { status: 'active', lastMessageAt: { $lte: cutoff } },
+    { $set: { status: 'expired' } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Run one pass of the recovery job
+ * @param {Date} [now] - Evaluation time
+ * @returns {Promise<{sent: number, expired: number}|null>} Summary, or null if another run holds the lock
+ */
+export const runCartRecovery = async (now = new Date()) => {
+  const [firstStep] = cartRecoveryConfig.steps;
+  if (!firstStep || running) return null;
+
+  // Only one instance runs the job at a time; the TTL frees the lock if a run dies
+  const lockTtlSeconds = Math.ceil(cartRecoveryConfig.intervalMs / 1000);
+  let locked = false;
+  try {
+    locked = Boolean(await redis.set(LOCK_KEY, process.pid, 'EX', lockTtlSeconds, 'NX'));
+    if (!locked) return null;
+  } catch (error) {
+    logger.warn('Cart recovery lock unavailable, running without it', { error: error.message });
+  }
+
+  running = true;
+  let sent = 0;
+
+  try {
+    const idleSince = new Date(now.getTime() - firstStep.delayHours * HOUR_MS);
+    const cursor = User.find({
+      'cartItems.0': { $exists: true },
+      cartUpdatedAt: { $lte: idleSince },
+      email: { $exists: true, $ne: null }
+    })
+      .select('name email cartItems cartUpdatedAt')
+      .populate('cartItems.product', 'name price images')
+      .batchSize(cartRecoveryConfig.batchSize)
+      .cursor();
+
+    for await (const user of cursor) {
+      try {
+        if (await processCart(user, now)) sent += 1;
+      } catch (error) {
+        logger.error('Cart recovery failed for user', { userId: user._id, error: error.message });
+      }
+    }
+
+    const expired = await expireStaleCampaigns(now);
+
+    if (sent || expired) {
+      logger.info('Cart recovery run complete', { sent, expired });
+    }
+    return { sent, expired };
+  } finally {
+    running = false;
+    if (locked) {
+      await redis.del(LOCK_KEY).catch(() => {});
+    }
+  }
+};
+
+/**
+ * Credit an order to the customer's active recovery campaign, if any
+ * @param {Object} order - Newly created order
+ * @returns {Promise<Object|null>} Recovered campaign
+ */
+export const attributeRecoveredOrder = async (order) => {
+  const userId = order.user?._id || order.user;
+  if (!userId) return null;
+
+  const campaign = await CartRecovery.findOneAndUpdate(
+    { user: userId, status: 'active', 'messages.0': { $exists: true } },
+    {
+      $set: {
+        status: 'recovered',
+        recoveredOrder: order._id,
+        recoveredRevenue: order.totalAmount || 0,
+        recoveredAt: new Date()
+      }
+    },
+    { new: true }
+  );
+
+  // Campaign opened but nothing sent yet: the customer came back on their own
+  await CartRecovery.deleteMany({ user: userId, status: 'active', messages: { $size: 0 } });
+
+  if (campaign?.coupon?.code) {
+    // Recovery codes are single use
+    await Coupon.updateOne({ userId, code: campaign.coupon.code }, { $set: { isActive: false } });
+  }
+
+  if (campaign) {
+    logger.info('Order attributed to cart recovery', {
+      campaignId: campaign._id,
+      orderId: order._id,
+      revenue: campaign.recoveredRevenue
+    });
+  }
+  return campaign;
+};
+
+/**
+ * Aggregate campaign performance
+ * @param {Object} [range]
+ * @param {Date} [range.from] - Campaigns created on or after
+ * @param {Date} [range.to] - Campaigns created on or before
+ * @returns {Promise<Object>} Totals and per-step breakdown
+ */
+export const getRecoveryStats = async ({ from, to } = {}) => {
+  const match = {};
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const [totals] = await CartRecovery.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        campaigns: { $sum: 1 },
+        recovered: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, 1, 0] } },
+        expired: { $sum: { $cond: [{ $eq: ['$status', 'expired'] }, 1, 0] } },
+        active: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
+        abandonedValue: { $sum: '$cartValue' },
+        recoveredRevenue: { $sum: '$recoveredRevenue' }
+      }
+    }
+  ]);
+
+  // Credit each recovery to the last message sent before the order
+  const byStep = await CartRecovery.aggregate([
+    { $match: { ...match, status: 'recovered' } },
+    { $project: { recoveredRevenue: 1, step: { $max: '$messages.step' } } },
+    { $group: { _id: '$step', recovered: { $sum: 1 }, revenue: { $sum: '$recoveredRevenue' } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const summary = totals || {
+    campaigns: 0, recovered: 0, expired: 0, active: 0, abandonedValue: 0, recoveredRevenue: 0
+  };
+  delete summary._id;
+
+  return {
+    ...summary,
+    recoveryRate: summary.campaigns ? summary.recovered / summary.campaigns : 0,
+    byStep: byStep.map(({ _id, recovered, revenue }) => ({ step: _id, recovered, revenue }))
+  };
+};
+
+/**
+ * Start the periodic recovery job
+ */
+export const startCartRecoveryJob = () => {
+  if (!cartRecoveryConfig.enabled || timer) return;
+
+  const tick = () => runCartRecovery().catch(error => {
+    logger.error('Cart recovery run failed', { error: error.message });
+  });
+
+  timer = setInterval(tick, cartRecoveryConfig.intervalMs);
+  timer.unref();
+  tick();
+};
+
+/**
+ * Stop the periodic recovery job
+ */
+export const stopCartRecoveryJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export default {
+  runCartRecovery,
+  attributeRecoveredOrder,
+  getRecoveryStats,
+  startCartRecoveryJob,
+  stopCartRecoveryJob
+};
@@ -0,0 +1,377 @@
+import mongoose from 'mongoose';
+import Order from '../models/order.model.js';
+import Setting, { FRAUD_RULE_DEFAULTS } from '../models/setting.model.js';
+import logger from '../utils/logger.js';
+import OrderStatusService from './orderStatusService.js';
+import { sendOrderEmail } from './mail.service.js';
+import { notifyOrderHeld } from './realtime.service.js';
+import { syncRedemptionsWithStatus } from './promotion.service.js';
+import { processRefund } from './refund.service.js';
+import { syncStockWithStatus } from './stockReservation.service.js';
+
+/**
+ * Fraud risk scoring.
+ *
+ * Orders are scored when they are placed and again when their payment
+ * succeeds, once the card's billing country is known. Each rule in the
+ * store settings (`fraudRules`) that matches adds its points and a reason;
+ * the total decides the risk level. High-risk orders are held for review:
+ * they stay pending after payment instead of going to fulfillment until
+ * staff approve them, or reject them, which cancels and refunds the order.
+ */
+
+// Throwaway mailbox providers; stores add their own in `fraudRules.disposableEmail.domains`
+const DISPOSABLE_EMAIL_DOMAINS = new Set([
+  '10minutemail.com',
+  'dispostable.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailnesia.com',
+  'mintemail.com',
+  'mohmal.com',
+  'sharklasers.com',
+  'temp-mail.org',
+  'tempmail.com',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com'
+]);
+
+// Payment statuses that count as a customer's earlier, successful order
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+// Countries are typed in full on addresses but come as ISO codes from Stripe
+const normalizeCountry = (country) => {
+  const value = String(country || '').trim();
+  if (/^[a-z]{2}$/i.test(value)) {
+    try {
+      return regionNames.of(value.toUpperCase()).toLowerCase();
+    } catch {
+      return value.toLowerCase();
+    }
+  }
+  return value.toLowerCase();
+};
+
+/**
+ * The store's fraud rules, with defaults for anything not configured
+ * @returns {Promise<Object>}
+ */
+export const getFraudRules = async () => {
+  const { fraudRules = {} } = await Setting.getSettings();
+
+  return Object.fromEntries(Object.entries(FRAUD_RULE_DEFAULTS).map(([name, defaults]) => [
+    name,
+    typeof defaults === 'object' && !Array.isArray(defaults)
+      ? { ...defaults, ...fraudRules[name] }
+      : fraudRules[name] ?? defaults
+  ]));
+};
+
+// Orders by the same customer: their account, email or IP address
+const sameCustomer = (order) => {
+  const { email, ipAddress } = order.risk || {};
+  const matches = [
+    ...(order.user ? [{ user: order.user._id || order.user }] : []),
+    ...(email ? [{ 'risk.email': email }] : []),
+    ...(ipAddress ? [{ 'risk.ipAddress': ipAddress }] : [])
+  ];
+  return matches.length ? { _id: { $ne: order._id }, $or: matches } : null;
+};
+
+/**
+ * Each rule gets the order and its configuration and returns
+ * `{points, message}` when it matches
+ */
+const RULES = {
+  velocity: async (order, { windowMinutes, maxOrders, points }, { session }) => {
+    const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+    const { email, ipAddress } = order.risk;
+    const checks = [
+      ['account', order.user && { user: order.user._id || order.user }],
+      ['email address', email && { 'risk.email': email }],
+      ['IP address', ipAddress && { 'risk.ipAddress': ipAddress }]
+    ].filter(([, query]) => query);
+
+    for (const [source, query] of checks) {
+      const count = await Order.countDocuments({ ...query, _id: { $ne: order._id }, createdAt: { $gte: since } })
+        .session(session || null);
+      // This order makes one more
+      if (count + 1 > maxOrders) {
+        return { points, message: `${count + 1} orders from this ${source} in the last ${windowMinutes} minutes` };
+      }
+    }
+    return null;
+  },
+
+  countryMismatch: async (order, { points }) => {
+    const billing = order.risk.billingCountry;
+    const shipping = order.shippingAddress?.country;
+    if (!billing || !shipping || normalizeCountry(billing) === normalizeCountry(shipping)) return null;
+    return { points, message: `Billing country ${billing} differs from shipping country ${shipping}` };
+  },
+
+  firstOrderHighValue: async (order, { amount, points }, { session }) => {
+    if (order.totalAmount < amount) return null;
+
+    const customer = sameCustomer(order);
+    const previous = customer && await Order.exists({ ...customer, paymentStatus: { $in: PAID_STATUSES } })
+      .session(session || null);
+    if (previous) return null;
+    return { points, message: `First order is ${order.totalAmount.toFixed(2)}, at or above ${amount}` };
+  },
+
+  failedPayments: async (order, { windowHours, maxFailures, points }, { session }) => {
+    const since = new Date(Date.now() - windowHours * 60 * 60 * 1000);
+    const customer = sameCustomer(order);
+
+    const [others] = customer
+      ? await Order.aggregate([
+        { $match: { ...customer, updatedAt: { $gte: since }, paymentFailures: { $gt: 0 } } },
+        { $group: { _id: null, failures: { $sum: '$paymentFailures' } } }
+      ]).session(session || null)
+      : [];
+    const failures = (others?.failures || 0) + (order.paymentFailures || 0);
+
+    if (failures < maxFailures) return null;
+    return { points, message: `${failures} failed payments in the last ${windowHours} hours` };
+  },
+
+  disposableEmail: async (order, { domains = [], points }) => {
+    const domain = order.risk.email?.split('@')[1];
+    if (!domain) return null;
+
+    const disposable = DISPOSABLE_EMAIL_DOMAINS.has(domain) || domains.some(entry => entry.toLowerCase() === domain);
+    return disposable ? { points, message: `Disposable email domain ${domain}` } : null;
+  }
+};
+
+/**
+ * Score an order and record the result on it (unsaved). A high-risk order
+ * nobody has reviewed yet is held for review.
+ * @param {Object} order - Order document
+ * @param {Object} [context]
+ * @param {string} [context.ipAddress] - Where the order was placed from
+ * @param {string} [context.email] - Customer's email, for orders placed from an account
+ * @param {string} [context.billingCountry] - Card billing country, once known
+ * @param {Object} [context.session]
+ * @returns {Promise<Object>} `order.risk`
+ */
+export const assessOrderRisk = async (order, { ipAddress, email, billingCountry, session } = {}) => {
+  const rules = await getFraudRules();
+
+  order.set({
+    'risk.ipAddress': ipAddress || order.risk?.ipAddress,
+    'risk.email': (email || order.risk?.email || order.guestEmail || '').trim().toLowerCase() || undefined,
+    'risk.billingCountry': billingCountry || order.risk?.billingCountry
+  });
+
+  if (!rules.enabled) return order.risk;
+
+  const reasons = [];
+  for (const [name, evaluate] of Object.entries(RULES)) {
+    if (!rules[name]?.enabled) continue;
+
+    const match = await evaluate(order, rules[name], { session });
+    if (match) reasons.push({ rule: name, ...match });
+  }
+
+  const score = reasons.reduce((sum, reason) => sum + reason.points, 0);
+  const level = score >= rules.highRiskScore ? 'high' : score >= rules.mediumRiskScore ? 'medium' : 'low';
+
+  order.set({
+    'risk.score': score,
+    'risk.level': level,
+    'risk.reasons': reasons,
+    'risk.assessedAt': new Date()
+  });
+
+  if (level === 'high' && !order.risk.review?.status) {
+    order.set('risk.review.status', 'pending');
+    logger.warn('Order held for risk review', { orderId: order._id, score, reasons: reasons.map(reason => reason.rule) });
+  }
+
+  return order.risk;
+};
+
+/**
+ * @param {Object} order
+ * @returns {boolean} Whether the order is waiting for a risk review
+ */
+export const isHeldForReview = (order) => order.risk?.review?.status === 'pending';
+
+/**
+ * Tell staff an order is waiting for review. Call once the order is saved.
+ * @param {Object} order
+ */
+export const announceHold = (order) => {
+  if (isHeldForReview(order)) notifyOrderHeld(order);
+};
+
+/**
+ * Orders waiting for a risk review, oldest first
+ * @param {Object} [options]
+ * @param {number} [options.page]
+ * @param {number} [options.limit]
+ * @returns {Promise<Object>} Paginated orders
+ */
+export const listReviewQueue = ({ page = 1, limit = 20 } = {}) => Order.paginate(
+  // Held orders cancelled in the meantime need no review
+  { 'risk.review.status': 'pending', status: 'pending' },
+  {
+    page,
+    limit,
+    sort: { createdAt: 1 },
+    select: 'orderNumber status paymentStatus totalAmount createdAt user guestEmail shippingAddress risk',
+    populate: { path: 'user', select: 'name email' },
+    lean: true
+  }
+);
+
+const findHeldOrder = async (orderId, session) => {
+  const order = await Order.findById(orderId).session(session);
+  if (!order) {
+    throw fail('Order not found', 404);
+  }
+  if (!isHeldForReview(order)) {
+    throw fail(`Order ${order.orderNumber} is not waiting for a risk review`, 409);
+  }
+  return order;
+};
+
+const recordReview = (order, status, note, user) => {
+  order.set({
+    'risk.review.status': status,
+    'risk.review.reviewedBy': user?._id,
+    'risk.review.reviewedAt': new Date(),
+    'risk.review.note': note
+  });
+};
+
+/**
+ * Release a held order. A paid order goes on to fulfillment; an unpaid one
+ * does when its payment succeeds.
+ * @param {string} orderId
+ * @param {Object} [review]
+ * @param {string} [review.note]
+ * @param {Object} user - Staff reviewing it
+ * @returns {Promise<Object>} Order document
+ * @throws {Error} With `statusCode` 404, or 409 if the order isn't held
+ */
+export const approveOrder = async (orderId, { note } = {}, user) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const order = await findHeldOrder(orderId, session);
+    recordReview(order, 'approved', note, user);
+
+    if (order.paymentStatus === 'paid' && order.status === 'pending') {
+      OrderStatusService.applyStatus(order, 'processing', {
+        ...OrderStatusService.actorFromUser(user),
+        reason: 'Approved after risk review'
+      });
+      await syncStockWithStatus(order, 'pending', { session });
+    }
+
+    await order.save({ session });
+    await session.commitTransaction();
+
+    logger.info('Held order approved', { orderId: order._id, reviewedBy: user?._id });
+    return order;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Cancel a held order and refund what was paid for it
+ * @param {string} orderId
+ * @param {Object} [review]
+ * @param {string} [review.note]
+ * @param {Object} user - Staff reviewing it
+ * @returns {Promise<Object>} Order document
+ * @throws {Error} With `statusCode` 404, 409 if the order isn't held, or 502 if the order was
+ *   cancelled but the refund failed
+ */
+export const rejectOrder = async (orderId, { note } = {}, user) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let order;
+  try {
+    order = await findHeldOrder(orderId, session);
+    recordReview(order, 'rejected', note, user);
+
+    const previousStatus = order.status;
+    OrderStatusService.applyStatus(order, 'cancelled', {
+      ...OrderStatusService.actorFromUser(user),
+      reason: 'Rejected after risk review'
+    });
+    await syncStockWithStatus(order, previousStatus, { session });
+    await syncRedemptionsWithStatus(order, previousStatus, { session });
+
+    await order.save({ session });
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  logger.info('Held order rejected', { orderId: order._id, reviewedBy: user?._id });
+  sendOrderEmail('orderCancelled', order, { reason: 'We were unable to verify this order' });
+
+  const paymentIntentId = order.paymentDetails?.paymentIntentId;
+  const refundable = Math.round((order.totalAmount - (order.refundedAmount || 0)) * 100);
+  if (order.paymentStatus !== 'paid' || !paymentIntentId || refundable <= 0) {
+    return order;
+  }
+
+  try {
+    await processRefund(paymentIntentId, {
+      amount: refundable,
+      reason: 'fraudulent',
+      idempotencyKey: `risk-review-${order._id}`,
+      metadata: {
+        orderId: order._id.toString(),
+        reason: 'Order cancelled after review',
+        processedBy: user?._id?.toString()
+      }
+    });
+  } catch (error) {
+    throw fail(`The order was cancelled but the refund could not be issued: ${error.message}`, 502);
+  }
+
+  const refunded = await Order.findById(order._id);
+  OrderStatusService.applyStatus(refunded, 'refunded', {
+    ...OrderStatusService.actorFromUser(user),
+    reason: 'Refunded after risk review'
+  });
+  refunded.paymentStatus = 'refunded';
+  await refunded.save();
+
+  return refunded;
+};
+
+export default {
+  getFraudRules,
+  assessOrderRisk,
+  isHeldForReview,
+  announceHold,
+  listReviewQueue,
+  approveOrder,
+  rejectOrder
+};
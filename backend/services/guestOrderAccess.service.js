@@ -0,0 +1,99 @@
+import jwt from 'jsonwebtoken';
+import Order from '../models/order.model.js';
+
+/**
+ * Signed links that let guest buyers back into their order.
+ *
+ * Looking an order up by number and email issues a short-lived token bound
+ * to that order and email. It is signed with the access token secret but
+ * carries a `purpose`, so it is never accepted as a login. Emailed return
+ * authorization links get a token scoped to that return instead, valid as
+ * long as the authorization.
+ */
+
+export const GUEST_ORDER_LINK_TTL_MINUTES = parseInt(process.env.GUEST_ORDER_LINK_TTL_MINUTES, 10) || 60;
+
+const TOKEN_PURPOSE = 'guest_order';
+
+const apiBaseUrl = () => (process.env.API_BASE_URL || 'http://localhost:5000/api').replace(/\/$/, '');
+
+/**
+ * Find a guest order by its number and the email it was placed with
+ * @param {string} orderNumber
+ * @param {string} email
+ * @returns {Promise<Object|null>}
+ */
+export const findGuestOrder = async (orderNumber, email) => {
+  const order = await Order.findOne({ orderNumber: orderNumber.trim().toUpperCase(), isGuest: true });
+
+  if (!order?.guestEmail || order.guestEmail.toLowerCase() !== email.trim().toLowerCase()) {
+    return null;
+  }
+  return order;
+};
+
+/**
+ * Sign a token granting access to one guest order, or to one of its returns
+ * @param {Object} order - Order document
+ * @param {Object} [scope]
+ * @param {string} [scope.returnId] - Only admit routes for this return
+ * @param {Date} [scope.expiresAt] - Defaults to GUEST_ORDER_LINK_TTL_MINUTES from now
+ * @returns {{token: string, expiresAt: Date}}
+ */
+export const issueGuestOrderToken = (order, { returnId, expiresAt } = {}) => {
+  const expires = expiresAt || new Date(Date.now() + GUEST_ORDER_LINK_TTL_MINUTES * 60 * 1000);
+  const token = jwt.sign(
+    {
+      orderId: order._id.toString(),
+      email: order.guestEmail.toLowerCase(),
+      purpose: TOKEN_PURPOSE,
+      ...(returnId && { returnId })
+    },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: Math.max(1, Math.ceil((expires.getTime() - Date.now()) / 1000)) }
+  );
+
+  return { token, expiresAt: expires };
+};
+
+/**
+ * Check a guest order token
+ * @param {string} token
+ * @returns {{orderId: string, email: string, returnId?: string}}
+ * @throws {Error} jsonwebtoken errors as-is, or a JsonWebTokenError for tokens issued for something else
+ */
+export const verifyGuestOrderToken = (token) => {
+  const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+
+  if (decoded.purpose !== TOKEN_PURPOSE || !decoded.orderId) {
+    throw new jwt.JsonWebTokenError('Not an order access token');
+  }
+  return { orderId: decoded.orderId, email: decoded.email, ...(decoded.returnId && { returnId: decoded.returnId }) };
+};
+
+/**
+ * API links a guest can use with a token
+ * @param {Object} order - Order document
+ * @param {string} token
+ * @returns {{details: string, invoice: string, track: string, returns: string}}
+ */
+export const buildGuestOrderLinks = (order, token) => {
+  const id = order._id.toString();
+  const query = `?token=${encodeURIComponent(token)}`;
+  const api = `${apiBaseUrl()}/orders/${id}`;
+
+  return {
+    details: `${api}${query}`,
+    invoice: `${api}/invoice${query}`,
+    track: `${api}/track${query}`,
+    returns: `${api}/return${query}`
+  };
+};
+
+export default {
+  GUEST_ORDER_LINK_TTL_MINUTES,
+  findGuestOrder,
+  issueGuestOrderToken,
+  verifyGuestOrderToken,
+  buildGuestOrderLinks
+};
@@ -0,0 +1,305 @@
+import mongoose from 'mongoose';
+import Invoice from '../models/invoice.model.js';
+import Order from '../models/order.model.js';
+import Sequence from '../models/sequence.model.js';
+import User from '../models/user.model.js';
+import { generateInvoicePDF } from '../utils/pdfGenerator.js';
+
+/**
+ * Invoices and credit notes.
+ *
+ * An order is invoiced once, when its payment succeeds. Every refund on it is
+ * then credited with a credit note that points back at that invoice. Both
+ * are stored as immutable snapshots (see the Invoice model) and numbered
+ * per type and year from a counter taken in the same transaction as the
+ * document, so an aborted issue doesn't leave a gap.
+ *
+ * Merged orders aren't invoiced themselves: their originals were, and
+ * refunds on them are credited against the original that was paid with the
+ * refunded payment intent.
+ */
+
+// Payment statuses an order can be invoiced in
+const INVOICEABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+const NUMBER_PREFIXES = {
+  invoice: 'INV',
+  credit_note: 'CN'
+};
+
+const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const isDuplicateKey = (error) => error?.code === 11000;
+
+// Run in the caller's transaction, or in one of our own
+const inTransaction = async (session, work) => {
+  if (session) return work(session);
+
+  const own = await mongoose.startSession();
+  try {
+    let result;
+    await own.withTransaction(async () => {
+      result = await work(own);
+    });
+    return result;
+  } finally {
+    own.endSession();
+  }
+};
+
+/**
+ * Take the next number for a document type, e.g. `INV-2026-000042`
+ * @param {string} type - One of INVOICE_TYPES
+ * @param {Date} issuedAt
+ * @param {Object} session - Transaction the document is created in
+ * @returns {Promise<{number: string, year: number, sequence: number}>}
+ */
+const nextNumber = async (type, issuedAt, session) => {
+  const year = issuedAt.getFullYear();
+  const sequence = await Sequence.next(`${type}-${year}`, { session });
+  return {
+    number: `${NUMBER_PREFIXES[type]}-${year}-${String(sequence).padStart(6, '0')}`,
+    year,
+    sequence
+  };
+};
+
+const create = async (type, data, session) => inTransaction(session, async (txn) => {
+  const issuedAt = new Date();
+  const [invoice] = await Invoice.create([{
+    ...data,
+    type,
+    issuedAt,
+    ...(await nextNumber(type, issuedAt, txn))
+  }], { session: txn });
+  return invoice;
+});
+
+const customerOf = async (order, session) => {
+  const user = order.user?.email
+    ? order.user
+    : order.user && await User.findById(order.user).select('name email').session(session || null);
+  const address = order.shippingAddress || {};
+
+  return {
+    name: [address.firstName, address.lastName].filter(Boolean).join(' ') || user?.name || 'Guest Customer',
+    email: user?.email || order.guestEmail,
+    address: {
+      street: address.street,
+      city: address.city,
+      state: address.state,
+      postalCode: address.postalCode,
+      country: address.country
+    }
+  };
+};
+
+// Originals of a merged order that were paid, and so carry its invoices
+const paidOriginals = (order) => (order.mergedFrom || [])
+  .filter(entry => INVOICEABLE_PAYMENT_STATUSES.includes(entry.paymentStatus));
+
+/**
+ * Whether a merged order is invoiced under the orders it was merged from.
+ * Orders merged before payment are invoiced themselves.
+ * @param {Object} order - Order document
+ * @returns {boolean}
+ */
+export const isInvoicedUnderOriginals = (order) => paidOriginals(order).length > 0;
+
+/**
+ * Issue the invoice for a paid order. Issuing again returns the invoice
+ * already issued.
+ * @param {Object} order - Order document
+ * @param {Object} [options]
+ * @param {Object} [options.session] - Issue as part of this transaction
+ * @returns {Promise<Object>} Invoice document
+ * @throws {Error} With `statusCode` 409 if the order isn't paid or is a merge of invoiced orders
+ */
+export const issueInvoice = async (order, { session } = {}) => {
+  const existing = await Invoice.findOne({ order: order._id, type: 'invoice' }).session(session || null);
+  if (existing) return existing;
+
+  if (isInvoicedUnderOriginals(order)) {
+    throw fail('Merged orders are invoiced under the orders they were merged from', 409);
+  }
+  if (!INVOICEABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw fail('An invoice is issued once the order has been paid', 409);
+  }
+
+  const lines = order.items?.length ? order.items : order.products || [];
+
+  return create('invoice', {
+    order: order._id,
+    orderNumber: order.orderNumber,
+    currency: order.currency || 'usd',
+    customer: await customerOf(order, session),
+    items: lines.map(item => ({
+      name: item.name,
+      variant: item.variant?.value || item.variant?.sku,
+      quantity: item.quantity,
+      price: item.price,
+      total: roundMoney(item.total ?? item.price * item.quantity)
+    })),
+    subtotal: order.itemsPrice,
+    shipping: order.shippingPrice || 0,
+    tax: order.taxPrice || 0,
+    total: order.totalAmount
+  }, session);
+};
+
+/**
+ * The order's invoice, issuing it first if a paid order doesn't have one yet
+ * (orders paid before invoices were stored)
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} Invoice document
+ * @throws {Error} With `statusCode` 409 if the order can't be invoiced
+ */
+export const getOrIssueInvoice = async (order) => {
+  try {
+    return await issueInvoice(order);
+  } catch (error) {
+    // Someone else issued it first
+    if (isDuplicateKey(error)) {
+      return Invoice.findOne({ order: order._id, type: 'invoice' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * The invoice a refund on an order credits. For an order merged from paid
+ * orders that's the invoice of the original paid with the refunded payment intent.
+ * @param {Object} order - Order document
+ * @param {string} [paymentIntentId]
+ * @returns {Promise<Object>} Invoice document
+ */
+const findInvoiceForRefund = async (order, paymentIntentId) => {
+  const originals = paidOriginals(order);
+  if (!originals.length) {
+    return getOrIssueInvoice(order);
+  }
+
+  const original = originals.find(entry => entry.paymentIntentId === paymentIntentId) || originals[0];
+  const originalOrder = await Order.findById(original.order);
+  if (!originalOrder) {
+    throw fail(`Order ${original.orderNumber} this order was merged from no longer exists`, 409);
+  }
+  return getOrIssueInvoice(originalOrder);
+};
+
+/**
+ * Issue the credit note for a refund. Issuing again for the same refund
+ * returns the credit note already issued.
+ *
+ * Lines are the returned items for a return, or a single refund line; their
+ * amounts are what was refunded. Tax is the credited invoice's share of it.
+ * @param {Object} order - Order document the refund was recorded on
+ * @param {Object} refund
+ * @param {number} refund.amount - Amount refunded, in dollars
+ * @param {string} [refund.refundId] - Stripe or manual refund ID
+ * @param {string} [refund.returnId] - Return the refund was for
+ * @param {string} [refund.reason]
+ * @param {string} [refund.paymentIntentId] - Payment refunded, to pick the invoice of a merged order
+ * @returns {Promise<Object>} Credit note document
+ */
+export const issueCreditNote = async (order, { amount, refundId, returnId, reason, paymentIntentId }) => {
+  const existing = (refundId || returnId) && await Invoice.findOne(refundId
+    ? { 'refund.refundId': refundId }
+    : { type: 'credit_note', order: order._id, 'refund.returnId': returnId });
+  if (existing) return existing;
+
+  const invoice = await findInvoiceForRefund(order, paymentIntentId || order.paymentDetails?.paymentIntentId);
+  const total = roundMoney(amount);
+  const tax = invoice.total > 0 ? roundMoney(total * invoice.tax / invoice.total) : 0;
+
+  const returnRequest = returnId && order.returns?.find(entry => entry.returnId === returnId);
+  const items = returnRequest
+    ? returnRequest.items
+      .filter(item => ['approved', 'received', 'refunded'].includes(item.status))
+      .map(item => ({
+        name: item.name || 'Returned item',
+        quantity: item.quantity,
+        price: item.price,
+        total: roundMoney(item.price * item.quantity)
+      }))
+    : [];
+
+  try {
+    return await create('credit_note', {
+      order: order._id,
+      orderNumber: order.orderNumber,
+      invoice: invoice._id,
+      invoiceNumber: invoice.number,
+      currency: invoice.currency,
+      customer: invoice.customer?.toObject ? invoice.customer.toObject() : invoice.customer,
+      items: items.length ? items : [{ name: reason || 'Refund', quantity: 1, price: total, total }],
+      subtotal: roundMoney(total - tax),
+      shipping: 0,
+      tax,
+      total,
+      refund: { refundId, returnId, reason }
+    });
+  } catch (error) {
+    if (isDuplicateKey(error) && refundId) {
+      return Invoice.findOne({ 'refund.refundId': refundId });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Invoices and credit notes issued in a date range, oldest first
+ * @param {Object} [filters]
+ * @param {Date} [filters.from]
+ * @param {Date} [filters.to]
+ * @param {string} [filters.type] - One of INVOICE_TYPES
+ * @returns {Promise<Array<Object>>}
+ */
+export const listInvoices = async ({ from, to, type } = {}) => {
+  const query = {};
+  if (type) query.type = type;
+  if (from || to) {
+    query.issuedAt = {};
+    if (from) query.issuedAt.$gte = from;
+    if (to) query.issuedAt.$lte = to;
+  }
+
+  return Invoice.find(query).sort({ issuedAt: 1, number: 1 }).lean();
+};
+
+/**
+ * Render an invoice or credit note
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePDF = (invoice) => {
+  const isCreditNote = invoice.type === 'credit_note';
+
+  return generateInvoicePDF({
+    title: isCreditNote ? 'CREDIT NOTE' : 'INVOICE',
+    number: invoice.number,
+    issuedAt: invoice.issuedAt,
+    references: [
+      ['Order', invoice.orderNumber],
+      ...(isCreditNote ? [['Credits invoice', invoice.invoiceNumber]] : [])
+    ].filter(([, value]) => value),
+    customer: invoice.customer,
+    items: invoice.items,
+    subtotal: invoice.subtotal,
+    shipping: invoice.shipping,
+    tax: invoice.tax,
+    total: invoice.total,
+    ...(isCreditNote && { note: invoice.refund?.reason ? `Credit for: ${invoice.refund.reason}` : 'Credit for a refund on this order.' })
+  });
+};
+
+export default {
+  isInvoicedUnderOriginals,
+  issueInvoice,
+  getOrIssueInvoice,
+  issueCreditNote,
+  listInvoices,
+  renderInvoicePDF
+};
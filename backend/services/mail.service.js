@@ -0,0 +1,289 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import mailConfig from '../config/mail.config.js';
+import EmailLog from '../models/emailLog.model.js';
+import User from '../models/user.model.js';
+import logger from '../utils/logger.js';
+import { renderTemplate } from '../utils/emailTemplates.js';
+
+let transporter;
+const scheduled = new Map();
+
+// Templates whose link grants access on its own, by the data field holding it.
+// The log keeps a copy without the link; the real message only lives in memory
+// until it is sent.
+const SECRET_LINKS = {
+  passwordReset: 'resetUrl',
+  emailVerification: 'verifyUrl',
+  returnAuthorized: 'authorizationUrl'
+};
+const REDACTED_LINK = '(link not stored)';
+const secretBodies = new Map();
+
+/**
+ * Build (once) the nodemailer transporter for the configured transport
+ * @returns {import('nodemailer').Transporter}
+ */
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  switch (mailConfig.transport) {
+    case 'smtp':
+      transporter = nodemailer.createTransport(mailConfig.smtp);
+      break;
+    case 'file':
+      transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+      break;
+    case 'json':
+      transporter = nodemailer.createTransport({ jsonTransport: true });
+      break;
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${mailConfig.transport}`);
+  }
+
+  return transporter;
+};
+
+/**
+ * Persist the rendered message to the outbox when using a local transport
+ * @param {Object} log - EmailLog document
+ * @param {Object} info - nodemailer send info
+ */
+const writeToOutbox = async (log, info) => {
+  if (!['file', 'json'].includes(mailConfig.transport)) return;
+
+  await fs.mkdir(mailConfig.outboxDir, { recursive: true });
+  const extension = mailConfig.transport === 'file' ? 'eml' : 'json';
+  const fileName = `${Date.now()}-${log.template}-${log._id}.${extension}`;
+  await fs.writeFile(path.join(mailConfig.outboxDir, fileName), info.message);
+};
+
+/**
+ * Schedule a delivery attempt for a queued log entry
+ * @param {string} logId - EmailLog ID
+ * @param {number} delayMs - Delay before the attempt
+ */
+const scheduleDelivery = (logId, delayMs = 0) => {
+  const key = logId.toString();
+  if (scheduled.has(key)) return;
+
+  const timer = setTimeout(() => {
+    scheduled.delete(key);
+    deliver(key).catch(error => {
+      logger.error('Unexpected error delivering email', { logId: key, error: error.message });
+    });
+  }, delayMs);
+
+  // Don't keep the process alive just for pending retries
+  timer.unref?.();
+  scheduled.set(key, timer);
+};
+
+/**
+ * Attempt delivery of a single log entry, rescheduling on failure
+ * @param {string} logId - EmailLog ID
+ * @returns {Promise<Object|null>} Updated log entry
+ */
+const deliver = async (logId) => {
+  const log = await EmailLog.findOneAndUpdate(
+    { _id: logId, status: { $in: ['queued', 'retrying'] } },
+    { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!log) return null;
+
+  const key = log._id.toString();
+  const body = SECRET_LINKS[log.template] ? secretBodies.get(key) : log;
+  if (!body) {
+    // Queued before a restart; the link has to be requested again
+    log.status = 'failed';
+    log.lastError = 'Message content was not stored and cannot be resent';
+    log.nextAttemptAt = undefined;
+    await log.save();
+    logger.warn('Email with a one-time link dropped after restart', { logId, template: log.template, to: log.to });
+    return log;
+  }
+
+  try {
+    const info = await getTransporter().sendMail({
+      from: mailConfig.from,
+      replyTo: mailConfig.replyTo,
+      to: log.to,
+      subject: log.subject,
+      html: body.html,
+      text: body.text
+    });
+    secretBodies.delete(key);
+
+    await writeToOutbox(log, info);
+
+    log.status = 'sent';
+    log.sentAt = new Date();
+    log.messageId = info.messageId;
+    log.transport = mailConfig.transport;
+    log.lastError = undefined;
+    log.nextAttemptAt = undefined;
+    await log.save();
+
+    logger.info('Email sent', { logId, template: log.template, to: log.to, attempts: log.attempts });
+    return log;
+  } catch (error) {
+    const { maxAttempts, baseDelayMs } = mailConfig.retry;
+    log.lastError = error.message;
+    log.transport = mailConfig.transport;
+
+    if (log.attempts >= maxAttempts) {
+      secretBodies.delete(key);
+      log.status = 'failed';
+      log.nextAttemptAt = undefined;
+      await log.save();
+      logger.error('Email delivery failed permanently', { logId, template: log.template, to: log.to, error: error.message });
+      return log;
+    }
+
+    const delay = baseDelayMs * Math.pow(2, log.attempts - 1);
+    log.status = 'retrying';
+    log.nextAttemptAt = new Date(Date.now() + delay);
+    await log.save();
+    logger.warn('Email delivery failed, retrying', { logId, attempts: log.attempts, retryInMs: delay, error: error.message });
+
+    scheduleDelivery(logId, delay);
+    return log;
+  }
+};
+
+/**
+ * Render a template and queue it for delivery
+ * @param {Object} options - Message options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.template - Template name from utils/emailTemplates.js
+ * @param {Object} [options.data] - Template data
+ * @param {string} [options.userId] - Recipient user ID
+ * @param {string} [options.orderId] - Related order ID
+ * @param {Object} [options.metadata] - Extra metadata stored on the log
+ * @returns {Promise<Object>} Created EmailLog entry
+ */
+export const queueEmail = async ({ to, template, data = {}, userId, orderId, metadata = {} }) => {
+  if (!to) {
+    throw new Error('Email recipient is required');
+  }
+
+  const { subject, html, text } = renderTemplate(template, data);
+  const secretField = SECRET_LINKS[template];
+  const stored = secretField && data[secretField]
+    ? renderTemplate(template, { ...data, [secretField]: REDACTED_LINK })
+    : { html, text };
+
+  const log = await EmailLog.create({
+    to,
+    template,
+    subject,
+    html: stored.html,
+    text: stored.text,
+    user: userId,
+    order: orderId,
+    metadata,
+    status: 'queued'
+  });
+
+  if (secretField) {
+    secretBodies.set(log._id.toString(), { html, text });
+  }
+  scheduleDelivery(log._id);
+  return log;
+};
+
+/**
+ * Re-schedule entries left queued or retrying by a previous process
+ * @returns {Promise<number>} Number of entries resumed
+ */
+export const resumeQueuedEmails = async () => {
+  // Entries stuck in `sending` were interrupted mid-attempt
+  await EmailLog.updateMany({ status: 'sending' }, { $set: { status: 'retrying' } });
+
+  const pending = await EmailLog.find({ status: { $in: ['queued', 'retrying'] } }).select('_id nextAttemptAt');
+  pending.forEach(log => {
+    const delay = log.nextAttemptAt ? Math.max(0, log.nextAttemptAt.getTime() - Date.now()) : 0;
+    scheduleDelivery(log._id, delay);
+  });
+
+  if (pending.length) {
+    logger.info('Resumed queued emails', { count: pending.length });
+  }
+  return pending.length;
+};
+
+/**
+ * Manually retry a failed email (admin)
+ * @param {string} logId - EmailLog ID
+ * @returns {Promise<Object|null>} Updated log entry
+ */
+export const retryEmail = async (logId) => {
+  const log = await EmailLog.findOneAndUpdate(
+    { _id: logId, status: 'failed' },
+    { $set: { status: 'retrying', attempts: 0, nextAttemptAt: undefined } },
+    { new: true }
+  );
+
+  if (log) scheduleDelivery(log._id);
+  return log;
+};
+
+/**
+ * Resolve the recipient of an order (registered user or guest)
+ * @param {Object} order - Order document
+ * @returns {Promise<{email: string, name: string, userId: string}|null>}
+ */
+export const resolveOrderRecipient = async (order) => {
+  if (order.isGuest || !order.user) {
+    return order.guestEmail ? { email: order.guestEmail, name: null, userId: null } : null;
+  }
+
+  const user = order.user.email
+    ? order.user
+    : await User.findById(order.user).select('name email').lean();
+
+  return user?.email ? { email: user.email, name: user.name, userId: user._id } : null;
+};
+
+/**
+ * Queue an order lifecycle email. Never throws: a mail failure must not
+ * break the order or payment flow that triggered it.
+ * @param {string} template - Template name (e.g. 'orderConfirmation')
+ * @param {Object} order - Order document
+ * @param {Object} [data] - Additional template data
+ * @returns {Promise<Object|null>} Created EmailLog entry
+ */
+export const sendOrderEmail = async (template, order, data = {}) => {
+  try {
+    if (!order) return null;
+
+    const recipient = await resolveOrderRecipient(order);
+    if (!recipient) {
+      logger.warn('No recipient for order email', { template, orderId: order._id });
+      return null;
+    }
+
+    return await queueEmail({
+      to: recipient.email,
+      template,
+      data: { order, name: recipient.name, ...data },
+      userId: recipient.userId,
+      orderId: order._id,
+      metadata: { orderNumber: order.orderNumber }
+    });
+  } catch (error) {
+    logger.error('Failed to queue order email', { template, orderId: order?._id, error: error.message });
+    return null;
+  }
+};
+
+export default {
+  queueEmail,
+  resumeQueuedEmails,
+  retryEmail,
+  resolveOrderRecipient,
+  sendOrderEmail
+};
@@ -0,0 +1,130 @@
+import Notification from '../models/notification.model.js';
+import User from '../models/user.model.js';
+import { emitToUser } from '../lib/socket.js';
+
+/**
+ * Socket events used to keep every open tab/device of a user in sync with
+ * the persisted notification center.
+ */
+export const NOTIFICATION_EVENTS = {
+  NEW: 'notification:new',
+  READ: 'notification:read',
+  READ_ALL: 'notification:read-all',
+  DELETED: 'notification:deleted'
+};
+
+const wantsType = (user, type) => user.notificationPreferences?.[type] !== false;
+
+const unreadCountFor = (userId) => Notification.countDocuments({ user: userId, read: false });
+
+/**
+ * Persist a notification for each recipient that hasn't muted its type, and
+ * push it to their open sockets
+ * @param {Array<string>} userIds - Recipient user IDs
+ * @param {Object} payload - { title, message, type, priority, link, data, event }
+ * @returns {Promise<Array<Object>>} Created notifications
+ */
+export const notifyUsers = async (userIds, payload) => {
+  const ids = [...new Set(userIds.filter(Boolean).map(String))];
+  if (!ids.length) return [];
+
+  const recipients = await User.find({ _id: { $in: ids } })
+    .select('notificationPreferences')
+    .lean();
+
+  const { title, message, type, priority, link, data, event } = payload;
+  const docs = recipients
+    .filter(user => wantsType(user, type || 'system'))
+    .map(user => ({ user: user._id, title, message, type, priority, link, data, event }));
+
+  if (!docs.length) return [];
+
+  const created = await Notification.insertMany(docs);
+  created.forEach(notification => {
+    emitToUser(notification.user, NOTIFICATION_EVENTS.NEW, { notification: notification.toObject() });
+  });
+  return created;
+};
+
+/**
+ * @param {string} userId - Recipient user ID
+ * @param {Object} payload - See notifyUsers
+ */
+export const notifyUser = (userId, payload) => notifyUsers([userId], payload);
+
+/**
+ * Fan a notification out to every admin
+ * @param {Object} payload - See notifyUsers
+ */
+export const notifyAdmins = async (payload) => {
+  const admins = await User.find({ role: 'admin' }).select('_id').lean();
+  return notifyUsers(admins.map(admin => admin._id), payload);
+};
+
+/**
+ * Mark one notification as read
+ * @param {string} userId - Owner
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<Object|null>} Updated notification
+ */
+export const markAsRead = async (userId, notificationId) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, user: userId },
+    { $set: { read: true, readAt: new Date() } },
+    { new: true }
+  );
+
+  if (notification) {
+    emitToUser(userId, NOTIFICATION_EVENTS.READ, {
+      ids: [notification._id],
+      unreadCount: await unreadCountFor(userId)
+    });
+  }
+  return notification;
+};
+
+/**
+ * Mark all of a user's notifications as read
+ * @param {string} userId - Owner
+ * @returns {Promise<number>} Number of notifications updated
+ */
+export const markAllAsRead = async (userId) => {
+  const result = await Notification.updateMany(
+    { user: userId, read: false },
+    { $set: { read: true, readAt: new Date() } }
+  );
+
+  emitToUser(userId, NOTIFICATION_EVENTS.READ_ALL, { unreadCount: 0 });
+  return result.modifiedCount;
+};
+
+/**
+ * Delete a notification
+ * @param {string} userId - Owner
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<Object|null>} Deleted notification
+ */
+export const deleteNotification = async (userId, notificationId) => {
+  const notification = await Notification.findOneAndDelete({ _id: notificationId, user: userId });
+
+  if (notification) {
+    emitToUser(userId, NOTIFICATION_EVENTS.DELETED, {
+      id: notification._id,
+      unreadCount: await unreadCountFor(userId)
+    });
+  }
+  return notification;
+};
+
+export { unreadCountFor as getUnreadCount };
+
+export default {
+  NOTIFICATION_EVENTS,
+  notifyUsers,
+  notifyUser,
+  notifyAdmins,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  getUnreadCount: unreadCountFor
+};
@@ -0,0 +1,356 @@
+import mongoose from 'mongoose';
+import Order from '../models/order.model.js';
+import Product from '../models/product.model.js';
+import Shipment from '../models/shipment.model.js';
+import logger from '../utils/logger.js';
+import { sendOrderEmail } from './mail.service.js';
+import { createAdjustmentCharge, refundAdjustment, updatePaymentIntentAmount } from './payment.service.js';
+import { reapplyOrderPromotions } from './promotion.service.js';
+import { getUnshippedQuantities } from './shipment.service.js';
+import { findVariant, adjustOrderStock } from './stockReservation.service.js';
+
+/**
+ * Editing orders after they were placed.
+ *
+ * Staff can add, remove or re-quantify lines, switch a line's variant, and
+ * change the shipping address or charge while the order is still `pending`
+ * or `processing`. Every edit re-prices the order, moves stock, is recorded
+ * in `order.edits`, and for paid orders charges or refunds the difference.
+ * Lowering a backordered line cancels backordered units before held ones.
+ */
+
+export const EDITABLE_STATUSES = ['pending', 'processing'];
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'postalCode', 'country'];
+
+const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const orderTotals = (order) => ({
+  itemsPrice: order.itemsPrice || 0,
+  taxPrice: order.taxPrice || 0,
+  shippingPrice: order.shippingPrice || 0,
+  totalAmount: order.totalAmount || 0
+});
+
+/**
+ * What an order line stores about its variant
+ * @param {Object} variant - Entry in `product.variants`
+ * @returns {{name: string, value: string, sku: string}}
+ */
+export const variantSnapshot = (variant) => ({
+  name: (variant.options || []).map(option => option.name).filter(Boolean).join(' / '),
+  value: (variant.options || []).map(option => option.value).filter(Boolean).join(' / '),
+  sku: variant.sku
+});
+
+const describeVariant = (variant) => (variant ? variantSnapshot(variant).value || variant.sku : null);
+
+/**
+ * Recompute an order's totals from its lines. Tax is kept at the rate the
+ * order was placed with; shipping is left as it is.
+ * @param {Object} order - Order document
+ * @param {Object} [totalsBefore] - Totals the tax rate is taken from
+ */
+export const repriceOrder = (order, totalsBefore = orderTotals(order)) => {
+  for (const item of order.items) {
+    item.total = roundMoney(Math.max(0, item.price * item.quantity - (item.discount || 0)));
+  }
+
+  const itemsPrice = roundMoney(order.items.reduce((sum, item) => sum + item.total, 0));
+  const taxRate = totalsBefore.itemsPrice > 0 ? totalsBefore.taxPrice / totalsBefore.itemsPrice : 0;
+
+  order.itemsPrice = itemsPrice;
+  order.taxPrice = roundMoney(itemsPrice * taxRate);
+  order.totalAmount = roundMoney(itemsPrice + order.taxPrice + (order.shippingPrice || 0));
+};
+
+/**
+ * Charge or refund the difference an edit made to a paid order. An unpaid
+ * order's open payment is changed to the new total instead.
+ * @returns {Promise<Object>} `clientSecret` when the customer has to pay more
+ */
+const settleEditBalance = async (order, edit) => {
+  if (edit.balance === 0) return {};
+
+  if (order.paymentStatus === 'pending') {
+    try {
+      if (await updatePaymentIntentAmount(order)) {
+        await Order.updateOne({ _id: order._id }, { $set: { 'paymentDetails.amount': order.totalAmount } });
+      }
+    } catch (error) {
+      logger.error('Failed to update the payment for an edited order', { orderId: order._id, editId: edit._id, error: error.message });
+    }
+    return {};
+  }
+  if (order.paymentStatus !== 'paid') return {};
+
+  const amount = Math.abs(edit.balance);
+  const type = edit.balance > 0 ? 'charge' : 'refund';
+  const result = {};
+
+  try {
+    if (type === 'charge') {
+      const { clientSecret, paymentIntentId } = await createAdjustmentCharge(order, amount, { editId: edit._id });
+      edit.payment = { type, amount, status: 'pending', reference: paymentIntentId };
+      result.clientSecret = clientSecret;
+    } else {
+      const refund = await refundAdjustment(order, amount, { editId: edit._id });
+      const status = { succeeded: 'succeeded', failed: 'failed', canceled: 'failed' }[refund.status] || 'pending';
+      edit.payment = { type, amount, status, reference: refund.refundId };
+    }
+  } catch (error) {
+    logger.error('Failed to settle order edit', { orderId: order._id, editId: edit._id, type, amount, error: error.message });
+    edit.payment = { type, amount, status: 'failed', error: error.message };
+  }
+
+  await Order.updateOne({ _id: order._id, 'edits._id': edit._id }, { $set: { 'edits.$.payment': edit.payment } });
+  return result;
+};
+
+/**
+ * Change a placed order
+ * @param {string} orderId
+ * @param {Object} changes
+ * @param {Array<{product: string, variant?: string, quantity: number}>} [changes.addItems]
+ * @param {Array<{orderItemId: string, quantity?: number, variant?: string}>} [changes.updateItems] - `variant` switches the line to another variant
+ * @param {Array<string>} [changes.removeItems] - Order item IDs
+ * @param {Object} [changes.shippingAddress] - Address fields to change
+ * @param {number} [changes.shippingPrice]
+ * @param {string} [changes.reason]
+ * @param {Object} [user] - Staff member making the change
+ * @returns {Promise<{order: Object, edit: Object, clientSecret?: string}>}
+ * @throws {Error} With `statusCode` 404, 409 if the order or a line can't be changed, or 400 for bad input
+ * @throws {InsufficientStockError}
+ */
+export const editOrder = async (orderId, changes, user) => {
+  const { addItems = [], updateItems = [], removeItems = [], shippingAddress, shippingPrice, reason } = changes;
+  const session = await mongoose.startSession();
+  let order;
+  let edit;
+
+  try {
+    session.startTransaction();
+
+    order = await Order.findById(orderId).session(session);
+    if (!order) {
+      throw fail('Order not found', 404);
+    }
+    if (!EDITABLE_STATUSES.includes(order.status)) {
+      throw fail(`Orders that are ${order.status} can no longer be edited`, 409);
+    }
+
+    const shipments = await Shipment.find({ order: order._id }).session(session);
+    const unshipped = getUnshippedQuantities(order, shipments);
+    const shippedQuantity = (item) => item.quantity - (unshipped.get(item._id.toString()) || 0);
+    // Backordered units were never taken, so there is no stock to move for them
+    const stockedQuantity = (item) => item.quantity - (item.backorderedQuantity || 0);
+
+    const totalsBefore = orderTotals(order);
+    const recorded = [];
+    const deltas = new Map();
+    const products = new Map();
+
+    const loadProduct = async (productId) => {
+      const key = productId.toString();
+      if (!products.has(key)) {
+        products.set(key, await Product.findById(productId).session(session));
+      }
+      const product = products.get(key);
+      if (!product) {
+        throw fail(`Product not found: ${productId}`, 404);
+      }
+      return product;
+    };
+
+    const moveStock = (product, variant, quantity) => {
+      const key = `${product._id}:${variant?._id || ''}`;
+      const delta = deltas.get(key) || { product, variant, quantity: 0 };
+      delta.quantity += quantity;
+      deltas.set(key, delta);
+    };
+
+    const findLine = (orderItemId) => {
+      const item = order.items.id(orderItemId);
+      if (!item) {
+        throw fail(`Order item not found: ${orderItemId}`, 404);
+      }
+      return item;
+    };
+
+    for (const orderItemId of removeItems) {
+      const item = findLine(orderItemId);
+      if (shippedQuantity(item) > 0) {
+        throw fail(`${item.name} has already shipped and can't be removed`, 409);
+      }
+
+      const product = await loadProduct(item.product);
+      moveStock(product, findVariant(product, item.variant?.sku), -stockedQuantity(item));
+      recorded.push({ type: 'item_removed', orderItem: item._id, name: item.name, from: item.quantity, to: 0 });
+      order.items.pull(item._id);
+    }
+
+    for (const { orderItemId, quantity, variant: variantRef } of updateItems) {
+      const item = findLine(orderItemId);
+      const product = await loadProduct(item.product);
+      const currentVariant = findVariant(product, item.variant?.sku);
+      const nextQuantity = quantity ?? item.quantity;
+      const nextVariant = variantRef ? findVariant(product, variantRef) : currentVariant;
+
+      if (variantRef && !nextVariant) {
+        throw fail(`Variant not found: ${variantRef}`, 400);
+      }
+      if (nextQuantity < shippedQuantity(item)) {
+        throw fail(`${shippedQuantity(item)} of ${item.name} have already shipped`, 409);
+      }
+
+      if (nextVariant !== currentVariant) {
+        if (shippedQuantity(item) > 0) {
+          throw fail(`${item.name} has already shipped and can't be switched to another variant`, 409);
+        }
+        moveStock(product, currentVariant, -stockedQuantity(item));
+        moveStock(product, nextVariant, nextQuantity);
+        item.backorderedQuantity = 0;
+        recorded.push({
+          type: 'variant_changed',
+          orderItem: item._id,
+          name: item.name,
+          from: describeVariant(currentVariant),
+          to: describeVariant(nextVariant)
+        });
+        item.variant = variantSnapshot(nextVariant);
+        // A different variant sells at its own current price
+        item.price = nextVariant.price ?? product.price;
+      } else {
+        const unbackordered = Math.min(item.backorderedQuantity || 0, Math.max(0, item.quantity - nextQuantity));
+        item.backorderedQuantity -= unbackordered;
+        moveStock(product, currentVariant, nextQuantity - item.quantity + unbackordered);
+      }
+
+      if (nextQuantity !== item.quantity) {
+        recorded.push({ type: 'quantity_changed', orderItem: item._id, name: item.name, from: item.quantity, to: nextQuantity });
+        item.quantity = nextQuantity;
+      }
+    }
+
+    for (const { product: productId, variant: variantRef, quantity } of addItems) {
+      const product = await loadProduct(productId);
+      const variant = findVariant(product, variantRef);
+
+      if (!product.isActive) {
+        throw fail(`${product.name} is not for sale`, 400);
+      }
+      if (variantRef && !variant) {
+        throw fail(`Variant not found: ${variantRef}`, 400);
+      }
+
+      order.items.push({
+        product: product._id,
+        name: product.name,
+        image: product.primaryImage || undefined,
+        ...(variant && { variant: variantSnapshot(variant) }),
+        quantity,
+        price: variant?.price ?? product.price
+      });
+      const item = order.items[order.items.length - 1];
+
+      moveStock(product, variant, quantity);
+      recorded.push({ type: 'item_added', orderItem: item._id, name: item.name, from: 0, to: quantity });
+    }
+
+    if (order.items.length === 0) {
+      throw fail('An order needs at least one item; cancel it instead', 400);
+    }
+
+    if (shippingAddress) {
+      const from = {};
+      const to = {};
+      for (const field of ADDRESS_FIELDS) {
+        const value = shippingAddress[field];
+        if (value !== undefined && value !== order.shippingAddress[field]) {
+          from[field] = order.shippingAddress[field];
+          to[field] = value;
+          order.shippingAddress[field] = value;
+        }
+      }
+      if (Object.keys(to).length > 0) {
+        recorded.push({ type: 'address_changed', from, to });
+      }
+    }
+
+    if (shippingPrice !== undefined && roundMoney(shippingPrice) !== totalsBefore.shippingPrice) {
+      recorded.push({ type: 'shipping_price_changed', from: totalsBefore.shippingPrice, to: roundMoney(shippingPrice) });
+      order.shippingPrice = roundMoney(shippingPrice);
+    }
+
+    if (recorded.length === 0) {
+      throw fail('No changes to make', 400);
+    }
+
+    // Promotion discounts follow the edited lines
+    await reapplyOrderPromotions(order, { session });
+    repriceOrder(order, totalsBefore);
+
+    await adjustOrderStock(
+      order,
+      [...deltas.values()].filter(delta => delta.quantity !== 0),
+      { session, userId: user?._id }
+    );
+
+    // Units the edit added haven't been picked yet
+    if (recorded.some(change => ['item_added', 'variant_changed'].includes(change.type)
+      || (change.type === 'quantity_changed' && change.to > change.from))) {
+      order.picking = undefined;
+    }
+
+    order.edits.push({
+      changes: recorded,
+      totalsBefore,
+      totalsAfter: orderTotals(order),
+      balance: roundMoney(order.totalAmount - totalsBefore.totalAmount),
+      reason,
+      editedBy: user?._id
+    });
+    edit = order.edits[order.edits.length - 1];
+
+    await order.save({ session });
+    await session.commitTransaction();
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  const { clientSecret } = await settleEditBalance(order, edit);
+
+  sendOrderEmail('orderUpdated', order, {
+    charge: edit.payment.type === 'charge' ? edit.payment.amount : undefined,
+    refund: edit.payment.type === 'refund' && edit.payment.status !== 'failed' ? edit.payment.amount : undefined
+  });
+
+  return { order, edit, ...(clientSecret && { clientSecret }) };
+};
+
+/**
+ * An order's edits, oldest first
+ * @param {string} orderId
+ * @returns {Promise<Array<Object>|null>} Null if the order doesn't exist
+ */
+export const getOrderEdits = async (orderId) => {
+  const order = await Order.findById(orderId)
+    .select('edits')
+    .populate('edits.editedBy', 'name email');
+  return order ? order.edits : null;
+};
+
+export default {
+  EDITABLE_STATUSES,
+  variantSnapshot,
+  repriceOrder,
+  editOrder,
+  getOrderEdits
+};
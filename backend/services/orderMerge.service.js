@@ -0,0 +1,227 @@
+import mongoose from 'mongoose';
+import Order from '../models/order.model.js';
+import Shipment from '../models/shipment.model.js';
+import logger from '../utils/logger.js';
+import OrderStatusService from './orderStatusService.js';
+import { isHeldForReview } from './fraud.service.js';
+import { repriceOrder } from './orderEdit.service.js';
+import { transferOrderStock } from './stockReservation.service.js';
+import { combinePromotions, transferRedemptions } from './promotion.service.js';
+
+/**
+ * Merging orders.
+ *
+ * Customers often place a second order minutes after the first, to the same
+ * address. Staff can combine such orders while nothing has shipped: the new
+ * order carries every line, the stock the originals hold, their promotion
+ * codes and what was paid for each, and the originals are cancelled with a history entry pointing to
+ * it. Shipping charged on each original is kept; lower it with an order edit
+ * to refund the difference.
+ */
+
+export const MERGEABLE_STATUSES = ['pending', 'processing'];
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'postalCode', 'country'];
+
+const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const addressKey = (address = {}) => ADDRESS_FIELDS
+  .map(field => String(address[field] || '').trim().toLowerCase())
+  .join('|');
+
+const customerKey = (order) => (order.isGuest
+  ? `guest:${String(order.guestEmail || '').toLowerCase()}`
+  : `user:${order.user}`);
+
+// Same product, variant and price end up on one line
+const lineKey = (item) => `${item.product}|${item.variant?.sku || ''}|${item.price}`;
+
+/**
+ * Throw unless the orders can be merged
+ * @param {Array<Object>} orders - Order documents, oldest first
+ * @param {Object} [session]
+ * @throws {Error} With `statusCode` 409 describing the first problem found
+ */
+const assertMergeable = async (orders, session) => {
+  const [first] = orders;
+
+  for (const order of orders) {
+    if (!MERGEABLE_STATUSES.includes(order.status)) {
+      throw fail(`Order ${order.orderNumber} is ${order.status}; only ${MERGEABLE_STATUSES.join(' or ')} orders can be merged`, 409);
+    }
+    if (customerKey(order) !== customerKey(first)) {
+      throw fail(`Order ${order.orderNumber} belongs to a different customer`, 409);
+    }
+    if (addressKey(order.shippingAddress) !== addressKey(first.shippingAddress)) {
+      throw fail(`Order ${order.orderNumber} ships to a different address`, 409);
+    }
+    if (order.paymentStatus !== first.paymentStatus || order.status !== first.status) {
+      throw fail(`Order ${order.orderNumber} is ${order.status}/${order.paymentStatus}, unlike ${first.orderNumber}`, 409);
+    }
+    // A payment still coming in would land on the cancelled original
+    if (order.paymentStatus === 'pending' && order.paymentDetails?.paymentIntentId) {
+      throw fail(`Order ${order.orderNumber} has a payment in progress`, 409);
+    }
+    if ((order.refundedAmount || 0) > 0 || order.returns?.length > 0) {
+      throw fail(`Order ${order.orderNumber} has refunds or returns`, 409);
+    }
+    // The merged order wouldn't carry the hold, and nothing would release it
+    if (isHeldForReview(order)) {
+      throw fail(`Order ${order.orderNumber} is held for review; approve or cancel it first`, 409);
+    }
+  }
+
+  const shipped = await Shipment.findOne({ order: { $in: orders.map(order => order._id) } })
+    .select('order')
+    .session(session)
+    .lean();
+  if (shipped) {
+    const order = orders.find(entry => String(entry._id) === String(shipped.order));
+    throw fail(`Order ${order.orderNumber} already has a shipment`, 409);
+  }
+};
+
+/**
+ * Combine a customer's unshipped orders into a new one and cancel the
+ * originals. The new order takes over their stock holds and promotion
+ * codes, so nothing is released or taken twice. Refunds against it go to
+ * the largest of the original payments; the others are listed in `mergedFrom`.
+ * @param {Array<string>} orderIds - At least two
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @param {Object} [user] - Staff member merging them
+ * @returns {Promise<{order: Object, merged: Array<Object>}>} The new order and the cancelled originals
+ * @throws {Error} With `statusCode` 400, 404 if an order is missing, or 409 if they can't be merged
+ */
+export const mergeOrders = async (orderIds, { reason } = {}, user) => {
+  const ids = [...new Set(orderIds.map(String))];
+  if (ids.length < 2) {
+    throw fail('At least two different orders are needed to merge', 400);
+  }
+
+  const session = await mongoose.startSession();
+  const actor = OrderStatusService.actorFromUser(user);
+  let order;
+  let originals;
+
+  try {
+    session.startTransaction();
+
+    originals = await Order.find({ _id: { $in: ids } }).sort({ createdAt: 1 }).session(session);
+    if (originals.length !== ids.length) {
+      const found = new Set(originals.map(entry => String(entry._id)));
+      throw fail(`Order not found: ${ids.filter(id => !found.has(id)).join(', ')}`, 404);
+    }
+
+    await assertMergeable(originals, session);
+
+    const [first] = originals;
+    const lines = new Map();
+    for (const item of originals.flatMap(entry => entry.items)) {
+      const key = lineKey(item);
+      const line = lines.get(key);
+      if (line) {
+        line.quantity += item.quantity;
+        line.backorderedQuantity += item.backorderedQuantity || 0;
+        line.discount += item.discount || 0;
+        line.tax += item.tax || 0;
+        continue;
+      }
+      lines.set(key, {
+        product: item.product,
+        name: item.name,
+        image: item.image,
+        variant: item.variant?.sku ? item.variant.toObject() : undefined,
+        quantity: item.quantity,
+        price: item.price,
+        tax: item.tax || 0,
+        discount: item.discount || 0,
+        backorderedQuantity: item.backorderedQuantity || 0
+      });
+    }
+
+    const payments = originals.filter(entry => entry.paymentDetails?.paymentIntentId);
+    const [largestPayment] = [...payments]
+      .sort((a, b) => (b.paymentDetails.amountPaid || 0) - (a.paymentDetails.amountPaid || 0));
+
+    const summed = (field) => roundMoney(originals.reduce((sum, entry) => sum + (entry[field] || 0), 0));
+    const orderNumbers = originals.map(entry => entry.orderNumber).join(', ');
+
+    order = new Order({
+      user: first.user,
+      isGuest: first.isGuest,
+      guestEmail: first.guestEmail,
+      items: [...lines.values()],
+      itemsPrice: summed('itemsPrice'),
+      taxPrice: summed('taxPrice'),
+      shippingPrice: summed('shippingPrice'),
+      totalAmount: summed('totalAmount'),
+      discount: summed('discount'),
+      promotions: combinePromotions(originals),
+      status: first.status,
+      paymentStatus: first.paymentStatus,
+      ...(largestPayment && { paymentDetails: largestPayment.paymentDetails.toObject() }),
+      shippingAddress: first.shippingAddress.toObject(),
+      notes: originals.map(entry => entry.notes).filter(Boolean).join('\n') || undefined,
+      mergedFrom: originals.map(entry => ({
+        order: entry._id,
+        orderNumber: entry.orderNumber,
+        totalAmount: entry.totalAmount,
+        paymentStatus: entry.paymentStatus,
+        paymentIntentId: entry.paymentDetails?.paymentIntentId,
+        amountPaid: entry.paymentDetails?.amountPaid
+      })),
+      statusHistory: [{
+        status: first.status,
+        ...actor,
+        reason: `Merged from ${orderNumbers}${reason ? `: ${reason}` : ''}`,
+        changedAt: new Date()
+      }]
+    });
+    // Keep each original's tax rate by pricing from the combined totals
+    repriceOrder(order, {
+      itemsPrice: order.itemsPrice,
+      taxPrice: order.taxPrice,
+      shippingPrice: order.shippingPrice,
+      totalAmount: order.totalAmount
+    });
+    await order.save({ session });
+
+    await transferOrderStock(originals, order, { session });
+    await transferRedemptions(originals, order, { session });
+
+    for (const original of originals) {
+      OrderStatusService.applyStatus(original, 'cancelled', {
+        ...actor,
+        reason: `Merged into ${order.orderNumber}${reason ? `: ${reason}` : ''}`
+      });
+      original.mergedInto = order._id;
+      await original.save({ session });
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  logger.info('Orders merged', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    mergedFrom: originals.map(entry => entry.orderNumber),
+    mergedBy: user?._id
+  });
+
+  return { order, merged: originals };
+};
+
+export default {
+  MERGEABLE_STATUSES,
+  mergeOrders
+};
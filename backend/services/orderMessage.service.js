@@ -0,0 +1,97 @@
+import Order from '../models/order.model.js';
+import { sendOrderEmail } from './mail.service.js';
+import { notifyOrderMessage } from './realtime.service.js';
+
+/**
+ * Order notes and messages.
+ *
+ * Every order has one thread in `order.messages`. Customers post to it from
+ * their account (or a guest order link); staff post replies the customer
+ * sees, or internal notes only staff see. Customer messages notify staff and
+ * staff replies notify the customer.
+ *
+ * The timeline interleaves the thread with the order's status changes.
+ */
+
+const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const isStaff = (user) => user?.role === 'admin';
+
+/**
+ * Post a message or note on an order
+ * @param {Object} order - Order document
+ * @param {Object} message
+ * @param {string} message.body
+ * @param {boolean} [message.internal] - Staff only: keep it from the customer
+ * @param {Object} [user] - Author; omitted for guest order links
+ * @returns {Promise<Object>} The new entry in `order.messages`
+ * @throws {Error} With `statusCode` 400 for an empty message, or 403 if a customer posts an internal note
+ */
+export const addOrderMessage = async (order, { body, internal = false }, user) => {
+  const text = String(body || '').trim();
+  if (!text) {
+    throw fail('Message cannot be empty', 400);
+  }
+
+  const staff = isStaff(user);
+  if (internal && !staff) {
+    throw fail('Only staff can add internal notes', 403);
+  }
+
+  const message = order.messages.create({
+    body: text,
+    author: user?._id,
+    authorType: staff ? 'staff' : 'customer',
+    visibility: internal ? 'internal' : 'customer',
+    createdAt: new Date()
+  });
+
+  // Pushed on its own so older orders that no longer validate still take messages
+  await Order.updateOne({ _id: order._id }, { $push: { messages: message } }, { runValidators: true });
+
+  notifyOrderMessage(order, message);
+  if (message.authorType === 'staff' && message.visibility === 'customer') {
+    sendOrderEmail('orderMessage', order, { message });
+  }
+
+  return message;
+};
+
+/**
+ * Status changes and messages of an order, oldest first. Customers see
+ * neither internal notes nor why or by whom a status was changed.
+ * @param {Object} order - Order document, with `messages.author` populated for author names
+ * @param {Object} [options]
+ * @param {boolean} [options.staff] - Include internal notes and status details
+ * @returns {Array<Object>}
+ */
+export const getOrderTimeline = (order, { staff = false } = {}) => {
+  const statuses = (order.statusHistory || []).map(entry => ({
+    type: 'status',
+    status: entry.status,
+    from: entry.from,
+    createdAt: entry.changedAt,
+    ...(staff && { reason: entry.reason, actorType: entry.actorType, changedBy: entry.changedBy })
+  }));
+
+  const messages = (order.messages || [])
+    .filter(message => staff || message.visibility === 'customer')
+    .map(message => ({
+      type: message.visibility === 'internal' ? 'note' : 'message',
+      _id: message._id,
+      body: message.body,
+      authorType: message.authorType,
+      // Customers see who on staff replied only as the store
+      authorName: message.authorType === 'customer' || staff ? message.author?.name : undefined,
+      visibility: message.visibility,
+      createdAt: message.createdAt
+    }));
+
+  return [...statuses, ...messages]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+export default {
+  addOrderMessage,
+  getOrderTimeline
+};
@@ -0,0 +1,412 @@
+import mongoose from 'mongoose';
+import Order, { RETURN_CONDITIONS } from '../models/order.model.js';
+import Product from '../models/product.model.js';
+import mailConfig from '../config/mail.config.js';
+import logger from '../utils/logger.js';
+import { generateReturnAuthorizationPDF } from '../utils/pdfGenerator.js';
+import OrderStatusService from './orderStatusService.js';
+import { sendOrderEmail } from './mail.service.js';
+import { processRefund } from './refund.service.js';
+import { findVariant, restockUnits } from './stockReservation.service.js';
+import { scheduleBackorderAllocation } from './backorder.service.js';
+import { issueGuestOrderToken } from './guestOrderAccess.service.js';
+import { issueCreditNote } from './invoice.service.js';
+
+/**
+ * Return merchandise authorization (RMA).
+ *
+ * A return request moves `requested` -> `approved` (or `rejected`) ->
+ * `processing` -> `completed`. Approval authorizes some or all of the
+ * requested lines and issues a printable return authorization. Receiving
+ * grades each line; resellable items go back into stock, damaged ones don't.
+ * Completion refunds exactly the approved lines through the refund service.
+ */
+
+export const RETURN_AUTHORIZATION_VALID_DAYS = parseInt(process.env.RETURN_AUTHORIZATION_VALID_DAYS, 10) || 14;
+
+// Return statuses the authorization document can be downloaded in
+const AUTHORIZED_STATUSES = ['approved', 'processing', 'completed'];
+
+const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const apiBaseUrl = () => (process.env.API_BASE_URL || 'http://localhost:5000/api').replace(/\/$/, '');
+
+// Where customers send returns; lines separated by `;`
+const returnAddress = () => (process.env.RETURN_ADDRESS || mailConfig.storeName)
+  .split(';')
+  .map(line => line.trim())
+  .filter(Boolean);
+
+// Lines the customer will be, or has been, refunded for
+const approvedItems = (returnRequest) => returnRequest.items
+  .filter(item => ['approved', 'received', 'refunded'].includes(item.status));
+
+/**
+ * What completing a return refunds: the approved lines at the price paid.
+ * Return lines carry the unit price net of promotion discounts.
+ * @param {Object} returnRequest - Entry in `order.returns`
+ * @returns {number}
+ */
+export const getReturnRefundAmount = (returnRequest) =>
+  roundMoney(approvedItems(returnRequest).reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+const assertStatus = (returnRequest, allowed, action) => {
+  if (!allowed.includes(returnRequest.status)) {
+    throw fail(`Return ${returnRequest.returnId} is ${returnRequest.status} and can't be ${action}`, 409);
+  }
+};
+
+const addNote = (returnRequest, text, user) => {
+  if (text) returnRequest.notes.push({ text, createdBy: user?._id });
+};
+
+/**
+ * Find a return request and its order
+ * @param {string} returnId
+ * @returns {Promise<{order: Object, returnRequest: Object}>}
+ * @throws {Error} With `statusCode` 404 if there is no such return
+ */
+export const findReturn = async (returnId) => {
+  const order = await Order.findOne({ 'returns.returnId': returnId });
+  const returnRequest = order?.returns.find(entry => entry.returnId === returnId);
+  if (!returnRequest) {
+    throw fail('Return request not found', 404);
+  }
+  return { order, returnRequest };
+};
+
+/**
+ * Link to a return's authorization document. Guest orders get a link signed
+ * for this return that lasts as long as the authorization.
+ * @param {Object} order - Order document
+ * @param {Object} returnRequest
+ * @returns {string}
+ */
+export const buildAuthorizationUrl = (order, returnRequest) => {
+  const url = `${apiBaseUrl()}/orders/${order._id}/returns/${encodeURIComponent(returnRequest.returnId)}/authorization`;
+  if (!order.isGuest || !order.guestEmail) return url;
+
+  const { token } = issueGuestOrderToken(order, {
+    returnId: returnRequest.returnId,
+    expiresAt: returnRequest.authorizationExpiresAt
+  });
+  return `${url}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Authorize a return, optionally turning down some of its lines, and send
+ * the customer their return authorization
+ * @param {string} returnId
+ * @param {Object} [options]
+ * @param {Array<string>} [options.rejectItems] - Order item IDs not accepted for return
+ * @param {string} [options.notes]
+ * @param {Object} [user] - Staff member approving it
+ * @returns {Promise<{order: Object, returnRequest: Object}>}
+ * @throws {Error} With `statusCode` 404, 409 if it was already decided, or 400 for bad items
+ */
+export const approveReturn = async (returnId, { rejectItems = [], notes } = {}, user) => {
+  const { order, returnRequest } = await findReturn(returnId);
+  assertStatus(returnRequest, ['requested'], 'approved');
+
+  const rejecting = new Set(rejectItems.map(String));
+  const unknown = [...rejecting].filter(id => !returnRequest.items.some(item => String(item.orderItemId) === id));
+  if (unknown.length > 0) {
+    throw fail(`Not part of this return: ${unknown.join(', ')}`, 400);
+  }
+  if (rejecting.size === returnRequest.items.length) {
+    throw fail('Every item would be turned down; reject the return instead', 400);
+  }
+
+  const now = new Date();
+  for (const item of returnRequest.items) {
+    item.status = rejecting.has(String(item.orderItemId)) ? 'rejected' : 'approved';
+    item.processedAt = now;
+  }
+
+  returnRequest.status = 'approved';
+  returnRequest.authorizedAt = now;
+  returnRequest.authorizedBy = user?._id;
+  returnRequest.authorizationExpiresAt = new Date(now.getTime() + RETURN_AUTHORIZATION_VALID_DAYS * 24 * 60 * 60 * 1000);
+  returnRequest.processedBy = user?._id;
+  returnRequest.processedAt = now;
+  addNote(returnRequest, notes, user);
+
+  await order.save();
+
+  sendOrderEmail('returnAuthorized', order, {
+    returnRequest,
+    authorizationUrl: buildAuthorizationUrl(order, returnRequest)
+  });
+
+  return { order, returnRequest };
+};
+
+/**
+ * Turn down a whole return request
+ * @param {string} returnId
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Shown to the customer
+ * @param {Object} [user]
+ * @returns {Promise<{order: Object, returnRequest: Object}>}
+ * @throws {Error} With `statusCode` 404, or 409 if it was already decided
+ */
+export const rejectReturn = async (returnId, { reason } = {}, user) => {
+  const { order, returnRequest } = await findReturn(returnId);
+  assertStatus(returnRequest, ['requested'], 'rejected');
+
+  const now = new Date();
+  for (const item of returnRequest.items) {
+    item.status = 'rejected';
+    item.processedAt = now;
+  }
+
+  returnRequest.status = 'rejected';
+  returnRequest.processedBy = user?._id;
+  returnRequest.processedAt = now;
+  addNote(returnRequest, reason, user);
+
+  await order.save();
+
+  sendOrderEmail('returnRejected', order, { returnRequest, reason });
+
+  return { order, returnRequest };
+};
+
+/**
+ * Check in returned items. Resellable items go back into stock (and to any
+ * backorders waiting for them); damaged ones are only recorded.
+ * @param {string} returnId
+ * @param {Array<{orderItemId: string, condition: 'resellable'|'damaged'}>} items
+ * @param {Object} [user]
+ * @returns {Promise<{order: Object, returnRequest: Object}>}
+ * @throws {Error} With `statusCode` 404, 409 if the return isn't approved, or 400 for items
+ *   that weren't approved or were already received
+ */
+export const receiveReturnItems = async (returnId, items, user) => {
+  const { order: found } = await findReturn(returnId);
+  const session = await mongoose.startSession();
+  const restocked = [];
+  let order;
+  let returnRequest;
+
+  try {
+    session.startTransaction();
+
+    order = await Order.findById(found._id).session(session);
+    returnRequest = order.returns.find(entry => entry.returnId === returnId);
+    assertStatus(returnRequest, ['approved', 'processing'], 'received');
+
+    const now = new Date();
+    for (const { orderItemId, condition } of items) {
+      const item = returnRequest.items.find(entry => String(entry.orderItemId) === String(orderItemId));
+      if (!item) {
+        throw fail(`Not part of this return: ${orderItemId}`, 400);
+      }
+      if (item.status !== 'approved') {
+        throw fail(`${item.name} is ${item.status} and can't be received`, 400);
+      }
+
+      item.status = 'received';
+      item.condition = condition;
+      item.receivedAt = now;
+      item.processedAt = now;
+
+      if (condition !== 'resellable') continue;
+
+      const orderItem = order.items.id(item.orderItemId);
+      const product = orderItem && await Product.findById(orderItem.product).select('variants').session(session);
+      const variant = product && findVariant(product, orderItem.variant?.sku);
+
+      if (!product || (orderItem.variant?.sku && !variant)) {
+        logger.warn('Returned item could not be restocked', { orderId: order._id, returnId, orderItemId });
+        continue;
+      }
+
+      await restockUnits({ product: product._id, variant: variant?._id }, item.quantity, { session });
+      item.restocked = true;
+      restocked.push({ productId: product._id, variantId: variant?._id });
+    }
+
+    returnRequest.status = 'processing';
+    returnRequest.processedBy = user?._id;
+    returnRequest.processedAt = now;
+
+    await order.save({ session });
+
+    // Hand restocked units to waiting backorders once the restock is committed
+    restocked.forEach(({ productId, variantId }) => scheduleBackorderAllocation(productId, { variantId, session }));
+
+    await session.commitTransaction();
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  return { order, returnRequest };
+};
+
+/**
+ * Refund the approved lines of a fully received return and close it. The
+ * order moves to `refunded` once everything it cost has been refunded, or to
+ * `partially_refunded` before that. Orders not paid through Stripe get a
+ * `manual` refund record for staff to pay out.
+ * @param {string} returnId
+ * @param {Object} [user]
+ * @returns {Promise<{order: Object, returnRequest: Object}>}
+ * @throws {Error} With `statusCode` 404, 409 if items are still outstanding or a refund was
+ *   already issued, or 502 if Stripe refused the refund
+ */
+export const completeReturn = async (returnId, user) => {
+  const { order, returnRequest } = await findReturn(returnId);
+  assertStatus(returnRequest, ['processing'], 'completed');
+
+  const outstanding = approvedItems(returnRequest).filter(item => item.status === 'approved');
+  if (outstanding.length > 0) {
+    throw fail(`Still waiting to receive: ${outstanding.map(item => item.name).join(', ')}`, 409);
+  }
+
+  const amount = getReturnRefundAmount(returnRequest);
+  const refundable = roundMoney(order.totalAmount - (order.refundedAmount || 0));
+  if (amount > refundable) {
+    throw fail(`Only ${refundable} of this order is left to refund`, 409);
+  }
+
+  // Claim the refund so two requests can't both issue it
+  const claim = await Order.updateOne(
+    {
+      _id: order._id,
+      returns: { $elemMatch: { returnId, 'refund.status': { $in: [null, 'failed'] } } }
+    },
+    { $set: { 'returns.$.refund': { amount, status: 'pending' } } }
+  );
+  if (claim.modifiedCount === 0) {
+    throw fail('A refund for this return has already been issued', 409);
+  }
+
+  const paymentIntentId = order.paymentDetails?.paymentIntentId;
+  const refund = { amount, processedAt: new Date() };
+
+  if (paymentIntentId) {
+    try {
+      const result = await processRefund(paymentIntentId, {
+        amount: Math.round(amount * 100), // Convert to cents
+        idempotencyKey: `return-${returnId}`,
+        metadata: {
+          orderId: order._id.toString(),
+          returnId,
+          reason: `Return ${returnId}`,
+          processedBy: user?._id?.toString()
+        }
+      });
+      refund.reference = result.refundId;
+      refund.status = { succeeded: 'succeeded', failed: 'failed', canceled: 'failed' }[result.status] || 'pending';
+    } catch (error) {
+      await Order.updateOne(
+        { _id: order._id, 'returns.returnId': returnId },
+        { $set: { 'returns.$.refund': { ...refund, status: 'failed', error: error.message } } }
+      );
+      throw fail(`The refund could not be issued: ${error.message}`, 502);
+    }
+  } else {
+    refund.status = 'manual';
+  }
+
+  // processRefund recorded a Stripe refund on the order; reload to build on it
+  const updated = await Order.findById(order._id);
+  const updatedReturn = updated.returns.find(entry => entry.returnId === returnId);
+
+  if (refund.status === 'manual') {
+    updated.refunds.push({ amount, reason: `Return ${returnId}`, method: 'manual', returnId, processedBy: user?._id });
+    updated.refundedAmount = roundMoney((updated.refundedAmount || 0) + amount);
+  }
+
+  const now = new Date();
+  for (const item of updatedReturn.items) {
+    if (item.status === 'received') {
+      item.status = 'refunded';
+      item.processedAt = now;
+    }
+  }
+  updatedReturn.refund = refund;
+  updatedReturn.status = 'completed';
+  updatedReturn.completedAt = now;
+  updatedReturn.processedBy = user?._id;
+  updatedReturn.processedAt = now;
+
+  const fullyRefunded = updated.refundedAmount >= roundMoney(updated.totalAmount);
+  const nextStatus = fullyRefunded ? 'refunded' : 'partially_refunded';
+  if (OrderStatusService.isValidTransition(updated.status, nextStatus)) {
+    OrderStatusService.applyStatus(updated, nextStatus, {
+      ...OrderStatusService.actorFromUser(user),
+      reason: `Return ${returnId} refunded`
+    });
+  }
+  updated.paymentStatus = nextStatus;
+
+  await updated.save();
+
+  // Stripe refunds are credited by the refund service
+  if (refund.status === 'manual') {
+    await issueCreditNote(updated, { amount, returnId, reason: `Return ${returnId}` })
+      .catch(error => logger.error('Error issuing credit note', { orderId: updated._id, returnId, error: error.message }));
+  }
+
+  logger.info('Return completed', { orderId: updated._id, returnId, amount, refundStatus: refund.status });
+
+  return { order: updated, returnRequest: updatedReturn };
+};
+
+/**
+ * Render a return's authorization document
+ * @param {Object} order - Order document
+ * @param {string} returnId
+ * @returns {Promise<Buffer>} PDF
+ * @throws {Error} With `statusCode` 404, or 409 if the return hasn't been approved
+ */
+export const getReturnAuthorizationPDF = async (order, returnId) => {
+  const returnRequest = order.returns.find(entry => entry.returnId === returnId);
+  if (!returnRequest) {
+    throw fail('Return request not found', 404);
+  }
+  assertStatus(returnRequest, AUTHORIZED_STATUSES, 'printed before it is approved');
+
+  const address = order.shippingAddress || {};
+  const name = `${address.firstName || ''} ${address.lastName || ''}`.trim();
+
+  return generateReturnAuthorizationPDF({
+    returnId: returnRequest.returnId,
+    orderNumber: order.orderNumber || order._id.toString(),
+    authorizedAt: returnRequest.authorizedAt || returnRequest.processedAt,
+    expiresAt: returnRequest.authorizationExpiresAt,
+    reason: returnRequest.reason,
+    customer: {
+      name: name || order.guestEmail,
+      address
+    },
+    returnAddress: returnAddress(),
+    items: approvedItems(returnRequest).map(item => ({
+      name: item.name,
+      quantity: item.quantity,
+      reason: item.reason
+    }))
+  });
+};
+
+export default {
+  RETURN_AUTHORIZATION_VALID_DAYS,
+  RETURN_CONDITIONS,
+  getReturnRefundAmount,
+  findReturn,
+  buildAuthorizationUrl,
+  approveReturn,
+  rejectReturn,
+  receiveReturnItems,
+  completeReturn,
+  getReturnAuthorizationPDF
+};
@@ -1,45 +1,108 @@
 import Order from '../models/order.model.js';
+import { InvalidStatusTransitionError } from '../errors/invalid-status-transition-error.js';
+import { syncStockWithStatus } from './stockReservation.service.js';
+import { syncRedemptionsWithStatus } from './promotion.service.js';
 
+/**
+ * Order status state machine. Every write to `order.status` goes through
+ * here so illegal jumps are rejected and each change lands in `statusHistory`.
+ */
 class OrderStatusService {
   static statusTransitions = {
     pending: ['processing', 'cancelled'],
-    processing: ['shipped', 'on-hold', 'cancelled'],
+    processing: ['shipped', 'cancelled', 'refunded'],
     shipped: ['delivered', 'returned'],
-    delivered: ['returned', 'refunded'],
-    'on-hold': ['processing', 'cancelled'],
-    backordered: ['processing', 'cancelled']
+    delivered: ['returned', 'refunded', 'partially_refunded'],
+    returned: ['refunded', 'partially_refunded'],
+    partially_refunded: ['refunded'],
+    // A paid order that was cancelled still has to be refunded
+    cancelled: ['refunded'],
+    refunded: []
   };
 
-  static async updateStatus(orderId, newStatus, userId = null) {
-    const order = await Order.findById(orderId);
-    
-    if (!order) {
-      throw new Error('Order not found');
-    }
+  static isValidTransition(currentStatus, newStatus) {
+    const allowedTransitions = this.statusTransitions[currentStatus] || [];
+    return allowedTransitions.includes(newStatus);
+  }
 
+  /**
+   * Who made a change, for the history entry
+   * @param {Object} [user] - `req.user`; omitted for webhooks and jobs
+   * @returns {{changedBy: (string|undefined), actorType: string}}
+   */
+  static actorFromUser(user) {
+    if (!user) return { actorType: 'system' };
+    return {
+      changedBy: user._id,
+      actorType: user.role === 'admin' ? 'admin' : 'customer'
+    };
+  }
+
+  /**
+   * Throw unless the order may move to `newStatus`
+   * @param {Object} order - Order document
+   * @param {string} newStatus
+   * @throws {InvalidStatusTransitionError}
+   */
+  static assertTransition(order, newStatus) {
     if (!this.isValidTransition(order.status, newStatus)) {
-      throw new Error(`Invalid status transition from ${order.status} to ${newStatus}`);
+      throw new InvalidStatusTransitionError(order.status, newStatus, this.statusTransitions[order.status] || []);
     }
+  }
 
-    const previousStatus = order.status;
-    order.status = newStatus;
+  /**
+   * Move a loaded order to a new status and record it. The document is
+   * modified but not saved, so callers can save it in their own session.
+   * Setting the current status again is a no-op.
+   * @param {Object} order - Order document
+   * @param {string} newStatus
+   * @param {Object} [options]
+   * @param {string} [options.changedBy] - User ID
+   * @param {'admin'|'customer'|'system'} [options.actorType]
+   * @param {string} [options.reason]
+   * @returns {boolean} Whether the status changed
+   * @throws {InvalidStatusTransitionError}
+   */
+  static applyStatus(order, newStatus, { changedBy, actorType = 'system', reason } = {}) {
+    if (order.status === newStatus) return false;
+
+    this.assertTransition(order, newStatus);
 
-    // Add status history
-    order.statusHistory = order.statusHistory || [];
     order.statusHistory.push({
       status: newStatus,
-      changedBy: userId,
-      changedAt: new Date(),
-      previousStatus
+      from: order.status,
+      changedBy,
+      actorType,
+      reason,
+      changedAt: new Date()
     });
+    order.status = newStatus;
 
-    await order.save();
-    return order;
+    return true;
   }
 
-  static isValidTransition(currentStatus, newStatus) {
-    const allowedTransitions = this.statusTransitions[currentStatus] || [];
-    return allowedTransitions.includes(newStatus);
+  /**
+   * Load, transition and save an order
+   * @param {string} orderId
+   * @param {string} newStatus
+   * @param {Object} [options] - As for applyStatus, plus `session`
+   * @returns {Promise<Object>} The saved order
+   * @throws {InvalidStatusTransitionError}
+   */
+  static async updateStatus(orderId, newStatus, { session, ...options } = {}) {
+    const order = await Order.findById(orderId).session(session || null);
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const previousStatus = order.status;
+    if (this.applyStatus(order, newStatus, options)) {
+      await syncStockWithStatus(order, previousStatus, { session });
+      await syncRedemptionsWithStatus(order, previousStatus, { session });
+      await order.save({ session });
+    }
+    return order;
   }
 
   static async getStatusHistory(orderId) {
@@ -0,0 +1,177 @@
+import { v4 as uuidv4 } from 'uuid';
+import Order from '../models/order.model.js';
+import logger from '../utils/logger.js';
+import { generatePackingSlipsPDF } from '../utils/pdfGenerator.js';
+
+/**
+ * Batch packing slips and pick lists.
+ *
+ * Staff pick a batch of orders, either by ID or by filter (all processing
+ * orders not picked yet, by default), and print one PDF: a pick list with
+ * the units to collect per SKU and variant, then a packing slip per order.
+ * Only units still to ship are listed; shipped and backordered units are
+ * left out. Printed orders are marked picked with the pick list's ID. The
+ * mark is cleared when more of the order becomes ready to ship (backorders
+ * allocated, units added by an edit, or units left by a partial shipment),
+ * so the order comes up in the next batch.
+ */
+
+// Statuses an order can be picked in
+export const PICKABLE_STATUSES = ['processing'];
+
+// Most orders printed in one batch
+export const MAX_PICK_BATCH = 100;
+
+const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Units of a line to pack now
+const unitsToPick = (item) =>
+  Math.max(0, item.quantity - (item.fulfilledQuantity || 0) - (item.backorderedQuantity || 0));
+
+const selectOrders = async ({ orderIds, status = 'processing', from, to, includePicked = false }) => {
+  if (orderIds?.length) {
+    const orders = await Order.find({ _id: { $in: orderIds } })
+      .populate('user', 'name email')
+      .populate('items.product', 'sku')
+      .sort({ createdAt: 1 });
+
+    const missing = orderIds.filter(id => !orders.some(order => order._id.equals(id)));
+    if (missing.length) {
+      throw fail(`Orders not found: ${missing.join(', ')}`, 404);
+    }
+    const unpickable = orders.filter(order => !PICKABLE_STATUSES.includes(order.status));
+    if (unpickable.length) {
+      throw fail(`Only ${PICKABLE_STATUSES.join(', ')} orders can be picked: ${unpickable.map(order => `${order.orderNumber} is ${order.status}`).join(', ')}`, 409);
+    }
+    return orders;
+  }
+
+  const query = { status };
+  if (!includePicked) query['picking.pickedAt'] = null;
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+
+  return Order.find(query)
+    .populate('user', 'name email')
+    .populate('items.product', 'sku')
+    .sort({ createdAt: 1 })
+    .limit(MAX_PICK_BATCH);
+};
+
+/**
+ * What to pack for an order
+ * @param {Object} order - Order document, with `user` and `items.product` populated
+ * @returns {Object} Packing slip data; `items` is empty if nothing is left to pick
+ */
+export const buildPackingSlip = (order) => {
+  const address = order.shippingAddress || {};
+  const lines = order.items?.length ? order.items : order.products || [];
+
+  return {
+    order: order._id,
+    orderNumber: order.orderNumber,
+    orderDate: order.createdAt,
+    customer: {
+      name: [address.firstName, address.lastName].filter(Boolean).join(' ') || order.user?.name || 'Guest Customer',
+      email: order.user?.email || order.guestEmail,
+      address
+    },
+    items: lines
+      .map(item => ({
+        product: item.product?._id || item.product,
+        name: item.name,
+        // Legacy `products` lines keep the variant and SKU as strings
+        variant: typeof item.variant === 'string' ? item.variant : item.variant?.value,
+        sku: item.variant?.sku || item.sku || item.product?.sku,
+        quantity: unitsToPick(item)
+      }))
+      .filter(item => item.quantity > 0),
+    backordered: lines.reduce((sum, item) => sum + (item.backorderedQuantity || 0), 0),
+    notes: order.notes
+  };
+};
+
+/**
+ * Consolidate packing slips into the units to pick, one line per SKU and variant
+ * @param {Array<Object>} slips - From buildPackingSlip
+ * @returns {Array<{sku: string, name: string, variant?: string, quantity: number, orders: Array<string>}>}
+ *   Sorted by SKU
+ */
+export const buildPickList = (slips) => {
+  const lines = new Map();
+
+  for (const slip of slips) {
+    for (const item of slip.items) {
+      const key = [item.product, item.sku, item.variant].join('|');
+      const line = lines.get(key) || { sku: item.sku, name: item.name, variant: item.variant, quantity: 0, orders: [] };
+      line.quantity += item.quantity;
+      if (!line.orders.includes(slip.orderNumber)) line.orders.push(slip.orderNumber);
+      lines.set(key, line);
+    }
+  }
+
+  return [...lines.values()].sort((a, b) =>
+    (a.sku || '').localeCompare(b.sku || '') || a.name.localeCompare(b.name));
+};
+
+/**
+ * Print the pick list and packing slips for a batch of orders and mark them picked
+ * @param {Object} selection
+ * @param {Array<string>} [selection.orderIds] - Orders to print; otherwise the filter below picks them
+ * @param {string} [selection.status] - Defaults to processing
+ * @param {Date} [selection.from] - Orders placed on or after
+ * @param {Date} [selection.to] - Orders placed on or before
+ * @param {boolean} [selection.includePicked] - Also reprint orders already picked
+ * @param {Object} user - Staff printing them
+ * @returns {Promise<{pdf: Buffer, pickListId: string, orders: Array<Object>, skipped: Array<string>}>}
+ *   `skipped` lists orders with nothing left to pick
+ * @throws {Error} With `statusCode` 404 if an order doesn't exist, or 409 if one can't be picked or nothing is left to pick
+ */
+export const printPackingSlips = async (selection, user) => {
+  const orders = await selectOrders(selection);
+  if (orders.length === 0) {
+    throw fail('No orders to pick', 404);
+  }
+
+  const slips = orders.map(buildPackingSlip);
+  const printable = slips.filter(slip => slip.items.length > 0);
+  if (printable.length === 0) {
+    throw fail('There is nothing left to pick for these orders', 409);
+  }
+
+  const pickListId = `PL-${uuidv4().substring(0, 8).toUpperCase()}`;
+  const printedAt = new Date();
+
+  const pdf = await generatePackingSlipsPDF({
+    pickListId,
+    printedAt,
+    orderCount: printable.length,
+    lines: buildPickList(printable),
+    slips: printable
+  });
+
+  await Order.updateMany(
+    { _id: { $in: printable.map(slip => slip.order) } },
+    { $set: { picking: { pickedAt: printedAt, pickedBy: user?._id, pickListId } } }
+  );
+
+  logger.info('Packing slips printed', { pickListId, orders: printable.length, printedBy: user?._id });
+
+  return {
+    pdf,
+    pickListId,
+    orders: printable.map(slip => ({ _id: slip.order, orderNumber: slip.orderNumber })),
+    skipped: slips.filter(slip => slip.items.length === 0).map(slip => slip.orderNumber)
+  };
+};
+
+export default {
+  PICKABLE_STATUSES,
+  MAX_PICK_BATCH,
+  buildPackingSlip,
+  buildPickList,
+  printPackingSlips
+};
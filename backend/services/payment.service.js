@@ -1,7 +1,15 @@
+import mongoose from 'mongoose';
 import stripe from '../config/stripe.config.js';
 import Order from '../models/order.model.js';
 import logger from '../utils/logger.js';
 import { alertFailedPayment, alertHighValueTransaction } from '../utils/alert.utils.js';
+import { sendOrderEmail } from './mail.service.js';
+import { assessOrderRisk, announceHold, isHeldForReview } from './fraud.service.js';
+import { issueInvoice, isInvoicedUnderOriginals } from './invoice.service.js';
+import OrderStatusService from './orderStatusService.js';
+import { processRefund } from './refund.service.js';
+import { notifyPaymentFailed } from './realtime.service.js';
+import { commitOrderStock, releaseOrderStock } from './stockReservation.service.js';
 
 /**
  * Create a refund for a payment
@@ -36,7 +44,7 @@ export const createRefund = async (paymentIntentId, amount = null, reason = 'req
     });
 
     // Update order status in your database
-    await Order.findOneAndUpdate(
+    const order = await Order.findOneAndUpdate(
       { paymentIntentId },
       {
         $push: {
@@ -49,11 +57,29 @@ export const createRefund = async (paymentIntentId, amount = null, reason = 'req
             metadata: refund.metadata,
           },
         },
-        $set: { status: 'refunded' },
       },
       { new: true }
     );
 
+    // The money has already moved, so an order that can't be marked refunded keeps its status
+    if (order && order.status !== 'refunded') {
+      if (OrderStatusService.isValidTransition(order.status, 'refunded')) {
+        OrderStatusService.applyStatus(order, 'refunded', { reason: `Stripe refund ${refund.id}` });
+        await order.save();
+      } else {
+        logger.warn('Refund issued for an order that cannot be marked refunded', {
+          orderId: order._id,
+          status: order.status,
+          refundId: refund.id
+        });
+      }
+    }
+
+    sendOrderEmail('refundIssued', order, {
+      amount: refund.amount / 100,
+      reason: refund.reason
+    });
+
     return refund;
   } catch (error) {
     logger.error('Error creating refund', {
@@ -117,6 +143,136 @@ export const createPaymentIntent = async (order, customerEmail) => {
   }
 };
 
+/**
+ * Charge the customer the difference after an order edit raised its total.
+ * The returned client secret is confirmed by the customer like any other
+ * payment; the webhook then marks the edit's payment as succeeded.
+ * @param {Object} order - The order object
+ * @param {number} amount - Amount due in dollars
+ * @param {Object} options
+ * @param {string} options.editId - `_id` of the entry in `order.edits`
+ * @returns {Promise<Object>} Payment intent
+ */
+export const createAdjustmentCharge = async (order, amount, { editId }) => {
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: Math.round(amount * 100), // Convert to cents
+    currency: 'usd',
+    metadata: {
+      orderId: order._id.toString(),
+      ...(order.user && { userId: order.user.toString() }),
+      type: 'order_edit',
+      editId: editId.toString(),
+    },
+    ...(order.guestEmail && { receipt_email: order.guestEmail }),
+    automatic_payment_methods: {
+      enabled: true,
+    },
+  });
+
+  logger.info('Order edit charge created', {
+    orderId: order._id,
+    editId,
+    paymentIntentId: paymentIntent.id,
+    amount,
+  });
+
+  return {
+    clientSecret: paymentIntent.client_secret,
+    paymentIntentId: paymentIntent.id,
+  };
+};
+
+/**
+ * Refund part of the original payment after an order edit lowered its total.
+ * The refund is recorded on the order and credited like any other, but
+ * unlike createRefund this leaves the order status alone. Retrying the same
+ * edit's refund doesn't refund twice.
+ * @param {Object} order - The order object
+ * @param {number} amount - Amount to refund in dollars
+ * @param {Object} options
+ * @param {string} options.editId - `_id` of the entry in `order.edits`
+ * @returns {Promise<Object>} Refund details, from processRefund
+ */
+export const refundAdjustment = async (order, amount, { editId }) => {
+  const paymentIntentId = order.paymentDetails?.paymentIntentId;
+  if (!paymentIntentId) {
+    throw new Error('Order has no recorded payment to refund');
+  }
+
+  const refund = await processRefund(paymentIntentId, {
+    amount: Math.round(amount * 100), // Convert to cents
+    metadata: {
+      orderId: order._id.toString(),
+      type: 'order_edit',
+      editId: editId.toString(),
+      reason: 'Order edited',
+    },
+    idempotencyKey: `edit-${editId}`,
+  });
+
+  logger.info('Order edit refund created', {
+    orderId: order._id,
+    editId,
+    refundId: refund.refundId,
+    amount,
+    status: refund.status,
+  });
+
+  return refund;
+};
+
+// A payment the customer hasn't completed can still change amount
+const UPDATABLE_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+/**
+ * Bring an unpaid order's payment intent in line with its total after an
+ * edit changed it, so the customer pays the edited amount
+ * @param {Object} order - The order object
+ * @returns {Promise<boolean>} Whether the intent now asks for the order total;
+ *   false if the order has none or its payment is already under way
+ */
+export const updatePaymentIntentAmount = async (order) => {
+  const paymentIntentId = order.paymentDetails?.paymentIntentId;
+  if (!paymentIntentId) return false;
+
+  const amount = Math.round(order.totalAmount * 100); // Convert to cents
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  if (paymentIntent.amount === amount) return true;
+
+  if (!UPDATABLE_INTENT_STATUSES.includes(paymentIntent.status)) {
+    logger.warn('Payment intent can no longer be updated to the edited total', {
+      orderId: order._id,
+      paymentIntentId,
+      status: paymentIntent.status,
+      amount: paymentIntent.amount / 100,
+      totalAmount: order.totalAmount,
+    });
+    return false;
+  }
+
+  await stripe.paymentIntents.update(paymentIntentId, { amount });
+  logger.info('Payment intent updated after order edit', {
+    orderId: order._id,
+    paymentIntentId,
+    amount: order.totalAmount,
+  });
+  return true;
+};
+
+// Charges for order edits settle against the edit, not the order itself
+const settleAdjustmentCharge = (paymentIntent, status, { session } = {}) => Order.findOneAndUpdate(
+  { _id: paymentIntent.metadata.orderId, 'edits._id': paymentIntent.metadata.editId },
+  {
+    $set: {
+      'edits.$.payment.status': status,
+      ...(status === 'failed' && {
+        'edits.$.payment.error': paymentIntent.last_payment_error?.message || 'Payment failed'
+      })
+    }
+  },
+  { new: true, session }
+);
+
 /**
  * Handle successful payment
  * @param {string} paymentIntentId - Stripe payment intent ID
@@ -127,25 +283,75 @@ export const handleSuccessfulPayment = async (paymentIntentId) => {
   session.startTransaction();
 
   try {
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    // PaymentIntents carry their charge as `latest_charge` since API version 2022-11-15
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId, {
+      expand: ['latest_charge']
+    });
+
+    if (paymentIntent.metadata?.type === 'order_edit') {
+      const order = await settleAdjustmentCharge(paymentIntent, 'succeeded', { session });
+      await session.commitTransaction();
+      return order;
+    }
     
-    const order = await Order.findByIdAndUpdate(
-      paymentIntent.metadata.orderId,
-      {
-        paymentStatus: 'paid',
-        status: 'processing',
-        'paymentDetails.paymentIntentId': paymentIntent.id,
-        'paymentDetails.amountPaid': paymentIntent.amount / 100, // Convert back to dollars
-        'paymentDetails.receiptUrl': paymentIntent.charges.data[0]?.receipt_url || '',
-      },
-      { new: true, session }
-    );
+    const order = await Order.findById(paymentIntent.metadata.orderId).session(session);
 
     if (!order) {
       throw new Error('Order not found');
     }
 
+    if (paymentIntent.amount !== Math.round(order.totalAmount * 100)) {
+      logger.warn('Payment amount differs from the order total', {
+        orderId: order._id,
+        paymentIntentId,
+        amountPaid: paymentIntent.amount / 100,
+        totalAmount: order.totalAmount,
+      });
+    }
+
+    order.set({
+      paymentStatus: 'paid',
+      'paymentDetails.paymentIntentId': paymentIntent.id,
+      'paymentDetails.amountPaid': paymentIntent.amount / 100, // Convert back to dollars
+      'paymentDetails.receiptUrl': paymentIntent.latest_charge?.receipt_url || '',
+    });
+
+    // Webhooks can be redelivered; only a pending order starts processing
+    let held = false;
+    if (order.status === 'pending') {
+      const wasHeld = isHeldForReview(order);
+      await assessOrderRisk(order, {
+        billingCountry: paymentIntent.latest_charge?.billing_details?.address?.country,
+        session
+      });
+      held = isHeldForReview(order) && !wasHeld;
+
+      // Held orders keep their stock but wait for a review before fulfillment
+      if (!isHeldForReview(order)) {
+        OrderStatusService.applyStatus(order, 'processing', { reason: `Payment ${paymentIntent.id} succeeded` });
+      }
+      await commitOrderStock(order, { session });
+    } else if (order.status !== 'processing') {
+      logger.warn('Payment succeeded for an order that is not pending', {
+        orderId: order._id,
+        status: order.status,
+        paymentIntentId
+      });
+    }
+
+    await order.save({ session });
+    // Numbered in this transaction, so a payment that fails to record doesn't use up a number
+    if (!isInvoicedUnderOriginals(order)) {
+      await issueInvoice(order, { session });
+    }
     await session.commitTransaction();
+
+    sendOrderEmail('paymentReceived', order, {
+      amount: paymentIntent.amount / 100,
+      receiptUrl: paymentIntent.latest_charge?.receipt_url
+    });
+    if (held) announceHold(order);
+
     return order;
   } catch (error) {
     await session.abortTransaction();
@@ -166,8 +372,18 @@ export const handleFailedPayment = async (paymentIntentId) => {
       expand: ['payment_method']
     });
 
+    if (paymentIntent.metadata?.type === 'order_edit') {
+      await settleAdjustmentCharge(paymentIntent, 'failed');
+      logger.info('Order edit charge failed', {
+        orderId: paymentIntent.metadata.orderId,
+        editId: paymentIntent.metadata.editId,
+        paymentIntentId
+      });
+      return;
+    }
+
     // Get the related order if it exists
-    const order = await Order.findOne({ paymentIntentId });
+    const order = paymentIntent.metadata?.orderId ? await Order.findById(paymentIntent.metadata.orderId) : null;
     
     // Prepare alert data
     const alertData = {
@@ -189,8 +405,9 @@ export const handleFailedPayment = async (paymentIntentId) => {
 
     // Update order status if order exists
     if (order) {
-      order.status = 'payment_failed';
+      // The order stays pending so the customer can retry the payment
       order.paymentStatus = 'failed';
+      order.paymentFailures = (order.paymentFailures || 0) + 1;
       order.error = {
         message: paymentIntent.last_payment_error?.message || 'Payment failed',
         code: paymentIntent.last_payment_error?.code,
@@ -198,12 +415,20 @@ export const handleFailedPayment = async (paymentIntentId) => {
         decline_code: paymentIntent.last_payment_error?.decline_code,
       };
       await order.save();
+
+      // Free the held stock; a successful retry takes it again if it is still there
+      await releaseOrderStock(order, 'payment_failed');
       
       logger.info('Order updated with payment failure', {
         orderId: order._id,
         paymentIntentId,
-        status: 'payment_failed'
+        paymentStatus: 'failed'
+      });
+
+      sendOrderEmail('paymentFailed', order, {
+        reason: paymentIntent.last_payment_error?.message
       });
+      notifyPaymentFailed(order, paymentIntent.last_payment_error?.message);
     }
     
   } catch (error) {
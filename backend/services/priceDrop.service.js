@@ -0,0 +1,176 @@
+import Wishlist from '../models/wishlist.model.js';
+import Product from '../models/product.model.js';
+import User from '../models/user.model.js';
+import { notifyUsers } from './notification.service.js';
+import { queueEmail } from './mail.service.js';
+import { formatMoney } from '../utils/emailTemplates.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Wishlist price-drop notifications.
+ *
+ * Each wishlist item remembers the price it was saved at. When a product gets
+ * cheaper by at least PRICE_DROP_THRESHOLD_PERCENT compared with that price
+ * (or with the price of the last drop we told the owner about), the owner is
+ * notified unless they opted out for that item.
+ */
+
+export const PRICE_DROP_THRESHOLD_PERCENT = parseFloat(process.env.PRICE_DROP_THRESHOLD_PERCENT) || 5;
+const BATCH_SIZE = parseInt(process.env.PRICE_DROP_BATCH_SIZE, 10) || 100;
+
+/**
+ * Snapshot current prices so changes can be diffed after an update
+ * @param {Array<string>} productIds - Products about to change
+ * @param {import('mongoose').ClientSession} [session] - Session to read in
+ * @returns {Promise<Map<string, number>>} Price by product ID
+ */
+export const capturePrices = async (productIds, session) => {
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('price')
+    .session(session || null)
+    .lean();
+  return new Map(products.map(product => [String(product._id), product.price]));
+};
+
+/**
+ * Build the list of price decreases between two snapshots
+ * @param {Map<string, number>} before - Prices before the update
+ * @param {Map<string, number>} after - Prices after the update
+ * @returns {Array<{productId: string, oldPrice: number, newPrice: number}>}
+ */
+export const diffPrices = (before, after) => [...after.entries()]
+  .filter(([id, newPrice]) => before.has(id) && newPrice < before.get(id))
+  .map(([productId, newPrice]) => ({ productId, oldPrice: before.get(productId), newPrice }));
+
+const crossesThreshold = (referencePrice, newPrice) =>
+  referencePrice > 0 && newPrice <= referencePrice * (1 - PRICE_DROP_THRESHOLD_PERCENT / 100);
+
+/**
+ * Notify wishlist owners about one product's price drop
+ * @param {Object} change - `{ productId, oldPrice, newPrice }`
+ * @returns {Promise<number>} Number of owners notified
+ */
+const dispatchForProduct = async ({ productId, oldPrice, newPrice }) => {
+  const product = await Product.findById(productId).select('name price').lean();
+  // Skip if the price moved again since the change was recorded
+  if (!product || product.price !== newPrice) return 0;
+
+  const cursor = Wishlist.find({ 'items.product': productId })
+    .select('user items.product items.priceWhenAdded items.lastNotifiedPrice items.notifyOnPriceDrop')
+    .lean()
+    .cursor();
+
+  let notified = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (!batch.length) return;
+    const recipients = batch;
+    batch = [];
+
+    await Wishlist.updateMany(
+      { user: { $in: recipients.map(r => r.userId) } },
+      { $set: { 'items.$[item].lastNotifiedPrice': newPrice } },
+      { arrayFilters: [{ 'item.product': product._id }] }
+    );
+
+    await notifyUsers(recipients.map(r => r.userId), {
+      title: 'Price drop on your wishlist',
+      message: `${product.name} is now ${formatMoney(newPrice)}`,
+      type: 'wishlist',
+      priority: 'medium',
+      link: '/shop',
+      event: 'wishlist:price-drop',
+      data: { productId: product._id, oldPrice, newPrice }
+    });
+
+    const users = await User.find({ _id: { $in: recipients.map(r => r.userId) } })
+      .select('name email notificationPreferences')
+      .lean();
+
+    const results = await Promise.allSettled(users
+      .filter(user => user.email && user.notificationPreferences?.wishlist !== false)
+      .map(user => {
+        const { referencePrice } = recipients.find(r => String(r.userId) === String(user._id));
+        return queueEmail({
+          to: user.email,
+          template: 'priceDrop',
+          data: { name: user.name, productName: product.name, oldPrice: referencePrice, newPrice },
+          userId: user._id,
+          metadata: { productId: String(product._id) }
+        });
+      }));
+
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => logger.error('Failed to queue price drop email', {
+        productId: product._id,
+        error: result.reason?.message
+      }));
+
+    notified += recipients.length;
+  };
+
+  for await (const wishlist of cursor) {
+    const item = wishlist.items.find(i => String(i.product) === String(productId));
+    if (!item || item.notifyOnPriceDrop === false) continue;
+
+    // Items saved before prices were tracked are measured from the old price
+    const referencePrice = item.lastNotifiedPrice ?? item.priceWhenAdded ?? oldPrice;
+    if (!crossesThreshold(referencePrice, newPrice)) continue;
+
+    batch.push({ userId: wishlist.user, referencePrice });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return notified;
+};
+
+/**
+ * Notify wishlist owners about a set of price decreases
+ * @param {Array<{productId: string, oldPrice: number, newPrice: number}>} changes
+ * @returns {Promise<number>} Total owners notified
+ */
+export const dispatchPriceDrops = async (changes = []) => {
+  let total = 0;
+  for (const change of changes.filter(c => c.newPrice < c.oldPrice)) {
+    total += await dispatchForProduct(change);
+  }
+
+  if (total) {
+    logger.info('Wishlist price drop notifications sent', { products: changes.length, notified: total });
+  }
+  return total;
+};
+
+/**
+ * Run the dispatcher in the background once the price changes are committed
+ * @param {Array<Object>} changes - See dispatchPriceDrops
+ * @param {Object} [options]
+ * @param {import('mongoose').ClientSession} [options.session] - Session the change was made in
+ */
+export const schedulePriceDropNotifications = (changes, { session } = {}) => {
+  if (!changes?.length) return;
+
+  const run = () => dispatchPriceDrops(changes).catch(error => {
+    logger.error('Price drop dispatch failed', { error: error.message });
+  });
+
+  if (session?.inTransaction()) {
+    session.once('ended', () => {
+      if (session.transaction.isCommitted) run();
+    });
+    return;
+  }
+
+  run();
+};
+
+export default {
+  PRICE_DROP_THRESHOLD_PERCENT,
+  capturePrices,
+  diffPrices,
+  dispatchPriceDrops,
+  schedulePriceDropNotifications
+};
@@ -0,0 +1,525 @@
+import Coupon from '../models/coupon.model.js';
+import CouponRedemption from '../models/couponRedemption.model.js';
+import CouponUsage from '../models/couponUsage.model.js';
+import Product from '../models/product.model.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Promotion codes.
+ *
+ * Codes are checked against the cart they're used on: active, inside their
+ * start and end window, under their total and per-customer limits, reserved
+ * for this customer if reserved at all, and over their minimum subtotal. A
+ * scoped code needs at least one line it applies to.
+ *
+ * Stacking: the first valid code is always kept. Another code is only added
+ * if it and every code kept so far are stackable. Percentages are taken
+ * first, then fixed amounts from what's left, each only from the lines the
+ * code applies to and never below zero. Free shipping waives shipping.
+ *
+ * On an order, discounts are written to the lines they came from
+ * (`items.discount`), so invoices and refunds see discounted prices, and
+ * each code is redeemed in the order's transaction. Total and per-customer
+ * limits are taken there with guarded counters, so concurrent orders can't
+ * both use the last redemption. Editing the order works
+ * the discounts out again for the new lines; a code the edited order no
+ * longer qualifies for is dropped and its use given back.
+ */
+
+// Most codes used together
+export const MAX_CODES_PER_ORDER = 5;
+
+// Percentages come off the full price, fixed amounts off what's left
+const APPLY_ORDER = ['percentage', 'fixed_amount', 'free_shipping'];
+
+const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const includesId = (ids = [], id) => Boolean(id) && ids.some(entry => entry.equals ? entry.equals(id) : String(entry) === String(id));
+
+/**
+ * Clean up codes entered by a customer
+ * @param {string|Array<string>} [codes]
+ * @returns {Array<string>} Uppercased, without blanks or repeats
+ */
+export const normalizeCodes = (codes) => {
+  const list = Array.isArray(codes) ? codes : [codes];
+  return [...new Set(list
+    .filter(code => typeof code === 'string')
+    .map(code => code.trim().toUpperCase())
+    .filter(Boolean))];
+};
+
+const appliesToLine = (coupon, line) => {
+  const { products = [], categories = [], brands = [] } = coupon.appliesTo || {};
+  if (!products.length && !categories.length && !brands.length) return true;
+
+  return includesId(products, line.product)
+    || includesId(categories, line.category)
+    || includesId(categories, line.subcategory)
+    || includesId(brands, line.brand);
+};
+
+const redemptionsBy = (coupon, { user, email }, session) => CouponRedemption.countDocuments({
+  coupon: coupon._id,
+  status: 'redeemed',
+  ...(user ? { user } : { email: email.toLowerCase() })
+}).session(session || null);
+
+// Who a per-customer limit counts against: the user, or a guest's email
+const customerKey = ({ user, email }) => (user ? String(user) : email?.toLowerCase());
+
+// Take one of the customer's uses of a code only while they have one left
+const takeCustomerUse = async (coupon, { user, email }, session) => {
+  const filter = { coupon: coupon._id, customer: customerKey({ user, email }) };
+
+  // The counter starts from what the customer redeemed before it existed
+  if (!await CouponUsage.exists(filter).session(session || null)) {
+    const count = await redemptionsBy(coupon, { user, email }, session);
+    try {
+      await CouponUsage.updateOne(filter, { $setOnInsert: { count } }, { upsert: true, session });
+    } catch (error) {
+      // Another order created it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const usage = await CouponUsage.findOneAndUpdate(
+    { ...filter, count: { $lt: coupon.perCustomerLimit } },
+    { $inc: { count: 1 } },
+    { new: true, session }
+  );
+  return Boolean(usage);
+};
+
+/**
+ * Why a code can't be used on a cart
+ * @returns {Promise<string|null>} The reason, or null if it can be used
+ */
+const checkCoupon = async (coupon, { subtotal, lines, user, email, now, session }) => {
+  const notValid = `Promotion code ${coupon.code} is not valid`;
+
+  if (!coupon.isActive) return notValid;
+  // Reserved codes look like unknown ones to everyone else
+  if (coupon.userId && !includesId([coupon.userId], user)) return notValid;
+  if (coupon.startsAt && coupon.startsAt > now) return `Promotion code ${coupon.code} isn't active yet`;
+  if (coupon.expirationDate && coupon.expirationDate <= now) return `Promotion code ${coupon.code} has expired`;
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) return `Promotion code ${coupon.code} has been used up`;
+  if (subtotal < (coupon.minSubtotal || 0)) {
+    return `Promotion code ${coupon.code} needs a subtotal of at least $${coupon.minSubtotal.toFixed(2)}`;
+  }
+  if (!lines.some(line => appliesToLine(coupon, line))) {
+    return `Promotion code ${coupon.code} doesn't apply to any item in your cart`;
+  }
+  if (coupon.perCustomerLimit && (user || email)
+    && await redemptionsBy(coupon, { user, email }, session) >= coupon.perCustomerLimit) {
+    return `You've already used promotion code ${coupon.code}`;
+  }
+  return null;
+};
+
+// Take up to `amount` off the eligible lines, in proportion to what's left on each
+const spread = (amount, eligible, remaining) => {
+  const available = eligible.reduce((sum, index) => sum + remaining[index], 0);
+  const total = roundMoney(Math.min(amount, available));
+  const taken = new Map();
+  if (total <= 0) return taken;
+
+  let left = total;
+  eligible.forEach((index, position) => {
+    const share = position === eligible.length - 1
+      ? left
+      : roundMoney(total * remaining[index] / available);
+    const portion = Math.min(share, remaining[index], left);
+    taken.set(index, portion);
+    left = roundMoney(left - portion);
+  });
+  return taken;
+};
+
+/**
+ * Split what a set of accepted codes takes off between the lines and shipping
+ * @param {Array<Object>} coupons - Coupon documents that may be used together
+ * @param {Array<Object>} lines - As for evaluatePromotions
+ * @param {number} shipping
+ * @returns {{itemsDiscount: number, shippingDiscount: number, discount: number,
+ *   lineDiscounts: Array<number>, applied: Array<Object>}}
+ */
+const computeDiscounts = (coupons, lines, shipping) => {
+  const result = {
+    itemsDiscount: 0,
+    shippingDiscount: 0,
+    discount: 0,
+    lineDiscounts: lines.map(() => 0),
+    applied: []
+  };
+  const remaining = lines.map(line => roundMoney(line.price * line.quantity));
+  const ordered = [...coupons].sort((a, b) => APPLY_ORDER.indexOf(a.type) - APPLY_ORDER.indexOf(b.type));
+
+  for (const coupon of ordered) {
+    const value = coupon.value ?? coupon.discountPercentage ?? 0;
+    const eligible = lines.map((line, index) => index).filter(index => appliesToLine(coupon, lines[index]));
+    let amount = 0;
+
+    if (coupon.type === 'free_shipping') {
+      amount = roundMoney(shipping - result.shippingDiscount);
+      result.shippingDiscount = roundMoney(result.shippingDiscount + amount);
+    } else {
+      const taken = coupon.type === 'percentage'
+        ? new Map(eligible.map(index => [index, Math.min(remaining[index], roundMoney(remaining[index] * value / 100))]))
+        : spread(value, eligible, remaining);
+
+      for (const [index, portion] of taken) {
+        remaining[index] = roundMoney(remaining[index] - portion);
+        result.lineDiscounts[index] = roundMoney(result.lineDiscounts[index] + portion);
+        amount = roundMoney(amount + portion);
+      }
+      result.itemsDiscount = roundMoney(result.itemsDiscount + amount);
+    }
+
+    result.applied.push({
+      coupon: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      value,
+      amount,
+      freeShipping: coupon.type === 'free_shipping'
+    });
+  }
+
+  result.discount = roundMoney(result.itemsDiscount + result.shippingDiscount);
+  return result;
+};
+
+/**
+ * Work out what a set of codes takes off a cart
+ * @param {string|Array<string>} codes
+ * @param {Object} cart
+ * @param {Array<Object>} cart.lines - `{product, category, subcategory, brand, price, quantity}`
+ * @param {number} [cart.shipping] - Shipping before discounts
+ * @param {string} [cart.user] - Customer's user ID
+ * @param {string} [cart.email] - Guest's email, for per-customer limits
+ * @param {Object} [cart.session]
+ * @returns {Promise<Object>} `subtotal`, `itemsDiscount`, `shippingDiscount`,
+ *   `discount` (both), `lineDiscounts` (per line), `applied` and `rejected` (`{code, message}`)
+ */
+export const evaluatePromotions = async (codes, { lines, shipping = 0, user, email, session }) => {
+  const wanted = normalizeCodes(codes);
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  const result = {
+    subtotal,
+    itemsDiscount: 0,
+    shippingDiscount: 0,
+    discount: 0,
+    lineDiscounts: lines.map(() => 0),
+    applied: [],
+    rejected: []
+  };
+  if (wanted.length === 0) return result;
+
+  const coupons = await Coupon.find({ code: { $in: wanted } }).session(session || null);
+  const now = new Date();
+  const accepted = [];
+  const normalizedEmail = email?.toLowerCase();
+
+  for (const code of wanted.slice(0, MAX_CODES_PER_ORDER)) {
+    const coupon = coupons.find(entry => entry.code === code);
+    const reason = coupon
+      ? await checkCoupon(coupon, { subtotal, lines, user, email: normalizedEmail, now, session })
+      : `Promotion code ${code} is not valid`;
+    if (reason) {
+      result.rejected.push({ code, message: reason });
+      continue;
+    }
+
+    const blocker = accepted.find(kept => !kept.stackable || !coupon.stackable);
+    if (blocker) {
+      result.rejected.push({ code, message: `Promotion code ${code} can't be combined with ${blocker.code}` });
+      continue;
+    }
+    accepted.push(coupon);
+  }
+  for (const code of wanted.slice(MAX_CODES_PER_ORDER)) {
+    result.rejected.push({ code, message: `At most ${MAX_CODES_PER_ORDER} promotion codes can be used together` });
+  }
+
+  return { ...result, ...computeDiscounts(accepted, lines, shipping) };
+};
+
+// An order's lines, with what scoped codes match on
+const orderLines = async (order, session) => {
+  const products = await Product.find({ _id: { $in: order.items.map(item => item.product) } })
+    .select('category subcategory brand')
+    .session(session || null);
+
+  return order.items.map(item => {
+    const product = products.find(entry => entry._id.equals(item.product));
+    return {
+      product: item.product,
+      category: product?.category,
+      subcategory: product?.subcategory,
+      brand: product?.brand,
+      price: item.price,
+      quantity: item.quantity
+    };
+  });
+};
+
+/**
+ * Apply codes to a new order and redeem them. Line discounts and shipping
+ * are updated on the document; the caller reprices and saves it.
+ * @param {Object} order - Unsaved order document
+ * @param {string|Array<string>} codes
+ * @param {Object} [options]
+ * @param {Object} [options.session] - The order's transaction
+ * @returns {Promise<Array<Object>>} Codes applied
+ * @throws {Error} With `statusCode` 400 if a code can't be used, or 409 if one was used up meanwhile
+ */
+export const applyOrderPromotions = async (order, codes, { session } = {}) => {
+  if (normalizeCodes(codes).length === 0) return [];
+
+  const lines = await orderLines(order, session);
+  const email = order.isGuest ? order.guestEmail : undefined;
+  const result = await evaluatePromotions(codes, {
+    lines,
+    shipping: order.shippingPrice || 0,
+    user: order.user,
+    email,
+    session
+  });
+  if (result.rejected.length) {
+    throw fail(result.rejected[0].message, 400);
+  }
+
+  order.items.forEach((item, index) => {
+    item.discount = result.lineDiscounts[index];
+  });
+  order.shippingPrice = roundMoney((order.shippingPrice || 0) - result.shippingDiscount);
+  order.discount = result.discount;
+  order.promotions = result.applied;
+
+  for (const promotion of result.applied) {
+    // Take the use only while there's one left
+    const coupon = await Coupon.findOneAndUpdate(
+      {
+        _id: promotion.coupon,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true, session }
+    );
+    if (!coupon) {
+      throw fail(`Promotion code ${promotion.code} has been used up`, 409);
+    }
+    if (coupon.perCustomerLimit && (order.user || email)
+      && !await takeCustomerUse(coupon, { user: order.user, email }, session)) {
+      throw fail(`You've already used promotion code ${promotion.code}`, 409);
+    }
+  }
+
+  await CouponRedemption.create(result.applied.map(promotion => ({
+    coupon: promotion.coupon,
+    code: promotion.code,
+    order: order._id,
+    user: order.user || undefined,
+    email: email?.toLowerCase(),
+    amount: promotion.amount
+  })), { session, ordered: true });
+
+  return result.applied;
+};
+
+const releaseRedemption = async (redemption, session) => {
+  redemption.status = 'released';
+  redemption.releasedAt = new Date();
+  await redemption.save({ session });
+  await Coupon.updateOne(
+    { _id: redemption.coupon, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+  const customer = customerKey(redemption);
+  if (customer) {
+    await CouponUsage.updateOne(
+      { coupon: redemption.coupon, customer, count: { $gt: 0 } },
+      { $inc: { count: -1 } },
+      { session }
+    );
+  }
+};
+
+/**
+ * Work an edited order's discounts out again from its codes. Codes stay
+ * redeemed whatever their window and limits now say, but one the edited
+ * order no longer meets the minimum subtotal or scope of is dropped and its
+ * use given back. Shipping waived by a free-shipping code is left as it is.
+ * Line discounts are updated on the document; the caller reprices and saves it.
+ * @param {Object} order - Order document, after its lines were edited
+ * @param {Object} [options]
+ * @param {Object} [options.session] - The edit's transaction
+ * @returns {Promise<Array<string>>} Codes dropped
+ */
+export const reapplyOrderPromotions = async (order, { session } = {}) => {
+  if (!order.promotions?.length) return [];
+
+  const lines = await orderLines(order, session);
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  const coupons = await Coupon.find({ _id: { $in: order.promotions.map(promotion => promotion.coupon) } })
+    .session(session || null);
+
+  const kept = coupons.filter(coupon => subtotal >= (coupon.minSubtotal || 0)
+    && lines.some(line => appliesToLine(coupon, line)));
+  const dropped = order.promotions.filter(promotion => !kept.some(coupon => coupon._id.equals(promotion.coupon)));
+
+  const result = computeDiscounts(kept, lines, 0);
+  order.items.forEach((item, index) => {
+    item.discount = result.lineDiscounts[index];
+  });
+
+  const waived = (code) => order.promotions.find(promotion => promotion.code === code && promotion.freeShipping)?.amount || 0;
+  const applied = result.applied.map(promotion => (promotion.freeShipping
+    ? { ...promotion, amount: waived(promotion.code) }
+    : promotion));
+
+  order.promotions = applied;
+  order.discount = roundMoney(applied.reduce((sum, promotion) => sum + promotion.amount, 0));
+
+  for (const promotion of applied) {
+    await CouponRedemption.updateOne(
+      { coupon: promotion.coupon, order: order._id, status: 'redeemed' },
+      { $set: { amount: promotion.amount } },
+      { session }
+    );
+  }
+  for (const promotion of dropped) {
+    const redemption = await CouponRedemption.findOne({ coupon: promotion.coupon, order: order._id, status: 'redeemed' })
+      .session(session || null);
+    if (redemption) await releaseRedemption(redemption, session);
+  }
+
+  if (dropped.length) {
+    logger.info('Promotion codes dropped after an order edit', { orderId: order._id, codes: dropped.map(promotion => promotion.code) });
+  }
+  return dropped.map(promotion => promotion.code);
+};
+
+/**
+ * The promotions of orders being merged, one entry per code with the
+ * discounts added up
+ * @param {Array<Object>} orders - Order documents
+ * @returns {Array<Object>}
+ */
+export const combinePromotions = (orders) => {
+  const combined = new Map();
+  for (const { coupon, code, type, value, amount, freeShipping } of orders.flatMap(order => order.promotions || [])) {
+    const entry = combined.get(String(coupon));
+    if (entry) {
+      entry.amount = roundMoney(entry.amount + amount);
+      entry.freeShipping = entry.freeShipping || freeShipping;
+      continue;
+    }
+    combined.set(String(coupon), { coupon, code, type, value, amount, freeShipping });
+  }
+  return [...combined.values()];
+};
+
+/**
+ * Move merged orders' redemptions onto the order they were merged into, so
+ * cancelling the originals doesn't give the codes back and cancelling the
+ * merged order does. A code used on several of them is kept once, for the
+ * combined discount, and its other uses given back.
+ * @param {Array<Object>} originals - Order documents being merged
+ * @param {Object} order - Merged order, with promotions from `combinePromotions`
+ * @param {Object} [options]
+ * @param {Object} [options.session] - The merge's transaction
+ * @returns {Promise<void>}
+ */
+export const transferRedemptions = async (originals, order, { session } = {}) => {
+  const redemptions = await CouponRedemption.find({
+    order: { $in: originals.map(original => original._id) },
+    status: 'redeemed'
+  }).sort({ createdAt: 1 }).session(session || null);
+
+  const moved = new Set();
+  const released = [];
+  for (const redemption of redemptions) {
+    const key = String(redemption.coupon);
+    if (moved.has(key)) {
+      await releaseRedemption(redemption, session);
+      released.push(redemption.code);
+      continue;
+    }
+    moved.add(key);
+    redemption.order = order._id;
+    redemption.amount = order.promotions.find(promotion => String(promotion.coupon) === key)?.amount ?? redemption.amount;
+    await redemption.save({ session });
+  }
+
+  if (released.length) {
+    logger.info('Promotion codes used on several merged orders released', { orderId: order._id, codes: released });
+  }
+};
+
+/**
+ * Give back the codes a cancelled order used
+ * @param {Object} order - Order document
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @returns {Promise<number>} Redemptions released
+ */
+export const releaseRedemptions = async (order, { session } = {}) => {
+  const redemptions = await CouponRedemption.find({ order: order._id, status: 'redeemed' })
+    .session(session || null);
+
+  for (const redemption of redemptions) {
+    await releaseRedemption(redemption, session);
+  }
+
+  if (redemptions.length) {
+    logger.info('Promotion codes released', { orderId: order._id, codes: redemptions.map(entry => entry.code) });
+  }
+  return redemptions.length;
+};
+
+/**
+ * Keep redemptions in step with an order status change: cancelling releases them
+ * @param {Object} order - Order document, already at its new status
+ * @param {string} previousStatus
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @returns {Promise<void>}
+ */
+export const syncRedemptionsWithStatus = async (order, previousStatus, options = {}) => {
+  if (order.status === 'cancelled' && previousStatus !== 'cancelled' && order.promotions?.length) {
+    await releaseRedemptions(order, options);
+  }
+};
+
+/**
+ * Bring the coupon indexes in line with the schema. Codes used to be unique
+ * per user, and that index would stop store-wide codes being created.
+ * @returns {Promise<void>}
+ */
+export const syncCouponIndexes = async () => {
+  const dropped = await Coupon.syncIndexes();
+  if (dropped.length) {
+    logger.info('Dropped outdated coupon indexes', { indexes: dropped });
+  }
+};
+
+export default {
+  MAX_CODES_PER_ORDER,
+  normalizeCodes,
+  evaluatePromotions,
+  applyOrderPromotions,
+  reapplyOrderPromotions,
+  combinePromotions,
+  transferRedemptions,
+  releaseRedemptions,
+  syncRedemptionsWithStatus,
+  syncCouponIndexes
+};
@@ -0,0 +1,211 @@
+import { emitToAdmins, emitToUser } from '../lib/socket.js';
+import { notifyAdmins, notifyUser } from './notification.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Realtime domain events.
+ *
+ * Each helper builds a notification-shaped payload
+ * (`{ title, message, type, priority, link, data }`), emits it as a raw
+ * socket event and fans it out to the persistent notification center. They
+ * never throw: a realtime failure must not break the request that triggered it.
+ */
+
+export const EVENTS = {
+  ORDER_CREATED: 'order:created',
+  PAYMENT_FAILED: 'payment:failed',
+  LOW_STOCK: 'inventory:low-stock',
+  REVIEW_CREATED: 'review:created',
+  ORDER_MESSAGE: 'order:message',
+  ORDER_HELD: 'order:held'
+};
+
+export const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD, 10) || 10;
+
+/**
+ * Emit a domain event and persist it as notifications
+ * @param {string} event - Event name
+ * @param {Object} audience
+ * @param {Object} [audience.admins] - Payload for all admins
+ * @param {Object} [audience.user] - `{ userId, payload }` for a single customer
+ */
+const dispatch = (event, { admins, user }) => {
+  const onError = (error) => {
+    logger.error('Failed to dispatch realtime event', { event, error: error.message });
+  };
+
+  try {
+    if (admins) {
+      emitToAdmins(event, admins);
+      notifyAdmins({ ...admins, event }).catch(onError);
+    }
+    if (user?.userId) {
+      emitToUser(user.userId, event, user.payload);
+      notifyUser(user.userId, { ...user.payload, event }).catch(onError);
+    }
+  } catch (error) {
+    onError(error);
+  }
+};
+
+const orderRef = (order) => order.orderNumber || order._id?.toString();
+const orderUserId = (order) => order.user?._id || order.user;
+
+/**
+ * @param {Object} order - Newly created order
+ */
+export const notifyOrderCreated = (order) => {
+  const data = { orderId: order._id, totalAmount: order.totalAmount, status: order.status };
+
+  dispatch(EVENTS.ORDER_CREATED, {
+    admins: {
+      title: 'New Order',
+      message: `Order #${orderRef(order)} was placed`,
+      type: 'order',
+      priority: 'high',
+      link: '/admin/orders',
+      data
+    },
+    user: {
+      userId: orderUserId(order),
+      payload: {
+        title: 'Order placed',
+        message: `We've received your order #${orderRef(order)}`,
+        type: 'order',
+        priority: 'medium',
+        link: '/profile',
+        data
+      }
+    }
+  });
+};
+
+/**
+ * @param {Object} order - Order whose payment failed
+ * @param {string} [reason] - Failure reason from the payment provider
+ */
+export const notifyPaymentFailed = (order, reason) => {
+  const data = { orderId: order._id, reason };
+
+  dispatch(EVENTS.PAYMENT_FAILED, {
+    admins: {
+      title: 'Payment Failed',
+      message: `Payment for order #${orderRef(order)} failed${reason ? `: ${reason}` : ''}`,
+      type: 'payment',
+      priority: 'high',
+      link: '/admin/orders',
+      data
+    },
+    user: {
+      userId: orderUserId(order),
+      payload: {
+        title: 'Payment failed',
+        message: `We couldn't process the payment for order #${orderRef(order)}`,
+        type: 'payment',
+        priority: 'high',
+        link: '/cart',
+        data
+      }
+    }
+  });
+};
+
+/**
+ * @param {Object} product - Product that dropped to or below LOW_STOCK_THRESHOLD
+ */
+export const notifyLowStock = (product) => {
+  dispatch(EVENTS.LOW_STOCK, {
+    admins: {
+      title: 'Low Stock Alert',
+      message: `"${product.name}" is running low (${product.quantity} left)`,
+      type: 'inventory',
+      priority: 'high',
+      link: '/admin/inventory',
+      data: { productId: product._id, quantity: product.quantity }
+    }
+  });
+};
+
+/**
+ * @param {Object} review - Newly submitted review
+ * @param {Object} [product] - Reviewed product
+ */
+export const notifyReviewCreated = (review, product) => {
+  dispatch(EVENTS.REVIEW_CREATED, {
+    admins: {
+      title: 'New Review',
+      message: `A ${review.rating}-star review${product?.name ? ` of "${product.name}"` : ''} is awaiting moderation`,
+      type: 'review',
+      priority: 'low',
+      link: '/admin/reviews',
+      data: { reviewId: review._id, productId: review.product, rating: review.rating }
+    }
+  });
+};
+
+/**
+ * A customer's message goes to staff; a staff reply visible to the customer
+ * goes to the customer. Internal notes notify nobody.
+ * @param {Object} order - Order the message was posted on
+ * @param {Object} message - Entry in `order.messages`
+ */
+export const notifyOrderMessage = (order, message) => {
+  if (message.visibility === 'internal') return;
+
+  const data = { orderId: order._id, messageId: message._id };
+  const preview = message.body.length > 120 ? `${message.body.slice(0, 117)}...` : message.body;
+
+  if (message.authorType === 'customer') {
+    dispatch(EVENTS.ORDER_MESSAGE, {
+      admins: {
+        title: 'Customer Message',
+        message: `Order #${orderRef(order)}: ${preview}`,
+        type: 'order',
+        priority: 'medium',
+        link: '/admin/orders',
+        data
+      }
+    });
+    return;
+  }
+
+  dispatch(EVENTS.ORDER_MESSAGE, {
+    user: {
+      userId: orderUserId(order),
+      payload: {
+        title: 'New message about your order',
+        message: `Order #${orderRef(order)}: ${preview}`,
+        type: 'order',
+        priority: 'medium',
+        link: '/profile',
+        data
+      }
+    }
+  });
+};
+
+/**
+ * @param {Object} order - Order held for a fraud risk review
+ */
+export const notifyOrderHeld = (order) => {
+  dispatch(EVENTS.ORDER_HELD, {
+    admins: {
+      title: 'Order Held for Review',
+      message: `Order #${orderRef(order)} scored ${order.risk?.score} and is waiting for a risk review`,
+      type: 'order',
+      priority: 'high',
+      link: '/admin/orders',
+      data: { orderId: order._id, score: order.risk?.score, reasons: order.risk?.reasons?.map(reason => reason.message) }
+    }
+  });
+};
+
+export default {
+  EVENTS,
+  notifyOrderCreated,
+  notifyPaymentFailed,
+  notifyLowStock,
+  notifyReviewCreated,
+  notifyOrderMessage,
+  notifyOrderHeld
+};
@@ -1,34 +1,29 @@
 import stripe from '../config/stripe.config.js';
-import { Order } from '../models/order.model.js';
+import Order from '../models/order.model.js';
 import logger from '../utils/logger.js';
+import { sendOrderEmail } from './mail.service.js';
+import { issueCreditNote } from './invoice.service.js';
 
 /**
  * Process a full or partial refund for an order
  * @param {string} paymentIntentId - Stripe Payment Intent ID
  * @param {Object} options - Refund options
  * @param {number} [options.amount] - Amount to refund in cents (for partial refunds)
- * @param {string} [options.reason] - Reason for the refund
- * @param {string} [options.metadata] - Additional metadata
+ * @param {string} [options.reason] - Stripe reason code
+ * @param {Object} [options.metadata] - Additional metadata; `reason` (shown to the customer), `returnId` and
+ *   `processedBy` are also kept on the order, and `orderId` picks which order it is recorded on
+ * @param {string} [options.idempotencyKey] - Stripe idempotency key, so a retried call can't refund twice
  * @returns {Promise<Object>} Refund details
  */
-export const processRefund = async (paymentIntentId, { amount, reason = 'requested_by_customer', metadata = {} } = {}) => {
+export const processRefund = async (paymentIntentId, { amount, reason = 'requested_by_customer', metadata = {}, idempotencyKey } = {}) => {
   const requestId = `refund_${Date.now()}`;
   
   try {
     logger.info('Processing refund', { requestId, paymentIntentId, amount, reason });
 
-    // Get the payment intent to verify the charge exists
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-    
-    if (!paymentIntent.charges.data.length) {
-      throw new Error('No charge found for this payment intent');
-    }
-
-    const chargeId = paymentIntent.charges.data[0].id;
-    
     // Create the refund
     const refund = await stripe.refunds.create({
-      charge: chargeId,
+      payment_intent: paymentIntentId,
       amount,
       reason,
       metadata: {
@@ -36,26 +31,26 @@ export const processRefund = async (paymentIntentId, { amount, reason = 'request
         requestId,
         processedAt: new Date().toISOString()
       }
-    });
+    }, idempotencyKey ? { idempotencyKey } : undefined);
 
-    // Update order status in database
+    // Record it on the order; amounts there are in dollars. Merged orders share
+    // their originals' payment intents, so prefer the order the caller named.
     const order = await Order.findOneAndUpdate(
-      { 'paymentDetails.paymentIntentId': paymentIntentId },
+      metadata.orderId
+        ? { _id: metadata.orderId, 'paymentDetails.paymentIntentId': paymentIntentId }
+        : { 'paymentDetails.paymentIntentId': paymentIntentId, mergedInto: null },
       {
-        $set: {
-          'paymentDetails.status': 'refunded',
-          'paymentDetails.refundId': refund.id,
-          'paymentDetails.refundedAt': new Date(),
-          'paymentDetails.refundAmount': amount || paymentIntent.amount
-        },
+        $inc: { refundedAmount: refund.amount / 100 },
         $push: {
-          'paymentDetails.refundHistory': {
+          refunds: {
             refundId: refund.id,
-            amount: amount || paymentIntent.amount,
-            reason,
+            amount: refund.amount / 100,
+            reason: metadata.reason || reason,
+            method: 'stripe',
             status: refund.status,
-            processedAt: new Date(),
-            metadata
+            returnId: metadata.returnId,
+            processedBy: metadata.processedBy,
+            processedAt: new Date()
           }
         }
       },
@@ -64,6 +59,17 @@ export const processRefund = async (paymentIntentId, { amount, reason = 'request
 
     if (!order) {
       logger.warn('Order not found for payment intent', { paymentIntentId });
+    } else {
+      sendOrderEmail('refundIssued', order, { amount: refund.amount / 100, reason: metadata.reason || reason });
+
+      // The money has moved either way; a missing credit note can be issued again for the same refund
+      await issueCreditNote(order, {
+        amount: refund.amount / 100,
+        refundId: refund.id,
+        returnId: metadata.returnId,
+        reason: metadata.reason || reason,
+        paymentIntentId
+      }).catch(error => logger.error('Error issuing credit note', { requestId, refundId: refund.id, error: error.message }));
     }
 
     logger.info('Refund processed successfully', { 
@@ -0,0 +1,100 @@
+import Product from '../models/product.model.js';
+import User from '../models/user.model.js';
+import { findVariant, getAvailableQuantity } from './stockReservation.service.js';
+
+/**
+ * "Buy again" for past orders.
+ *
+ * Copies an order's lines back into the customer's cart. The cart only holds
+ * product and quantity and is always priced from the product, so reordered
+ * items come in at today's price, not the one paid. Lines that can no longer
+ * be bought are skipped with a reason; lines with less stock than ordered
+ * are added with what is left. The cart can't hold a variant yet, so lines
+ * ordered in one are skipped rather than added as the base product.
+ */
+
+export const SKIP_REASONS = {
+  PRODUCT_UNAVAILABLE: 'product_unavailable',
+  VARIANT_UNAVAILABLE: 'variant_unavailable',
+  VARIANT_NOT_SUPPORTED: 'variant_not_supported',
+  OUT_OF_STOCK: 'out_of_stock'
+};
+
+const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Add a past order's items to a user's cart
+ * @param {Object} order - Order document
+ * @param {string} userId - Whose cart to fill
+ * @returns {Promise<{added: Array<Object>, skipped: Array<Object>}>}
+ * @throws {Error} With `statusCode` 404 if the user doesn't exist
+ */
+export const reorderToCart = async (order, userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw fail('User not found', 404);
+  }
+
+  const productIds = [...new Set(order.items.map(item => item.product?.toString()).filter(Boolean))];
+  const products = new Map(
+    (await Product.find({ _id: { $in: productIds } }))
+      .map(product => [product._id.toString(), product])
+  );
+
+  const added = [];
+  const skipped = [];
+
+  for (const item of order.items) {
+    const line = { orderItemId: item._id, product: item.product, name: item.name, variant: item.variant?.sku };
+    const product = products.get(item.product?.toString());
+
+    if (!product || !product.isActive) {
+      skipped.push({ ...line, reason: SKIP_REASONS.PRODUCT_UNAVAILABLE, message: 'No longer sold' });
+      continue;
+    }
+
+    const variant = item.variant?.sku ? findVariant(product, item.variant.sku) : null;
+    if (item.variant?.sku && (!variant || variant.isActive === false)) {
+      skipped.push({ ...line, reason: SKIP_REASONS.VARIANT_UNAVAILABLE, message: 'This option is no longer sold' });
+      continue;
+    }
+    if (variant) {
+      skipped.push({ ...line, reason: SKIP_REASONS.VARIANT_NOT_SUPPORTED, message: 'Choose this option on the product page' });
+      continue;
+    }
+
+    const cartItem = user.cartItems.find(entry => entry?.product?.toString() === product._id.toString());
+    const inCart = cartItem?.quantity || 0;
+    const quantity = Math.min(item.quantity, getAvailableQuantity(product) - inCart);
+
+    if (quantity <= 0) {
+      skipped.push({ ...line, reason: SKIP_REASONS.OUT_OF_STOCK, message: 'Out of stock' });
+      continue;
+    }
+
+    if (cartItem) {
+      cartItem.quantity += quantity;
+    } else {
+      user.cartItems.push({ product: product._id, quantity });
+    }
+
+    added.push({
+      ...line,
+      quantity,
+      requestedQuantity: item.quantity,
+      price: product.price,
+      previousPrice: item.price
+    });
+  }
+
+  if (added.length > 0) {
+    await user.save();
+  }
+
+  return { added, skipped };
+};
+
+export default {
+  SKIP_REASONS,
+  reorderToCart
+};
@@ -0,0 +1,253 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import UserSession from '../models/userSession.model.js';
+import logger from '../utils/logger.js';
+import { disconnectSession, disconnectUser } from '../lib/socket.js';
+
+/**
+ * Signed-in sessions and refresh-token rotation.
+ *
+ * Access tokens carry the session ID (`sid`) so revoking a session takes
+ * effect immediately. Refresh tokens also carry a `jti`; only the latest one
+ * per session is accepted, and replaying an old one revokes the session.
+ * Parallel requests (or tabs) refreshing with the same token are expected:
+ * for REFRESH_REUSE_GRACE_MS after a rotation, the replaced token still gets
+ * an access token, but no new refresh token.
+ */
+
+export const ACCESS_TOKEN_TTL = '2h';
+export const SESSION_TTL_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Writing lastSeenAt on every request isn't worth it; this is precise enough for the device list
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+export const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+const hashTokenId = (jti) => crypto.createHash('sha256').update(jti).digest('hex');
+
+const newTokenId = () => crypto.randomBytes(16).toString('hex');
+
+const fail = (message, code) => Object.assign(new Error(message), { code });
+
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']];
+const PLATFORMS = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+/**
+ * Short device label from a user agent, e.g. "Chrome on Windows"
+ * @param {string} [userAgent]
+ * @returns {string}
+ */
+export const describeDevice = (userAgent = '') => {
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token))?.[1];
+  const platform = PLATFORMS.find(([token]) => userAgent.includes(token))?.[1];
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+const clientInfo = (req) => {
+  const userAgent = req?.get?.('user-agent') || '';
+  return {
+    userAgent: userAgent.slice(0, 512),
+    device: describeDevice(userAgent),
+    ip: req?.ip
+  };
+};
+
+const tokenPayload = (session) => ({
+  userId: session.user.toString(),
+  sid: session._id.toString(),
+  ...(session.mfa && { mfa: true })
+});
+
+const signAccessToken = (session) =>
+  jwt.sign(tokenPayload(session), process.env.ACCESS_TOKEN_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+const signTokens = (session, jti) => {
+  const payload = tokenPayload(session);
+  const accessToken = signAccessToken(session);
+  const refreshToken = jwt.sign({ ...payload, jti }, process.env.REFRESH_TOKEN_SECRET, {
+    expiresIn: `${SESSION_TTL_DAYS}d`
+  });
+
+  return { accessToken, refreshToken };
+};
+
+/**
+ * Start a session for a login and issue its first token pair
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {Object} [options.req] - Request, for device and IP
+ * @param {boolean} [options.mfa] - The login completed two-factor verification
+ * @returns {Promise<{session: Object, accessToken: string, refreshToken: string}>}
+ */
+export const createSession = async (userId, { req, mfa = false } = {}) => {
+  const jti = newTokenId();
+  const session = await UserSession.create({
+    user: userId,
+    tokenId: hashTokenId(jti),
+    mfa,
+    ...clientInfo(req),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + SESSION_TTL_DAYS * DAY_MS)
+  });
+
+  return { session, ...signTokens(session, jti) };
+};
+
+/**
+ * Exchange a refresh token for a new pair. The presented token stops working;
+ * presenting it again revokes the whole session, unless it was replaced
+ * within REFRESH_REUSE_GRACE_MS. Then only an access token is returned, and
+ * the client keeps the refresh token the first exchange issued.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} [options]
+ * @param {Object} [options.req] - Request, for device and IP
+ * @returns {Promise<{session: Object, accessToken: string, refreshToken?: string}>}
+ * @throws {Error} jsonwebtoken errors, or an error with `code` INVALID_TOKEN,
+ *   SESSION_REVOKED or REFRESH_TOKEN_REUSED
+ */
+export const rotateSession = async (refreshToken, { req } = {}) => {
+  const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+
+  // Tokens issued before sessions were tracked can't be rotated
+  if (!decoded.sid || !decoded.jti) {
+    throw fail('Invalid refresh token, please log in again', 'INVALID_TOKEN');
+  }
+
+  const now = new Date();
+  const jti = newTokenId();
+  const session = await UserSession.findOneAndUpdate(
+    { _id: decoded.sid, tokenId: hashTokenId(decoded.jti), revokedAt: null },
+    {
+      $set: {
+        tokenId: hashTokenId(jti),
+        previousTokenId: hashTokenId(decoded.jti),
+        rotatedAt: now,
+        ...clientInfo(req),
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + SESSION_TTL_DAYS * DAY_MS)
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, ...signTokens(session, jti) };
+  }
+
+  // Another request refreshed with this token a moment ago
+  const concurrent = await UserSession.findOne({
+    _id: decoded.sid,
+    previousTokenId: hashTokenId(decoded.jti),
+    rotatedAt: { $gte: new Date(now.getTime() - REFRESH_REUSE_GRACE_MS) },
+    revokedAt: null
+  });
+  if (concurrent) {
+    return { session: concurrent, accessToken: signAccessToken(concurrent) };
+  }
+
+  // The session is live but the token isn't its latest: it was already used
+  const reused = await UserSession.findOneAndUpdate(
+    { _id: decoded.sid, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+  );
+
+  if (reused) {
+    disconnectSession(decoded.sid);
+    logger.warn('Refresh token reuse detected, session revoked', {
+      sessionId: decoded.sid,
+      userId: decoded.userId,
+      ip: req?.ip
+    });
+    throw fail('Refresh token has already been used, please log in again', 'REFRESH_TOKEN_REUSED');
+  }
+
+  throw fail('Session has been revoked, please log in again', 'SESSION_REVOKED');
+};
+
+/**
+ * Look up the session behind an access token and note the activity
+ * @param {string} sessionId - `sid` claim
+ * @returns {Promise<Object|null>} The session, or null if it is missing or revoked
+ */
+export const getActiveSession = async (sessionId) => {
+  const session = await UserSession.findById(sessionId).select('user revokedAt lastSeenAt').lean();
+  if (!session || session.revokedAt) return null;
+
+  if (Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_RESOLUTION_MS) {
+    UserSession.updateOne({ _id: sessionId }, { $set: { lastSeenAt: new Date() } }).catch(error => {
+      logger.error('Failed to update session activity', { sessionId, error: error.message });
+    });
+  }
+
+  return session;
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>}
+ */
+export const listSessions = (userId) => UserSession.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+})
+  .select('device userAgent ip mfa lastSeenAt createdAt expiresAt')
+  .sort({ lastSeenAt: -1 })
+  .lean();
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} userId - Owner, so users can only revoke their own sessions
+ * @param {string} sessionId - Session to revoke
+ * @param {string} [reason]
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+export const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+  const result = await UserSession.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  if (result.modifiedCount > 0) disconnectSession(sessionId);
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every session a user has
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {string} [options.except] - Session to keep, usually the current one
+ * @param {string} [options.reason]
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, { except, reason = 'revoked_all' } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const sessions = except ? await UserSession.find(filter).select('_id').lean() : [];
+  const result = await UserSession.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  if (except) {
+    sessions.forEach(session => disconnectSession(session._id));
+  } else {
+    disconnectUser(userId);
+  }
+  return result.modifiedCount;
+};
+
+export default {
+  ACCESS_TOKEN_TTL,
+  SESSION_TTL_DAYS,
+  REFRESH_REUSE_GRACE_MS,
+  describeDevice,
+  createSession,
+  rotateSession,
+  getActiveSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
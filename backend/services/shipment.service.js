@@ -0,0 +1,403 @@
+import Order from '../models/order.model.js';
+import Shipment from '../models/shipment.model.js';
+import OrderStatusService from './orderStatusService.js';
+import { sendOrderEmail } from './mail.service.js';
+import logger from '../utils/logger.js';
+import { getCarrier, listCarriers } from './carriers/index.js';
+
+/**
+ * Shipments and tracking events.
+ *
+ * Orders can ship in parts: whatever isn't backordered can go now and the
+ * rest once stock is allocated to it. An order moves to `shipped` once every
+ * item is in a shipment, and to `delivered` once all of those shipments have
+ * been delivered.
+ */
+
+// Orders that can still have shipments added
+const SHIPPABLE_ORDER_STATUSES = ['processing', 'shipped'];
+
+const fail = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Public tracking page for a carrier's tracking number
+ * @param {string} carrier
+ * @param {string} [trackingNumber]
+ * @returns {string|undefined}
+ */
+export const buildTrackingUrl = (carrier, trackingNumber) =>
+  getCarrier(carrier).getTrackingUrl(trackingNumber, carrier);
+
+/**
+ * Quantity of each order line already in a shipment
+ * @param {Array<Object>} shipments
+ * @returns {Map<string, number>} Keyed by order item ID
+ */
+const shippedQuantities = (shipments) => {
+  const quantities = new Map();
+  for (const shipment of shipments) {
+    for (const item of shipment.items) {
+      const key = item.orderItem.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    }
+  }
+  return quantities;
+};
+
+/**
+ * Quantity of each order line not yet in a shipment
+ * @param {Object} order - Order document
+ * @param {Array<Object>} shipments - The order's shipments
+ * @returns {Map<string, number>} Keyed by order item ID; fully shipped lines are omitted
+ */
+export const getUnshippedQuantities = (order, shipments) => {
+  const shipped = shippedQuantities(shipments);
+  const remaining = new Map();
+  for (const item of order.items) {
+    const quantity = item.quantity - (shipped.get(item._id.toString()) || 0);
+    if (quantity > 0) remaining.set(item._id.toString(), quantity);
+  }
+  return remaining;
+};
+
+/**
+ * Quantity of each order line that can go in a shipment now: not yet
+ * shipped and not waiting on a backorder
+ * @param {Object} order - Order document
+ * @param {Array<Object>} shipments - The order's shipments
+ * @returns {Map<string, number>} Keyed by order item ID; lines with nothing ready are omitted
+ */
+export const getReadyToShipQuantities = (order, shipments) => {
+  const ready = new Map();
+  for (const [orderItemId, quantity] of getUnshippedQuantities(order, shipments)) {
+    const backordered = order.items.id(orderItemId).backorderedQuantity || 0;
+    if (quantity > backordered) ready.set(orderItemId, quantity - backordered);
+  }
+  return ready;
+};
+
+/**
+ * Move the order along once its shipments cover or deliver everything. Line
+ * fulfilled quantities follow the shipments. The order is saved if it
+ * changed; emails go out for the new status.
+ * @param {Object} order - Order document
+ * @param {Array<Object>} shipments - All of the order's shipments
+ * @param {Object} [actor] - From OrderStatusService.actorFromUser
+ * @returns {Promise<void>}
+ */
+const syncOrderWithShipments = async (order, shipments, actor = {}) => {
+  const latest = shipments[shipments.length - 1];
+  if (latest?.trackingNumber) order.trackingNumber = latest.trackingNumber;
+
+  const shipped = shippedQuantities(shipments);
+  let fulfillmentChanged = false;
+  for (const item of order.items) {
+    const fulfilled = shipped.get(item._id.toString()) || 0;
+    if (item.fulfilledQuantity !== fulfilled) {
+      item.fulfilledQuantity = fulfilled;
+      fulfillmentChanged = true;
+    }
+  }
+
+  const allShipped = getUnshippedQuantities(order, shipments).size === 0;
+  // Units a partial shipment left behind have to be picked again
+  if (fulfillmentChanged && getReadyToShipQuantities(order, shipments).size > 0) {
+    order.picking = undefined;
+  }
+  const allDelivered = allShipped && shipments.every(shipment => shipment.status === 'delivered');
+
+  let email = null;
+  if (allShipped && order.status === 'processing') {
+    OrderStatusService.applyStatus(order, 'shipped', { ...actor, reason: 'All items shipped' });
+    email = ['orderShipped', { trackingNumber: latest.trackingNumber, carrier: latest.carrier }];
+  }
+  if (allDelivered && order.status === 'shipped') {
+    order.deliveredAt = shipments.reduce(
+      (last, shipment) => (shipment.deliveredAt > last ? shipment.deliveredAt : last),
+      shipments[0].deliveredAt
+    );
+    OrderStatusService.applyStatus(order, 'delivered', { ...actor, reason: 'All shipments delivered' });
+    email = ['orderDelivered', {}];
+  }
+
+  if (order.isModified()) {
+    await order.save();
+  }
+  if (email) {
+    sendOrderEmail(email[0], order, email[1]);
+  }
+};
+
+/**
+ * List an order's shipments, oldest first
+ * @param {string} orderId
+ * @returns {Promise<Array<Object>>}
+ */
+export const listShipments = (orderId) => Shipment.find({ order: orderId }).sort({ createdAt: 1 });
+
+/**
+ * Ship some or all of an order's remaining items
+ * @param {Object} order - Order document
+ * @param {Object} data
+ * @param {Array<{orderItemId: string, quantity: number}>} [data.items] - Defaults to everything ready to ship
+ * @param {string} [data.carrier]
+ * @param {string} [data.service]
+ * @param {string} [data.trackingNumber]
+ * @param {Object} [data.label] - `{url, format, reference}`
+ * @param {Date} [data.estimatedDelivery]
+ * @param {Object} [user] - `req.user` of the admin creating it
+ * @returns {Promise<Object>} The new shipment
+ * @throws {Error} With `statusCode` 409 if the order can't be shipped, or 400 for bad items
+ */
+export const createShipment = async (order, data, user) => {
+  if (!SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+    throw fail(`Cannot ship an order that is ${order.status}`, 409);
+  }
+
+  const shipments = await listShipments(order._id);
+  const ready = getReadyToShipQuantities(order, shipments);
+
+  const requested = data.items?.length
+    ? data.items
+    : [...ready].map(([orderItemId, quantity]) => ({ orderItemId, quantity }));
+
+  if (requested.length === 0) {
+    throw getUnshippedQuantities(order, shipments).size === 0
+      ? fail('Every item in this order has already been shipped', 409)
+      : fail('Everything left in this order is backordered', 409);
+  }
+
+  const items = requested.map(({ orderItemId, quantity }) => {
+    const orderItem = order.items.id(orderItemId);
+    if (!orderItem) {
+      throw fail(`Item ${orderItemId} is not part of this order`, 400);
+    }
+    const available = ready.get(orderItemId.toString()) || 0;
+    if (quantity > available) {
+      const backordered = orderItem.backorderedQuantity
+        ? ` (${orderItem.backorderedQuantity} backordered)`
+        : '';
+      throw fail(`Only ${available} of ${orderItem.name} ready to ship${backordered}`, 400);
+    }
+    return { orderItem: orderItem._id, product: orderItem.product, name: orderItem.name, quantity };
+  });
+
+  const now = new Date();
+  const carrier = data.carrier || 'manual';
+  const status = data.trackingNumber || data.label?.url ? 'label_created' : 'pending';
+
+  const shipment = await Shipment.create({
+    order: order._id,
+    shipmentNumber: `${order.orderNumber}-S${shipments.length + 1}`,
+    items,
+    carrier,
+    service: data.service,
+    trackingNumber: data.trackingNumber,
+    trackingUrl: buildTrackingUrl(carrier, data.trackingNumber),
+    label: data.label,
+    status,
+    events: [{ status, description: 'Shipment created', occurredAt: now }],
+    estimatedDelivery: data.estimatedDelivery,
+    shippedAt: now,
+    createdBy: user?._id
+  });
+
+  await syncOrderWithShipments(order, [...shipments, shipment], OrderStatusService.actorFromUser(user));
+
+  logger.info('Shipment created', {
+    orderId: order._id,
+    shipmentId: shipment._id,
+    items: items.length,
+    carrier
+  });
+
+  return shipment;
+};
+
+/**
+ * Change a shipment's carrier details after it was created, e.g. once the
+ * label is bought
+ * @param {Object} shipment - Shipment document
+ * @param {Object} updates - Any of `carrier`, `service`, `trackingNumber`, `label`, `estimatedDelivery`
+ * @returns {Promise<Object>} The saved shipment
+ */
+export const updateShipmentDetails = async (shipment, updates) => {
+  for (const field of ['carrier', 'service', 'trackingNumber', 'label', 'estimatedDelivery']) {
+    if (updates[field] !== undefined) shipment.set(field, updates[field]);
+  }
+  shipment.trackingUrl = buildTrackingUrl(shipment.carrier, shipment.trackingNumber);
+
+  if (shipment.status === 'pending' && (shipment.trackingNumber || shipment.label?.url)) {
+    shipment.events.push({ status: 'label_created', description: 'Label created', occurredAt: new Date() });
+    shipment.status = 'label_created';
+  }
+
+  return shipment.save();
+};
+
+/**
+ * Record a tracking event and update the shipment and its order
+ * @param {Object} shipment - Shipment document
+ * @param {Object} event
+ * @param {string} event.status - One of SHIPMENT_STATUSES
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {Date} [event.occurredAt] - Defaults to now
+ * @param {'manual'|'carrier'} [source]
+ * @param {Object} [options]
+ * @param {Object} [options.order] - The shipment's order, if already loaded
+ * @param {Object} [options.user] - `req.user`, for manual events
+ * @returns {Promise<{shipment: Object, added: boolean}>} `added` is false for a duplicate event
+ */
+export const addTrackingEvent = async (shipment, event, source = 'manual', { order, user } = {}) => {
+  const occurredAt = event.occurredAt ? new Date(event.occurredAt) : new Date();
+
+  // Carriers resend events; the same status at the same moment is the same event
+  const duplicate = shipment.events.some(existing =>
+    existing.status === event.status && existing.occurredAt.getTime() === occurredAt.getTime());
+  if (duplicate) return { shipment, added: false };
+
+  shipment.events.push({
+    status: event.status,
+    description: event.description,
+    location: event.location,
+    occurredAt,
+    source
+  });
+  // Events can arrive out of order; the latest one decides the status
+  shipment.events.sort((a, b) => a.occurredAt - b.occurredAt);
+  shipment.status = shipment.events[shipment.events.length - 1].status;
+
+  if (event.status === 'delivered' && !shipment.deliveredAt) {
+    shipment.deliveredAt = occurredAt;
+  }
+
+  await shipment.save();
+
+  const shipmentOrder = order || await Order.findById(shipment.order);
+  if (shipmentOrder) {
+    const shipments = await listShipments(shipmentOrder._id);
+    await syncOrderWithShipments(shipmentOrder, shipments, OrderStatusService.actorFromUser(user));
+  }
+
+  return { shipment, added: true };
+};
+
+/**
+ * Rate quotes for shipping an order's items that are ready to go
+ * @param {Object} order - Order document
+ * @param {Object} [options]
+ * @param {string} [options.carrier] - Only quote this carrier
+ * @returns {Promise<Array<Object>>} Rates tagged with their carrier
+ */
+export const getShippingRates = async (order, { carrier } = {}) => {
+  const shipments = await listShipments(order._id);
+  const ready = getReadyToShipQuantities(order, shipments);
+  const items = order.items
+    .filter(item => ready.has(item._id.toString()))
+    .map(item => ({ orderItem: item._id, product: item.product, quantity: ready.get(item._id.toString()) }));
+
+  const adapters = carrier ? [getCarrier(carrier)] : listCarriers().map(({ code }) => getCarrier(code));
+
+  const quotes = await Promise.allSettled(adapters.map(async adapter => {
+    const rates = await adapter.getRates({ order, items });
+    return rates.map(rate => ({ carrier: adapter.code, carrierName: adapter.name, ...rate }));
+  }));
+
+  quotes
+    .filter(result => result.status === 'rejected')
+    .forEach(result => logger.warn('Carrier rate quote failed', { orderId: order._id, error: result.reason?.message }));
+
+  return quotes
+    .filter(result => result.status === 'fulfilled')
+    .flatMap(result => result.value)
+    .sort((a, b) => a.amount - b.amount);
+};
+
+/**
+ * Buy a label from the shipment's carrier and attach its tracking number
+ * @param {Object} order - Order document
+ * @param {Object} shipment - Shipment document without a tracking number yet
+ * @param {Object} [options]
+ * @param {string} [options.service] - Carrier service level
+ * @returns {Promise<Object>} The saved shipment
+ * @throws {Error} With `statusCode` 400 if the carrier can't make labels, 409 if the shipment
+ *   already has one, or 502 if the carrier refused
+ */
+export const purchaseLabel = async (order, shipment, { service } = {}) => {
+  const adapter = getCarrier(shipment.carrier);
+  if (!adapter.supportsLabels) {
+    throw fail(`${adapter.name} shipments don't support labels`, 400);
+  }
+  if (shipment.trackingNumber) {
+    throw fail('This shipment already has a label', 409);
+  }
+
+  const label = await adapter.createLabel({ order, shipment, service }).catch(error => {
+    throw fail(`${adapter.name} could not create the label: ${error.message}`, 502);
+  });
+  const rates = await adapter.getRates({ order, items: shipment.items });
+  const rate = rates.find(option => option.service === label.service);
+
+  if (rate) {
+    shipment.rate = { amount: rate.amount, currency: rate.currency };
+  }
+
+  await updateShipmentDetails(shipment, {
+    service: label.service,
+    trackingNumber: label.trackingNumber,
+    label: label.label,
+    estimatedDelivery: label.estimatedDelivery
+  });
+
+  // The order keeps the latest tracking number for emails and older clients
+  order.trackingNumber = label.trackingNumber;
+  await order.save();
+
+  return shipment;
+};
+
+/**
+ * Record tracking events pushed by a carrier
+ * @param {string} carrierCode
+ * @param {Array<Object>} events - From the adapter's parseWebhook
+ * @returns {Promise<{recorded: number, duplicates: number, unmatched: number, ignored: number}>}
+ */
+export const ingestCarrierEvents = async (carrierCode, events) => {
+  const summary = { recorded: 0, duplicates: 0, unmatched: 0, ignored: 0 };
+
+  for (const event of events) {
+    if (!event.status || !event.trackingNumber) {
+      summary.ignored += 1;
+      continue;
+    }
+
+    const shipment = await Shipment.findOne({ carrier: carrierCode, trackingNumber: event.trackingNumber });
+    if (!shipment) {
+      summary.unmatched += 1;
+      continue;
+    }
+
+    const { added } = await addTrackingEvent(shipment, event, 'carrier');
+    summary[added ? 'recorded' : 'duplicates'] += 1;
+  }
+
+  if (summary.unmatched || summary.ignored) {
+    logger.warn('Carrier webhook had events that were not recorded', { carrier: carrierCode, ...summary });
+  }
+
+  return summary;
+};
+
+export default {
+  buildTrackingUrl,
+  getUnshippedQuantities,
+  getReadyToShipQuantities,
+  listShipments,
+  createShipment,
+  updateShipmentDetails,
+  addTrackingEvent,
+  getShippingRates,
+  purchaseLabel,
+  ingestCarrierEvents
+};
@@ -0,0 +1,181 @@
+import Alert from '../models/alert.model.js';
+import Product from '../models/product.model.js';
+import User from '../models/user.model.js';
+import { notifyUsers } from './notification.service.js';
+import { queueEmail } from './mail.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Back-in-stock alerts.
+ *
+ * Subscriptions live in two places: `Alert` documents (optionally scoped to a
+ * variant) and the legacy `Product.watchingUsers` list. When a product or
+ * variant goes from zero to positive stock, every pending subscription for
+ * it is notified in batches and marked `notified`.
+ */
+
+export const BACK_IN_STOCK_BATCH_SIZE = parseInt(process.env.BACK_IN_STOCK_BATCH_SIZE, 10) || 100;
+
+/**
+ * Current stock for a product, or for one of its variants
+ * @param {Object} product - Product document
+ * @param {string} [variantId] - Variant ID
+ * @returns {number} Units in stock
+ */
+export const getStockLevel = (product, variantId) => {
+  if (!product) return 0;
+  if (variantId) {
+    const variant = product.variants?.find(v => String(v._id) === String(variantId));
+    return variant?.quantity || 0;
+  }
+  return product.quantity || 0;
+};
+
+const variantLabel = (product, variantId) => {
+  const variant = variantId && product.variants?.find(v => String(v._id) === String(variantId));
+  if (!variant) return '';
+  return (variant.options || []).map(option => option.value).filter(Boolean).join(' / ') || variant.sku || '';
+};
+
+/**
+ * Notify one batch of recipients in-app and by email
+ * @param {Array<Object>} users - `{ _id, name, email }`
+ * @param {Object} product - Restocked product
+ * @param {string} [variantId] - Restocked variant
+ */
+const notifyBatch = async (users, product, variantId) => {
+  const label = variantLabel(product, variantId);
+  const productName = label ? `${product.name} (${label})` : product.name;
+
+  await notifyUsers(users.map(user => user._id), {
+    title: 'Back in stock',
+    message: `${productName} is available again`,
+    type: 'inventory',
+    priority: 'medium',
+    link: '/shop',
+    event: 'inventory:back-in-stock',
+    data: { productId: product._id, variantId: variantId || null }
+  });
+
+  const results = await Promise.allSettled(users
+    .filter(user => user.email)
+    .map(user => queueEmail({
+      to: user.email,
+      template: 'backInStock',
+      data: { name: user.name, productName },
+      userId: user._id,
+      metadata: { productId: String(product._id), variantId: variantId ? String(variantId) : undefined }
+    })));
+
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => logger.error('Failed to queue back-in-stock email', {
+      productId: product._id,
+      error: result.reason?.message
+    }));
+};
+
+/**
+ * Notify everyone waiting on a product (or a single variant) and close their
+ * alerts. Variant alerts only fire for their own variant; product-level
+ * alerts and legacy watchers only fire for the product itself.
+ * @param {string} productId - Product ID
+ * @param {Object} [options]
+ * @param {string} [options.variantId] - Restocked variant
+ * @returns {Promise<{notified: number}>} Number of users notified
+ */
+export const dispatchBackInStock = async (productId, { variantId } = {}) => {
+  const product = await Product.findById(productId).select('name variants watchingUsers quantity');
+  if (!product) return { notified: 0 };
+
+  const filter = { product: product._id, status: 'pending', variant: variantId || null };
+  const notifiedUserIds = new Set();
+  let lastId = null;
+
+  // Page through pending alerts by _id so each batch is closed before the next is read
+  for (;;) {
+    const alerts = await Alert.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+      .sort({ _id: 1 })
+      .limit(BACK_IN_STOCK_BATCH_SIZE)
+      .populate('user', 'name email')
+      .lean();
+
+    if (!alerts.length) break;
+    lastId = alerts[alerts.length - 1]._id;
+
+    const users = alerts.map(alert => alert.user).filter(Boolean);
+    await notifyBatch(users, product, variantId);
+    users.forEach(user => notifiedUserIds.add(String(user._id)));
+
+    await Alert.updateMany(
+      { _id: { $in: alerts.map(alert => alert._id) }, status: 'pending' },
+      { $set: { status: 'notified', notifiedAt: new Date() } }
+    );
+  }
+
+  if (!variantId) {
+    // Watchers who subscribed before alerts were tracked as documents
+    const legacyIds = (product.watchingUsers || [])
+      .map(String)
+      .filter(id => !notifiedUserIds.has(id));
+
+    for (let i = 0; i < legacyIds.length; i += BACK_IN_STOCK_BATCH_SIZE) {
+      const users = await User.find({ _id: { $in: legacyIds.slice(i, i + BACK_IN_STOCK_BATCH_SIZE) } })
+        .select('name email')
+        .lean();
+      await notifyBatch(users, product, variantId);
+      users.forEach(user => notifiedUserIds.add(String(user._id)));
+    }
+  }
+
+  // Stop watching the product unless another alert (e.g. another variant) is still pending
+  const stillWaiting = new Set(
+    (await Alert.distinct('user', { product: product._id, status: 'pending' })).map(String)
+  );
+  const doneWatching = [...notifiedUserIds].filter(id => !stillWaiting.has(id));
+
+  const update = {};
+  if (doneWatching.length) update.$pull = { watchingUsers: { $in: doneWatching } };
+  if (!variantId) update.$set = { 'inventory.isBackInStockAlertSent': true, 'inventory.wasOutOfStock': false };
+  if (Object.keys(update).length) await Product.updateOne({ _id: product._id }, update);
+
+  if (notifiedUserIds.size) {
+    logger.info('Back-in-stock alerts dispatched', {
+      productId: product._id,
+      variantId,
+      notified: notifiedUserIds.size
+    });
+  }
+
+  return { notified: notifiedUserIds.size };
+};
+
+/**
+ * Run the dispatcher in the background. When the stock change is part of a
+ * transaction, wait until the session ends and only dispatch if it committed.
+ * @param {string} productId - Product ID
+ * @param {Object} [options]
+ * @param {string} [options.variantId] - Restocked variant
+ * @param {import('mongoose').ClientSession} [options.session] - Session the change was made in
+ */
+export const scheduleBackInStockDispatch = (productId, { variantId, session } = {}) => {
+  const run = () => dispatchBackInStock(productId, { variantId }).catch(error => {
+    logger.error('Back-in-stock dispatch failed', { productId, variantId, error: error.message });
+  });
+
+  if (session?.inTransaction()) {
+    session.once('ended', () => {
+      if (session.transaction.isCommitted) run();
+    });
+    return;
+  }
+
+  run();
+};
+
+export default {
+  BACK_IN_STOCK_BATCH_SIZE,
+  getStockLevel,
+  dispatchBackInStock,
+  scheduleBackInStockDispatch
+};
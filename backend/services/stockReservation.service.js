@@ -0,0 +1,600 @@
+import Product from '../models/product.model.js';
+import StockReservation from '../models/stockReservation.model.js';
+import { InsufficientStockError } from '../errors/insufficient-stock-error.js';
+import { notifyLowStock, LOW_STOCK_THRESHOLD } from './realtime.service.js';
+import { getStockLevel, scheduleBackInStockDispatch } from './stockAlert.service.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Stock reservations.
+ *
+ * Placing an order holds its units (`reservedQuantity` on the product or
+ * variant) instead of taking them off `quantity`. Payment converts the hold
+ * into a real decrement; expiry, a failed payment or cancellation releases
+ * it. Available-to-sell is always `quantity - reservedQuantity`.
+ *
+ * Products that allow backorders hold what they can; the shortfall waits on
+ * the order line until restocked stock is allocated to it.
+ */
+
+export const STOCK_RESERVATION_TTL_MINUTES = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES, 10) || 30;
+
+const SWEEP_INTERVAL_MS = (parseInt(process.env.STOCK_RESERVATION_SWEEP_MINUTES, 10) || 5) * 60 * 1000;
+const SWEEP_BATCH_SIZE = 200;
+// Concurrent checkouts for the same variant retry the optimistic update this many times
+const MAX_VARIANT_ATTEMPTS = 3;
+
+let timer = null;
+
+const afterCommit = (session, run) => {
+  if (session?.inTransaction()) {
+    session.once('ended', () => {
+      if (session.transaction.isCommitted) run();
+    });
+    return;
+  }
+  run();
+};
+
+const unitsAvailable = (source) => Math.max(0, (source?.quantity || 0) - (source?.reservedQuantity || 0));
+
+/**
+ * Find the variant an order item refers to
+ * @param {Object} product - Product document
+ * @param {string|Object} [ref] - Variant ID or SKU, or an object with `_id` or `sku`
+ * @returns {Object|null} The variant subdocument, or null for the product itself
+ */
+export const findVariant = (product, ref) => {
+  if (!ref || !product?.variants?.length) return null;
+
+  const id = typeof ref === 'object' ? ref._id || ref.id : ref;
+  const sku = typeof ref === 'object' ? ref.sku : ref;
+
+  return product.variants.find(variant =>
+    (id && String(variant._id) === String(id)) || (sku && variant.sku === sku)) || null;
+};
+
+/**
+ * Units that can still be sold
+ * @param {Object} product - Product document or lean object
+ * @param {Object} [variant] - One of its variants
+ * @returns {number}
+ */
+export const getAvailableQuantity = (product, variant) => unitsAvailable(variant || product);
+
+/**
+ * Apply `inc` to a product's stock counters if `quantity` units are free
+ * @returns {Promise<Object|null>} The updated product, or null if not enough was free
+ */
+const updateProductIfAvailable = (productId, quantity, inc, session) => Product.findOneAndUpdate(
+  {
+    _id: productId,
+    $expr: { $gte: [{ $subtract: ['$quantity', { $ifNull: ['$reservedQuantity', 0] }] }, quantity] }
+  },
+  { $inc: inc },
+  { new: true, session }
+);
+
+/**
+ * Variant version of updateProductIfAvailable. `$expr` can't compare fields of
+ * an array element, so the counters read are part of the filter instead.
+ * @returns {Promise<Object|null>}
+ */
+const updateVariantIfAvailable = async (productId, variantId, quantity, inc, session) => {
+  const update = Object.fromEntries(Object.entries(inc).map(([field, by]) => [`variants.$.${field}`, by]));
+
+  for (let attempt = 0; attempt < MAX_VARIANT_ATTEMPTS; attempt += 1) {
+    const current = await Product.findOne({ _id: productId, 'variants._id': variantId }, { 'variants.$': 1 })
+      .session(session)
+      .lean();
+    const variant = current?.variants?.[0];
+    if (!variant || unitsAvailable(variant) < quantity) return null;
+
+    const product = await Product.findOneAndUpdate(
+      {
+        _id: productId,
+        variants: {
+          $elemMatch: {
+            _id: variantId,
+            quantity: variant.quantity ?? null,
+            reservedQuantity: variant.reservedQuantity ?? null
+          }
+        }
+      },
+      { $inc: update },
+      { new: true, session }
+    );
+    if (product) return product;
+  }
+
+  return null;
+};
+
+const updateIfAvailable = ({ product, variant, quantity }, inc, session) => (variant
+  ? updateVariantIfAvailable(product, variant, quantity, inc, session)
+  : updateProductIfAvailable(product, quantity, inc, session));
+
+/**
+ * Hold (`reservedQuantity`) or take (`quantity`) as many units as are free,
+ * up to `quantity`
+ * @returns {Promise<number>} Units held or taken
+ */
+const applyUpTo = async ({ product, variant }, quantity, field, session) => {
+  for (let attempt = 0; attempt < MAX_VARIANT_ATTEMPTS; attempt += 1) {
+    const current = await Product.findById(product).select('quantity reservedQuantity variants').session(session).lean();
+    const source = variant ? current?.variants?.find(entry => String(entry._id) === String(variant)) : current;
+    const units = Math.min(quantity, unitsAvailable(source));
+    if (units <= 0) return 0;
+
+    const inc = { [field]: field === 'quantity' ? -units : units };
+    if (await updateIfAvailable({ product, variant, quantity: units }, inc, session)) return units;
+  }
+
+  return 0;
+};
+
+/**
+ * Apply `inc` to a reservation's product or variant unconditionally
+ * @returns {Promise<Object|null>} The updated product
+ */
+const adjustCounters = ({ product, variant }, inc, session) => {
+  if (variant) {
+    const update = Object.fromEntries(Object.entries(inc).map(([field, by]) => [`variants.$.${field}`, by]));
+    return Product.findOneAndUpdate({ _id: product, 'variants._id': variant }, { $inc: update }, { new: true, session });
+  }
+  return Product.findOneAndUpdate({ _id: product }, { $inc: inc }, { new: true, session });
+};
+
+/**
+ * Hold stock for a new order
+ * @param {Object} order - Order document; only `_id` is used
+ * @param {Array<{product: Object, variant?: Object, quantity: number, backorder?: boolean}>} items - Product
+ *   documents and chosen variants; `backorder` items hold what is free instead of failing
+ * @param {Object} [options]
+ * @param {Object} [options.session] - Transaction the order is created in
+ * @param {string} [options.userId]
+ * @returns {Promise<Array<number>>} Units backordered for each item, in order
+ * @throws {InsufficientStockError} If any other item can't be held; nothing stays held
+ */
+export const reserveOrderStock = async (order, items, { session, userId } = {}) => {
+  const held = [];
+  const backordered = [];
+
+  for (const { product, variant, quantity, backorder } of items) {
+    const hold = { product: product._id, variant: variant?._id || null, quantity };
+    const updated = await updateIfAvailable(hold, { reservedQuantity: quantity }, session);
+
+    if (!updated && backorder) {
+      const units = await applyUpTo(hold, quantity, 'reservedQuantity', session);
+      if (units > 0) held.push({ ...hold, quantity: units });
+      backordered.push(quantity - units);
+      continue;
+    }
+
+    if (!updated) {
+      // A transaction rolls the earlier holds back by itself
+      if (!session?.inTransaction()) {
+        await Promise.all(held.map(previous => adjustCounters(previous, { reservedQuantity: -previous.quantity })));
+      }
+      throw new InsufficientStockError({
+        productId: product._id,
+        variantId: variant?._id,
+        name: product.name,
+        available: getAvailableQuantity(product, variant),
+        requested: quantity
+      });
+    }
+    held.push(hold);
+    backordered.push(0);
+  }
+
+  if (held.length > 0) {
+    const expiresAt = new Date(Date.now() + STOCK_RESERVATION_TTL_MINUTES * 60 * 1000);
+    await StockReservation.insertMany(
+      held.map(hold => ({ ...hold, order: order._id, user: userId, expiresAt })),
+      { session }
+    );
+  }
+  return backordered;
+};
+
+/**
+ * Give a backordered order line whatever stock is free now. A pending order
+ * holds it like a fresh checkout; a paid one takes it off the shelf.
+ * @param {Object} order - Order document
+ * @param {{product: Object, variant?: Object, quantity: number}} line - Units still backordered
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @returns {Promise<number>} Units allocated
+ */
+export const allocateBackorderedStock = async (order, { product, variant, quantity }, { session } = {}) => {
+  const ref = { product: product._id, variant: variant?._id || null };
+  const pending = order.status === 'pending';
+
+  const units = await applyUpTo(ref, quantity, pending ? 'reservedQuantity' : 'quantity', session);
+  if (units === 0) return 0;
+
+  const now = new Date();
+  await StockReservation.create([{
+    ...ref,
+    quantity: units,
+    order: order._id,
+    user: order.user,
+    ...(pending
+      ? { expiresAt: new Date(now.getTime() + STOCK_RESERVATION_TTL_MINUTES * 60 * 1000) }
+      : { status: 'converted', expiresAt: now, convertedAt: now })
+  }], { session });
+
+  return units;
+};
+
+/**
+ * Put units a paid order couldn't be given back on its lines as backordered,
+ * so they wait for restocked stock instead of shipping as if stocked
+ * @returns {Promise<number>} Units that matched no line
+ */
+const backorderShortfall = async (order, reservation, shortfall, session) => {
+  let sku = null;
+  if (reservation.variant) {
+    const product = await Product.findById(reservation.product).select('variants').session(session).lean();
+    sku = findVariant(product, reservation.variant)?.sku || null;
+  }
+
+  let remaining = shortfall;
+  for (const item of order.items || []) {
+    if (remaining === 0) break;
+    if (String(item.product?._id || item.product) !== String(reservation.product)) continue;
+    if (sku && item.variant?.sku !== sku) continue;
+
+    const units = Math.min(remaining, item.quantity - (item.fulfilledQuantity || 0) - (item.backorderedQuantity || 0));
+    if (units <= 0) continue;
+    item.backorderedQuantity = (item.backorderedQuantity || 0) + units;
+    remaining -= units;
+  }
+  return remaining;
+};
+
+/**
+ * Take a paid order's units off the shelf. Holds that lapsed before payment
+ * take whatever is still free; the rest goes back on the order lines as
+ * backordered, so the caller must save the order.
+ * @param {Object} order - Order document
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @returns {Promise<void>}
+ */
+export const commitOrderStock = async (order, { session } = {}) => {
+  // Holds given up by an edit or a cancellation are no longer the order's units
+  const reservations = await StockReservation.find({
+    order: order._id,
+    $or: [
+      { status: { $in: ['active', 'expired'] } },
+      { status: 'released', releasedReason: 'payment_failed' }
+    ]
+  }).session(session);
+
+  for (const reservation of reservations) {
+    const { quantity } = reservation;
+    let product;
+    let taken = quantity;
+
+    if (reservation.status === 'active') {
+      product = await adjustCounters(reservation, { quantity: -quantity, reservedQuantity: -quantity }, session);
+    } else {
+      taken = await applyUpTo(reservation, quantity, 'quantity', session);
+      if (taken < quantity) {
+        const unmatched = await backorderShortfall(order, reservation, quantity - taken, session);
+        logger.warn('Lapsed stock hold could not be covered; units backordered', {
+          orderId: order._id,
+          productId: reservation.product,
+          variantId: reservation.variant,
+          backordered: quantity - taken - unmatched,
+          reservationStatus: reservation.status
+        });
+        if (unmatched > 0) {
+          // Nothing to put the units on; staff have to sort the order out
+          logger.error('Paid order could not be allocated stock', {
+            orderId: order._id,
+            productId: reservation.product,
+            variantId: reservation.variant,
+            quantity: unmatched
+          });
+        }
+      }
+      if (taken === 0) continue;
+      product = await Product.findById(reservation.product).session(session);
+    }
+
+    reservation.quantity = taken;
+    reservation.status = 'converted';
+    reservation.convertedAt = new Date();
+    await reservation.save({ session });
+
+    // Alert once, when the order pushes stock across the threshold
+    const left = product ? getStockLevel(product, reservation.variant) : Infinity;
+    if (!reservation.variant && left <= LOW_STOCK_THRESHOLD && left + taken > LOW_STOCK_THRESHOLD) {
+      afterCommit(session, () => notifyLowStock(product));
+    }
+  }
+};
+
+// Orders placed before reservations existed took their stock when saved.
+// Backordered units were never taken.
+const restoreLegacyOrderStock = async (order, session) => {
+  for (const item of order.items || []) {
+    const sku = item.variant?.sku;
+    const quantity = item.quantity - (item.backorderedQuantity || 0);
+    if (quantity <= 0) continue;
+
+    await Product.updateOne(
+      sku ? { _id: item.product, 'variants.sku': sku } : { _id: item.product },
+      { $inc: sku ? { 'variants.$.quantity': quantity } : { quantity } },
+      { session }
+    );
+  }
+};
+
+/**
+ * Give back what an order holds or took
+ * @param {Object} order - Order document
+ * @param {'expired'|'payment_failed'|'cancelled'} reason
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @returns {Promise<void>}
+ */
+export const releaseOrderStock = async (order, reason, { session } = {}) => {
+  const reservations = await StockReservation.find({ order: order._id }).session(session);
+
+  if (reservations.length === 0) {
+    if (reason === 'cancelled') await restoreLegacyOrderStock(order, session);
+    return;
+  }
+
+  for (const reservation of reservations) {
+    const { quantity } = reservation;
+
+    if (reservation.status === 'active') {
+      await adjustCounters(reservation, { reservedQuantity: -quantity }, session);
+    } else if (reservation.status === 'converted' && reason === 'cancelled') {
+      // Paid stock only comes back when the order itself is cancelled
+      const product = await adjustCounters(reservation, { quantity }, session);
+      if (product && getStockLevel(product, reservation.variant) === quantity) {
+        scheduleBackInStockDispatch(product._id, { variantId: reservation.variant || undefined, session });
+      }
+    } else {
+      continue;
+    }
+
+    reservation.status = 'released';
+    reservation.releasedAt = new Date();
+    reservation.releasedReason = reason;
+    await reservation.save({ session });
+  }
+};
+
+/**
+ * Apply quantity changes to a live order's stock. A pending order holds
+ * extra units; once paid they are taken straight away. Lower quantities give
+ * back held or taken units, newest first.
+ * @param {Object} order - Order document, pending or processing
+ * @param {Array<{product: Object, variant?: Object, quantity: number}>} deltas - Signed change per product or variant
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @param {string} [options.userId]
+ * @returns {Promise<void>}
+ * @throws {InsufficientStockError} If an increase can't be covered
+ */
+export const adjustOrderStock = async (order, deltas, { session, userId } = {}) => {
+  for (const { product, variant, quantity } of deltas) {
+    if (quantity > 0) {
+      if (order.status === 'pending') {
+        await reserveOrderStock(order, [{ product, variant, quantity }], { session, userId });
+        continue;
+      }
+
+      const take = { product: product._id, variant: variant?._id || null, quantity };
+      if (!await updateIfAvailable(take, { quantity: -quantity }, session)) {
+        throw new InsufficientStockError({
+          productId: product._id,
+          variantId: variant?._id,
+          name: product.name,
+          available: getAvailableQuantity(product, variant),
+          requested: quantity
+        });
+      }
+      const now = new Date();
+      await StockReservation.create([{
+        ...take,
+        order: order._id,
+        user: userId,
+        status: 'converted',
+        expiresAt: now,
+        convertedAt: now
+      }], { session });
+      continue;
+    }
+
+    let remaining = -quantity;
+    const reservations = await StockReservation.find({
+      order: order._id,
+      product: product._id,
+      variant: variant?._id || null,
+      status: { $in: ['active', 'converted'] }
+    }).sort({ createdAt: -1 }).session(session);
+
+    for (const reservation of reservations) {
+      if (remaining === 0) break;
+      const given = Math.min(remaining, reservation.quantity);
+
+      if (reservation.status === 'active') {
+        await adjustCounters(reservation, { reservedQuantity: -given }, session);
+      } else {
+        const updated = await adjustCounters(reservation, { quantity: given }, session);
+        if (updated && getStockLevel(updated, reservation.variant) === given) {
+          scheduleBackInStockDispatch(updated._id, { variantId: reservation.variant || undefined, session });
+        }
+      }
+
+      if (given === reservation.quantity) {
+        reservation.status = 'released';
+        reservation.releasedAt = new Date();
+        reservation.releasedReason = 'order_edited';
+      } else {
+        reservation.quantity -= given;
+      }
+      await reservation.save({ session });
+      remaining -= given;
+    }
+
+    // Orders placed before reservations existed took their stock when saved
+    if (remaining > 0 && !await StockReservation.exists({ order: order._id }).session(session)) {
+      await adjustCounters({ product: product._id, variant: variant?._id }, { quantity: remaining }, session);
+    }
+  }
+};
+
+/**
+ * Move what orders hold or took to another order, e.g. when they are merged.
+ * Orders placed before reservations existed get converted reservations for
+ * the units they took, so the new order gives them back if cancelled.
+ * @param {Array<Object>} fromOrders - Order documents
+ * @param {Object} toOrder - Order document
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @returns {Promise<void>}
+ */
+export const transferOrderStock = async (fromOrders, toOrder, { session } = {}) => {
+  for (const order of fromOrders) {
+    const moved = await StockReservation.updateMany(
+      { order: order._id, status: { $in: ['active', 'converted'] } },
+      { $set: { order: toOrder._id } },
+      { session }
+    );
+    if (moved.matchedCount > 0 || await StockReservation.exists({ order: order._id }).session(session)) continue;
+
+    const now = new Date();
+    for (const item of order.items || []) {
+      const quantity = item.quantity - (item.backorderedQuantity || 0);
+      if (quantity <= 0) continue;
+
+      const product = await Product.findById(item.product).select('variants').session(session);
+      if (!product) continue;
+      const variant = findVariant(product, item.variant?.sku);
+
+      await StockReservation.create([{
+        order: toOrder._id,
+        product: product._id,
+        variant: variant?._id || null,
+        quantity,
+        user: order.user,
+        status: 'converted',
+        expiresAt: now,
+        convertedAt: now
+      }], { session });
+    }
+  }
+};
+
+/**
+ * Put units back on the shelf, e.g. returned items that can be sold again
+ * @param {{product: string, variant?: string}} ref - Product and variant IDs
+ * @param {number} quantity
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @returns {Promise<Object|null>} The updated product, or null if it no longer exists
+ */
+export const restockUnits = async ({ product, variant }, quantity, { session } = {}) => {
+  const updated = await adjustCounters({ product, variant: variant || null }, { quantity }, session);
+  if (updated && getStockLevel(updated, variant) === quantity) {
+    scheduleBackInStockDispatch(updated._id, { variantId: variant || undefined, session });
+  }
+  return updated;
+};
+
+/**
+ * Keep stock in step with an order status change: paying or confirming a
+ * pending order converts its holds, cancelling gives the stock back
+ * @param {Object} order - Order document, already at its new status
+ * @param {string} previousStatus
+ * @param {Object} [options]
+ * @param {Object} [options.session]
+ * @returns {Promise<void>}
+ */
+export const syncStockWithStatus = async (order, previousStatus, options = {}) => {
+  if (order.status === previousStatus) return;
+
+  if (previousStatus === 'pending' && ['processing', 'shipped', 'delivered'].includes(order.status)) {
+    await commitOrderStock(order, options);
+  } else if (order.status === 'cancelled') {
+    await releaseOrderStock(order, 'cancelled', options);
+  }
+};
+
+/**
+ * Release holds that have run out
+ * @returns {Promise<number>} Number of reservations expired
+ */
+export const expireReservations = async () => {
+  const due = await StockReservation.find({ status: 'active', expiresAt: { $lte: new Date() } })
+    .select('_id')
+    .limit(SWEEP_BATCH_SIZE)
+    .lean();
+
+  let expired = 0;
+  for (const { _id } of due) {
+    // Claim first so a payment converting it at the same moment wins or loses cleanly
+    const reservation = await StockReservation.findOneAndUpdate(
+      { _id, status: 'active' },
+      { $set: { status: 'expired', releasedAt: new Date(), releasedReason: 'expired' } }
+    );
+    if (!reservation) continue;
+
+    await adjustCounters(reservation, { reservedQuantity: -reservation.quantity });
+    expired += 1;
+  }
+
+  if (expired > 0) {
+    logger.info('Expired stock reservations', { count: expired });
+  }
+  return expired;
+};
+
+/**
+ * Start the periodic expiry sweep
+ */
+export const startStockReservationJob = () => {
+  if (timer) return;
+
+  const tick = () => expireReservations().catch(error => {
+    logger.error('Stock reservation sweep failed', { error: error.message });
+  });
+
+  timer = setInterval(tick, SWEEP_INTERVAL_MS);
+  timer.unref();
+  tick();
+};
+
+/**
+ * Stop the periodic expiry sweep
+ */
+export const stopStockReservationJob = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export default {
+  STOCK_RESERVATION_TTL_MINUTES,
+  findVariant,
+  getAvailableQuantity,
+  reserveOrderStock,
+  allocateBackorderedStock,
+  commitOrderStock,
+  releaseOrderStock,
+  adjustOrderStock,
+  transferOrderStock,
+  restockUnits,
+  syncStockWithStatus,
+  expireReservations,
+  startStockReservationJob,
+  stopStockReservationJob
+};
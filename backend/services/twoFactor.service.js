@@ -0,0 +1,88 @@
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import Setting from '../models/setting.model.js';
+import { buildOtpAuthUrl, generateSecret, verifyCode } from '../utils/totp.js';
+
+/**
+ * Two-factor authentication.
+ *
+ * Users enrol an authenticator app (TOTP) and receive single-use recovery
+ * codes. Store settings can make the second factor mandatory for admins.
+ */
+
+export const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || process.env.STORE_NAME || 'Our Store';
+
+// Fields needed to check a code; all are excluded from queries by default
+export const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const LOGIN_CHALLENGE_TTL_MINUTES = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES, 10) || 5;
+
+/**
+ * Whether the store requires this user to use two-factor authentication
+ * @param {Object} user - User document or `req.user`
+ * @returns {Promise<boolean>}
+ */
+export const isTwoFactorRequired = async (user) => {
+  if (user?.role !== 'admin') return false;
+  const settings = await Setting.getSettings();
+  return Boolean(settings?.requireTwoFactorForAdmins);
+};
+
+/**
+ * Start enrolment: store a pending secret and build what the authenticator
+ * app needs. The document is modified but not saved.
+ * @param {Object} user - User document
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>} `qrCode` is a PNG data URL
+ */
+export const createEnrolment = async (user) => {
+  const secret = generateSecret();
+  const otpauthUrl = buildOtpAuthUrl({ secret, account: user.email, issuer: TWO_FACTOR_ISSUER });
+
+  user.twoFactor.pendingSecret = secret;
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+/**
+ * Check a second-factor code: a TOTP code from the enrolled app, or one of the
+ * recovery codes. Accepted TOTP steps and used recovery codes are recorded on
+ * the document so neither can be replayed; the caller must save it.
+ * @param {Object} user - User document loaded with TWO_FACTOR_SECRET_FIELDS
+ * @param {string} code - Code entered by the user
+ * @returns {'totp'|'recovery'|null} Method that matched, or null
+ */
+export const verifySecondFactor = (user, code) => {
+  const step = verifyCode(user.twoFactor?.secret, code);
+  if (step !== null) {
+    if (user.twoFactor.lastUsedStep != null && step <= user.twoFactor.lastUsedStep) return null;
+    user.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  return user.useRecoveryCode(code) ? 'recovery' : null;
+};
+
+/**
+ * Sign the short-lived token that links the first step of a login (password
+ * or social provider) to the second-factor step. It is not accepted as an
+ * access token; `verifyTwoFactorLogin` exchanges it for a session.
+ * @param {string} userId - The user's ID
+ * @returns {string} Challenge token
+ */
+export const issueLoginChallenge = (userId) =>
+  jwt.sign({ userId, purpose: 'two_factor' }, process.env.ACCESS_TOKEN_SECRET, {
+    expiresIn: `${LOGIN_CHALLENGE_TTL_MINUTES}m`
+  });
+
+export default {
+  TWO_FACTOR_ISSUER,
+  TWO_FACTOR_SECRET_FIELDS,
+  isTwoFactorRequired,
+  createEnrolment,
+  verifySecondFactor,
+  issueLoginChallenge
+};
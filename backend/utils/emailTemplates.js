@@ -0,0 +1,541 @@
+// emailTemplates.js
+import mailConfig from '../config/mail.config.js';
+
+/**
+ * Transactional email templates.
+ *
+ * Every template is a function of its data that returns
+ * `{ subject, html, text }`. The HTML body is wrapped in a shared layout and
+ * every template also renders a plain-text fallback.
+ */
+
+const COLORS = {
+  primary: '#10b981',
+  text: '#2c3e50',
+  lightText: '#7f8c8d',
+  border: '#e0e0e0',
+  background: '#f9f9f9'
+};
+
+export const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+export const formatMoney = (amount = 0, currency = 'USD') =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(amount) || 0);
+
+const storeLink = (pathname = '/') => `${mailConfig.storeUrl.replace(/\/$/, '')}${pathname}`;
+
+function layout({ title, body, action }) {
+  const button = action
+    ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="background:${COLORS.primary};color:#fff;padding:12px 20px;border-radius:4px;text-decoration:none;">${escapeHtml(action.label)}</a></p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:0;background:${COLORS.background};font-family:Helvetica,Arial,sans-serif;color:${COLORS.text};">
+    <table width="100%" cellpadding="0" cellspacing="0"><tr><td align="center">
+      <table width="600" cellpadding="24" cellspacing="0" style="background:#fff;border:1px solid ${COLORS.border};margin:24px 0;">
+        <tr><td>
+          <h2 style="margin-top:0;">${escapeHtml(title)}</h2>
+          ${body}
+          ${button}
+          <p style="color:${COLORS.lightText};font-size:12px;border-top:1px solid ${COLORS.border};padding-top:12px;">
+            ${escapeHtml(mailConfig.storeName)} &middot; Questions? Contact ${escapeHtml(mailConfig.supportEmail)}
+          </p>
+        </td></tr>
+      </table>
+    </td></tr></table>
+  </body>
+</html>`;
+}
+
+function textLayout({ title, lines, action }) {
+  return [
+    title,
+    '',
+    ...lines,
+    ...(action ? ['', `${action.label}: ${action.url}`] : []),
+    '',
+    '--',
+    `${mailConfig.storeName} - Questions? Contact ${mailConfig.supportEmail}`
+  ].join('\n');
+}
+
+function orderItemsTable(items = []) {
+  const rows = items.map(item => `
+    <tr>
+      <td style="border-bottom:1px solid ${COLORS.border};">${escapeHtml(item.name)}</td>
+      <td style="border-bottom:1px solid ${COLORS.border};" align="center">${item.quantity}</td>
+      <td style="border-bottom:1px solid ${COLORS.border};" align="right">${formatMoney(item.price * item.quantity)}</td>
+    </tr>`).join('');
+
+  return `<table width="100%" cellpadding="6" cellspacing="0">
+    <tr><th align="left">Item</th><th>Qty</th><th align="right">Total</th></tr>
+    ${rows}
+  </table>`;
+}
+
+const orderItemsText = (items = []) =>
+  items.map(item => `- ${item.name} x${item.quantity}: ${formatMoney(item.price * item.quantity)}`);
+
+const orderRef = (order) => order.orderNumber || order._id?.toString();
+const orderItems = (order) => (order.items?.length ? order.items : order.products) || [];
+
+const backorderLines = (order) => (order.items || [])
+  .filter(item => item.backorderedQuantity > 0)
+  .map(item => `${item.backorderedQuantity} x ${item.name} is on backorder and will ship separately once it's back in stock.`);
+
+/**
+ * Template registry keyed by template name
+ */
+export const templates = {
+  orderConfirmation: ({ order, name }) => {
+    const title = `Order ${orderRef(order)} confirmed`;
+    const action = { label: 'View your order', url: storeLink('/profile') };
+    const backordered = backorderLines(order);
+    return {
+      subject: `Thanks for your order ${orderRef(order)}`,
+      html: layout({
+        title,
+        action,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p>We've received your order and will let you know when it ships.</p>
+          ${orderItemsTable(orderItems(order))}
+          <p align="right"><strong>Total: ${formatMoney(order.totalAmount)}</strong></p>
+          ${backordered.map(line => `<p>${escapeHtml(line)}</p>`).join('')}`
+      }),
+      text: textLayout({
+        title,
+        action,
+        lines: [
+          `Hi ${name || 'there'},`,
+          "We've received your order and will let you know when it ships.",
+          '',
+          ...orderItemsText(orderItems(order)),
+          '',
+          `Total: ${formatMoney(order.totalAmount)}`,
+          ...(backordered.length ? ['', ...backordered] : [])
+        ]
+      })
+    };
+  },
+
+  orderShipped: ({ order, name, trackingNumber, carrier }) => {
+    const title = `Order ${orderRef(order)} has shipped`;
+    const action = { label: 'Track your order', url: storeLink('/profile') };
+    const tracking = trackingNumber || order.trackingNumber;
+    return {
+      subject: `Your order ${orderRef(order)} is on its way`,
+      html: layout({
+        title,
+        action,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p>Good news: your order is on its way.</p>
+          ${tracking ? `<p>Tracking number: <strong>${escapeHtml(tracking)}</strong>${carrier ? ` (${escapeHtml(carrier)})` : ''}</p>` : ''}`
+      }),
+      text: textLayout({
+        title,
+        action,
+        lines: [
+          `Hi ${name || 'there'},`,
+          'Good news: your order is on its way.',
+          ...(tracking ? [`Tracking number: ${tracking}${carrier ? ` (${carrier})` : ''}`] : [])
+        ]
+      })
+    };
+  },
+
+  orderDelivered: ({ order, name }) => {
+    const title = `Order ${orderRef(order)} was delivered`;
+    return {
+      subject: `Your order ${orderRef(order)} was delivered`,
+      html: layout({
+        title,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p>Your order has been delivered. We hope you enjoy it!</p>`
+      }),
+      text: textLayout({
+        title,
+        lines: [`Hi ${name || 'there'},`, 'Your order has been delivered. We hope you enjoy it!']
+      })
+    };
+  },
+
+  orderCancelled: ({ order, name, reason }) => {
+    const title = `Order ${orderRef(order)} was cancelled`;
+    return {
+      subject: `Your order ${orderRef(order)} was cancelled`,
+      html: layout({
+        title,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p>Your order has been cancelled.${reason ? ` Reason: ${escapeHtml(reason)}` : ''}</p>
+          <p>If you were charged, the refund will appear on your statement within 5-10 business days.</p>`
+      }),
+      text: textLayout({
+        title,
+        lines: [
+          `Hi ${name || 'there'},`,
+          `Your order has been cancelled.${reason ? ` Reason: ${reason}` : ''}`,
+          'If you were charged, the refund will appear on your statement within 5-10 business days.'
+        ]
+      })
+    };
+  },
+
+  orderUpdated: ({ order, name, charge, refund }) => {
+    const title = `Order ${orderRef(order)} was updated`;
+    const action = { label: 'View your order', url: storeLink('/profile') };
+    const balance = [
+      ...(charge ? [`The new total is ${formatMoney(charge)} higher. Please pay the difference so we can send your order.`] : []),
+      ...(refund ? [`We've refunded the difference of ${formatMoney(refund)}. It may take 5-10 business days to appear on your statement.`] : [])
+    ];
+    return {
+      subject: `Your order ${orderRef(order)} was updated`,
+      html: layout({
+        title,
+        action,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p>We've made changes to your order. Here is what it contains now:</p>
+          ${orderItemsTable(orderItems(order))}
+          <p align="right"><strong>Total: ${formatMoney(order.totalAmount)}</strong></p>
+          ${balance.map(line => `<p>${escapeHtml(line)}</p>`).join('')}`
+      }),
+      text: textLayout({
+        title,
+        action,
+        lines: [
+          `Hi ${name || 'there'},`,
+          "We've made changes to your order. Here is what it contains now:",
+          '',
+          ...orderItemsText(orderItems(order)),
+          '',
+          `Total: ${formatMoney(order.totalAmount)}`,
+          ...balance
+        ]
+      })
+    };
+  },
+
+  paymentReceived: ({ order, name, amount, receiptUrl }) => {
+    const title = `Payment received for order ${orderRef(order)}`;
+    const action = receiptUrl ? { label: 'View receipt', url: receiptUrl } : undefined;
+    return {
+      subject: `Payment received for order ${orderRef(order)}`,
+      html: layout({
+        title,
+        action,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p>We've received your payment of <strong>${formatMoney(amount ?? order.totalAmount)}</strong>. Your order is now being processed.</p>`
+      }),
+      text: textLayout({
+        title,
+        action,
+        lines: [
+          `Hi ${name || 'there'},`,
+          `We've received your payment of ${formatMoney(amount ?? order.totalAmount)}. Your order is now being processed.`
+        ]
+      })
+    };
+  },
+
+  paymentFailed: ({ order, name, reason }) => {
+    const title = `Payment failed for order ${orderRef(order)}`;
+    const action = { label: 'Update payment', url: storeLink('/cart') };
+    return {
+      subject: `There was a problem with your payment for order ${orderRef(order)}`,
+      html: layout({
+        title,
+        action,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p>We couldn't process your payment${reason ? `: ${escapeHtml(reason)}` : '.'}</p>
+          <p>Your order is on hold until payment succeeds.</p>`
+      }),
+      text: textLayout({
+        title,
+        action,
+        lines: [
+          `Hi ${name || 'there'},`,
+          `We couldn't process your payment${reason ? `: ${reason}` : '.'}`,
+          'Your order is on hold until payment succeeds.'
+        ]
+      })
+    };
+  },
+
+  passwordReset: ({ name, resetUrl, expiresInMinutes }) => {
+    const title = 'Reset your password';
+    const action = { label: 'Choose a new password', url: resetUrl };
+    return {
+      subject: 'Reset your password',
+      html: layout({
+        title,
+        action,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p>We received a request to reset your password. The link below is valid for ${expiresInMinutes} minutes and can be used once.</p>
+          <p>If you didn't ask for this, you can safely ignore this email.</p>`
+      }),
+      text: textLayout({
+        title,
+        action,
+        lines: [
+          `Hi ${name || 'there'},`,
+          `We received a request to reset your password. The link below is valid for ${expiresInMinutes} minutes and can be used once.`,
+          "If you didn't ask for this, you can safely ignore this email."
+        ]
+      })
+    };
+  },
+
+  passwordChanged: ({ name }) => {
+    const title = 'Your password was changed';
+    return {
+      subject: 'Your password was changed',
+      html: layout({
+        title,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p>Your password was just changed and you have been signed out on all devices.</p>
+          <p>If this wasn't you, contact ${escapeHtml(mailConfig.supportEmail)} immediately.</p>`
+      }),
+      text: textLayout({
+        title,
+        lines: [
+          `Hi ${name || 'there'},`,
+          'Your password was just changed and you have been signed out on all devices.',
+          `If this wasn't you, contact ${mailConfig.supportEmail} immediately.`
+        ]
+      })
+    };
+  },
+
+  emailVerification: ({ name, verifyUrl, expiresInHours }) => {
+    const title = 'Confirm your email address';
+    const action = { label: 'Verify email', url: verifyUrl };
+    return {
+      subject: `Confirm your email for ${mailConfig.storeName}`,
+      html: layout({
+        title,
+        action,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p>Please confirm this is your email address. The link is valid for ${expiresInHours} hours.</p>`
+      }),
+      text: textLayout({
+        title,
+        action,
+        lines: [
+          `Hi ${name || 'there'},`,
+          `Please confirm this is your email address. The link is valid for ${expiresInHours} hours.`
+        ]
+      })
+    };
+  },
+
+  cartRecovery: ({ name, items = [], cartValue, step = 1, coupon, campaignId }) => {
+    const title = step === 1 ? 'You left something in your cart' : 'Your cart is still waiting';
+    const action = {
+      label: 'Return to your cart',
+      url: storeLink(`/cart${campaignId ? `?recovery=${encodeURIComponent(campaignId)}` : ''}`)
+    };
+    const offer = coupon
+      ? `Use code ${coupon.code} for ${coupon.discountPercentage}% off your order${coupon.expiresAt ? ` before ${new Date(coupon.expiresAt).toDateString()}` : ''}.`
+      : '';
+    return {
+      subject: coupon ? `${coupon.discountPercentage}% off the items in your cart` : title,
+      html: layout({
+        title,
+        action,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p>You still have these items in your cart:</p>
+          ${orderItemsTable(items)}
+          <p align="right"><strong>Subtotal: ${formatMoney(cartValue)}</strong></p>
+          ${offer ? `<p><strong>${escapeHtml(offer)}</strong></p>` : ''}`
+      }),
+      text: textLayout({
+        title,
+        action,
+        lines: [
+          `Hi ${name || 'there'},`,
+          'You still have these items in your cart:',
+          '',
+          ...orderItemsText(items),
+          '',
+          `Subtotal: ${formatMoney(cartValue)}`,
+          ...(offer ? ['', offer] : [])
+        ]
+      })
+    };
+  },
+
+  priceDrop: ({ name, productName, oldPrice, newPrice }) => {
+    const title = `Price drop: ${productName}`;
+    const action = { label: 'Shop now', url: storeLink('/shop') };
+    return {
+      subject: `${productName} on your wishlist is now ${formatMoney(newPrice)}`,
+      html: layout({
+        title,
+        action,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p><strong>${escapeHtml(productName)}</strong> from your wishlist dropped from ${formatMoney(oldPrice)} to <strong>${formatMoney(newPrice)}</strong>.</p>
+          <p>You can turn off price alerts for this item from your wishlist.</p>`
+      }),
+      text: textLayout({
+        title,
+        action,
+        lines: [
+          `Hi ${name || 'there'},`,
+          `${productName} from your wishlist dropped from ${formatMoney(oldPrice)} to ${formatMoney(newPrice)}.`,
+          'You can turn off price alerts for this item from your wishlist.'
+        ]
+      })
+    };
+  },
+
+  backInStock: ({ name, productName }) => {
+    const title = `${productName} is back in stock`;
+    const action = { label: 'Shop now', url: storeLink('/shop') };
+    return {
+      subject: `Back in stock: ${productName}`,
+      html: layout({
+        title,
+        action,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p>Good news: <strong>${escapeHtml(productName)}</strong> is available again. Stock may be limited.</p>`
+      }),
+      text: textLayout({
+        title,
+        action,
+        lines: [
+          `Hi ${name || 'there'},`,
+          `Good news: ${productName} is available again. Stock may be limited.`
+        ]
+      })
+    };
+  },
+
+  returnAuthorized: ({ order, name, returnRequest, authorizationUrl }) => {
+    const title = `Return ${returnRequest.returnId} approved`;
+    const approved = returnRequest.items.filter(item => item.status === 'approved');
+    const rejected = returnRequest.items.filter(item => item.status === 'rejected');
+    const shipBy = returnRequest.authorizationExpiresAt
+      ? `Please send the items back by ${new Date(returnRequest.authorizationExpiresAt).toDateString()}.`
+      : 'Please send the items back as soon as you can.';
+    const refundAmount = formatMoney(approved.reduce((sum, item) => sum + item.price * item.quantity, 0));
+    const action = { label: 'Download return authorization', url: authorizationUrl };
+    return {
+      subject: `Your return for order ${orderRef(order)} is approved`,
+      html: layout({
+        title,
+        action,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p>We've approved the return of these items:</p>
+          ${orderItemsTable(approved)}
+          ${rejected.length ? `<p>We couldn't accept a return for: ${escapeHtml(rejected.map(item => item.name).join(', '))}.</p>` : ''}
+          <p>Print the return authorization, pack it with the items and write ${escapeHtml(returnRequest.returnId)} on the box. ${escapeHtml(shipBy)}</p>
+          <p>We'll refund ${refundAmount} once they arrive.</p>`
+      }),
+      text: textLayout({
+        title,
+        action,
+        lines: [
+          `Hi ${name || 'there'},`,
+          "We've approved the return of these items:",
+          '',
+          ...orderItemsText(approved),
+          ...(rejected.length ? ['', `We couldn't accept a return for: ${rejected.map(item => item.name).join(', ')}.`] : []),
+          '',
+          `Print the return authorization, pack it with the items and write ${returnRequest.returnId} on the box. ${shipBy}`,
+          `We'll refund ${refundAmount} once they arrive.`
+        ]
+      })
+    };
+  },
+
+  returnRejected: ({ order, name, returnRequest, reason }) => {
+    const title = `Return ${returnRequest.returnId} not approved`;
+    return {
+      subject: `Your return for order ${orderRef(order)} was not approved`,
+      html: layout({
+        title,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p>We're unable to accept the return you requested.${reason ? ` Reason: ${escapeHtml(reason)}` : ''}</p>
+          <p>If you have questions, contact ${escapeHtml(mailConfig.supportEmail)}.</p>`
+      }),
+      text: textLayout({
+        title,
+        lines: [
+          `Hi ${name || 'there'},`,
+          `We're unable to accept the return you requested.${reason ? ` Reason: ${reason}` : ''}`,
+          `If you have questions, contact ${mailConfig.supportEmail}.`
+        ]
+      })
+    };
+  },
+
+  orderMessage: ({ order, name, message }) => {
+    const title = `New message about order ${orderRef(order)}`;
+    const action = { label: 'Reply', url: storeLink('/profile') };
+    return {
+      subject: `A message about your order ${orderRef(order)}`,
+      html: layout({
+        title,
+        action,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p>We've sent you a message about your order:</p>
+          <blockquote style="margin:0 0 16px;padding:8px 16px;border-left:3px solid #e5e7eb;white-space:pre-line;">${escapeHtml(message.body)}</blockquote>
+          <p>You can reply from the order in your account.</p>`
+      }),
+      text: textLayout({
+        title,
+        action,
+        lines: [
+          `Hi ${name || 'there'},`,
+          "We've sent you a message about your order:",
+          '',
+          message.body,
+          '',
+          'You can reply from the order in your account.'
+        ]
+      })
+    };
+  },
+
+  refundIssued: ({ order, name, amount, reason }) => {
+    const title = `Refund issued for order ${orderRef(order)}`;
+    return {
+      subject: `Your refund for order ${orderRef(order)}`,
+      html: layout({
+        title,
+        body: `<p>Hi ${escapeHtml(name || 'there')},</p>
+          <p>We've issued a refund of <strong>${formatMoney(amount)}</strong>${reason ? ` (${escapeHtml(reason)})` : ''}.</p>
+          <p>It may take 5-10 business days to appear on your statement.</p>`
+      }),
+      text: textLayout({
+        title,
+        lines: [
+          `Hi ${name || 'there'},`,
+          `We've issued a refund of ${formatMoney(amount)}${reason ? ` (${reason})` : ''}.`,
+          'It may take 5-10 business days to appear on your statement.'
+        ]
+      })
+    };
+  }
+};
+
+/**
+ * Render a template by name
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {{subject: string, html: string, text: string}} Rendered message
+ */
+export function renderTemplate(name, data = {}) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+}
+
+export default { templates, renderTemplate, escapeHtml, formatMoney };
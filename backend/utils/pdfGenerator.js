@@ -30,10 +30,12 @@ const FONTS = {
 const MARGIN = 50;
 const PAGE_WIDTH = 612; // Standard US Letter width in points
 const CONTENT_WIDTH = PAGE_WIDTH - (MARGIN * 2);
+const FOOTER_TOP = 700;
 
 function generateHeader(doc, data = {}) {
   const logoPath = data.logo || path.join(__dirname, '../../public/logo.png');
-  const currentDate = new Date().toLocaleDateString('en-US', {
+  const title = data.title || 'INVOICE';
+  const currentDate = new Date(data.issuedAt || Date.now()).toLocaleDateString('en-US', {
     year: 'numeric',
     month: 'long',
     day: 'numeric'
@@ -49,22 +51,22 @@ function generateHeader(doc, data = {}) {
     } else {
       doc.fontSize(FONTS.xl)
          .font('Helvetica-Bold')
-         .text('INVOICE', MARGIN, MARGIN + 10);
+         .text(title, MARGIN, MARGIN + 10);
     }
   } catch (error) {
     doc.fontSize(FONTS.xl)
        .font('Helvetica-Bold')
-       .text('INVOICE', MARGIN, MARGIN + 10);
+       .text(title, MARGIN, MARGIN + 10);
   }
   
   // Invoice info
   doc
     .fontSize(FONTS.medium)
     .fillColor(COLORS.lightText)
-    .text('INVOICE', MARGIN, MARGIN + 60)
+    .text(title, MARGIN, MARGIN + 60)
     .font('Helvetica-Bold')
     .fillColor(COLORS.primary)
-    .text(`#${data.orderId}`, MARGIN, MARGIN + 80)
+    .text(`#${data.number || data.orderId}`, MARGIN, MARGIN + 80)
     .font('Helvetica')
     .fillColor(COLORS.lightText)
     .text('Date Issued', MARGIN, MARGIN + 105)
@@ -72,6 +74,16 @@ function generateHeader(doc, data = {}) {
     .fillColor(COLORS.text)
     .text(currentDate, MARGIN, MARGIN + 120)
     .moveDown();
+
+  // Order and credited invoice, top right
+  (data.references || []).forEach(([label, value], index) => {
+    doc
+      .fontSize(FONTS.small)
+      .fillColor(COLORS.lightText)
+      .text(label, PAGE_WIDTH - MARGIN - 200, MARGIN + 80 + (index * 30), { width: 200, align: 'right' })
+      .fillColor(COLORS.text)
+      .text(value, PAGE_WIDTH - MARGIN - 200, MARGIN + 93 + (index * 30), { width: 200, align: 'right' });
+  });
     
   // Divider
   doc
@@ -91,7 +103,7 @@ function generateCustomerInformation(doc, data) {
     .font('Helvetica-Bold')
     .fontSize(FONTS.small)
     .fillColor(COLORS.primary)
-    .text('BILL TO', MARGIN, MARGIN + 180)
+    .text(data.addressTitle || 'BILL TO', MARGIN, MARGIN + 180)
     .moveDown(0.5);
     
   doc
@@ -168,21 +180,22 @@ function generateInvoiceTable(doc, data) {
   
   // Totals
   const totalsTop = tableTop + 60 + (data.items.length * lineItemHeight);
-  generateTotalRow(doc, 'Subtotal', data.subtotal, totalsTop);
-  
-  if (data.tax > 0) {
-    generateTotalRow(doc, 'Tax', data.tax, totalsTop + 25);
-  }
+  const rows = [
+    ['Subtotal', data.subtotal],
+    ...(data.shipping > 0 ? [['Shipping', data.shipping]] : []),
+    ...(data.tax > 0 ? [['Tax', data.tax]] : [])
+  ];
+  rows.forEach(([label, value], index) => generateTotalRow(doc, label, value, totalsTop + (index * 25)));
   
   doc.font('Helvetica-Bold');
-  generateTotalRow(doc, 'TOTAL', data.total, totalsTop + (data.tax > 0 ? 55 : 30), true);
+  generateTotalRow(doc, 'TOTAL', data.total, totalsTop + (rows.length * 25) + 5, true);
   
   // Payment terms
   doc
     .font('Helvetica')
     .fontSize(FONTS.xsmall)
     .fillColor(COLORS.lightText)
-    .text('Payment is due within 15 days. Thank you for your business!', MARGIN, totalsTop + 80);
+    .text(data.note || 'Payment is due within 15 days. Thank you for your business!', MARGIN, totalsTop + (rows.length * 25) + 30);
 }
 
 function generateTotalRow(doc, label, value, y, isTotal = false) {
@@ -207,7 +220,7 @@ function generateTotalRow(doc, label, value, y, isTotal = false) {
 }
 
 function generateFooter(doc) {
-  const footerY = 700;
+  const footerY = FOOTER_TOP;
   
   doc
     .strokeColor(COLORS.border)
@@ -229,65 +242,358 @@ function generateFooter(doc) {
     .text('New York, NY 10001', PAGE_WIDTH - MARGIN - 150, footerY + 45, { align: 'right' });
 }
 
-export const generateInvoicePDF = async (data) => {
-  return new Promise((resolve, reject) => {
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+function generateReturnHeader(doc, data) {
+  doc
+    .fillColor(COLORS.primary)
+    .fontSize(FONTS.xl)
+    .font('Helvetica-Bold')
+    .text('RETURN AUTHORIZATION', MARGIN, MARGIN + 10);
+
+  const rows = [
+    ['RMA Number', data.returnId],
+    ['Order', data.orderNumber],
+    ['Authorized', formatDate(data.authorizedAt)],
+    ...(data.expiresAt ? [['Ship By', formatDate(data.expiresAt)]] : [])
+  ];
+
+  rows.forEach(([label, value], index) => {
+    const y = MARGIN + 55 + (index * 18);
+    doc
+      .font('Helvetica')
+      .fontSize(FONTS.small)
+      .fillColor(COLORS.lightText)
+      .text(label, MARGIN, y)
+      .font('Helvetica-Bold')
+      .fillColor(COLORS.primary)
+      .text(value, MARGIN + 100, y);
+  });
+
+  doc
+    .strokeColor(COLORS.border)
+    .lineWidth(1)
+    .moveTo(MARGIN, MARGIN + 150)
+    .lineTo(PAGE_WIDTH - MARGIN, MARGIN + 150)
+    .stroke();
+}
+
+function generateReturnAddresses(doc, data) {
+  const customer = data.customer || {};
+  const address = customer.address || {};
+  const columns = [
+    {
+      title: 'SHIP FROM',
+      lines: [
+        customer.name || 'Customer',
+        address.street,
+        [address.city, address.state, address.postalCode].filter(Boolean).join(', '),
+        address.country
+      ]
+    },
+    { title: 'RETURN TO', lines: data.returnAddress || [] }
+  ];
+
+  columns.forEach(({ title, lines }, column) => {
+    const x = MARGIN + (column * (CONTENT_WIDTH / 2));
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(FONTS.small)
+      .fillColor(COLORS.primary)
+      .text(title, x, MARGIN + 180);
+
+    doc.font('Helvetica').fillColor(COLORS.text);
+    lines.filter(Boolean).forEach((line, index) => {
+      doc.text(line, x, MARGIN + 200 + (index * 15));
+    });
+  });
+}
+
+function generateReturnTable(doc, data) {
+  const tableTop = MARGIN + 290;
+  const itemWidth = 280;
+  const quantityWidth = 60;
+  const lineItemHeight = 30;
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(FONTS.small)
+    .fillColor(COLORS.primary)
+    .text('ITEM', MARGIN, tableTop + 10)
+    .text('QTY', MARGIN + itemWidth, tableTop + 10)
+    .text('REASON', MARGIN + itemWidth + quantityWidth, tableTop + 10);
+
+  doc
+    .strokeColor(COLORS.border)
+    .lineWidth(1)
+    .moveTo(MARGIN, tableTop + 35)
+    .lineTo(PAGE_WIDTH - MARGIN, tableTop + 35)
+    .stroke();
+
+  doc.font('Helvetica').fontSize(FONTS.small).fillColor(COLORS.text);
+
+  data.items.forEach((item, index) => {
+    const position = tableTop + 50 + (index * lineItemHeight);
+    doc.text(item.name, MARGIN, position, { width: itemWidth - 20 });
+    doc.text(item.quantity.toString(), MARGIN + itemWidth, position);
+    doc.text(item.reason || data.reason || '-', MARGIN + itemWidth + quantityWidth, position, {
+      width: CONTENT_WIDTH - itemWidth - quantityWidth
+    });
+  });
+
+  const instructionsTop = tableTop + 70 + (data.items.length * lineItemHeight);
+  doc
+    .font('Helvetica-Bold')
+    .fillColor(COLORS.primary)
+    .text('INSTRUCTIONS', MARGIN, instructionsTop)
+    .font('Helvetica')
+    .fillColor(COLORS.text)
+    .text(
+      'Pack only the items listed above, include a copy of this authorization in the box and write the ' +
+      'RMA number on the outside. Items not listed, or received after the ship-by date, may be sent back. ' +
+      'Your refund is issued once the items have been received and inspected.',
+      MARGIN,
+      instructionsTop + 18,
+      { width: CONTENT_WIDTH }
+    );
+}
+
+/**
+ * Draw a table that continues on new pages when it reaches the footer
+ * @param {Object} doc
+ * @param {number} top - Where the table starts on the current page
+ * @param {Array<{title: string, width: number, align?: string}>} columns
+ * @param {Array<Array<string>>} rows - Cell text, one entry per column
+ * @returns {number} Where the table ended
+ */
+function generateTable(doc, top, columns, rows) {
+  const lineItemHeight = 30;
+
+  const drawHeader = (y) => {
+    doc.font('Helvetica-Bold').fontSize(FONTS.small).fillColor(COLORS.primary);
+    let x = MARGIN;
+    columns.forEach(({ title, width, align }) => {
+      doc.text(title, x, y + 10, { width, align: align || 'left' });
+      x += width;
+    });
+
+    doc
+      .strokeColor(COLORS.border)
+      .lineWidth(1)
+      .moveTo(MARGIN, y + 35)
+      .lineTo(PAGE_WIDTH - MARGIN, y + 35)
+      .stroke();
+
+    doc.font('Helvetica').fontSize(FONTS.small).fillColor(COLORS.text);
+    return y + 50;
+  };
+
+  let position = drawHeader(top);
+  rows.forEach((row) => {
+    if (position + lineItemHeight > FOOTER_TOP) {
+      doc.addPage();
+      position = drawHeader(MARGIN);
+    }
+
+    let x = MARGIN;
+    row.forEach((cell, index) => {
+      const { width, align } = columns[index];
+      doc.text(cell ?? '-', x, position, { width: width - 10, align: align || 'left', height: lineItemHeight - 5, ellipsis: true });
+      x += width;
+    });
+    position += lineItemHeight;
+  });
+
+  return position;
+}
+
+function generatePickList(doc, data) {
+  generateHeader(doc, {
+    title: 'PICK LIST',
+    number: data.pickListId,
+    issuedAt: data.printedAt,
+    references: [
+      ['Orders', String(data.orderCount)],
+      ['Units', String(data.lines.reduce((sum, line) => sum + line.quantity, 0))]
+    ]
+  });
+
+  generateTable(doc, MARGIN + 170, [
+    { title: 'SKU', width: 110 },
+    { title: 'ITEM', width: 170 },
+    { title: 'VARIANT', width: 80 },
+    { title: 'QTY', width: 40, align: 'right' },
+    { title: 'ORDERS', width: CONTENT_WIDTH - 400 }
+  ], data.lines.map(line => [
+    line.sku,
+    line.name,
+    line.variant,
+    line.quantity.toString(),
+    line.orders.join(', ')
+  ]));
+}
+
+function generatePackingSlip(doc, slip, data) {
+  generateHeader(doc, {
+    title: 'PACKING SLIP',
+    number: slip.orderNumber,
+    issuedAt: data.printedAt,
+    references: [
+      ['Order date', formatDate(slip.orderDate)],
+      ['Pick list', data.pickListId]
+    ]
+  });
+  generateCustomerInformation(doc, { customer: slip.customer, addressTitle: 'SHIP TO' });
+
+  const end = generateTable(doc, MARGIN + 300, [
+    { title: 'ITEM', width: 270 },
+    { title: 'SKU', width: 130 },
+    { title: 'QTY', width: 50, align: 'right' },
+    { title: 'PACKED', width: CONTENT_WIDTH - 450, align: 'right' }
+  ], slip.items.map(item => [
+    item.variant ? `${item.name} (${item.variant})` : item.name,
+    item.sku,
+    item.quantity.toString(),
+    '[   ]'
+  ]));
+
+  const notes = [
+    ...(slip.backordered > 0 ? [`${slip.backordered} backordered unit(s) will ship separately.`] : []),
+    ...(slip.notes ? [`Customer note: ${slip.notes}`] : [])
+  ];
+  if (notes.length && end + 40 < FOOTER_TOP) {
+    doc
+      .font('Helvetica')
+      .fontSize(FONTS.xsmall)
+      .fillColor(COLORS.lightText)
+      .text(notes.join('\n'), MARGIN, end + 10, { width: CONTENT_WIDTH });
+  }
+
+  generateFooter(doc);
+}
+
+// Render a document into a buffer, numbering its pages
+const renderPDF = (draw, errorMessage) => new Promise((resolve, reject) => {
+  try {
+    const doc = new PDFDocument({ 
+      size: 'A4',
+      margin: MARGIN,
+      bufferPages: true
+    });
+    
+    const buffers = [];
+    
+    doc.on('data', buffers.push.bind(buffers));
+    doc.on('end', () => {
+      const pdfData = Buffer.concat(buffers);
+      resolve(pdfData);
+    });
+
     try {
-      const doc = new PDFDocument({ 
-        size: 'A4',
-        margin: MARGIN,
-        bufferPages: true
-      });
-      
-      const buffers = [];
+      doc.font('Helvetica');
+      draw(doc);
       
-      doc.on('data', buffers.push.bind(buffers));
-      doc.on('end', () => {
-        const pdfData = Buffer.concat(buffers);
-        resolve(pdfData);
-      });
-
-      try {
-        doc.font('Helvetica');
-        generateHeader(doc, data);
-        generateCustomerInformation(doc, data);
-        generateInvoiceTable(doc, data);
-        generateFooter(doc);
+      // Add page numbers
+      const pages = doc.bufferedPageRange();
+      for (let i = 0; i < pages.count; i++) {
+        doc.switchToPage(i);
+        // The number sits in the bottom margin, where pdfkit would otherwise start a new page
+        doc.page.margins.bottom = 0;
         
-        // Add page numbers
-        const pages = doc.bufferedPageRange();
-        for (let i = 0; i < pages.count; i++) {
-          doc.switchToPage(i);
-          
-          doc
-            .fontSize(FONTS.xsmall)
-            .fillColor(COLORS.lightText)
-            .text(
-              `Page ${i + 1} of ${pages.count}`,
-              MARGIN,
-              doc.page.height - MARGIN / 2,
-              { align: 'right' }
-            );
-        }
-      } catch (error) {
-        console.error('Error generating PDF content:', error);
         doc
-          .fontSize(FONTS.medium)
-          .fillColor(COLORS.primary)
+          .fontSize(FONTS.xsmall)
+          .fillColor(COLORS.lightText)
           .text(
-            'Error generating invoice. Please try again or contact support.',
+            `Page ${i + 1} of ${pages.count}`,
             MARGIN,
-            100
+            doc.page.height - MARGIN / 2,
+            { align: 'right' }
           );
       }
-
-      doc.end();
     } catch (error) {
-      console.error('Error generating PDF:', error);
-      reject(error);
+      console.error('Error generating PDF content:', error);
+      doc
+        .fontSize(FONTS.medium)
+        .fillColor(COLORS.primary)
+        .text(errorMessage, MARGIN, 100);
     }
+
+    doc.end();
+  } catch (error) {
+    console.error('Error generating PDF:', error);
+    reject(error);
+  }
+});
+
+/**
+ * Invoice or credit note
+ * @param {Object} data
+ * @param {string} [data.title] - Defaults to INVOICE
+ * @param {string} [data.number] - Document number; falls back to `orderId`
+ * @param {Date} [data.issuedAt] - Defaults to now
+ * @param {Array<Array<string>>} [data.references] - `[label, value]` pairs, e.g. the order number
+ * @param {Object} data.customer - `{name, email, address}`
+ * @param {Array<{name: string, variant?: string, quantity: number, price: number}>} data.items
+ * @param {number} data.subtotal
+ * @param {number} [data.shipping]
+ * @param {number} [data.tax]
+ * @param {number} data.total
+ * @param {string} [data.note] - Printed under the totals instead of the payment terms
+ * @returns {Promise<Buffer>}
+ */
+export const generateInvoicePDF = async (data) => renderPDF((doc) => {
+  generateHeader(doc, data);
+  generateCustomerInformation(doc, data);
+  generateInvoiceTable(doc, data);
+  generateFooter(doc);
+}, 'Error generating invoice. Please try again or contact support.');
+
+/**
+ * Return authorization (RMA) for the customer to print and pack with their return
+ * @param {Object} data
+ * @param {string} data.returnId - RMA number
+ * @param {string} data.orderNumber
+ * @param {Date} data.authorizedAt
+ * @param {Date} [data.expiresAt] - Ship-by date
+ * @param {string} [data.reason] - Reason for the whole return, used for items without their own
+ * @param {Object} data.customer - `{name, address}`
+ * @param {Array<string>} [data.returnAddress] - Address lines to ship to
+ * @param {Array<{name: string, quantity: number, reason?: string}>} data.items - Authorized items only
+ * @returns {Promise<Buffer>}
+ */
+export const generateReturnAuthorizationPDF = async (data) => renderPDF((doc) => {
+  generateReturnHeader(doc, data);
+  generateReturnAddresses(doc, data);
+  generateReturnTable(doc, data);
+  generateFooter(doc);
+}, 'Error generating return authorization. Please try again or contact support.');
+
+/**
+ * Pick list for a batch of orders followed by a packing slip per order
+ * @param {Object} data
+ * @param {string} data.pickListId - Printed on every page to match slips to the pick list
+ * @param {Date} data.printedAt
+ * @param {number} data.orderCount
+ * @param {Array<{sku: string, name: string, variant?: string, quantity: number, orders: Array<string>}>} data.lines -
+ *   Units to pick, one line per SKU and variant
+ * @param {Array<Object>} data.slips - `{orderNumber, orderDate, customer, items, backordered, notes}`, where
+ *   `items` are `{name, variant?, sku, quantity}` to pack
+ * @returns {Promise<Buffer>}
+ */
+export const generatePackingSlipsPDF = async (data) => renderPDF((doc) => {
+  generatePickList(doc, data);
+  data.slips.forEach((slip) => {
+    doc.addPage();
+    generatePackingSlip(doc, slip, data);
   });
-};
+}, 'Error generating packing slips. Please try again.');
 
 export default {
-  generateInvoicePDF
+  generateInvoicePDF,
+  generateReturnAuthorizationPDF,
+  generatePackingSlipsPDF
 };
\ No newline at end of file
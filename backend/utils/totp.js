@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+
+/**
+ * Time-based one-time passwords (RFC 6238) compatible with Google
+ * Authenticator, 1Password, Authy and similar apps: HMAC-SHA1, 6 digits,
+ * 30 second steps.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+/**
+ * Encode bytes as unpadded base32
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Raw bytes
+ */
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random shared secret
+ * @returns {string} Base32-encoded 160-bit secret
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step for a timestamp
+ * @param {number} [time] - Milliseconds since epoch
+ * @returns {number} Step counter
+ */
+export const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Code for a given step (HOTP, RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Step counter
+ * @returns {string} Zero-padded code
+ */
+export const generateCode = (secret, step = getStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current step and `window` steps either side, to
+ * allow for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Steps of drift tolerated
+ * @param {number} [options.time] - Milliseconds since epoch
+ * @returns {number|null} The matching step, or null if the code is wrong
+ */
+export const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!secret || !new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const expected = Buffer.from(normalized);
+  const current = getStep(time);
+  for (let step = current - window; step <= current + window; step += 1) {
+    if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), expected)) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Provisioning URI for authenticator apps (usually shown as a QR code)
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.account - Account label, e.g. the user's email
+ * @param {string} params.issuer - Service name shown in the app
+ * @returns {string} otpauth:// URI
+ */
+export const buildOtpAuthUrl = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
@@ -1,5 +1,9 @@
 import { body, param, query } from 'express-validator';
 import mongoose from 'mongoose';
+import { SHIPMENT_CARRIERS, SHIPMENT_STATUSES } from '../models/shipment.model.js';
+import { RETURN_CONDITIONS } from '../models/order.model.js';
+import { PICKABLE_STATUSES, MAX_PICK_BATCH } from '../services/packingSlip.service.js';
+import { MAX_CODES_PER_ORDER } from '../services/promotion.service.js';
 
 // Validation for order items
 const orderItemValidation = [
@@ -40,7 +44,14 @@ export const createOrderValidation = [
   body('guestEmail')
     .if(body('isGuest').equals(true))
     .notEmpty().withMessage('Guest email is required for guest checkout')
-    .isEmail().withMessage('Invalid email format')
+    .isEmail().withMessage('Invalid email format'),
+  body('couponCodes')
+    .optional()
+    .isArray({ max: MAX_CODES_PER_ORDER }).withMessage(`couponCodes must be an array of at most ${MAX_CODES_PER_ORDER} codes`),
+  body('couponCodes.*')
+    .isString().withMessage('Promotion codes must be strings')
+    .trim()
+    .notEmpty().withMessage('Promotion codes cannot be empty')
 ];
 
 // Validation for order ID in params
@@ -68,7 +79,7 @@ export const bulkOrderValidation = [
 // Validation for order status update
 export const updateOrderStatusValidation = [
   body('status')
-    .isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'])
+    .isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned', 'refunded'])
     .withMessage('Invalid status value'),
   body('trackingNumber').optional().isString(),
   body('shippingCarrier').optional().isIn(['ups', 'fedex', 'usps', 'dhl', 'other'])
@@ -187,7 +198,7 @@ export const bulkOrderStatusValidation = [
       return true;
     }),
   body('status')
-    .isIn(['processing', 'shipped', 'delivered', 'cancelled', 'on_hold'])
+    .isIn(['processing', 'shipped', 'delivered', 'cancelled', 'returned', 'refunded'])
     .withMessage('Invalid status value'),
   body('notifyCustomer')
     .optional()
@@ -201,6 +212,184 @@ export const bulkOrderStatusValidation = [
     .withMessage('Status note cannot exceed 1000 characters')
 ];
 
+// Carrier details shared by shipment create and update
+const shipmentDetailsValidation = [
+  body('carrier')
+    .optional()
+    .isIn(SHIPMENT_CARRIERS)
+    .withMessage(`Carrier must be one of: ${SHIPMENT_CARRIERS.join(', ')}`),
+  body('service').optional().isString().trim().isLength({ max: 100 }),
+  body('trackingNumber').optional().isString().trim().isLength({ min: 1, max: 100 })
+    .withMessage('Tracking number must be between 1 and 100 characters'),
+  body('label').optional().isObject().withMessage('Label must be an object'),
+  body('label.url').optional().isURL().withMessage('Label URL must be a valid URL'),
+  body('label.format').optional().isString(),
+  body('label.reference').optional().isString(),
+  body('estimatedDelivery').optional().isISO8601().toDate()
+    .withMessage('Invalid estimated delivery date')
+];
+
+// Validation for creating a shipment
+export const createShipmentValidation = [
+  param('orderId').isMongoId().withMessage('Invalid order ID format'),
+  body('items')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.orderItemId')
+    .isMongoId().withMessage('Invalid order item ID format'),
+  body('items.*.quantity')
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+    .toInt(),
+  ...shipmentDetailsValidation
+];
+
+// Validation for updating a shipment
+export const updateShipmentValidation = [
+  param('orderId').isMongoId().withMessage('Invalid order ID format'),
+  param('shipmentId').isMongoId().withMessage('Invalid shipment ID format'),
+  ...shipmentDetailsValidation
+];
+
+// Validation for a manual tracking event
+export const shipmentEventValidation = [
+  param('orderId').isMongoId().withMessage('Invalid order ID format'),
+  param('shipmentId').isMongoId().withMessage('Invalid shipment ID format'),
+  body('status')
+    .isIn(SHIPMENT_STATUSES.filter(status => status !== 'pending'))
+    .withMessage('Invalid tracking status'),
+  body('description').optional().isString().trim().isLength({ max: 500 }),
+  body('location').optional().isString().trim().isLength({ max: 200 }),
+  body('occurredAt').optional().isISO8601().withMessage('Invalid event date')
+];
+
+// Validation for shipping rate quotes
+export const shippingRatesValidation = [
+  param('orderId').isMongoId().withMessage('Invalid order ID format'),
+  query('carrier')
+    .optional()
+    .isIn(SHIPMENT_CARRIERS)
+    .withMessage(`Carrier must be one of: ${SHIPMENT_CARRIERS.join(', ')}`)
+];
+
+// Validation for buying a shipment label
+export const shipmentLabelValidation = [
+  param('orderId').isMongoId().withMessage('Invalid order ID format'),
+  param('shipmentId').isMongoId().withMessage('Invalid shipment ID format'),
+  body('service').optional().isString().trim().isLength({ max: 100 })
+];
+
+// Validation for editing a placed order
+export const editOrderValidation = [
+  param('orderId').isMongoId().withMessage('Invalid order ID format'),
+  body('addItems').optional().isArray().withMessage('addItems must be an array'),
+  body('addItems.*.product').isMongoId().withMessage('Invalid product ID format'),
+  body('addItems.*.variant').optional().isString().trim().notEmpty(),
+  body('addItems.*.quantity')
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+    .toInt(),
+  body('updateItems').optional().isArray().withMessage('updateItems must be an array'),
+  body('updateItems.*.orderItemId').isMongoId().withMessage('Invalid order item ID format'),
+  body('updateItems.*.quantity')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1; use removeItems to drop a line')
+    .toInt(),
+  body('updateItems.*.variant').optional().isString().trim().notEmpty(),
+  body('removeItems').optional().isArray().withMessage('removeItems must be an array'),
+  body('removeItems.*').isMongoId().withMessage('Invalid order item ID format'),
+  body('shippingAddress').optional().isObject().withMessage('Shipping address must be an object'),
+  body(['shippingAddress.street', 'shippingAddress.city', 'shippingAddress.state', 'shippingAddress.postalCode', 'shippingAddress.country'])
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Address fields cannot be empty'),
+  body('shippingPrice')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Shipping price cannot be negative')
+    .toFloat(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+];
+
+// Validation for guest order lookup
+export const guestOrderLookupValidation = [
+  body('orderNumber')
+    .isString().withMessage('Order number is required')
+    .trim()
+    .isLength({ min: 1, max: 64 }).withMessage('Order number is required'),
+  body('email')
+    .isString().withMessage('Email is required')
+    .trim()
+    .isEmail().withMessage('Please provide a valid email address')
+];
+
+// Validation for a return request ID (RTN-...)
+export const returnIdValidation = [
+  param('id').isString().trim().notEmpty().withMessage('Return ID is required')
+];
+
+// Validation for approving a return
+export const approveReturnValidation = [
+  ...returnIdValidation,
+  body('rejectItems').optional().isArray().withMessage('rejectItems must be an array'),
+  body('rejectItems.*').isMongoId().withMessage('Invalid order item ID format'),
+  body('notes').optional().isString().trim().isLength({ max: 1000 })
+];
+
+// Validation for rejecting a return
+export const rejectReturnValidation = [
+  ...returnIdValidation,
+  body('reason').optional().isString().trim().isLength({ max: 1000 })
+];
+
+// Validation for receiving returned items
+export const receiveReturnValidation = [
+  ...returnIdValidation,
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.orderItemId').isMongoId().withMessage('Invalid order item ID format'),
+  body('items.*.condition')
+    .isIn(RETURN_CONDITIONS)
+    .withMessage(`Condition must be one of: ${RETURN_CONDITIONS.join(', ')}`)
+];
+
+// Validation for downloading a return authorization
+export const returnAuthorizationValidation = [
+  param('orderId').isMongoId().withMessage('Invalid order ID format'),
+  param('returnId').isString().trim().notEmpty().withMessage('Return ID is required')
+];
+
+// Validation for merging orders
+export const mergeOrdersValidation = [
+  body('orderIds').isArray({ min: 2 }).withMessage('At least two orders are required'),
+  body('orderIds.*').isMongoId().withMessage('Invalid order ID format'),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+];
+
+// Validation for printing packing slips: explicit orders or a filter
+export const packingSlipsValidation = [
+  body('orderIds').optional().isArray({ min: 1, max: MAX_PICK_BATCH })
+    .withMessage(`Between 1 and ${MAX_PICK_BATCH} orders can be printed at once`),
+  body('orderIds.*').isMongoId().withMessage('Invalid order ID format'),
+  body('status').optional().isIn(PICKABLE_STATUSES).withMessage(`Status must be one of: ${PICKABLE_STATUSES.join(', ')}`),
+  body('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  body('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  body('includePicked').optional().isBoolean().toBoolean()
+];
+
+// Validation for approving or rejecting an order held for a risk review
+export const riskReviewValidation = [
+  param('orderId').isMongoId().withMessage('Invalid order ID format'),
+  body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+];
+
+// Validation for a customer message on an order
+export const orderMessageValidation = [
+  param('orderId').isMongoId().withMessage('Invalid order ID format'),
+  body('body')
+    .isString().withMessage('Message is required')
+    .trim()
+    .isLength({ min: 1, max: 2000 }).withMessage('Message must be between 1 and 2000 characters')
+];
+
 export default {
   createOrderValidation,
   orderIdValidation,
@@ -210,5 +399,21 @@ export default {
   orderReturnValidation,
   orderRefundValidation,
   orderTrackingValidation,
-  orderExportValidation
+  orderExportValidation,
+  createShipmentValidation,
+  updateShipmentValidation,
+  shipmentEventValidation,
+  shippingRatesValidation,
+  shipmentLabelValidation,
+  editOrderValidation,
+  guestOrderLookupValidation,
+  returnIdValidation,
+  approveReturnValidation,
+  rejectReturnValidation,
+  receiveReturnValidation,
+  returnAuthorizationValidation,
+  mergeOrdersValidation,
+  packingSlipsValidation,
+  riskReviewValidation,
+  orderMessageValidation
 };
@@ -97,6 +97,11 @@ export const createProductValidation = [
     .isBoolean()
     .withMessage("isFeatured must be a boolean value"),
 
+  body("allowBackorder")
+    .optional()
+    .isBoolean()
+    .withMessage("allowBackorder must be a boolean value"),
+
   body("isActive")
     .optional()
     .isBoolean()
@@ -488,6 +493,12 @@ export const validateProductData = [
     .withMessage("isFeatured must be a boolean")
     .toBoolean(),
 
+  body("allowBackorder")
+    .optional()
+    .isBoolean()
+    .withMessage("allowBackorder must be a boolean")
+    .toBoolean(),
+
   // Shipping
   body("weight")
     .optional()
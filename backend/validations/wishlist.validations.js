@@ -23,7 +23,13 @@ export const addToWishlistValidation = [
   body('customFields')
     .optional()
     .isObject()
-    .withMessage('Custom fields must be an object')
+    .withMessage('Custom fields must be an object'),
+
+  body('notifyOnPriceDrop')
+    .optional()
+    .isBoolean()
+    .withMessage('notifyOnPriceDrop must be a boolean')
+    .toBoolean()
 ];
 
 // Validation for updating wishlist item
@@ -49,7 +55,13 @@ export const updateWishlistItemValidation = [
   body('customFields')
     .optional()
     .isObject()
-    .withMessage('Custom fields must be an object')
+    .withMessage('Custom fields must be an object'),
+
+  body('notifyOnPriceDrop')
+    .optional()
+    .isBoolean()
+    .withMessage('notifyOnPriceDrop must be a boolean')
+    .toBoolean()
 ];
 
 // Validation for moving item to cart
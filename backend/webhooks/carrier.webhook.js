@@ -0,0 +1,41 @@
+import express from 'express';
+import { param } from 'express-validator';
+import { validateRequest } from '../middleware/validation.middleware.js';
+import { findCarrier } from '../services/carriers/index.js';
+import { ingestCarrierEvents } from '../services/shipment.service.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Tracking status pushes from carriers, e.g. POST /webhooks/carriers/mock
+router.post(
+  '/:carrier',
+  [
+    param('carrier').isSlug().withMessage('Invalid carrier')
+  ],
+  validateRequest,
+  async (req, res) => {
+    const adapter = findCarrier(req.params.carrier);
+    if (!adapter?.supportsWebhooks) {
+      return res.status(404).json({ success: false, message: 'Unknown carrier' });
+    }
+
+    // Signatures are checked against the raw body saved by express.json
+    if (!adapter.verifyWebhook(req)) {
+      logger.warn('Rejected carrier webhook with a bad signature', { carrier: adapter.code, ip: req.ip });
+      return res.status(401).json({ success: false, message: 'Invalid signature' });
+    }
+
+    try {
+      const events = adapter.parseWebhook(req.body);
+      const summary = await ingestCarrierEvents(adapter.code, events);
+
+      res.json({ received: true, ...summary });
+    } catch (error) {
+      logger.error('Error in carrier webhook', { carrier: adapter.code, error: error.message });
+      res.status(500).json({ success: false, message: 'Error recording tracking events' });
+    }
+  }
+);
+
+export default router;
@@ -10,6 +10,9 @@ import { adminRoutes } from './admin/routes/AdminRoutes';
 const HomePage = lazy(() => import('./pages/HomePage'));
 const LoginPage = lazy(() => import('./pages/auth/LoginPage'));
 const RegisterPage = lazy(() => import('./pages/auth/RegisterPage'));
+const ForgotPasswordPage = lazy(() => import('./pages/auth/ForgotPasswordPage'));
+const ResetPasswordPage = lazy(() => import('./pages/auth/ResetPasswordPage'));
+const VerifyEmailPage = lazy(() => import('./pages/auth/VerifyEmailPage'));
 const ProfilePage = lazy(() => import('./pages/Profile'));
 const CategoryPage = lazy(() => import('./pages/CategoryPage'));
 const CartPage = lazy(() => import('./pages/CartPage'));
@@ -42,6 +45,7 @@ const AppRoutes = () => {
           <Route path="/contact" element={<ContactPage />} />
           <Route path="/faq" element={<FAQPage />} />
           <Route path="/auth/callback" element={<OAuthCallback />} />
+          <Route path="/verify-email" element={<VerifyEmailPage />} />
           
           {/* Guest-only Routes */}
           <Route 
@@ -60,6 +64,22 @@ const AppRoutes = () => {
               </GuestRoute>
             } 
           />
+          <Route 
+            path="/forgot-password" 
+            element={
+              <GuestRoute>
+                <ForgotPasswordPage />
+              </GuestRoute>
+            } 
+          />
+          <Route 
+            path="/reset-password" 
+            element={
+              <GuestRoute>
+                <ResetPasswordPage />
+              </GuestRoute>
+            } 
+          />
 
           {/* Protected Routes */}
           <Route
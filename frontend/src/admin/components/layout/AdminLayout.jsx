@@ -3,12 +3,16 @@ import { Outlet } from 'react-router-dom';
 import { useTheme } from '../../../contexts/ThemeContext';
 import Sidebar from '../shared/Sidebar/Sidebar';
 import Header from '../shared/Header';
+import useWebSocket from '../../hooks/useWebSocket';
 
 const AdminLayout = () => {
   const [isSidebarOpen, setIsSidebarOpen] = useState(true);
   const { theme, toggleTheme } = useTheme();
   const [isMobile, setIsMobile] = useState(false);
 
+  // Live order, payment, inventory and review events
+  useWebSocket();
+
   // Handle responsive behavior
   useEffect(() => {
     const checkMobile = () => {
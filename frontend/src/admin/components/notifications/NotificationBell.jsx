@@ -5,7 +5,7 @@ import { useNotifications } from '../../contexts/NotificationContext';
 import NotificationItem from './NotificationItem';
 
 const NotificationBell = () => {
-  const { notifications, unreadCount, markAllAsRead } = useNotifications();
+  const { notifications, unreadCount, markAsRead, markAllAsRead } = useNotifications();
   const [isOpen, setIsOpen] = useState(false);
   const dropdownRef = useRef(null);
 
@@ -23,14 +23,12 @@ const NotificationBell = () => {
 
   const handleMarkAllAsRead = (e) => {
     e.stopPropagation();
-    // Call markAllAsRead with all notification IDs
-    const notificationIds = notifications.map(n => n.id);
-    markAllAsRead(notificationIds);
+    markAllAsRead();
   };
 
   const handleNotificationClick = (notification) => {
     if (!notification.read) {
-      markAllAsRead([notification.id]);
+      markAsRead(notification.id);
     }
     setIsOpen(false);
   };
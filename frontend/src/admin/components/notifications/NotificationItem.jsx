@@ -1,15 +1,18 @@
 import { formatDistanceToNow } from 'date-fns';
 import { Link } from 'react-router-dom';
+import { FiTrash2 } from 'react-icons/fi';
 import { useNotifications } from '../../contexts/NotificationContext';
 
 const NotificationItem = ({ notification }) => {
-  const { markAsRead } = useNotifications();
+  const { markAsRead, deleteNotification } = useNotifications();
   const { id, title, message, type, read, createdAt, link, priority = 'medium' } = notification;
 
   const getTypeStyles = () => {
     switch (type) {
       case 'order':
         return 'bg-blue-50 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300';
+      case 'payment':
+        return 'bg-red-50 text-red-700 dark:bg-red-900/30 dark:text-red-300';
       case 'user':
         return 'bg-purple-50 text-purple-700 dark:bg-purple-900/30 dark:text-purple-300';
       case 'inventory':
@@ -46,6 +49,12 @@ const NotificationItem = ({ notification }) => {
     }
   };
 
+  const handleDelete = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    deleteNotification(id);
+  };
+
   const content = (
     <div 
       className={`p-4 border-b border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50 cursor-pointer transition-colors ${
@@ -60,9 +69,19 @@ const NotificationItem = ({ notification }) => {
         <div className="ml-3 flex-1 min-w-0">
           <div className="flex items-center justify-between">
             <p className="text-sm font-medium text-gray-900 dark:text-white truncate">{title}</p>
-            <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap ml-2">
-              {formatDistanceToNow(new Date(createdAt), { addSuffix: true })}
-            </span>
+            <div className="flex items-center ml-2">
+              <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+                {formatDistanceToNow(new Date(createdAt), { addSuffix: true })}
+              </span>
+              <button
+                onClick={handleDelete}
+                className="ml-2 text-gray-400 hover:text-red-500 dark:text-gray-500 dark:hover:text-red-400"
+                title="Delete notification"
+                aria-label="Delete notification"
+              >
+                <FiTrash2 className="h-3.5 w-3.5" />
+              </button>
+            </div>
           </div>
           <p className="mt-1 text-sm text-gray-600 dark:text-gray-300">{message}</p>
           <div className="mt-2 flex flex-wrap gap-2">
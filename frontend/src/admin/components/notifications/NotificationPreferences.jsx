@@ -0,0 +1,65 @@
+import { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { apiService } from '../../../services/api.service';
+
+const TYPE_LABELS = {
+  order: 'Orders',
+  payment: 'Payments',
+  inventory: 'Inventory',
+  wishlist: 'Wishlist price drops',
+  review: 'Reviews',
+  user: 'Users',
+  system: 'System',
+};
+
+const NotificationPreferences = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [savingType, setSavingType] = useState(null);
+
+  useEffect(() => {
+    apiService.getNotificationPreferences()
+      .then(({ data }) => setPreferences(data.data))
+      .catch((error) => console.error('Error fetching notification preferences:', error));
+  }, []);
+
+  const handleToggle = async (type) => {
+    const previous = preferences;
+    const next = { ...preferences, [type]: preferences[type] === false };
+
+    setPreferences(next);
+    setSavingType(type);
+    try {
+      const { data } = await apiService.updateNotificationPreferences({ [type]: next[type] });
+      setPreferences(data.data);
+    } catch {
+      setPreferences(previous);
+      toast.error('Could not update notification preferences');
+    } finally {
+      setSavingType(null);
+    }
+  };
+
+  if (!preferences) return null;
+
+  return (
+    <div className="mb-6 bg-white dark:bg-gray-800 shadow sm:rounded-lg p-4">
+      <h2 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">Notify me about</h2>
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+        {Object.entries(TYPE_LABELS).map(([type, label]) => (
+          <label key={type} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+              checked={preferences[type] !== false}
+              disabled={savingType === type}
+              onChange={() => handleToggle(type)}
+            />
+            <span className="ml-2">{label}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default NotificationPreferences;
@@ -1,6 +1,7 @@
 import { Fragment, useState, useEffect } from 'react';
 import { FiPackage, FiTruck, FiCreditCard, FiUser, FiMapPin, FiMail, FiPhone, FiX } from 'react-icons/fi';
 import OrderStatusBadge from './OrderStatusBadge';
+import OrderThread from '../../../components/orders/OrderThread';
 
 const OrderDetails = ({ order, onClose, onStatusUpdate }) => {
   const [isUpdating, setIsUpdating] = useState(false);
@@ -241,6 +242,14 @@ const OrderDetails = ({ order, onClose, onStatusUpdate }) => {
                   </div>
                 )}
 
+                {/* Timeline & Messages */}
+                <div className="mt-6">
+                  <h4 className="text-sm font-medium text-gray-900 dark:text-white mb-3">
+                    Timeline &amp; Messages
+                  </h4>
+                  <OrderThread orderId={order._id || order.id} staff />
+                </div>
+
                 {/* Status Update */}
                 <div className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-700">
                   <h4 className="text-sm font-medium text-gray-900 dark:text-white mb-3">
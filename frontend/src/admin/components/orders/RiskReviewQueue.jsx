@@ -0,0 +1,104 @@
+import { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { FiAlertTriangle, FiCheck, FiX } from 'react-icons/fi';
+import { apiService } from '../../../services/api.service';
+
+const formatMoney = (amount) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+
+const customerOf = (order) => {
+  const name = [order.shippingAddress?.firstName, order.shippingAddress?.lastName].filter(Boolean).join(' ');
+  return name || order.user?.name || order.guestEmail || 'Guest';
+};
+
+/**
+ * Orders held by fraud scoring. Staff approve them for fulfillment or
+ * reject them, which cancels and refunds the order.
+ */
+const RiskReviewQueue = () => {
+  const [orders, setOrders] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadQueue = useCallback(() => apiService.getRiskReviewQueue({ limit: 50 })
+    .then(({ data }) => setOrders(data.data?.docs || []))
+    .catch((error) => console.error('Error fetching risk review queue:', error)), []);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const handleReview = async (order, approve) => {
+    if (!approve && !window.confirm(`Reject order ${order.orderNumber}? It will be cancelled and any payment refunded.`)) {
+      return;
+    }
+
+    setBusyId(order._id);
+    try {
+      const { data } = approve
+        ? await apiService.approveHeldOrder(order._id)
+        : await apiService.rejectHeldOrder(order._id);
+      toast.success(data.message);
+      await loadQueue();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not review this order');
+      await loadQueue();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (orders.length === 0) return null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-red-200 dark:border-red-900 overflow-hidden">
+      <div className="px-4 sm:px-5 py-3 border-b border-red-100 dark:border-red-900 flex items-center">
+        <FiAlertTriangle className="h-5 w-5 text-red-500 mr-2" />
+        <h2 className="text-sm font-semibold text-gray-900 dark:text-white">Held for risk review</h2>
+        <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-100">
+          {orders.length}
+        </span>
+      </div>
+      <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+        {orders.map(order => (
+          <li key={order._id} className="px-4 sm:px-5 py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div className="min-w-0">
+              <p className="text-sm font-medium text-gray-900 dark:text-white">
+                {order.orderNumber}
+                <span className="ml-2 text-gray-500 dark:text-gray-400 font-normal">
+                  {customerOf(order)} · {formatMoney(order.totalAmount)} · {order.paymentStatus === 'paid' ? 'Paid' : 'Awaiting payment'}
+                </span>
+              </p>
+              <p className="text-xs text-red-600 dark:text-red-400 mt-0.5">Risk score {order.risk?.score}</p>
+              <ul className="mt-1 text-xs text-gray-600 dark:text-gray-300 list-disc list-inside">
+                {(order.risk?.reasons || []).map(reason => (
+                  <li key={reason.rule}>{reason.message} (+{reason.points})</li>
+                ))}
+              </ul>
+            </div>
+            <div className="flex space-x-2 shrink-0">
+              <button
+                type="button"
+                onClick={() => handleReview(order, true)}
+                disabled={busyId === order._id}
+                className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded text-white bg-green-600 hover:bg-green-700 disabled:opacity-60"
+              >
+                <FiCheck className="mr-1 h-4 w-4" />
+                Approve
+              </button>
+              <button
+                type="button"
+                onClick={() => handleReview(order, false)}
+                disabled={busyId === order._id}
+                className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded text-white bg-red-600 hover:bg-red-700 disabled:opacity-60"
+              >
+                <FiX className="mr-1 h-4 w-4" />
+                Reject
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RiskReviewQueue;
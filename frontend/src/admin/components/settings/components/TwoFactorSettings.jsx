@@ -0,0 +1,319 @@
+import { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { FiShield, FiCheckCircle, FiCopy } from 'react-icons/fi';
+import { apiService } from '../../../../services/api.service';
+import { useAuth } from '../../../../contexts/AuthContext';
+
+const inputClassName = 'w-full px-4 py-2 border border-gray-300 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-800 focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+const primaryButtonClassName = 'px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-lg hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-70 disabled:cursor-not-allowed transition-colors';
+const secondaryButtonClassName = 'px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-70 disabled:cursor-not-allowed transition-colors';
+
+const errorMessage = (error, fallback) => error.response?.data?.message || fallback;
+
+const TwoFactorSettings = () => {
+  const { updateUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [storeSettings, setStoreSettings] = useState(null);
+  const [enrolment, setEnrolment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // 'disable' | 'regenerate' while one of those confirmations is open
+  const [action, setAction] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const loadStatus = () => apiService.getTwoFactorStatus()
+    .then(({ data }) => setStatus(data.data))
+    .catch((error) => console.error('Error fetching two-factor status:', error));
+
+  useEffect(() => {
+    loadStatus();
+    apiService.getStoreSettings()
+      .then(({ data }) => setStoreSettings(data.data))
+      .catch((error) => console.error('Error fetching store settings:', error));
+  }, []);
+
+  const resetForm = () => {
+    setAction(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleStartSetup = async () => {
+    setIsBusy(true);
+    try {
+      const { data } = await apiService.setupTwoFactor();
+      setEnrolment(data.data);
+      setRecoveryCodes(null);
+    } catch (error) {
+      toast.error(errorMessage(error, 'Could not start two-factor setup'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const { data } = await apiService.enableTwoFactor(code.trim());
+
+      // The old session doesn't carry the second factor, so switch to the upgraded one
+      if (data.accessToken) {
+        localStorage.setItem('accessToken', data.accessToken);
+      }
+      updateUser({ twoFactorSetupRequired: false });
+
+      setRecoveryCodes(data.data.recoveryCodes);
+      setEnrolment(null);
+      resetForm();
+      toast.success('Two-factor authentication enabled');
+      await loadStatus();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Could not verify the code'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      await apiService.disableTwoFactor({ password, code: code.trim() });
+      setRecoveryCodes(null);
+      resetForm();
+      toast.success('Two-factor authentication disabled');
+      await loadStatus();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Could not disable two-factor authentication'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setIsBusy(true);
+    try {
+      const { data } = await apiService.regenerateRecoveryCodes(code.trim());
+      setRecoveryCodes(data.data.recoveryCodes);
+      resetForm();
+      await loadStatus();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Could not generate new recovery codes'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleCopyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch {
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
+  const handleTogglePolicy = async () => {
+    const next = !storeSettings.requireTwoFactorForAdmins;
+    setIsBusy(true);
+    try {
+      const { data } = await apiService.updateStoreSettings({ requireTwoFactorForAdmins: next });
+      setStoreSettings(data.data);
+      await loadStatus();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Could not update the store policy'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="space-y-6">
+      <h3 className="text-md font-medium text-gray-900 dark:text-white">Two-Factor Authentication</h3>
+
+      {status.required && !status.enabled && (
+        <div className="bg-yellow-50 dark:bg-yellow-900/20 border-l-4 border-yellow-400 p-4 rounded-r text-sm text-yellow-700 dark:text-yellow-300">
+          This store requires two-factor authentication for admin accounts. Set it up to continue using the dashboard.
+        </div>
+      )}
+
+      {status.enabled ? (
+        <div className="flex items-start p-4 bg-green-50 dark:bg-green-900/20 rounded-lg">
+          <FiCheckCircle className="h-5 w-5 text-green-500 mt-0.5 flex-shrink-0" />
+          <div className="ml-3 text-sm">
+            <p className="font-medium text-green-800 dark:text-green-300">
+              Enabled{status.enabledAt && ` since ${new Date(status.enabledAt).toLocaleDateString()}`}
+            </p>
+            <p className="text-green-700 dark:text-green-400">
+              {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} remaining
+            </p>
+          </div>
+        </div>
+      ) : !enrolment && (
+        <div className="flex items-start p-4 bg-gray-50 dark:bg-gray-800/50 rounded-lg">
+          <FiShield className="h-5 w-5 text-gray-400 mt-0.5 flex-shrink-0" />
+          <div className="ml-3">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Protect your account with a code from an authenticator app in addition to your password.
+            </p>
+            <button type="button" onClick={handleStartSetup} disabled={isBusy} className={`mt-3 ${primaryButtonClassName}`}>
+              Enable Two-Factor Authentication
+            </button>
+          </div>
+        </div>
+      )}
+
+      {enrolment && (
+        <form onSubmit={handleEnable} className="space-y-4 p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <img src={enrolment.qrCode} alt="Authenticator QR code" className="h-44 w-44 bg-white p-2 rounded" />
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Can&apos;t scan it? Enter this key manually:{' '}
+            <code className="font-mono break-all text-gray-800 dark:text-gray-200">{enrolment.secret}</code>
+          </p>
+          <div className="max-w-xs">
+            <label htmlFor="two-factor-setup-code" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Verification code
+            </label>
+            <input
+              id="two-factor-setup-code"
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className={inputClassName}
+              placeholder="123456"
+            />
+          </div>
+          <div className="flex space-x-3">
+            <button type="submit" disabled={isBusy || !code.trim()} className={primaryButtonClassName}>
+              {isBusy ? 'Verifying...' : 'Verify and Enable'}
+            </button>
+            <button type="button" onClick={() => { setEnrolment(null); resetForm(); }} className={secondaryButtonClassName}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {recoveryCodes && (
+        <div className="p-4 border border-indigo-200 dark:border-indigo-800 bg-indigo-50 dark:bg-indigo-900/20 rounded-lg">
+          <p className="text-sm font-medium text-gray-900 dark:text-white">Save your recovery codes</p>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            Each code signs you in once if you lose access to your authenticator app. They won&apos;t be shown again.
+          </p>
+          <ul className="mt-3 grid grid-cols-2 gap-2 font-mono text-sm text-gray-800 dark:text-gray-200">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+          <div className="mt-3 flex space-x-3">
+            <button type="button" onClick={handleCopyCodes} className={`inline-flex items-center ${secondaryButtonClassName}`}>
+              <FiCopy className="mr-2" />
+              Copy
+            </button>
+            <button type="button" onClick={() => setRecoveryCodes(null)} className={secondaryButtonClassName}>
+              I&apos;ve saved them
+            </button>
+          </div>
+        </div>
+      )}
+
+      {status.enabled && !action && (
+        <div className="flex space-x-3">
+          <button type="button" onClick={() => setAction('regenerate')} className={secondaryButtonClassName}>
+            New Recovery Codes
+          </button>
+          {!status.required && (
+            <button
+              type="button"
+              onClick={() => setAction('disable')}
+              className="px-4 py-2 text-sm font-medium text-red-600 dark:text-red-400 border border-red-300 dark:border-red-700 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+            >
+              Disable
+            </button>
+          )}
+        </div>
+      )}
+
+      {action && (
+        <form
+          onSubmit={action === 'disable' ? handleDisable : handleRegenerate}
+          className="space-y-4 p-4 border border-gray-200 dark:border-gray-700 rounded-lg max-w-md"
+        >
+          {action === 'disable' && (
+            <div>
+              <label htmlFor="two-factor-password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Current Password
+              </label>
+              <input
+                id="two-factor-password"
+                type="password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className={inputClassName}
+              />
+            </div>
+          )}
+          <div>
+            <label htmlFor="two-factor-confirm-code" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Authenticator or recovery code
+            </label>
+            <input
+              id="two-factor-confirm-code"
+              type="text"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className={inputClassName}
+            />
+          </div>
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={isBusy || !code.trim() || (action === 'disable' && !password)}
+              className={primaryButtonClassName}
+            >
+              {action === 'disable' ? 'Disable Two-Factor' : 'Generate New Codes'}
+            </button>
+            <button type="button" onClick={resetForm} className={secondaryButtonClassName}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {storeSettings && (
+        <div className="pt-6 border-t border-gray-200 dark:border-gray-700">
+          <label className="flex items-start">
+            <input
+              type="checkbox"
+              className="h-4 w-4 mt-0.5 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+              checked={Boolean(storeSettings.requireTwoFactorForAdmins)}
+              disabled={isBusy || (!storeSettings.requireTwoFactorForAdmins && !status.enabled)}
+              onChange={handleTogglePolicy}
+            />
+            <span className="ml-3 text-sm">
+              <span className="block font-medium text-gray-900 dark:text-white">Require two-factor authentication for all admins</span>
+              <span className="block text-gray-500 dark:text-gray-400">
+                Admins without it are sent here to set it up before they can use the dashboard.
+                {!status.enabled && ' Enable it on your own account first.'}
+              </span>
+            </span>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
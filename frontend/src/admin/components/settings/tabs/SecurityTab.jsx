@@ -1,5 +1,7 @@
 import { useState } from 'react';
 import { FiEye, FiEyeOff } from 'react-icons/fi';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import ActiveSessions from '../../../../components/auth/ActiveSessions';
 
 const SecurityTab = () => {
   const [showCurrentPassword, setShowCurrentPassword] = useState(false);
@@ -209,29 +211,11 @@ const SecurityTab = () => {
       </form>
       
       <div className="mt-10 pt-6 border-t border-gray-200 dark:border-gray-700">
-        <h3 className="text-md font-medium text-gray-900 dark:text-white mb-4">Two-Factor Authentication</h3>
-        <div className="bg-yellow-50 dark:bg-yellow-900/20 border-l-4 border-yellow-400 p-4 rounded-r">
-          <div className="flex">
-            <div className="flex-shrink-0">
-              <svg className="h-5 w-5 text-yellow-400" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
-                <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
-              </svg>
-            </div>
-            <div className="ml-3">
-              <p className="text-sm text-yellow-700 dark:text-yellow-300">
-                Two-factor authentication is currently disabled. Enable it for enhanced security.
-              </p>
-              <div className="mt-2">
-                <button
-                  type="button"
-                  className="text-sm font-medium text-yellow-700 dark:text-yellow-300 hover:text-yellow-600 dark:hover:text-yellow-400 focus:outline-none transition-colors"
-                >
-                  Enable Two-Factor Authentication →
-                </button>
-              </div>
-            </div>
-          </div>
-        </div>
+        <TwoFactorSettings />
+      </div>
+
+      <div className="mt-10 pt-6 border-t border-gray-200 dark:border-gray-700">
+        <ActiveSessions />
       </div>
     </div>
   );
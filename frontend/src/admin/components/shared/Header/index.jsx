@@ -1,5 +1,5 @@
 import { useState, useRef, useEffect } from 'react';
-import { FiSearch, FiBell, FiUser, FiSettings, FiLogOut, FiSun, FiMoon, FiMenu, FiX } from 'react-icons/fi';
+import { FiSearch, FiUser, FiSettings, FiLogOut, FiSun, FiMoon, FiMenu, FiX } from 'react-icons/fi';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useTheme } from '../../../../contexts/ThemeContext';
 import NotificationBell from '../../notifications/NotificationBell';
@@ -7,10 +7,7 @@ const Header = ({ isSidebarOpen, onToggleSidebar, onThemeToggle }) => {
   const { theme } = useTheme();
   const [isSearchFocused, setIsSearchFocused] = useState(false);
   const [isProfileOpen, setIsProfileOpen] = useState(false);
-  const [isNotificationsOpen, setIsNotificationsOpen] = useState(false);
-  const [hasNewNotifications, setHasNewNotifications] = useState(true);
   const profileRef = useRef(null);
-  const notificationsRef = useRef(null);
 
   // Close dropdowns when clicking outside
   useEffect(() => {
@@ -18,24 +15,12 @@ const Header = ({ isSidebarOpen, onToggleSidebar, onThemeToggle }) => {
       if (profileRef.current && !profileRef.current.contains(event.target)) {
         setIsProfileOpen(false);
       }
-      if (notificationsRef.current && !notificationsRef.current.contains(event.target)) {
-        setIsNotificationsOpen(false);
-      }
     };
 
     document.addEventListener('mousedown', handleClickOutside);
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
 
-  // Mock notifications data
-  const notifications = [
-    { id: 1, message: 'New order received', time: '5 min ago', read: false },
-    { id: 2, message: 'New customer registered', time: '1 hour ago', read: true },
-    { id: 3, message: 'Inventory low on product X', time: '3 hours ago', read: true },
-  ];
-
-  const unreadCount = notifications.filter(n => !n.read).length;
-
   return (
     <header className={`bg-white/80 dark:bg-gray-800/80 backdrop-blur-md shadow-sm z-10 sticky top-0 border-b border-gray-100 dark:border-gray-700 transition-all duration-300 ${isSidebarOpen ? 'md:ml-64' : 'md:ml-20'}`}>
       <div className="flex items-center justify-between p-4">
@@ -95,10 +80,7 @@ const Header = ({ isSidebarOpen, onToggleSidebar, onThemeToggle }) => {
           {/* User Profile */}
           <div className="relative" ref={profileRef}>
             <button
-              onClick={() => {
-                setIsProfileOpen(!isProfileOpen);
-                setIsNotificationsOpen(false);
-              }}
+              onClick={() => setIsProfileOpen(!isProfileOpen)}
               className="flex items-center space-x-2 p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors duration-200"
               aria-label="User menu"
             >
@@ -1,66 +1,118 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { apiService } from '../../services/api.service';
 
 const NotificationContext = createContext();
 
+const PAGE_SIZE = 20;
+
+// Server documents use `_id`; components key on `id`
+const normalize = (notification) => ({ ...notification, id: notification._id || notification.id });
+
 export const NotificationProvider = ({ children }) => {
+  const { user } = useAuth();
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
   const [isLoading, setIsLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  // Latest list for callbacks that must keep a stable identity
+  const notificationsRef = useRef(notifications);
+
+  useEffect(() => {
+    notificationsRef.current = notifications;
+  }, [notifications]);
+
+  const fetchNotifications = useCallback(async (pageToLoad = 1) => {
+    setIsLoading(true);
+    try {
+      const { data } = await apiService.getNotifications({ page: pageToLoad, limit: PAGE_SIZE });
+      const docs = data.data.docs.map(normalize);
+
+      setNotifications(prev => (pageToLoad === 1 ? docs : [...prev, ...docs]));
+      setUnreadCount(data.unreadCount);
+      setPage(pageToLoad);
+      setHasMore(data.data.hasNextPage);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
 
-  // Load notifications
+  // Load notifications for the signed-in user
   useEffect(() => {
-    // TODO: Replace with actual API call
-    const fetchNotifications = async () => {
-      try {
-        // Mock data - replace with real API call
-        const mockNotifications = [
-          {
-            id: 1,
-            title: 'New Order',
-            message: 'New order #1234 has been placed',
-            type: 'order',
-            read: false,
-            createdAt: new Date(),
-          },
-          // Add more mock notifications as needed
-        ];
-        
-        setNotifications(mockNotifications);
-        setUnreadCount(mockNotifications.filter(n => !n.read).length);
-      } catch (error) {
-        console.error('Error fetching notifications:', error);
-      } finally {
-        setIsLoading(false);
-      }
-    };
-
-    fetchNotifications();
+    if (!user?._id) {
+      setNotifications([]);
+      setUnreadCount(0);
+      setIsLoading(false);
+      return;
+    }
+    fetchNotifications(1);
+  }, [user?._id, fetchNotifications]);
+
+  const loadMore = useCallback(() => {
+    if (hasMore && !isLoading) fetchNotifications(page + 1);
+  }, [hasMore, isLoading, page, fetchNotifications]);
+
+  // Local state updates, shared by API calls and realtime sync events
+  const applyRead = useCallback((ids, count) => {
+    const idSet = new Set(ids.map(String));
+    const newlyRead = notificationsRef.current.filter(n => idSet.has(String(n.id)) && !n.read).length;
+
+    setNotifications(prev => prev.map(n => (idSet.has(String(n.id)) ? { ...n, read: true } : n)));
+    setUnreadCount(c => (count !== undefined ? count : Math.max(0, c - newlyRead)));
   }, []);
 
-  const markAsRead = (id) => {
-    setNotifications(prev => 
-      prev.map(notification => 
-        notification.id === id 
-          ? { ...notification, read: true } 
-          : notification
-      )
-    );
-    setUnreadCount(prev => Math.max(0, prev - 1));
-  };
-
-  const markAllAsRead = () => {
-    setNotifications(prev => 
-      prev.map(notification => ({ ...notification, read: true }))
-    );
+  const applyReadAll = useCallback(() => {
+    setNotifications(prev => prev.map(n => ({ ...n, read: true })));
     setUnreadCount(0);
-  };
+  }, []);
+
+  const applyDeleted = useCallback((id, count) => {
+    const removed = notificationsRef.current.find(n => String(n.id) === String(id));
+    const wasUnread = removed && !removed.read;
+
+    setNotifications(prev => prev.filter(n => String(n.id) !== String(id)));
+    setUnreadCount(c => (count !== undefined ? count : Math.max(0, c - (wasUnread ? 1 : 0))));
+  }, []);
+
+  const markAsRead = useCallback(async (id) => {
+    applyRead([id]);
+    try {
+      await apiService.markNotificationRead(id);
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+    }
+  }, [applyRead]);
 
-  const addNotification = (notification) => {
-    setNotifications(prev => [notification, ...prev]);
-    if (!notification.read) {
-      setUnreadCount(prev => prev + 1);
+  const markAllAsRead = useCallback(async () => {
+    applyReadAll();
+    try {
+      await apiService.markAllNotificationsRead();
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
     }
-  };
+  }, [applyReadAll]);
+
+  const deleteNotification = useCallback(async (id) => {
+    applyDeleted(id);
+    try {
+      await apiService.deleteNotification(id);
+    } catch (error) {
+      console.error('Error deleting notification:', error);
+    }
+  }, [applyDeleted]);
+
+  // Stable identity so realtime subscribers don't reconnect on every render
+  const addNotification = useCallback((notification) => {
+    const item = normalize(notification);
+    if (notificationsRef.current.some(n => String(n.id) === String(item.id))) return;
+
+    notificationsRef.current = [item, ...notificationsRef.current];
+    setNotifications(prev => [item, ...prev]);
+    if (!item.read) setUnreadCount(c => c + 1);
+  }, []);
 
   return (
     <NotificationContext.Provider
@@ -68,9 +120,16 @@ export const NotificationProvider = ({ children }) => {
         notifications,
         unreadCount,
         isLoading,
+        hasMore,
+        loadMore,
+        refresh: () => fetchNotifications(1),
         markAsRead,
         markAllAsRead,
+        deleteNotification,
         addNotification,
+        applyRead,
+        applyReadAll,
+        applyDeleted,
       }}
     >
       {children}
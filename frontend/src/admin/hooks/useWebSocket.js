@@ -1,58 +1,74 @@
-import { useEffect, useRef } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import { io } from 'socket.io-client';
 import { useNotifications } from '../contexts/NotificationContext';
+import { renewAccessToken } from '../../services/api.service';
 
-const useWebSocket = (url) => {
-  const ws = useRef(null);
-  const { addNotification } = useNotifications();
+// Notification sync events emitted by backend/services/notification.service.js
+export const NOTIFICATION_EVENTS = {
+  NEW: 'notification:new',
+  READ: 'notification:read',
+  READ_ALL: 'notification:read-all',
+  DELETED: 'notification:deleted',
+};
+
+const apiOrigin = () => {
+  try {
+    return new URL(import.meta.env.VITE_API_BASE_URL).origin;
+  } catch {
+    return 'http://localhost:8000';
+  }
+};
+
+const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || apiOrigin();
+
+/**
+ * Subscribe to the authenticated realtime channel and keep the notification
+ * center in sync with the server, including changes made in other tabs.
+ *
+ * @param {string} [url] - Socket server URL, defaults to the API origin
+ * @returns {{ isConnected: boolean, socket: import('socket.io-client').Socket|null }}
+ */
+const useWebSocket = (url = SOCKET_URL) => {
+  const socketRef = useRef(null);
+  const [isConnected, setIsConnected] = useState(false);
+  const { addNotification, applyRead, applyReadAll, applyDeleted } = useNotifications();
 
   useEffect(() => {
-    // Only create WebSocket connection in browser environment
-    if (typeof window !== 'undefined') {
-      // Connect to WebSocket server
-      ws.current = new WebSocket(url);
-
-      ws.current.onopen = () => {
-        console.log('WebSocket connected');
-      };
-
-      ws.current.onmessage = (event) => {
-        try {
-          const notification = JSON.parse(event.data);
-          addNotification({
-            ...notification,
-            id: Date.now(),
-            read: false,
-            createdAt: new Date().toISOString(),
-          });
-        } catch (error) {
-          console.error('Error parsing WebSocket message:', error);
-        }
-      };
-
-      ws.current.onerror = (error) => {
-        console.error('WebSocket error:', error);
-      };
-
-      ws.current.onclose = () => {
-        console.log('WebSocket disconnected');
-      };
-    }
-
-    // Cleanup function
-    return () => {
-      if (ws.current) {
-        ws.current.close();
+    const socket = io(url, {
+      withCredentials: true,
+      // The access token is also sent as a cookie; this covers header-based sessions
+      auth: (cb) => cb({ token: localStorage.getItem('accessToken') }),
+    });
+    socketRef.current = socket;
+
+    socket.on('connect', () => setIsConnected(true));
+    socket.on('disconnect', (reason) => {
+      setIsConnected(false);
+      // The server drops the socket when its access token expires or the session
+      // is revoked; reconnecting re-checks the session at the handshake
+      if (reason === 'io server disconnect') socket.connect();
+    });
+    socket.on('connect_error', (error) => {
+      console.error('Realtime connection error:', error.message, error.data);
+      if (error.data?.code === 'TOKEN_EXPIRED') {
+        renewAccessToken()
+          .then((accessToken) => accessToken && socket.connect())
+          .catch(() => {});
       }
-    };
-  }, [url, addNotification]);
+    });
+
+    socket.on(NOTIFICATION_EVENTS.NEW, ({ notification }) => addNotification(notification));
+    socket.on(NOTIFICATION_EVENTS.READ, ({ ids, unreadCount }) => applyRead(ids, unreadCount));
+    socket.on(NOTIFICATION_EVENTS.READ_ALL, () => applyReadAll());
+    socket.on(NOTIFICATION_EVENTS.DELETED, ({ id, unreadCount }) => applyDeleted(id, unreadCount));
 
-  const sendMessage = (message) => {
-    if (ws.current && ws.current.readyState === WebSocket.OPEN) {
-      ws.current.send(JSON.stringify(message));
-    }
-  };
+    return () => {
+      socket.disconnect();
+      socketRef.current = null;
+    };
+  }, [url, addNotification, applyRead, applyReadAll, applyDeleted]);
 
-  return { sendMessage };
+  return { isConnected, socket: socketRef.current };
 };
 
 export default useWebSocket;
@@ -1,11 +1,14 @@
-import { useEffect, useState } from 'react';
+import { useState } from 'react';
 import { useNotifications } from '../../contexts/NotificationContext';
-import NotificationItem from '../../components/notifications/NotificationItem';import { FiBell, FiCheck, FiFilter, FiSearch } from 'react-icons/fi';
+import NotificationItem from '../../components/notifications/NotificationItem';
+import NotificationPreferences from '../../components/notifications/NotificationPreferences';
+import { FiBell, FiCheck, FiFilter, FiSearch, FiSettings } from 'react-icons/fi';
 
 const NotificationsPage = () => {
-  const { notifications, markAllAsRead, unreadCount } = useNotifications();
+  const { notifications, markAllAsRead, unreadCount, hasMore, loadMore, isLoading } = useNotifications();
   const [searchQuery, setSearchQuery] = useState('');
   const [filter, setFilter] = useState('all');
+  const [showPreferences, setShowPreferences] = useState(false);
   const hasUnread = unreadCount > 0;
 
   const handleMarkAllAsRead = () => {
@@ -43,6 +46,14 @@ const NotificationsPage = () => {
           </div>
 
           <div className="flex items-center space-x-3">
+            <button
+              onClick={() => setShowPreferences(!showPreferences)}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-300 dark:hover:bg-gray-700 transition-colors"
+              aria-expanded={showPreferences}
+            >
+              <FiSettings className="mr-2 h-4 w-4" />
+              Preferences
+            </button>
             {hasUnread && (
               <button
                 onClick={handleMarkAllAsRead}
@@ -55,6 +66,8 @@ const NotificationsPage = () => {
           </div>
         </div>
 
+        {showPreferences && <NotificationPreferences />}
+
         {/* Filters */}
         <div className="mb-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
           <div className="relative flex-1 max-w-md">
@@ -82,6 +95,7 @@ const NotificationsPage = () => {
                 <option value="all">All Notifications</option>
                 <option value="unread">Unread Only</option>
                 <option value="order">Orders</option>
+                <option value="payment">Payments</option>
                 <option value="user">Users</option>
                 <option value="inventory">Inventory</option>
                 <option value="review">Reviews</option>
@@ -119,6 +133,18 @@ const NotificationsPage = () => {
             </div>
           )}
         </div>
+
+        {hasMore && (
+          <div className="mt-6 text-center">
+            <button
+              onClick={loadMore}
+              disabled={isLoading}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-60 dark:bg-gray-800 dark:border-gray-700 dark:text-gray-300 dark:hover:bg-gray-700 transition-colors"
+            >
+              {isLoading ? 'Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import OrdersList from '../../components/orders/OrdersList';
 import Pagination from '../../components/orders/Pagination';
+import RiskReviewQueue from '../../components/orders/RiskReviewQueue';
 import { motion } from 'framer-motion';
 
 const Orders = () => {
@@ -424,6 +425,8 @@ const Orders = () => {
           </div>
         </div>
       </div>
+
+      <RiskReviewQueue />
       
       {/* Orders List */}
       <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-100 dark:border-gray-700 overflow-hidden">
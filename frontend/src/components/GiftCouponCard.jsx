@@ -1,6 +1,6 @@
 import { motion } from "framer-motion";
 import { useEffect, useState } from "react";
-import { useCartStore } from "../stores/useCartStore";
+import { describeCoupon, useCartStore } from "../stores/useCartStore";
 
 const GiftCouponCard = () => {
 	const [userInputCode, setUserInputCode] = useState("");
@@ -64,7 +64,7 @@ const GiftCouponCard = () => {
 					<h3 className='text-lg font-medium text-gray-300'>Applied Coupon</h3>
 
 					<p className='mt-2 text-sm text-gray-400'>
-						{coupon.code} - {coupon.discountPercentage}% off
+						{coupon.code} - {describeCoupon(coupon)}
 					</p>
 
 					<motion.button
@@ -85,7 +85,7 @@ const GiftCouponCard = () => {
 				<div className='mt-4'>
 					<h3 className='text-lg font-medium text-gray-300'>Your Available Coupon:</h3>
 					<p className='mt-2 text-sm text-gray-400'>
-						{coupon.code} - {coupon.discountPercentage}% off
+						{coupon.code} - {describeCoupon(coupon)}
 					</p>
 				</div>
 			)}
@@ -0,0 +1,137 @@
+import { useCallback, useEffect, useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { toast } from 'react-toastify';
+import { FiMonitor, FiSmartphone } from 'react-icons/fi';
+import { apiService } from '../../services/api.service';
+import { useAuth } from '../../contexts/AuthContext';
+
+const MOBILE_PATTERN = /Android|iOS/;
+
+/**
+ * Signed-in devices for the current user, with sign-out per device or everywhere
+ */
+const ActiveSessions = () => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadSessions = useCallback(() => apiService.getSessions()
+    .then(({ data }) => setSessions(data.data))
+    .catch((error) => console.error('Error fetching sessions:', error)), []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (session) => {
+    setBusyId(session._id);
+    try {
+      await apiService.revokeSession(session._id);
+      if (session.current) {
+        await logout();
+        return;
+      }
+      setSessions((prev) => prev.filter((item) => item._id !== session._id));
+      toast.success('Device signed out');
+    } catch {
+      toast.error('Could not sign out that device');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setBusyId('others');
+    try {
+      await apiService.revokeAllSessions({ exceptCurrent: true });
+      toast.success('Signed out of all other devices');
+      await loadSessions();
+    } catch {
+      toast.error('Could not sign out other devices');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    setBusyId('all');
+    try {
+      await apiService.revokeAllSessions();
+      await logout();
+    } catch {
+      toast.error('Could not sign out');
+      setBusyId(null);
+    }
+  };
+
+  if (!sessions) return null;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h3 className="text-md font-medium text-gray-900 dark:text-white">Active Sessions</h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400">Devices currently signed in to your account.</p>
+        </div>
+        <div className="flex space-x-3">
+          {sessions.some((session) => !session.current) && (
+            <button
+              type="button"
+              onClick={handleRevokeOthers}
+              disabled={busyId !== null}
+              className="px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-70 transition-colors"
+            >
+              Sign out other devices
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handleRevokeAll}
+            disabled={busyId !== null}
+            className="px-3 py-1.5 text-sm font-medium text-red-600 dark:text-red-400 border border-red-300 dark:border-red-700 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-70 transition-colors"
+          >
+            Sign out everywhere
+          </button>
+        </div>
+      </div>
+
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+        {sessions.map((session) => {
+          const DeviceIcon = MOBILE_PATTERN.test(session.device) ? FiSmartphone : FiMonitor;
+          return (
+            <li key={session._id} className="flex items-center justify-between p-4">
+              <div className="flex items-center min-w-0">
+                <DeviceIcon className="h-5 w-5 text-gray-400 flex-shrink-0" />
+                <div className="ml-3 min-w-0">
+                  <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                    {session.device || 'Unknown device'}
+                    {session.current && (
+                      <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-300">
+                        This device
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {session.ip && `${session.ip} · `}
+                    Active {formatDistanceToNow(new Date(session.lastSeenAt), { addSuffix: true })}
+                    {' · '}Signed in {new Date(session.createdAt).toLocaleDateString()}
+                  </p>
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRevoke(session)}
+                disabled={busyId !== null}
+                className="ml-4 text-sm font-medium text-red-600 dark:text-red-400 hover:text-red-700 disabled:opacity-70"
+              >
+                {busyId === session._id ? 'Signing out...' : 'Sign out'}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,118 @@
+import { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { FiMessageSquare, FiPackage, FiRepeat } from 'react-icons/fi';
+import { apiService } from '../../services/api.service';
+import { useCartStore } from '../../stores/useCartStore';
+import OrderThread from './OrderThread';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900/30 dark:text-yellow-300',
+  processing: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300',
+  shipped: 'bg-indigo-100 text-indigo-700 dark:bg-indigo-900/30 dark:text-indigo-300',
+  delivered: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-300',
+  cancelled: 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300',
+};
+
+const formatPrice = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+/**
+ * Past orders for the current user, each with a "Buy again" action that
+ * puts its items back in the cart and a message thread with the store
+ */
+const OrderHistory = () => {
+  const getCartItems = useCartStore((state) => state.getCartItems);
+  const [orders, setOrders] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [openThreadId, setOpenThreadId] = useState(null);
+
+  useEffect(() => {
+    apiService.getMyOrders()
+      .then(({ data }) => setOrders(data.data))
+      .catch((error) => console.error('Error fetching orders:', error));
+  }, []);
+
+  const handleBuyAgain = async (order) => {
+    setBusyId(order._id);
+    try {
+      const { data } = await apiService.reorder(order._id);
+      toast.success(data.message);
+      data.data.skipped.forEach((item) => toast.info(`${item.name}: ${item.message}`));
+      await getCartItems();
+    } catch (error) {
+      const skipped = error.response?.data?.data?.skipped || [];
+      toast.error(error.response?.data?.message || 'Could not add these items to your cart');
+      skipped.forEach((item) => toast.info(`${item.name}: ${item.message}`));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (!orders) return null;
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h3 className="text-md font-medium text-gray-900 dark:text-white">Order History</h3>
+        <p className="text-sm text-gray-500 dark:text-gray-400">Your past orders. Buying again uses today&apos;s prices.</p>
+      </div>
+
+      {orders.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">You haven&apos;t placed any orders yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700 border border-gray-200 dark:border-gray-700 rounded-lg">
+          {orders.map((order) => (
+            <li key={order._id} className="p-4">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center min-w-0">
+                  <FiPackage className="h-5 w-5 text-gray-400 flex-shrink-0" />
+                  <div className="ml-3 min-w-0">
+                    <p className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                      {order.orderNumber || order._id}
+                      <span className={`ml-2 px-2 py-0.5 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[order.status] || STATUS_STYLES.cancelled}`}>
+                        {order.status}
+                      </span>
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                      {new Date(order.createdAt).toLocaleDateString()}
+                      {' · '}{(order.items || []).length} item{(order.items || []).length === 1 ? '' : 's'}
+                      {' · '}{formatPrice(order.totalAmount)}
+                    </p>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                      {(order.items || []).map((item) => item.name).join(', ')}
+                    </p>
+                  </div>
+                </div>
+                <div className="ml-4 flex items-center space-x-2">
+                  <button
+                    type="button"
+                    onClick={() => setOpenThreadId(openThreadId === order._id ? null : order._id)}
+                    className="flex items-center px-3 py-1.5 text-sm font-medium text-gray-600 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+                  >
+                    <FiMessageSquare className="mr-1.5" />
+                    Messages
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleBuyAgain(order)}
+                    disabled={busyId !== null}
+                    className="flex items-center px-3 py-1.5 text-sm font-medium text-emerald-600 dark:text-emerald-400 border border-emerald-300 dark:border-emerald-700 rounded-lg hover:bg-emerald-50 dark:hover:bg-emerald-900/20 disabled:opacity-70 transition-colors"
+                  >
+                    <FiRepeat className="mr-1.5" />
+                    {busyId === order._id ? 'Adding...' : 'Buy again'}
+                  </button>
+                </div>
+              </div>
+              {openThreadId === order._id && (
+                <div className="mt-4 pl-8">
+                  <OrderThread orderId={order._id} />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OrderHistory;
@@ -0,0 +1,136 @@
+import { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { FiLock, FiSend } from 'react-icons/fi';
+import { apiService } from '../../services/api.service';
+
+const formatTime = (date) => new Date(date).toLocaleString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+const authorLabel = (entry, staff) => {
+  if (entry.authorType === 'customer') return staff ? entry.authorName || 'Customer' : 'You';
+  return staff ? entry.authorName || 'Staff' : 'Store';
+};
+
+/**
+ * An order's timeline (status changes and messages) with a box to write in.
+ * Staff also see internal notes and can post them.
+ */
+const OrderThread = ({ orderId, staff = false }) => {
+  const [timeline, setTimeline] = useState(null);
+  const [body, setBody] = useState('');
+  const [internal, setInternal] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+
+  const loadTimeline = useCallback(() => {
+    const request = staff ? apiService.getAdminOrderTimeline(orderId) : apiService.getOrderMessages(orderId);
+    return request
+      .then(({ data }) => setTimeline(data.data))
+      .catch((error) => {
+        console.error('Error fetching order messages:', error);
+        setTimeline([]);
+      });
+  }, [orderId, staff]);
+
+  useEffect(() => {
+    loadTimeline();
+  }, [loadTimeline]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setIsSending(true);
+    try {
+      if (staff) {
+        await apiService.addOrderNote(orderId, body.trim(), internal);
+      } else {
+        await apiService.sendOrderMessage(orderId, body.trim());
+      }
+      setBody('');
+      await loadTimeline();
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.error || 'Could not send your message');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  if (!timeline) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Loading messages...</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {timeline.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No updates yet.</p>
+      ) : (
+        <ul className="space-y-2 max-h-80 overflow-y-auto">
+          {timeline.map((entry, index) => (entry.type === 'status' ? (
+            <li key={`status-${index}`} className="text-xs text-center text-gray-500 dark:text-gray-400">
+              Status changed to <span className="font-medium capitalize">{entry.status.replace('_', ' ')}</span>
+              {' · '}{formatTime(entry.createdAt)}
+              {staff && entry.reason && <span className="block">{entry.reason}</span>}
+            </li>
+          ) : (
+            <li
+              key={entry._id}
+              className={`max-w-[85%] p-3 rounded-lg text-sm ${
+                entry.type === 'note'
+                  ? 'mx-auto bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800'
+                  : (entry.authorType === 'staff') === staff
+                    ? 'ml-auto bg-indigo-50 dark:bg-indigo-900/30'
+                    : 'mr-auto bg-gray-100 dark:bg-gray-700'
+              }`}
+            >
+              <p className="flex items-center text-xs text-gray-500 dark:text-gray-400 mb-1">
+                {entry.type === 'note' && <FiLock className="h-3 w-3 mr-1" />}
+                {entry.type === 'note' ? 'Internal note' : authorLabel(entry, staff)}
+                {entry.type === 'note' && entry.authorName && ` · ${entry.authorName}`}
+                {' · '}{formatTime(entry.createdAt)}
+              </p>
+              <p className="text-gray-900 dark:text-white whitespace-pre-line break-words">{entry.body}</p>
+            </li>
+          )))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          rows={2}
+          maxLength={2000}
+          placeholder={staff ? 'Write a reply or note...' : 'Ask a question about this order...'}
+          className="block w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <div className="flex items-center justify-between">
+          {staff ? (
+            <label className="flex items-center text-sm text-gray-600 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={internal}
+                onChange={(e) => setInternal(e.target.checked)}
+                className="mr-2 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+              />
+              Internal note (hidden from the customer)
+            </label>
+          ) : <span />}
+          <button
+            type="submit"
+            disabled={isSending || !body.trim()}
+            className="flex items-center px-3 py-1.5 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-60"
+          >
+            <FiSend className="mr-1.5 h-4 w-4" />
+            {isSending ? 'Sending...' : staff && internal ? 'Add note' : 'Send'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default OrderThread;
@@ -32,9 +32,12 @@ const ProductDetail = () => {
     toggleWishlist(product);
   };
 
+  // Stock less what pending orders are holding
+  const availableStock = product?.availableQuantity ?? product?.stock;
+
   const handleQuantityChange = (e) => {
     const value = parseInt(e.target.value, 10);
-    if (value >= 1 && value <= (product?.stock || 10)) {
+    if (value >= 1 && value <= (availableStock || 10)) {
       setQuantity(value);
     }
   };
@@ -160,19 +163,19 @@ const ProductDetail = () => {
                   <input
                     type="number"
                     min="1"
-                    max={product.stock || 10}
+                    max={availableStock || 10}
                     value={quantity}
                     onChange={handleQuantityChange}
                     className="w-16 text-center border-t border-b border-gray-300 py-1"
                   />
                   <button
-                    onClick={() => setQuantity(Math.min(product.stock || 10, quantity + 1))}
+                    onClick={() => setQuantity(Math.min(availableStock || 10, quantity + 1))}
                     className="px-3 py-1 border border-gray-300 rounded-r-md bg-gray-50 text-gray-600 hover:bg-gray-100"
                   >
                     +
                   </button>
                   <span className="ml-2 text-sm text-gray-500">
-                    {product.stock} available
+                    {availableStock} available
                   </span>
                 </div>
               </div>
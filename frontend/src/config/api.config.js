@@ -16,6 +16,22 @@ export const endpoints = {
     logout: '/auth/logout',
     refresh: '/auth/refresh-token',
     me: '/auth/me',
+    forgotPassword: '/auth/forgot-password',
+    resetPassword: '/auth/reset-password',
+    verifyEmail: '/auth/verify-email',
+    resendVerification: '/auth/resend-verification',
+    twoFactor: {
+      status: '/auth/2fa',
+      verify: '/auth/2fa/verify',
+      setup: '/auth/2fa/setup',
+      enable: '/auth/2fa/enable',
+      disable: '/auth/2fa/disable',
+      recoveryCodes: '/auth/2fa/recovery-codes',
+    },
+    sessions: {
+      list: '/auth/sessions',
+      revoke: (id) => `/auth/sessions/${id}`,
+    },
   },
   products: {
     getAll: '/api/products',
@@ -27,8 +43,15 @@ export const endpoints = {
   },
   orders: {
     create: '/orders',
-    getMine: '/orders/me',
+    getMine: '/orders',
     getById: (id) => `/orders/${id}`,
+    reorder: (id) => `/orders/${id}/reorder`,
+    messages: (id) => `/orders/${id}/messages`,
+    adminMessages: (id) => `/orders/admin/orders/${id}/messages`,
+    adminNotes: (id) => `/orders/admin/orders/${id}/notes`,
+    riskReview: '/orders/admin/orders/risk-review',
+    approveRisk: (id) => `/orders/admin/orders/${id}/risk-review/approve`,
+    rejectRisk: (id) => `/orders/admin/orders/${id}/risk-review/reject`,
     updateStatus: (id) => `/orders/${id}/status`,
   },
   payments: {
@@ -44,4 +67,13 @@ export const endpoints = {
     addresses: '/users/addresses',
     addressById: (id) => `/users/addresses/${id}`,
   },
+  notifications: {
+    list: '/notifications',
+    unreadCount: '/notifications/unread-count',
+    read: (id) => `/notifications/${id}/read`,
+    readAll: '/notifications/read-all',
+    delete: (id) => `/notifications/${id}`,
+    preferences: '/notifications/preferences',
+  },
+  settings: '/settings',
 };
@@ -10,6 +10,7 @@ const AuthContext = createContext({
   isLoading: true,
   error: null,
   login: async () => {},
+  verifyTwoFactor: async () => {},
   logout: async () => {},
   register: async () => {},
   checkAuth: async () => {},
@@ -89,7 +90,47 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
-  // Login function
+  // Store the session returned by a completed login and redirect
+  const completeLogin = useCallback((data) => {
+    const { accessToken, user: userData, message, twoFactorSetupRequired } = data || {};
+
+    if (!accessToken || !userData) {
+      throw new Error(message || 'Invalid response from server');
+    }
+
+    // Store the token and update the user state
+    localStorage.setItem('accessToken', accessToken);
+
+    // Update the default Authorization header
+    if (api && api.defaults && api.defaults.headers) {
+      api.defaults.headers.common = {
+        ...api.defaults.headers.common,
+        'Authorization': `Bearer ${accessToken}`
+      };
+    }
+
+    if (twoFactorSetupRequired) {
+      // Everything else is blocked until the account has a second factor
+      const pendingUser = { ...userData, twoFactorSetupRequired: true };
+      setUser(pendingUser);
+      toast.info('Please set up two-factor authentication to continue');
+      navigate('/admin/settings?tab=security');
+      return pendingUser;
+    }
+
+    setUser(userData);
+
+    toast.success(message || 'Login successful!');
+
+    // Redirect to the intended page or home
+    const redirectTo = location.state?.from?.pathname || '/';
+    navigate(redirectTo);
+
+    return userData;
+  }, [navigate, location.state?.from?.pathname]);
+
+  // Login function. Resolves with the user, or with `{ twoFactorRequired, challengeToken }`
+  // when the account needs a second factor (finish with verifyTwoFactor)
   const login = useCallback(async (email, password) => {
     try {
       if (!email || !password) {
@@ -110,30 +151,40 @@ export const AuthProvider = ({ children }) => {
       
       // Make the login request
       const response = await api.post('/auth/login', credentials);
-      const { accessToken, user: userData, message } = response.data || {};
-      
-      if (!accessToken || !userData) {
-        throw new Error(message || 'Invalid response from server');
-      }
-      
-      // Store the token and update the user state
-      localStorage.setItem('accessToken', accessToken);
-      
-      // Update the default Authorization header
-      if (api && api.defaults && api.defaults.headers) {
-        api.defaults.headers.common = {
-          ...api.defaults.headers.common,
-          'Authorization': `Bearer ${accessToken}`
+
+      if (response.data?.twoFactorRequired) {
+        return {
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken
         };
       }
-      
-      setUser(userData);
-      toast.success(message || 'Login successful!');
-      
-      // Redirect to the intended page or home
-      const redirectTo = location.state?.from?.pathname || '/';
-      navigate(redirectTo);
-      
+
+      return completeLogin(response.data);
+    } catch (err) {
+      const errorMessage = formatErrorMessage(err);
+      setError(errorMessage);
+      toast.error(errorMessage);
+      throw err;
+    } finally {
+      if (isMounted.current) {
+        setIsLoading(false);
+      }
+    }
+  }, [completeLogin]);
+
+  // Second step of a login for accounts with two-factor authentication
+  const verifyTwoFactor = useCallback(async (challengeToken, code) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const response = await apiService.verifyTwoFactor(challengeToken, code.trim());
+      const userData = completeLogin(response.data);
+
+      if (response.data?.recoveryCodesRemaining !== undefined) {
+        toast.warn(`Recovery code used. ${response.data.recoveryCodesRemaining} remaining.`);
+      }
+
       return userData;
     } catch (err) {
       const errorMessage = formatErrorMessage(err);
@@ -145,7 +196,7 @@ export const AuthProvider = ({ children }) => {
         setIsLoading(false);
       }
     }
-  }, [navigate, location.state?.from?.pathname]);
+  }, [completeLogin]);
 
   // Logout function
   const logout = useCallback(async () => {
@@ -214,11 +265,12 @@ export const AuthProvider = ({ children }) => {
     isLoading,
     error,
     login,
+    verifyTwoFactor,
     logout,
     register,
     checkAuth,
     updateUser
-  }), [user, isAuthenticated, isLoading, error, login, logout, register, checkAuth, updateUser]);
+  }), [user, isAuthenticated, isLoading, error, login, verifyTwoFactor, logout, register, checkAuth, updateUser]);
 
   return (
     <AuthContext.Provider value={contextValue}>
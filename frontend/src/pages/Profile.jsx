@@ -3,6 +3,8 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { useAuth } from '../contexts/AuthContext';
 import { toast } from 'react-toastify';
 import { FiUser, FiMail, FiPhone, FiSave, FiLogOut, FiEdit2, FiImage } from 'react-icons/fi';
+import ActiveSessions from '../components/auth/ActiveSessions';
+import OrderHistory from '../components/orders/OrderHistory';
 
 // Animation variants
 const fadeIn = {
@@ -348,6 +350,20 @@ export default function Profile() {
               </motion.div>
             </form>
 
+            <motion.div 
+              variants={fadeIn}
+              className="mt-12 pt-6 border-t border-gray-200 dark:border-gray-700"
+            >
+              <OrderHistory />
+            </motion.div>
+
+            <motion.div 
+              variants={fadeIn}
+              className="mt-12 pt-6 border-t border-gray-200 dark:border-gray-700"
+            >
+              <ActiveSessions />
+            </motion.div>
+
             <motion.div 
               variants={fadeIn}
               className="mt-12 pt-6 border-t border-gray-200 dark:border-gray-700"
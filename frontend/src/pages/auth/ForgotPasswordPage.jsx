@@ -0,0 +1,179 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Mail, AlertCircle, Loader2, ArrowRight, ArrowLeft, CheckCircle } from 'lucide-react';
+import { apiService } from '../../services/api.service';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message ||
+  error.response?.data?.errors?.[0]?.message ||
+  fallback;
+
+const ForgotPasswordPage = () => {
+  const [email, setEmail] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [formError, setFormError] = useState('');
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting) return;
+
+    setFormError('');
+
+    if (!email) {
+      setFormError('Please enter your email address');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      await apiService.forgotPassword(email);
+      setSent(true);
+    } catch (error) {
+      setFormError(getErrorMessage(error, 'Could not send reset link. Please try again.'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: {
+      opacity: 1,
+      transition: {
+        staggerChildren: 0.1,
+        delayChildren: 0.1
+      }
+    }
+  };
+
+  const itemVariants = {
+    hidden: { y: 20, opacity: 0 },
+    visible: {
+      y: 0,
+      opacity: 1,
+      transition: {
+        type: 'spring',
+        stiffness: 100,
+      }
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <motion.div
+        className="w-full max-w-md mx-auto"
+        initial="hidden"
+        animate="visible"
+        variants={containerVariants}
+      >
+        <motion.div
+          className="bg-white rounded-2xl shadow-xl overflow-hidden"
+          variants={itemVariants}
+        >
+          <div className="p-8">
+            <motion.div
+              className="text-center mb-8"
+              variants={itemVariants}
+            >
+              <h1 className="text-2xl font-bold text-gray-900">Forgot your password?</h1>
+              <p className="text-sm text-gray-600 mt-2">
+                Enter the email you signed up with and we&apos;ll send you a link to reset it.
+              </p>
+              <AnimatePresence>
+                {formError && (
+                  <motion.p
+                    className="text-sm text-red-600 mt-2 flex items-center justify-center"
+                    initial={{ opacity: 0, y: -10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: -10 }}
+                    transition={{ type: 'spring' }}
+                  >
+                    <AlertCircle className="w-5 h-5 mr-2 mt-0.5 flex-shrink-0" />
+                    <span className="text-sm">{formError}</span>
+                  </motion.p>
+                )}
+              </AnimatePresence>
+            </motion.div>
+
+            {sent ? (
+              <motion.div
+                className="rounded-xl bg-emerald-50 p-4 flex items-start"
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+              >
+                <CheckCircle className="h-5 w-5 text-emerald-600 mr-3 mt-0.5 flex-shrink-0" />
+                <p className="text-sm text-emerald-800">
+                  If an account exists for <strong>{email}</strong>, a reset link is on its way.
+                  The link can only be used once.
+                </p>
+              </motion.div>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <motion.div variants={itemVariants}>
+                  <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                    Email address
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Mail className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="email"
+                      name="email"
+                      type="email"
+                      autoComplete="email"
+                      required
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      className="block w-full pl-10 pr-3 py-3 border border-gray-200 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent transition-all duration-200"
+                      placeholder="you@example.com"
+                    />
+                  </div>
+                </motion.div>
+
+                <motion.div variants={itemVariants}>
+                  <motion.button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-xl shadow-md text-sm font-medium text-white bg-gradient-to-r from-emerald-600 to-teal-500 hover:from-emerald-700 hover:to-teal-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-emerald-500 disabled:opacity-70 disabled:cursor-not-allowed transition-all duration-200"
+                    whileTap={{ scale: isSubmitting ? 1 : 0.98 }}
+                  >
+                    {isSubmitting ? (
+                      <>
+                        <Loader2 className="animate-spin -ml-1 mr-2 h-5 w-5" />
+                        Sending...
+                      </>
+                    ) : (
+                      <>
+                        Send reset link
+                        <ArrowRight className="ml-2 h-4 w-4" />
+                      </>
+                    )}
+                  </motion.button>
+                </motion.div>
+              </form>
+            )}
+
+            <motion.div
+              className="mt-6 text-center"
+              variants={itemVariants}
+            >
+              <Link
+                to="/login"
+                className="inline-flex items-center text-sm font-medium text-emerald-600 hover:text-emerald-500 transition-colors"
+              >
+                <ArrowLeft className="mr-1 h-4 w-4" />
+                Back to sign in
+              </Link>
+            </motion.div>
+          </div>
+        </motion.div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
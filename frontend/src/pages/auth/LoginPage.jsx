@@ -2,7 +2,7 @@ import { useState, useEffect } from 'react';
 import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Mail, Lock, AlertCircle, Loader2, Eye, EyeOff, ArrowRight } from 'lucide-react';
+import { Mail, Lock, AlertCircle, Loader2, Eye, EyeOff, ArrowRight, ShieldCheck } from 'lucide-react';
 import { toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import GoogleOAuthButton from '../../components/auth/GoogleOAuthButton';
@@ -12,11 +12,15 @@ const LoginPage = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [isHovered, setIsHovered] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
-  
-  const { user, login, error } = useAuth();
+  const { user, login, verifyTwoFactor, error } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const searchParams = new URLSearchParams(location.search);
+  // Set once the password is accepted for an account with two-factor authentication;
+  // social logins arrive here with it in the URL
+  const [challengeToken, setChallengeToken] = useState(() => searchParams.get('challengeToken'));
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  
   const from = location.state?.from?.pathname || 
               searchParams.get('redirect') || 
               '/';
@@ -79,7 +83,13 @@ const LoginPage = () => {
         timeoutPromise
       ]);
       
-      if (result) {
+      if (result?.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        return;
+      }
+
+      // AuthContext sends accounts that still have to set up 2FA to the security settings
+      if (result && !result.twoFactorSetupRequired) {
         console.log('Login successful, user data:', result);
         console.log('Redirecting to:', from);
         
@@ -115,6 +125,42 @@ const LoginPage = () => {
       setIsSubmitting(false);
     }
   };
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+
+    if (isSubmitting) return;
+    setFormError('');
+
+    if (!twoFactorCode.trim()) {
+      setFormError('Please enter your verification code');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      // AuthContext stores the session and redirects on success
+      await verifyTwoFactor(challengeToken, twoFactorCode);
+    } catch (error) {
+      // An expired challenge means starting over from the password step
+      if (error.response?.data?.code === 'INVALID_TWO_FACTOR_CHALLENGE') {
+        setChallengeToken(null);
+      }
+      setTwoFactorCode('');
+      setFormError(error.response?.data?.message || error.message || 'Verification failed. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCancelTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setPassword('');
+    setFormError('');
+  };
+
   const containerVariants = {
     hidden: { opacity: 0 },
     visible: {
@@ -176,121 +222,178 @@ const LoginPage = () => {
                 )}
               </AnimatePresence>
             </motion.div>
-            <form onSubmit={handleSubmit} className="mt-8 space-y-6">
-              <motion.div 
-                className="space-y-4"
-                variants={itemVariants}
-              >
-                <div>
-                  <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
-                    Email address
+            {challengeToken ? (
+              <form onSubmit={handleVerifyCode} className="mt-8 space-y-6">
+                <motion.div variants={itemVariants}>
+                  <label htmlFor="two-factor-code" className="block text-sm font-medium text-gray-700 mb-1">
+                    Verification code
                   </label>
-                  <motion.div 
-                    className="relative"
-                    whileHover={{ scale: 1.01 }}
-                    transition={{ type: 'spring', stiffness: 400, damping: 10 }}
-                  >
+                  <p className="text-xs text-gray-500 mb-2">
+                    Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                  </p>
+                  <div className="relative">
                     <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                      <Mail className="h-5 w-5 text-gray-400" />
+                      <ShieldCheck className="h-5 w-5 text-gray-400" />
                     </div>
                     <input
-                      id="email"
-                      name="email"
-                      type="email"
-                      autoComplete="email"
+                      id="two-factor-code"
+                      name="code"
+                      type="text"
+                      autoComplete="one-time-code"
+                      autoFocus
                       required
-                      value={email}
-                      onChange={(e) => setEmail(e.target.value)}
-                      className="block w-full pl-10 pr-3 py-3 border border-gray-200 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent transition-all duration-200"
-                      placeholder="you@example.com"
+                      value={twoFactorCode}
+                      onChange={(e) => setTwoFactorCode(e.target.value)}
+                      className="block w-full pl-10 pr-3 py-3 border border-gray-200 rounded-xl shadow-sm tracking-widest focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent transition-all duration-200"
+                      placeholder="123456"
                     />
-                  </motion.div>
-                </div>
+                  </div>
+                </motion.div>
 
-                <div>
-                  <div className="flex items-center justify-between mb-1">
-                    <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                      Password
+                <motion.div variants={itemVariants}>
+                  <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-xl shadow-md text-sm font-medium text-white bg-gradient-to-r from-emerald-600 to-teal-500 hover:from-emerald-700 hover:to-teal-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-emerald-500 disabled:opacity-70 disabled:cursor-not-allowed transition-all duration-200"
+                  >
+                    {isSubmitting ? (
+                      <>
+                        <Loader2 className="animate-spin -ml-1 mr-2 h-5 w-5" />
+                        Verifying...
+                      </>
+                    ) : (
+                      <>
+                        Verify
+                        <ArrowRight className="ml-2 h-4 w-4" />
+                      </>
+                    )}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleCancelTwoFactor}
+                    className="mt-3 w-full text-sm font-medium text-gray-600 hover:text-gray-800 transition-colors"
+                  >
+                    Use a different account
+                  </button>
+                </motion.div>
+              </form>
+            ) : (
+              <form onSubmit={handleSubmit} className="mt-8 space-y-6">
+                <motion.div 
+                  className="space-y-4"
+                  variants={itemVariants}
+                >
+                  <div>
+                    <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                      Email address
                     </label>
-                    <Link to="/forgot-password" className="text-xs font-medium text-emerald-600 hover:text-emerald-500 transition-colors">
-                      Forgot password?
-                    </Link>
+                    <motion.div 
+                      className="relative"
+                      whileHover={{ scale: 1.01 }}
+                      transition={{ type: 'spring', stiffness: 400, damping: 10 }}
+                    >
+                      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                        <Mail className="h-5 w-5 text-gray-400" />
+                      </div>
+                      <input
+                        id="email"
+                        name="email"
+                        type="email"
+                        autoComplete="email"
+                        required
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        className="block w-full pl-10 pr-3 py-3 border border-gray-200 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent transition-all duration-200"
+                        placeholder="you@example.com"
+                      />
+                    </motion.div>
                   </div>
-                  <motion.div 
-                    className="relative"
-                    whileHover={{ scale: 1.01 }}
-                    transition={{ type: 'spring', stiffness: 400, damping: 10 }}
-                  >
-                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                      <Lock className="h-5 w-5 text-gray-400" />
+
+                  <div>
+                    <div className="flex items-center justify-between mb-1">
+                      <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                        Password
+                      </label>
+                      <Link to="/forgot-password" className="text-xs font-medium text-emerald-600 hover:text-emerald-500 transition-colors">
+                        Forgot password?
+                      </Link>
                     </div>
-                    <input
-                      id="password"
-                      name="password"
-                      type={showPassword ? "text" : "password"}
-                      autoComplete="current-password"
-                      required
-                      value={password}
-                      onChange={(e) => setPassword(e.target.value)}
-                      className="block w-full pl-10 pr-10 py-3 border border-gray-200 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent transition-all duration-200"
-                      placeholder="••••••••"
-                    />
-                    <button
-                      type="button"
-                      onClick={() => setShowPassword(!showPassword)}
-                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                      aria-label={showPassword ? "Hide password" : "Show password"}
+                    <motion.div 
+                      className="relative"
+                      whileHover={{ scale: 1.01 }}
+                      transition={{ type: 'spring', stiffness: 400, damping: 10 }}
                     >
-                      {showPassword ? (
-                        <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-500 transition-colors" />
-                      ) : (
-                        <Eye className="h-5 w-5 text-gray-400 hover:text-gray-500 transition-colors" />
-                      )}
-                    </button>
-                  </motion.div>
-                </div>
-              </motion.div>
-
-              <motion.div 
-                className="flex items-center"
-                variants={itemVariants}
-              >
-                <input
-                  id="remember-me"
-                  name="remember-me"
-                  type="checkbox"
-                  className="h-4 w-4 text-emerald-600 focus:ring-emerald-500 border-gray-300 rounded"
-                />
-                <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-700">
-                  Remember me
-                </label>
-              </motion.div>
+                      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                        <Lock className="h-5 w-5 text-gray-400" />
+                      </div>
+                      <input
+                        id="password"
+                        name="password"
+                        type={showPassword ? "text" : "password"}
+                        autoComplete="current-password"
+                        required
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        className="block w-full pl-10 pr-10 py-3 border border-gray-200 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent transition-all duration-200"
+                        placeholder="••••••••"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setShowPassword(!showPassword)}
+                        className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                        aria-label={showPassword ? "Hide password" : "Show password"}
+                      >
+                        {showPassword ? (
+                          <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-500 transition-colors" />
+                        ) : (
+                          <Eye className="h-5 w-5 text-gray-400 hover:text-gray-500 transition-colors" />
+                        )}
+                      </button>
+                    </motion.div>
+                  </div>
+                </motion.div>
 
-              <motion.div variants={itemVariants}>
-                <motion.button
-                  type="submit"
-                  disabled={isSubmitting}
-                  className={`w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-xl shadow-sm text-sm font-medium text-white bg-gradient-to-r from-emerald-600 to-teal-500 hover:from-emerald-700 hover:to-teal-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-emerald-500 disabled:opacity-70 disabled:cursor-not-allowed transition-all duration-200 ${
-                    isHovered && !isSubmitting ? 'shadow-lg' : 'shadow-md'
-                  }`}
-                  onHoverStart={() => !isSubmitting && setIsHovered(true)}
-                  onHoverEnd={() => !isSubmitting && setIsHovered(false)}
-                  whileTap={{ scale: isSubmitting ? 1 : 0.98 }}
+                <motion.div 
+                  className="flex items-center"
+                  variants={itemVariants}
                 >
-                  {isSubmitting ? (
-                    <>
-                      <Loader2 className="animate-spin -ml-1 mr-2 h-5 w-5" />
-                      Signing in...
-                    </>
-                  ) : (
-                    <>
-                      Sign in
-                      <ArrowRight className="ml-2 h-4 w-4" />
-                    </>
-                  )}
-                </motion.button>
-              </motion.div>
-            </form>
+                  <input
+                    id="remember-me"
+                    name="remember-me"
+                    type="checkbox"
+                    className="h-4 w-4 text-emerald-600 focus:ring-emerald-500 border-gray-300 rounded"
+                  />
+                  <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-700">
+                    Remember me
+                  </label>
+                </motion.div>
+
+                <motion.div variants={itemVariants}>
+                  <motion.button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className={`w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-xl shadow-sm text-sm font-medium text-white bg-gradient-to-r from-emerald-600 to-teal-500 hover:from-emerald-700 hover:to-teal-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-emerald-500 disabled:opacity-70 disabled:cursor-not-allowed transition-all duration-200 ${
+                      isHovered && !isSubmitting ? 'shadow-lg' : 'shadow-md'
+                    }`}
+                    onHoverStart={() => !isSubmitting && setIsHovered(true)}
+                    onHoverEnd={() => !isSubmitting && setIsHovered(false)}
+                    whileTap={{ scale: isSubmitting ? 1 : 0.98 }}
+                  >
+                    {isSubmitting ? (
+                      <>
+                        <Loader2 className="animate-spin -ml-1 mr-2 h-5 w-5" />
+                        Signing in...
+                      </>
+                    ) : (
+                      <>
+                        Sign in
+                        <ArrowRight className="ml-2 h-4 w-4" />
+                      </>
+                    )}
+                  </motion.button>
+                </motion.div>
+              </form>
+            )}
 
             <motion.div 
               className="mt-6"
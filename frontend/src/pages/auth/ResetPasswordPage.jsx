@@ -0,0 +1,217 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Lock, AlertCircle, Loader2, Eye, EyeOff, ArrowRight } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { apiService } from '../../services/api.service';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message ||
+  error.response?.data?.errors?.[0]?.message ||
+  fallback;
+
+const ResetPasswordPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [formError, setFormError] = useState(token ? '' : 'This reset link is missing its token.');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting || !token) return;
+
+    setFormError('');
+
+    if (password.length < 6) {
+      setFormError('Password must be at least 6 characters long');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setFormError('Passwords do not match');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      await apiService.resetPassword({ token, password });
+      toast.success('Password updated. Please sign in with your new password.');
+      navigate('/login', { replace: true });
+    } catch (error) {
+      setFormError(getErrorMessage(error, 'Could not reset password. Please try again.'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const containerVariants = {
+    hidden: { opacity: 0 },
+    visible: {
+      opacity: 1,
+      transition: {
+        staggerChildren: 0.1,
+        delayChildren: 0.1
+      }
+    }
+  };
+
+  const itemVariants = {
+    hidden: { y: 20, opacity: 0 },
+    visible: {
+      y: 0,
+      opacity: 1,
+      transition: {
+        type: 'spring',
+        stiffness: 100,
+      }
+    }
+  };
+
+  const inputClassName = "block w-full pl-10 pr-10 py-3 border border-gray-200 rounded-xl shadow-sm focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:border-transparent transition-all duration-200";
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <motion.div
+        className="w-full max-w-md mx-auto"
+        initial="hidden"
+        animate="visible"
+        variants={containerVariants}
+      >
+        <motion.div
+          className="bg-white rounded-2xl shadow-xl overflow-hidden"
+          variants={itemVariants}
+        >
+          <div className="p-8">
+            <motion.div
+              className="text-center mb-8"
+              variants={itemVariants}
+            >
+              <h1 className="text-2xl font-bold text-gray-900">Choose a new password</h1>
+              <AnimatePresence>
+                {formError && (
+                  <motion.p
+                    className="text-sm text-red-600 mt-2 flex items-center justify-center"
+                    initial={{ opacity: 0, y: -10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: -10 }}
+                    transition={{ type: 'spring' }}
+                  >
+                    <AlertCircle className="w-5 h-5 mr-2 mt-0.5 flex-shrink-0" />
+                    <span className="text-sm">{formError}</span>
+                  </motion.p>
+                )}
+              </AnimatePresence>
+            </motion.div>
+
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <motion.div
+                className="space-y-4"
+                variants={itemVariants}
+              >
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                    New password
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="password"
+                      name="password"
+                      type={showPassword ? "text" : "password"}
+                      autoComplete="new-password"
+                      required
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      className={inputClassName}
+                      placeholder="••••••••"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                      aria-label={showPassword ? "Hide password" : "Show password"}
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-500 transition-colors" />
+                      ) : (
+                        <Eye className="h-5 w-5 text-gray-400 hover:text-gray-500 transition-colors" />
+                      )}
+                    </button>
+                  </div>
+                </div>
+
+                <div>
+                  <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                    Confirm new password
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="confirmPassword"
+                      name="confirmPassword"
+                      type={showPassword ? "text" : "password"}
+                      autoComplete="new-password"
+                      required
+                      value={confirmPassword}
+                      onChange={(e) => setConfirmPassword(e.target.value)}
+                      className={inputClassName}
+                      placeholder="••••••••"
+                    />
+                  </div>
+                </div>
+              </motion.div>
+
+              <motion.div variants={itemVariants}>
+                <motion.button
+                  type="submit"
+                  disabled={isSubmitting || !token}
+                  className="w-full flex justify-center items-center py-3 px-4 border border-transparent rounded-xl shadow-md text-sm font-medium text-white bg-gradient-to-r from-emerald-600 to-teal-500 hover:from-emerald-700 hover:to-teal-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-emerald-500 disabled:opacity-70 disabled:cursor-not-allowed transition-all duration-200"
+                  whileTap={{ scale: isSubmitting ? 1 : 0.98 }}
+                >
+                  {isSubmitting ? (
+                    <>
+                      <Loader2 className="animate-spin -ml-1 mr-2 h-5 w-5" />
+                      Updating...
+                    </>
+                  ) : (
+                    <>
+                      Update password
+                      <ArrowRight className="ml-2 h-4 w-4" />
+                    </>
+                  )}
+                </motion.button>
+              </motion.div>
+            </form>
+
+            <motion.div
+              className="mt-6 text-center"
+              variants={itemVariants}
+            >
+              <p className="text-sm text-gray-600">
+                Link expired?{' '}
+                <Link
+                  to="/forgot-password"
+                  className="font-medium text-emerald-600 hover:text-emerald-500 transition-colors"
+                >
+                  Request a new one
+                </Link>
+              </p>
+            </motion.div>
+          </div>
+        </motion.div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
@@ -0,0 +1,115 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { CheckCircle, AlertCircle, Loader2, Mail } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../contexts/AuthContext';
+import { apiService } from '../../services/api.service';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message ||
+  error.response?.data?.errors?.[0]?.message ||
+  fallback;
+
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, updateUser } = useAuth();
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is missing its token.');
+  const [isResending, setIsResending] = useState(false);
+  // Tokens are single-use, so don't submit twice under StrictMode
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || submitted.current) return;
+    submitted.current = true;
+
+    apiService.verifyEmail(token)
+      .then(() => {
+        setStatus('success');
+        if (user) updateUser({ isEmailVerified: true });
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(getErrorMessage(error, 'Could not verify your email. Please try again.'));
+      });
+  }, [token, user, updateUser]);
+
+  const handleResend = async () => {
+    setIsResending(true);
+    try {
+      await apiService.resendVerification();
+      toast.success('A new verification link is on its way.');
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Could not send a new link. Please try again later.'));
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <motion.div
+        className="w-full max-w-md mx-auto bg-white rounded-2xl shadow-xl p-8 text-center"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ type: 'spring', stiffness: 100 }}
+      >
+        {status === 'verifying' && (
+          <>
+            <Loader2 className="mx-auto h-10 w-10 text-emerald-600 animate-spin" />
+            <h1 className="mt-4 text-2xl font-bold text-gray-900">Verifying your email...</h1>
+          </>
+        )}
+
+        {status === 'success' && (
+          <>
+            <CheckCircle className="mx-auto h-10 w-10 text-emerald-600" />
+            <h1 className="mt-4 text-2xl font-bold text-gray-900">Email verified</h1>
+            <p className="mt-2 text-sm text-gray-600">Thanks for confirming your email address.</p>
+            <Link
+              to={user ? '/' : '/login'}
+              className="mt-6 inline-flex justify-center py-3 px-6 rounded-xl text-sm font-medium text-white bg-gradient-to-r from-emerald-600 to-teal-500 hover:from-emerald-700 hover:to-teal-600 transition-all duration-200"
+            >
+              {user ? 'Continue shopping' : 'Sign in'}
+            </Link>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <AlertCircle className="mx-auto h-10 w-10 text-red-500" />
+            <h1 className="mt-4 text-2xl font-bold text-gray-900">Verification failed</h1>
+            <p className="mt-2 text-sm text-gray-600">{message}</p>
+            {user && !user.isEmailVerified ? (
+              <button
+                type="button"
+                onClick={handleResend}
+                disabled={isResending}
+                className="mt-6 inline-flex items-center justify-center py-3 px-6 rounded-xl text-sm font-medium text-white bg-gradient-to-r from-emerald-600 to-teal-500 hover:from-emerald-700 hover:to-teal-600 disabled:opacity-70 disabled:cursor-not-allowed transition-all duration-200"
+              >
+                {isResending ? (
+                  <Loader2 className="animate-spin -ml-1 mr-2 h-5 w-5" />
+                ) : (
+                  <Mail className="-ml-1 mr-2 h-5 w-5" />
+                )}
+                Send a new link
+              </button>
+            ) : !user && (
+              <p className="mt-6 text-sm text-gray-600">
+                <Link to="/login" className="font-medium text-emerald-600 hover:text-emerald-500 transition-colors">
+                  Sign in
+                </Link>{' '}
+                to request a new verification link.
+              </p>
+            )}
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
@@ -22,6 +22,41 @@ api.interceptors.request.use(
   }
 );
 
+// Requests that fail together share one refresh; each would otherwise spend the same refresh token
+let refreshRequest = null;
+
+const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    refreshRequest = axios.post(
+      `${apiConfig.baseURL}${endpoints.auth.refresh}`,
+      {},
+      { 
+        withCredentials: true,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      }
+    ).finally(() => {
+      refreshRequest = null;
+    });
+  }
+  return refreshRequest;
+};
+
+/**
+ * Refresh the session and store the new access token for later requests
+ * @returns {Promise<string|undefined>} The new access token
+ */
+export const renewAccessToken = async () => {
+  const response = await refreshAccessToken();
+  const { accessToken } = response.data;
+  if (accessToken) {
+    localStorage.setItem('accessToken', accessToken);
+    api.defaults.headers.common['Authorization'] = `Bearer ${accessToken}`;
+  }
+  return accessToken;
+};
+
 // Response interceptor to handle token refresh and common errors
 api.interceptors.response.use(
   (response) => response,
@@ -40,22 +75,8 @@ api.interceptors.response.use(
       originalRequest._retry = true;
 
       try {
-        const response = await axios.post(
-          `${apiConfig.baseURL}${endpoints.auth.refresh}`,
-          {},
-          { 
-            withCredentials: true,
-            headers: {
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-        
-        const { accessToken } = response.data;
+        const accessToken = await renewAccessToken();
         if (accessToken) {
-          localStorage.setItem('accessToken', accessToken);
-          // Update the default Authorization header
-          api.defaults.headers.common['Authorization'] = `Bearer ${accessToken}`;
           // Update the original request with the new token
           originalRequest.headers.Authorization = `Bearer ${accessToken}`;
           return api(originalRequest);
@@ -69,6 +90,14 @@ api.interceptors.response.use(
       }
     }
 
+    // Signed in, but the store requires two-factor setup before anything else
+    if (error.response?.status === 403 && error.response.data?.code === 'TWO_FACTOR_SETUP_REQUIRED') {
+      if (!window.location.pathname.startsWith('/admin/settings')) {
+        window.location.href = '/admin/settings?tab=security';
+      }
+      return Promise.reject(error);
+    }
+
     // If we get a 401 and it's not a refresh request, redirect to login
     if (error.response?.status === 401) {
       localStorage.removeItem('accessToken');
@@ -87,6 +116,19 @@ export const apiService = {
   register: (userData) => api.post('/auth/register', userData),
   logout: () => api.post('/auth/logout'),
   getCurrentUser: () => api.get('/auth/me'),
+  forgotPassword: (email) => api.post(endpoints.auth.forgotPassword, { email }),
+  resetPassword: (data) => api.post(endpoints.auth.resetPassword, data),
+  verifyEmail: (token) => api.post(endpoints.auth.verifyEmail, { token }),
+  resendVerification: () => api.post(endpoints.auth.resendVerification),
+  verifyTwoFactor: (challengeToken, code) => api.post(endpoints.auth.twoFactor.verify, { challengeToken, code }),
+  getTwoFactorStatus: () => api.get(endpoints.auth.twoFactor.status),
+  setupTwoFactor: () => api.post(endpoints.auth.twoFactor.setup),
+  enableTwoFactor: (code) => api.post(endpoints.auth.twoFactor.enable, { code }),
+  disableTwoFactor: (data) => api.post(endpoints.auth.twoFactor.disable, data),
+  regenerateRecoveryCodes: (code) => api.post(endpoints.auth.twoFactor.recoveryCodes, { code }),
+  getSessions: () => api.get(endpoints.auth.sessions.list),
+  revokeSession: (id) => api.delete(endpoints.auth.sessions.revoke(id)),
+  revokeAllSessions: ({ exceptCurrent = false } = {}) => api.delete(endpoints.auth.sessions.list, { params: { exceptCurrent } }),
 
   // Products
   getProducts: (params = {}) => api.get(endpoints.products.getAll, { params }),
@@ -98,8 +140,16 @@ export const apiService = {
 
   // Orders
   createOrder: (orderData) => api.post('/orders', orderData),
-  getMyOrders: () => api.get('/orders/me'),
+  getMyOrders: () => api.get('/orders'),
   getOrderById: (id) => api.get(`/orders/${id}`),
+  reorder: (id) => api.post(`/orders/${id}/reorder`),
+  getOrderMessages: (id) => api.get(`/orders/${id}/messages`),
+  sendOrderMessage: (id, body) => api.post(`/orders/${id}/messages`, { body }),
+  getAdminOrderTimeline: (id) => api.get(`/orders/admin/orders/${id}/messages`),
+  addOrderNote: (id, note, isInternal) => api.post(`/orders/admin/orders/${id}/notes`, { note, isInternal }),
+  getRiskReviewQueue: (params) => api.get('/orders/admin/orders/risk-review', { params }),
+  approveHeldOrder: (id, note) => api.post(`/orders/admin/orders/${id}/risk-review/approve`, { note }),
+  rejectHeldOrder: (id, note) => api.post(`/orders/admin/orders/${id}/risk-review/reject`, { note }),
   updateOrderStatus: (id, status) => api.patch(`/orders/${id}/status`, { status }),
 
   // Payments
@@ -115,6 +165,19 @@ export const apiService = {
   addAddress: (address) => api.post('/users/addresses', address),
   updateAddress: (id, address) => api.put(`/users/addresses/${id}`, address),
   deleteAddress: (id) => api.delete(`/users/addresses/${id}`),
+
+  // Notifications
+  getNotifications: (params = {}) => api.get(endpoints.notifications.list, { params }),
+  getUnreadNotificationCount: () => api.get(endpoints.notifications.unreadCount),
+  markNotificationRead: (id) => api.patch(endpoints.notifications.read(id)),
+  markAllNotificationsRead: () => api.patch(endpoints.notifications.readAll),
+  deleteNotification: (id) => api.delete(endpoints.notifications.delete(id)),
+  getNotificationPreferences: () => api.get(endpoints.notifications.preferences),
+  updateNotificationPreferences: (preferences) => api.put(endpoints.notifications.preferences, preferences),
+
+  // Store settings
+  getStoreSettings: () => api.get(endpoints.settings),
+  updateStoreSettings: (settings) => api.put(endpoints.settings, settings),
 };
 
 export default api;
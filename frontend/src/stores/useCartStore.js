@@ -2,6 +2,13 @@ import { create } from "zustand";
 import axios from "../lib/axios";
 import { toast } from "react-toastify";
 
+// What a validated coupon gives, for display
+export const describeCoupon = (coupon) => {
+	if (coupon.type === "free_shipping") return "Free shipping";
+	if (coupon.type === "fixed_amount") return `$${coupon.value.toFixed(2)} off`;
+	return `${coupon.value ?? coupon.discountPercentage}% off`;
+};
+
 export const useCartStore = create((set, get) => ({
 	cart: [],
 	coupon: null,
@@ -20,13 +27,27 @@ export const useCartStore = create((set, get) => ({
 	applyCoupon: async (code) => {
 		try {
 			const response = await axios.post("/coupons/validate", { code });
-			set({ coupon: response.data, isCouponApplied: true });
+			set({ coupon: response.data.data, isCouponApplied: true });
 			get().calculateTotals();
 			toast.success("Coupon applied successfully");
 		} catch (error) {
 			toast.error(error.response?.data?.message || "Failed to apply coupon");
 		}
 	},
+	// The discount depends on what's in the cart, so it's priced again whenever the cart changes
+	revalidateCoupon: async () => {
+		const { coupon, isCouponApplied } = get();
+		if (!isCouponApplied || !coupon?.code) return;
+
+		try {
+			const response = await axios.post("/coupons/validate", { code: coupon.code });
+			set({ coupon: response.data.data });
+		} catch (error) {
+			set({ coupon: null, isCouponApplied: false });
+			toast.error(error.response?.data?.message || "Your coupon no longer applies to this cart");
+		}
+		get().calculateTotals();
+	},
 	removeCoupon: () => {
 		set({ coupon: null, isCouponApplied: false });
 		get().calculateTotals();
@@ -38,6 +59,7 @@ export const useCartStore = create((set, get) => ({
 			const res = await axios.get("/cart");
 			set({ cart: res.data });
 			get().calculateTotals();
+			get().revalidateCoupon();
 		} catch (error) {
 			set({ cart: [] });
 			toast.error(error.response.data.message || "An error occurred");
@@ -61,6 +83,7 @@ export const useCartStore = create((set, get) => ({
 				return { cart: newCart };
 			});
 			get().calculateTotals();
+			get().revalidateCoupon();
 		} catch (error) {
 			toast.error(error.response.data.message || "An error occurred");
 		}
@@ -69,6 +92,7 @@ export const useCartStore = create((set, get) => ({
 		await axios.delete(`/cart`, { data: { productId } });
 		set((prevState) => ({ cart: prevState.cart.filter((item) => item._id !== productId) }));
 		get().calculateTotals();
+		get().revalidateCoupon();
 	},
 	updateQuantity: async (productId, quantity) => {
 		if (quantity === 0) {
@@ -81,15 +105,16 @@ export const useCartStore = create((set, get) => ({
 			cart: prevState.cart.map((item) => (item._id === productId ? { ...item, quantity } : item)),
 		}));
 		get().calculateTotals();
+		get().revalidateCoupon();
 	},
 	calculateTotals: () => {
 		const { cart, coupon } = get();
 		const subtotal = cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
 		let total = subtotal;
 
-		if (coupon) {
-			const discount = subtotal * (coupon.discountPercentage / 100);
-			total = subtotal - discount;
+		// Only the server knows which lines a scoped code covers, so use the amount it priced
+		if (coupon?.amount && coupon.type !== "free_shipping") {
+			total = subtotal - Math.min(coupon.amount, subtotal);
 		}
 
 		set({ subtotal, total });